@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "OtpPurpose" AS ENUM ('EMAIL_VERIFY', 'PASSWORD_RESET', 'EMAIL_CHANGE', 'LOGIN_2FA');
+
+-- CreateTable
+CREATE TABLE "one_time_codes" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "purpose" "OtpPurpose" NOT NULL,
+    "codeHash" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "one_time_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "one_time_codes_userId_purpose_key" ON "one_time_codes"("userId", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "one_time_codes" ADD CONSTRAINT "one_time_codes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move pending codes: unverified users were waiting on email verification,
+-- verified users can only have requested a password reset
+INSERT INTO "one_time_codes" ("userId", "purpose", "codeHash", "expiresAt", "attempts", "lockedUntil", "updatedAt")
+SELECT "id",
+       CASE WHEN "isVerified" THEN 'PASSWORD_RESET'::"OtpPurpose" ELSE 'EMAIL_VERIFY'::"OtpPurpose" END,
+       "otpCode",
+       "otpExpiresAt",
+       "otpAttempts",
+       "otpLockedUntil",
+       CURRENT_TIMESTAMP
+FROM "users"
+WHERE "otpCode" IS NOT NULL OR "otpLockedUntil" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "users" DROP COLUMN "otpAttempts",
+DROP COLUMN "otpCode",
+DROP COLUMN "otpExpiresAt",
+DROP COLUMN "otpLockedUntil";
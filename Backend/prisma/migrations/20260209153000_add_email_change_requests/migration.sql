@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "EmailChangeStatus" AS ENUM ('PENDING', 'COMPLETED', 'REVOKED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "email_change_requests" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "oldEmail" TEXT NOT NULL,
+    "newEmail" TEXT NOT NULL,
+    "revokeTokenHash" TEXT NOT NULL,
+    "status" "EmailChangeStatus" NOT NULL DEFAULT 'PENDING',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_change_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "email_change_requests_revokeTokenHash_key" ON "email_change_requests"("revokeTokenHash");
+
+-- CreateIndex
+CREATE INDEX "email_change_requests_userId_status_idx" ON "email_change_requests"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "email_change_requests" ADD CONSTRAINT "email_change_requests_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "roles" ADD COLUMN     "isSystem" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "permissions" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "permissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "role_permissions" (
+    "roleId" INTEGER NOT NULL,
+    "permissionId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "role_permissions_pkey" PRIMARY KEY ("roleId","permissionId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "permissions_key_key" ON "permissions"("key");
+
+-- CreateIndex
+CREATE INDEX "role_permissions_permissionId_idx" ON "role_permissions"("permissionId");
+
+-- AddForeignKey
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_roleId_fkey" FOREIGN KEY ("roleId") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_permissionId_fkey" FOREIGN KEY ("permissionId") REFERENCES "permissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Built-in roles cannot be renamed or deleted through the API
+UPDATE "roles" SET "isSystem" = true WHERE "name" IN ('ADMIN', 'TRAVELLER');
+
+-- Permissions and the ADMIN grants (also created by prisma/seed.js), so that
+-- existing admins keep access to the admin routes right after migrating
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('posts:moderate', 'View unpublished posts and edit or delete any post or comment'),
+    ('users:read', 'View any user account and profile'),
+    ('users:manage', 'Block, unblock, delete users and change their role'),
+    ('roles:manage', 'Create roles and change their permissions'),
+    ('stats:read', 'View system statistics')
+ON CONFLICT ("key") DO NOTHING;
+
+INSERT INTO "role_permissions" ("roleId", "permissionId")
+SELECT "roles"."id", "permissions"."id"
+FROM "roles" CROSS JOIN "permissions"
+WHERE "roles"."name" = 'ADMIN'
+ON CONFLICT DO NOTHING;
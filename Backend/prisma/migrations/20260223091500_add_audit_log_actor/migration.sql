@@ -0,0 +1,23 @@
+-- DropIndex
+DROP INDEX "audit_logs_entity_idx";
+
+-- AlterTable
+ALTER TABLE "audit_logs" ADD COLUMN     "actorId" INTEGER,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "userAgent" TEXT;
+
+-- CreateIndex
+CREATE INDEX "audit_logs_entity_entityId_idx" ON "audit_logs"("entity", "entityId");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_actorId_idx" ON "audit_logs"("actorId");
+
+-- New permission, granted to ADMIN (also created by prisma/seed.js)
+INSERT INTO "permissions" ("key", "description") VALUES ('audit:read', 'Query and export the audit log')
+ON CONFLICT ("key") DO NOTHING;
+
+INSERT INTO "role_permissions" ("roleId", "permissionId")
+SELECT "roles"."id", "permissions"."id"
+FROM "roles" CROSS JOIN "permissions"
+WHERE "roles"."name" = 'ADMIN' AND "permissions"."key" = 'audit:read'
+ON CONFLICT DO NOTHING;
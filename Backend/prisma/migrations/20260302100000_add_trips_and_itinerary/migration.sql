@@ -0,0 +1,77 @@
+-- CreateEnum
+CREATE TYPE "TripVisibility" AS ENUM ('PRIVATE', 'PUBLIC');
+
+-- CreateEnum
+CREATE TYPE "ItineraryItemType" AS ENUM ('ACTIVITY', 'TRANSPORT', 'LODGING', 'FOOD', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "trips" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "destination" TEXT NOT NULL,
+    "startDate" DATE NOT NULL,
+    "endDate" DATE NOT NULL,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "coverImage" TEXT,
+    "visibility" "TripVisibility" NOT NULL DEFAULT 'PRIVATE',
+    "ownerId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trips_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "itinerary_days" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "title" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "itinerary_days_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "itinerary_items" (
+    "id" SERIAL NOT NULL,
+    "dayId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "type" "ItineraryItemType" NOT NULL DEFAULT 'ACTIVITY',
+    "startTime" TEXT,
+    "endTime" TEXT,
+    "placeName" TEXT,
+    "address" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "notes" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "itinerary_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "trips_ownerId_idx" ON "trips"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "trips_visibility_startDate_idx" ON "trips"("visibility", "startDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "itinerary_days_tripId_date_key" ON "itinerary_days"("tripId", "date");
+
+-- CreateIndex
+CREATE INDEX "itinerary_items_dayId_position_idx" ON "itinerary_items"("dayId", "position");
+
+-- AddForeignKey
+ALTER TABLE "trips" ADD CONSTRAINT "trips_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "itinerary_days" ADD CONSTRAINT "itinerary_days_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "itinerary_items" ADD CONSTRAINT "itinerary_items_dayId_fkey" FOREIGN KEY ("dayId") REFERENCES "itinerary_days"("id") ON DELETE CASCADE ON UPDATE CASCADE;
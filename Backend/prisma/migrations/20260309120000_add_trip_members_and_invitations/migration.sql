@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "TripMemberRole" AS ENUM ('OWNER', 'EDITOR', 'VIEWER');
+
+-- CreateEnum
+CREATE TYPE "InvitationStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED');
+
+-- CreateTable
+CREATE TABLE "trip_members" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "TripMemberRole" NOT NULL DEFAULT 'VIEWER',
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "trip_invitations" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "TripMemberRole" NOT NULL DEFAULT 'VIEWER',
+    "status" "InvitationStatus" NOT NULL DEFAULT 'PENDING',
+    "invitedById" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trip_members_tripId_userId_key" ON "trip_members"("tripId", "userId");
+
+-- CreateIndex
+CREATE INDEX "trip_members_userId_idx" ON "trip_members"("userId");
+
+-- CreateIndex
+CREATE INDEX "trip_invitations_tripId_status_idx" ON "trip_invitations"("tripId", "status");
+
+-- CreateIndex
+CREATE INDEX "trip_invitations_email_status_idx" ON "trip_invitations"("email", "status");
+
+-- AddForeignKey
+ALTER TABLE "trip_members" ADD CONSTRAINT "trip_members_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_members" ADD CONSTRAINT "trip_members_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_invitations" ADD CONSTRAINT "trip_invitations_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_invitations" ADD CONSTRAINT "trip_invitations_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing trips: their owner becomes the OWNER member
+INSERT INTO "trip_members" ("tripId", "userId", "role", "joinedAt", "updatedAt")
+SELECT "id", "ownerId", 'OWNER', "createdAt", CURRENT_TIMESTAMP FROM "trips";
@@ -0,0 +1,89 @@
+-- CreateEnum
+CREATE TYPE "ExpenseCategory" AS ENUM ('LODGING', 'TRANSPORT', 'FOOD', 'PERMITS', 'ACTIVITIES', 'SHOPPING', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "ExpenseSplitType" AS ENUM ('EQUAL', 'PERCENTAGE', 'EXACT');
+
+-- AlterTable
+ALTER TABLE "trips" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "expenses" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "paidById" INTEGER NOT NULL,
+    "description" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "category" "ExpenseCategory" NOT NULL DEFAULT 'OTHER',
+    "splitType" "ExpenseSplitType" NOT NULL DEFAULT 'EQUAL',
+    "expenseDate" DATE NOT NULL,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "expenses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "expense_shares" (
+    "id" SERIAL NOT NULL,
+    "expenseId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "percentage" DECIMAL(5,2),
+
+    CONSTRAINT "expense_shares_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "settlements" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "fromUserId" INTEGER NOT NULL,
+    "toUserId" INTEGER NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "note" TEXT,
+    "recordedById" INTEGER,
+    "paidAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "settlements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "expenses_tripId_expenseDate_idx" ON "expenses"("tripId", "expenseDate");
+
+-- CreateIndex
+CREATE INDEX "expenses_paidById_idx" ON "expenses"("paidById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "expense_shares_expenseId_userId_key" ON "expense_shares"("expenseId", "userId");
+
+-- CreateIndex
+CREATE INDEX "expense_shares_userId_idx" ON "expense_shares"("userId");
+
+-- CreateIndex
+CREATE INDEX "settlements_tripId_idx" ON "settlements"("tripId");
+
+-- AddForeignKey
+ALTER TABLE "expenses" ADD CONSTRAINT "expenses_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expenses" ADD CONSTRAINT "expenses_paidById_fkey" FOREIGN KEY ("paidById") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expense_shares" ADD CONSTRAINT "expense_shares_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expense_shares" ADD CONSTRAINT "expense_shares_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "settlements" ADD CONSTRAINT "settlements_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "settlements" ADD CONSTRAINT "settlements_fromUserId_fkey" FOREIGN KEY ("fromUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "settlements" ADD CONSTRAINT "settlements_toUserId_fkey" FOREIGN KEY ("toUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "preferredCurrency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "currencies" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "symbol" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "currencies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" SERIAL NOT NULL,
+    "baseCurrency" TEXT NOT NULL,
+    "quoteCurrency" TEXT NOT NULL,
+    "rate" DECIMAL(18,8) NOT NULL,
+    "effectiveDate" DATE NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "currencies_code_key" ON "currencies"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_baseCurrency_quoteCurrency_effectiveDate_key" ON "exchange_rates"("baseCurrency", "quoteCurrency", "effectiveDate");
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_quoteCurrency_idx" ON "exchange_rates"("quoteCurrency");
+
+-- AddForeignKey
+ALTER TABLE "exchange_rates" ADD CONSTRAINT "exchange_rates_baseCurrency_fkey" FOREIGN KEY ("baseCurrency") REFERENCES "currencies"("code") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "exchange_rates" ADD CONSTRAINT "exchange_rates_quoteCurrency_fkey" FOREIGN KEY ("quoteCurrency") REFERENCES "currencies"("code") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- New permission, granted to ADMIN (also created by prisma/seed.js)
+INSERT INTO "permissions" ("key", "description") VALUES ('currencies:manage', 'Manage currencies and exchange rates')
+ON CONFLICT ("key") DO NOTHING;
+
+INSERT INTO "role_permissions" ("roleId", "permissionId")
+SELECT "roles"."id", "permissions"."id"
+FROM "roles" CROSS JOIN "permissions"
+WHERE "roles"."name" = 'ADMIN' AND "permissions"."key" = 'currencies:manage'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "trip_members" ADD COLUMN "budgetAlerts" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "trip_budgets" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "category" "ExpenseCategory",
+    "amount" DECIMAL(12,2) NOT NULL,
+    "alertLevel" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_budgets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trip_budgets_tripId_category_key" ON "trip_budgets"("tripId", "category");
+
+-- One total budget (category NULL) per trip; the index above treats NULLs as distinct
+CREATE UNIQUE INDEX "trip_budgets_tripId_total_key" ON "trip_budgets"("tripId") WHERE "category" IS NULL;
+
+-- AddForeignKey
+ALTER TABLE "trip_budgets" ADD CONSTRAINT "trip_budgets_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
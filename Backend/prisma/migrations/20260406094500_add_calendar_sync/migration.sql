@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "calendarTokenVersion" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "itinerary_items" ADD COLUMN "icalUid" TEXT;
+
+-- CreateIndex
+CREATE INDEX "itinerary_items_icalUid_idx" ON "itinerary_items"("icalUid");
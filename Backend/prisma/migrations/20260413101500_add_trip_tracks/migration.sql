@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "TrackFormat" AS ENUM ('GPX', 'KML');
+
+-- CreateTable
+CREATE TABLE "trip_tracks" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "dayId" INTEGER,
+    "name" TEXT NOT NULL,
+    "sourceFormat" "TrackFormat" NOT NULL,
+    "uploadedById" INTEGER,
+    "pointCount" INTEGER NOT NULL,
+    "distanceMeters" DOUBLE PRECISION NOT NULL,
+    "elevationGain" DOUBLE PRECISION NOT NULL,
+    "elevationLoss" DOUBLE PRECISION NOT NULL,
+    "maxAltitude" DOUBLE PRECISION,
+    "minAltitude" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_tracks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "track_points" (
+    "id" SERIAL NOT NULL,
+    "trackId" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "segment" INTEGER NOT NULL DEFAULT 0,
+    "latitude" DOUBLE PRECISION NOT NULL,
+    "longitude" DOUBLE PRECISION NOT NULL,
+    "elevation" DOUBLE PRECISION,
+    "recordedAt" TIMESTAMP(3),
+
+    CONSTRAINT "track_points_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "trip_tracks_tripId_idx" ON "trip_tracks"("tripId");
+
+-- CreateIndex
+CREATE INDEX "trip_tracks_dayId_idx" ON "trip_tracks"("dayId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "track_points_trackId_sequence_key" ON "track_points"("trackId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "trip_tracks" ADD CONSTRAINT "trip_tracks_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_tracks" ADD CONSTRAINT "trip_tracks_dayId_fkey" FOREIGN KEY ("dayId") REFERENCES "itinerary_days"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_tracks" ADD CONSTRAINT "trip_tracks_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "track_points" ADD CONSTRAINT "track_points_trackId_fkey" FOREIGN KEY ("trackId") REFERENCES "trip_tracks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
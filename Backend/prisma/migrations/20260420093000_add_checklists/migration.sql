@@ -0,0 +1,96 @@
+-- CreateEnum
+CREATE TYPE "ChecklistKind" AS ENUM ('PACKING', 'DOCUMENTS', 'PRE_DEPARTURE', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "trip_checklists" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "kind" "ChecklistKind" NOT NULL DEFAULT 'PACKING',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_checklists_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "checklist_items" (
+    "id" SERIAL NOT NULL,
+    "checklistId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "notes" TEXT,
+    "quantity" INTEGER,
+    "assigneeId" INTEGER,
+    "isChecked" BOOLEAN NOT NULL DEFAULT false,
+    "checkedAt" TIMESTAMP(3),
+    "checkedById" INTEGER,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "checklist_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "checklist_templates" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER,
+    "systemKey" TEXT,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "kind" "ChecklistKind" NOT NULL DEFAULT 'PACKING',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "checklist_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "checklist_template_items" (
+    "id" SERIAL NOT NULL,
+    "templateId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "notes" TEXT,
+    "quantity" INTEGER,
+    "position" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "checklist_template_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "trip_checklists_tripId_position_idx" ON "trip_checklists"("tripId", "position");
+
+-- CreateIndex
+CREATE INDEX "checklist_items_checklistId_position_idx" ON "checklist_items"("checklistId", "position");
+
+-- CreateIndex
+CREATE INDEX "checklist_items_assigneeId_idx" ON "checklist_items"("assigneeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "checklist_templates_systemKey_key" ON "checklist_templates"("systemKey");
+
+-- CreateIndex
+CREATE INDEX "checklist_templates_ownerId_idx" ON "checklist_templates"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "checklist_template_items_templateId_position_idx" ON "checklist_template_items"("templateId", "position");
+
+-- AddForeignKey
+ALTER TABLE "trip_checklists" ADD CONSTRAINT "trip_checklists_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checklist_items" ADD CONSTRAINT "checklist_items_checklistId_fkey" FOREIGN KEY ("checklistId") REFERENCES "trip_checklists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checklist_items" ADD CONSTRAINT "checklist_items_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checklist_items" ADD CONSTRAINT "checklist_items_checkedById_fkey" FOREIGN KEY ("checkedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checklist_templates" ADD CONSTRAINT "checklist_templates_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checklist_template_items" ADD CONSTRAINT "checklist_template_items_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "checklist_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "DocumentCategory" AS ENUM ('PASSPORT', 'VISA', 'PERMIT', 'TICKET', 'INSURANCE', 'BOOKING', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "trip_documents" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "category" "DocumentCategory" NOT NULL DEFAULT 'OTHER',
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_documents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "document_shares" (
+    "id" SERIAL NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "document_shares_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trip_documents_storageKey_key" ON "trip_documents"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "trip_documents_tripId_ownerId_idx" ON "trip_documents"("tripId", "ownerId");
+
+-- CreateIndex
+CREATE INDEX "trip_documents_ownerId_idx" ON "trip_documents"("ownerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_shares_documentId_userId_key" ON "document_shares"("documentId", "userId");
+
+-- CreateIndex
+CREATE INDEX "document_shares_userId_idx" ON "document_shares"("userId");
+
+-- AddForeignKey
+ALTER TABLE "trip_documents" ADD CONSTRAINT "trip_documents_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_documents" ADD CONSTRAINT "trip_documents_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "document_shares" ADD CONSTRAINT "document_shares_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "trip_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "document_shares" ADD CONSTRAINT "document_shares_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "trips" ADD COLUMN     "cloneCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "clonedFromId" INTEGER,
+ADD COLUMN     "isTemplate" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "templatePublishedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "trips_isTemplate_cloneCount_idx" ON "trips"("isTemplate", "cloneCount");
+
+-- CreateIndex
+CREATE INDEX "trips_clonedFromId_idx" ON "trips"("clonedFromId");
+
+-- AddForeignKey
+ALTER TABLE "trips" ADD CONSTRAINT "trips_clonedFromId_fkey" FOREIGN KEY ("clonedFromId") REFERENCES "trips"("id") ON DELETE SET NULL ON UPDATE CASCADE;
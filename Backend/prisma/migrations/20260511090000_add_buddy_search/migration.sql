@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "trips" ADD COLUMN     "lookingForCompanions" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "user_profiles" ADD COLUMN     "discoverable" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "interests" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "user_blocks" (
+    "id" SERIAL NOT NULL,
+    "blockerId" INTEGER NOT NULL,
+    "blockedId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_blocks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_blocks_blockedId_idx" ON "user_blocks"("blockedId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_blocks_blockerId_blockedId_key" ON "user_blocks"("blockerId", "blockedId");
+
+-- CreateIndex
+CREATE INDEX "trips_lookingForCompanions_endDate_idx" ON "trips"("lookingForCompanions", "endDate");
+
+-- AddForeignKey
+ALTER TABLE "user_blocks" ADD CONSTRAINT "user_blocks_blockerId_fkey" FOREIGN KEY ("blockerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_blocks" ADD CONSTRAINT "user_blocks_blockedId_fkey" FOREIGN KEY ("blockedId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
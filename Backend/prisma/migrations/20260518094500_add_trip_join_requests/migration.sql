@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "JoinRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "trips" ADD COLUMN     "isOpen" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "maxMembers" INTEGER;
+
+-- CreateTable
+CREATE TABLE "trip_join_requests" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "message" TEXT,
+    "status" "JoinRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "responseMessage" TEXT,
+    "respondedById" INTEGER,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_join_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "trip_join_requests_tripId_status_idx" ON "trip_join_requests"("tripId", "status");
+
+-- CreateIndex
+CREATE INDEX "trip_join_requests_userId_status_idx" ON "trip_join_requests"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "trip_join_requests" ADD CONSTRAINT "trip_join_requests_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_join_requests" ADD CONSTRAINT "trip_join_requests_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_join_requests" ADD CONSTRAINT "trip_join_requests_respondedById_fkey" FOREIGN KEY ("respondedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
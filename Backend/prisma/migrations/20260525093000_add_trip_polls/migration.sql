@@ -0,0 +1,73 @@
+-- CreateTable
+CREATE TABLE "trip_polls" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "createdById" INTEGER,
+    "question" TEXT NOT NULL,
+    "description" TEXT,
+    "multipleChoice" BOOLEAN NOT NULL DEFAULT false,
+    "anonymous" BOOLEAN NOT NULL DEFAULT false,
+    "deadline" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "winningOptionId" INTEGER,
+    "itineraryItemId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trip_polls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "trip_poll_options" (
+    "id" SERIAL NOT NULL,
+    "pollId" INTEGER NOT NULL,
+    "label" TEXT NOT NULL,
+    "description" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "trip_poll_options_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "trip_poll_votes" (
+    "id" SERIAL NOT NULL,
+    "pollId" INTEGER NOT NULL,
+    "optionId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "trip_poll_votes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "trip_polls_tripId_createdAt_idx" ON "trip_polls"("tripId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "trip_poll_options_pollId_position_idx" ON "trip_poll_options"("pollId", "position");
+
+-- CreateIndex
+CREATE INDEX "trip_poll_votes_pollId_userId_idx" ON "trip_poll_votes"("pollId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trip_poll_votes_optionId_userId_key" ON "trip_poll_votes"("optionId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "trip_polls" ADD CONSTRAINT "trip_polls_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_polls" ADD CONSTRAINT "trip_polls_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_polls" ADD CONSTRAINT "trip_polls_itineraryItemId_fkey" FOREIGN KEY ("itineraryItemId") REFERENCES "itinerary_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_poll_options" ADD CONSTRAINT "trip_poll_options_pollId_fkey" FOREIGN KEY ("pollId") REFERENCES "trip_polls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_poll_votes" ADD CONSTRAINT "trip_poll_votes_pollId_fkey" FOREIGN KEY ("pollId") REFERENCES "trip_polls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_poll_votes" ADD CONSTRAINT "trip_poll_votes_optionId_fkey" FOREIGN KEY ("optionId") REFERENCES "trip_poll_options"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_poll_votes" ADD CONSTRAINT "trip_poll_votes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "trip_share_links" (
+    "id" SERIAL NOT NULL,
+    "tripId" INTEGER NOT NULL,
+    "createdById" INTEGER,
+    "tokenHash" TEXT NOT NULL,
+    "label" TEXT,
+    "passwordHash" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "accessCount" INTEGER NOT NULL DEFAULT 0,
+    "lastAccessedAt" TIMESTAMP(3),
+    "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "trip_share_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trip_share_links_tokenHash_key" ON "trip_share_links"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "trip_share_links_tripId_idx" ON "trip_share_links"("tripId");
+
+-- AddForeignKey
+ALTER TABLE "trip_share_links" ADD CONSTRAINT "trip_share_links_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trip_share_links" ADD CONSTRAINT "trip_share_links_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
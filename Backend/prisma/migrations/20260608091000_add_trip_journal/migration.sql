@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "posts" ADD COLUMN     "dayId" INTEGER,
+ADD COLUMN     "itemId" INTEGER,
+ADD COLUMN     "tripId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "posts_tripId_published_createdAt_idx" ON "posts"("tripId", "published", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "posts" ADD CONSTRAINT "posts_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "trips"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "posts" ADD CONSTRAINT "posts_dayId_fkey" FOREIGN KEY ("dayId") REFERENCES "itinerary_days"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "posts" ADD CONSTRAINT "posts_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "itinerary_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -5,6 +5,13 @@ import { PrismaClient } from "@prisma/client";
 import { PrismaPg } from "@prisma/adapter-pg";
 import { Pool } from "pg";
 import bcryptjs from "bcryptjs";
+import {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEFAULT_CURRENCIES,
+  SYSTEM_CHECKLIST_TEMPLATES,
+} from "../src/utils/constants.js";
 
 // Check env
 if (!process.env.DATABASE_URL) {
@@ -23,19 +30,62 @@ async function main() {
 
   // 1️⃣ Seed Roles - Only ADMIN and TRAVELLER
   const roles = [
-    { name: "ADMIN", description: "Administrator with full system access" },
-    { name: "TRAVELLER", description: "Regular traveller user" },
+    { name: "ADMIN", description: "Administrator with full system access", isSystem: true },
+    { name: "TRAVELLER", description: "Regular traveller user", isSystem: true },
   ];
 
   for (const role of roles) {
     const result = await prisma.role.upsert({
       where: { name: role.name },
-      update: {},
+      update: { isSystem: true },
       create: role,
     });
     console.log(`✔ Role: ${result.name}`);
   }
 
+  // 1️⃣.1 Seed Permissions and default grants
+  // Grants are only added, so permissions given to roles through the admin API survive re-seeding
+  for (const key of Object.values(PERMISSIONS)) {
+    await prisma.permission.upsert({
+      where: { key },
+      update: { description: PERMISSION_DESCRIPTIONS[key] },
+      create: { key, description: PERMISSION_DESCRIPTIONS[key] },
+    });
+  }
+
+  for (const [roleName, keys] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    const role = await prisma.role.findUnique({ where: { name: roleName } });
+    const permissions = await prisma.permission.findMany({ where: { key: { in: keys } } });
+
+    await prisma.rolePermission.createMany({
+      data: permissions.map((permission) => ({ roleId: role.id, permissionId: permission.id })),
+      skipDuplicates: true,
+    });
+    console.log(`✔ Permissions for ${roleName}: ${keys.length}`);
+  }
+
+  // 1️⃣.2 Seed Currencies (exchange rates are maintained by admins)
+  for (const currency of DEFAULT_CURRENCIES) {
+    await prisma.currency.upsert({
+      where: { code: currency.code },
+      update: {},
+      create: currency,
+    });
+  }
+  console.log(`✔ Currencies: ${DEFAULT_CURRENCIES.map((currency) => currency.code).join(", ")}`);
+
+  // 1️⃣.3 Seed system checklist templates (re-seeding replaces their items)
+  for (const { key, items, ...template } of SYSTEM_CHECKLIST_TEMPLATES) {
+    const itemData = items.map((item, position) => ({ ...item, position }));
+
+    await prisma.checklistTemplate.upsert({
+      where: { systemKey: key },
+      update: { ...template, items: { deleteMany: {}, create: itemData } },
+      create: { ...template, systemKey: key, items: { create: itemData } },
+    });
+  }
+  console.log(`✔ Checklist templates: ${SYSTEM_CHECKLIST_TEMPLATES.length}`);
+
   // 2️⃣ Create Default Admin User
   const hashedPassword = await bcryptjs.hash("Admin@123", 10);
 
@@ -12,12 +12,18 @@ import { errorHandlerMiddleware, asyncHandler } from './src/middleware/errorHand
 
 // Import database
 import prisma, { testConnection, disconnectDatabase } from './src/lib/prisma.js';
+import { initializeRedis, closeRedis } from './src/lib/redis.js';
 
 // Import routes
 import authRoutes from './src/routes/auth.routes.js';
 import userRoutes from './src/routes/userRoutes.js';
 import postRoutes from './src/routes/postRoutes.js';
 import adminRoutes from './src/routes/admin.routes.js';
+import tripRoutes from './src/routes/trip.routes.js';
+import currencyRoutes from './src/routes/currency.routes.js';
+import checklistTemplateRoutes from './src/routes/checklistTemplate.routes.js';
+import buddyRoutes from './src/routes/buddy.routes.js';
+import shareRoutes from './src/routes/share.routes.js';
 
 // Load environment variables
 dotenv.config();
@@ -47,7 +53,7 @@ app.use(
     origin: (process.env.CORS_ORIGIN || 'http://localhost:3000').split(','),
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Share-Password'],
     maxAge: 86400, // 24 hours
   })
 );
@@ -110,6 +116,21 @@ apiRouter.use('/users', userRoutes);
 // Post Routes
 apiRouter.use('/posts', postRoutes);
 
+// Trip Routes
+apiRouter.use('/trips', tripRoutes);
+
+// Currency Routes
+apiRouter.use('/currencies', currencyRoutes);
+
+// Checklist Template Routes
+apiRouter.use('/checklist-templates', checklistTemplateRoutes);
+
+// Travel Buddy Routes
+apiRouter.use('/buddies', buddyRoutes);
+
+// Public Trip Share Links
+apiRouter.use('/share', shareRoutes);
+
 // Admin Routes
 apiRouter.use('/admin', adminRoutes);
 
@@ -142,6 +163,9 @@ const server = app.listen(PORT, async () => {
       throw new Error('Database connection failed');
     }
 
+    // Redis is optional: rate limiting falls back to memory without it
+    await initializeRedis();
+
     logger.info(`🚀 Server running on port ${PORT}`);
     logger.info(`📝 Environment: ${NODE_ENV}`);
     logger.info(`🌐 API URL: http://localhost:${PORT}`);
@@ -159,6 +183,7 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   server.close(async () => {
     await disconnectDatabase();
+    await closeRedis();
     logger.info('HTTP server closed');
     process.exit(0);
   });
@@ -168,6 +193,7 @@ process.on('SIGINT', async () => {
   logger.info('SIGINT signal received: closing HTTP server');
   server.close(async () => {
     await disconnectDatabase();
+    await closeRedis();
     logger.info('HTTP server closed');
     process.exit(0);
   });
@@ -1,5 +1,6 @@
 // src/controllers/auth.controller.js
 import userService from '../services/user.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
 import { generateAccessToken, generateRefreshToken } from '../lib/auth.js';
 import {
   AuthenticationError,
@@ -8,9 +9,60 @@ import {
   ForbiddenError,
 } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
-import { sanitizeUser } from '../utils/helpers.js';
+import {
+  sanitizeUser,
+  getSessionMetadata,
+  getUserPermissions,
+  getRequestContext,
+} from '../utils/helpers.js';
 import { API_MESSAGES, COOKIE_OPTIONS } from '../utils/constants.js';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+/**
+ * Build the JWT payload shared by access and refresh tokens.
+ * `version` supports force-logout, `sessionId` ties tokens to one device.
+ */
+const buildTokenPayload = (user, sessionId) => ({
+  userId: user.id,
+  role: user.role?.name || 'TRAVELLER',
+  version: user.tokenVersion,
+  sessionId,
+});
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('access_token', accessToken, {
+    ...COOKIE_OPTIONS,
+    maxAge: 1000 * 60 * 15, // 15 minutes
+  });
+  res.cookie('refresh_token', refreshToken, {
+    ...COOKIE_OPTIONS,
+    maxAge: 1000 * 60 * 60 * 24 * 7, // 7 days
+  });
+};
+
+/**
+ * Start a new device session: sign a token pair, persist the hashed refresh
+ * token in its own Session row and set the auth cookies.
+ * @returns {Promise<string>} - Access token
+ */
+const startSession = async (req, res, user) => {
+  const sessionId = crypto.randomUUID();
+  const tokenPayload = buildTokenPayload(user, sessionId);
+
+  const accessToken = generateAccessToken(tokenPayload);
+  const refreshToken = generateRefreshToken({ ...tokenPayload, generation: 0 });
+
+  await userService.createSession({
+    sessionId,
+    userId: user.id,
+    refreshToken,
+    ...getSessionMetadata(req),
+  });
+
+  setAuthCookies(res, accessToken, refreshToken);
+  return accessToken;
+};
 
 // ============================================================
 // REGISTRATION
@@ -20,7 +72,7 @@ export const register = async (req, res, next) => {
   try {
     const { email, password, firstName, lastName } = req.body;
 
-    await userService.registerUser({ email, password, firstName, lastName });
+    await userService.registerUser({ email, password, firstName, lastName }, getRequestContext(req));
 
     logger.info(`User registered: ${email}`);
 
@@ -42,30 +94,10 @@ export const verifyEmailOTP = async (req, res, next) => {
   try {
     const { email, otp } = req.body;
 
-    const { user } = await userService.verifyEmailOTP({ email, otp });
+    const { user } = await userService.verifyEmailOTP({ email, otp }, getRequestContext(req));
 
-    // Create token payload with version for session invalidation support
-    const tokenPayload = {
-      userId: user.id,
-      role: user.role?.name || 'TRAVELLER',
-      version: user.tokenVersion,
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
-
-    // Save refresh token to DB
-    await userService.saveRefreshToken(user.id, refreshToken);
-
-    // Set secure cookies
-    res.cookie('access_token', accessToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 1000 * 60 * 15, // 15 minutes
-    });
-    res.cookie('refresh_token', refreshToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 1000 * 60 * 60 * 24 * 7, // 7 days
-    });
+    // Open a session for this device and set secure cookies
+    const accessToken = await startSession(req, res, user);
 
     logger.info(`Email verified for user: ${email}`);
 
@@ -89,7 +121,7 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    const user = await userService.authenticateUser(email, password);
+    const user = await userService.authenticateUser(email, password, getRequestContext(req));
 
     // Check email verification
     if (!user.isVerified) {
@@ -101,27 +133,23 @@ export const login = async (req, res, next) => {
       throw new ForbiddenError(API_MESSAGES.ACCOUNT_BLOCKED);
     }
 
-    const tokenPayload = {
-      userId: user.id,
-      role: user.role?.name || 'TRAVELLER',
-      version: user.tokenVersion,
-    };
+    // Password is correct but a second factor is still required:
+    // hand out a short-lived challenge instead of session cookies
+    if (user.twoFactorEnabled) {
+      const challengeToken = await twoFactorService.createLoginChallenge(user);
 
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+      logger.info(`2FA challenge issued for: ${email}`);
 
-    // Store refresh token in DB
-    await userService.saveRefreshToken(user.id, refreshToken);
+      return res.status(200).json({
+        success: true,
+        message: API_MESSAGES.TWO_FACTOR_REQUIRED,
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
 
-    // Set cookies
-    res.cookie('access_token', accessToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 1000 * 60 * 15,
-    });
-    res.cookie('refresh_token', refreshToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 1000 * 60 * 60 * 24 * 7,
-    });
+    // Open a new session for this device (other devices stay logged in)
+    const accessToken = await startSession(req, res, user);
 
     logger.info(`User logged in: ${email}`);
 
@@ -137,6 +165,34 @@ export const login = async (req, res, next) => {
   }
 };
 
+// ============================================================
+// LOGIN - SECOND FACTOR
+// ============================================================
+
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await twoFactorService.completeLogin(
+      challengeToken,
+      { code, recoveryCode },
+      getRequestContext(req)
+    );
+
+    const accessToken = await startSession(req, res, user);
+
+    res.status(200).json({
+      success: true,
+      message: API_MESSAGES.LOGIN_SUCCESS,
+      user: sanitizeUser(user),
+      accessToken,
+    });
+  } catch (err) {
+    logger.error('Two-factor login failed', err.message);
+    next(err);
+  }
+};
+
 // ============================================================
 // REFRESH TOKENS
 // ============================================================
@@ -152,28 +208,29 @@ export const refreshTokens = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await userService.getUserWithRefreshToken(decoded.userId, refreshToken);
 
-    const tokenPayload = {
-      userId: user.id,
-      role: user.role?.name || 'TRAVELLER',
-      version: user.tokenVersion,
-    };
+    // Throws (and revokes the session) if an already rotated token is replayed
+    const user = await userService.getUserWithRefreshToken(
+      decoded,
+      refreshToken,
+      getRequestContext(req)
+    );
+
+    const generation = Number(decoded.generation ?? 0);
+    const tokenPayload = buildTokenPayload(user, decoded.sessionId);
 
     const newAccessToken = generateAccessToken(tokenPayload);
-    const newRefreshToken = generateRefreshToken(tokenPayload);
+    const newRefreshToken = generateRefreshToken({ ...tokenPayload, generation: generation + 1 });
 
-    // Update refresh token in DB
-    await userService.saveRefreshToken(user.id, newRefreshToken);
+    // Rotate the refresh token of this session only
+    await userService.rotateSession(
+      decoded.sessionId,
+      generation,
+      newRefreshToken,
+      getRequestContext(req)
+    );
 
-    res.cookie('access_token', newAccessToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 1000 * 60 * 15,
-    });
-    res.cookie('refresh_token', newRefreshToken, {
-      ...COOKIE_OPTIONS,
-      maxAge: 1000 * 60 * 60 * 24 * 7,
-    });
+    setAuthCookies(res, newAccessToken, newRefreshToken);
 
     logger.info(`Tokens refreshed for user: ${user.id}`);
 
@@ -199,8 +256,8 @@ export const logout = async (req, res, next) => {
     const userId = req.user?.id;
 
     if (userId) {
-      // Clear refresh token from DB
-      await userService.clearRefreshToken(userId);
+      // End the session of this device only
+      await userService.endSession(userId, req.sessionId, getRequestContext(req));
       logger.info(`User logged out: ${userId}`);
     }
 
@@ -226,7 +283,7 @@ export const requestPasswordReset = async (req, res, next) => {
   try {
     const { email } = req.body;
 
-    await userService.createAndSendOTP(email, 'PASSWORD_RESET');
+    await userService.createAndSendOTP(email, 'PASSWORD_RESET', getRequestContext(req));
 
     logger.info(`Password reset OTP sent to: ${email}`);
 
@@ -248,7 +305,7 @@ export const resetPassword = async (req, res, next) => {
   try {
     const { email, otp, newPassword } = req.body;
 
-    await userService.resetPassword({ email, otp, newPassword });
+    await userService.resetPassword({ email, otp, newPassword }, getRequestContext(req));
 
     logger.info(`Password reset successful for: ${email}`);
 
@@ -270,7 +327,7 @@ export const resendOTP = async (req, res, next) => {
   try {
     const { email, type = 'EMAIL_VERIFY' } = req.body;
 
-    await userService.createAndSendOTP(email, type);
+    await userService.createAndSendOTP(email, type, getRequestContext(req));
 
     logger.info(`OTP resent to: ${email}`);
 
@@ -299,6 +356,7 @@ export const getCurrentUser = async (req, res, next) => {
     res.status(200).json({
       success: true,
       user: sanitizeUser(user),
+      permissions: getUserPermissions(user),
     });
   } catch (err) {
     logger.error('Failed to get current user', err.message);
@@ -319,7 +377,7 @@ export const revokeAllSessions = async (req, res, next) => {
     }
 
     // Increment token version to invalidate all existing tokens
-    await userService.revokeAllUserSessions(userId);
+    await userService.revokeAllUserSessions(userId, getRequestContext(req));
 
     res.clearCookie('access_token');
     res.clearCookie('refresh_token');
@@ -335,3 +393,138 @@ export const revokeAllSessions = async (req, res, next) => {
     next(err);
   }
 };
+
+// ============================================================
+// LIST SESSIONS
+// ============================================================
+
+export const getSessions = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new AuthenticationError('Not authenticated');
+    }
+
+    const sessions = await userService.listSessions(userId);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    logger.error('Failed to list sessions', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// REVOKE SINGLE SESSION
+// ============================================================
+
+export const revokeSession = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    const { id } = req.params;
+
+    if (!userId) {
+      throw new AuthenticationError('Not authenticated');
+    }
+
+    await userService.revokeSession(userId, id, getRequestContext(req));
+
+    // Revoking the session in use is the same as logging out
+    if (id === req.sessionId) {
+      res.clearCookie('access_token');
+      res.clearCookie('refresh_token');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully.',
+    });
+  } catch (err) {
+    logger.error('Failed to revoke session', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// TWO-FACTOR AUTHENTICATION SETTINGS
+// ============================================================
+
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await twoFactorService.setup(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      secret,
+      otpauthUri,
+    });
+  } catch (err) {
+    logger.error('Failed to start 2FA setup', err.message);
+    next(err);
+  }
+};
+
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.enable(
+      req.user.id,
+      req.body.code,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: API_MESSAGES.TWO_FACTOR_ENABLED,
+      recoveryCodes,
+    });
+  } catch (err) {
+    logger.error('Failed to enable 2FA', err.message);
+    next(err);
+  }
+};
+
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    await twoFactorService.disable(
+      req.user.id,
+      { password, code, recoveryCode },
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: API_MESSAGES.TWO_FACTOR_DISABLED,
+    });
+  } catch (err) {
+    logger.error('Failed to disable 2FA', err.message);
+    next(err);
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+      req.user.id,
+      req.body.code
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes,
+    });
+  } catch (err) {
+    logger.error('Failed to regenerate recovery codes', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,80 @@
+// src/controllers/buddy.controller.js
+import buddyService from '../services/buddy.service.js';
+import { logger } from '../utils/logger.js';
+
+// ============================================================
+// SEARCH
+// ============================================================
+
+export const searchBuddies = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const { results, total, truncated } = await buddyService.searchBuddies(req.user.id, req.query, {
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+      truncated,
+    });
+  } catch (err) {
+    logger.error('Failed to search travel buddies', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// BLOCKED USERS
+// ============================================================
+
+export const getBlockedUsers = async (req, res, next) => {
+  try {
+    const users = await buddyService.listBlockedUsers(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: users,
+    });
+  } catch (err) {
+    logger.error('Failed to list blocked users', err.message);
+    next(err);
+  }
+};
+
+export const addBlockedUser = async (req, res, next) => {
+  try {
+    await buddyService.blockUser(req.user.id, req.body.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked',
+    });
+  } catch (err) {
+    logger.error('Failed to block user', err.message);
+    next(err);
+  }
+};
+
+export const removeBlockedUser = async (req, res, next) => {
+  try {
+    await buddyService.unblockUser(req.user.id, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked',
+    });
+  } catch (err) {
+    logger.error('Failed to unblock user', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,65 @@
+// src/controllers/budget.controller.js
+import budgetService from '../services/budget.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// BUDGET REPORT
+// ============================================================
+
+export const getTripBudget = async (req, res, next) => {
+  try {
+    const report = await budgetService.getBudgetReport(req.params.id, req.user, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (err) {
+    logger.error('Failed to get trip budget', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// UPDATE BUDGET
+// ============================================================
+
+export const updateTripBudget = async (req, res, next) => {
+  try {
+    const report = await budgetService.setBudget(
+      req.params.id,
+      req.user,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: report,
+    });
+  } catch (err) {
+    logger.error('Failed to update trip budget', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// BUDGET ALERTS
+// ============================================================
+
+export const updateBudgetAlerts = async (req, res, next) => {
+  try {
+    const preferences = await budgetService.setBudgetAlerts(req.params.id, req.user.id, req.body.enabled);
+
+    res.status(200).json({
+      success: true,
+      message: req.body.enabled ? 'Budget alerts turned on' : 'Budget alerts turned off',
+      data: preferences,
+    });
+  } catch (err) {
+    logger.error('Failed to update budget alerts', err.message);
+    next(err);
+  }
+};
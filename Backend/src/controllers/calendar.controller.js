@@ -0,0 +1,87 @@
+// src/controllers/calendar.controller.js
+import calendarService from '../services/calendar.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+import { ValidationError } from '../utils/errors.js';
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+export const getItineraryCalendar = async (req, res, next) => {
+  try {
+    // Subscription URLs carry a token instead of a session
+    const calendar = req.query.token
+      ? await calendarService.getCalendarByToken(req.params.id, String(req.query.token))
+      : await calendarService.getCalendar(req.params.id, req.user.id);
+
+    res.status(200);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${calendar.fileName}"`);
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(calendar.content);
+  } catch (err) {
+    logger.error('Failed to export itinerary calendar', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// SUBSCRIPTIONS
+// ============================================================
+
+export const getCalendarSubscription = async (req, res, next) => {
+  try {
+    const subscription = await calendarService.getSubscription(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (err) {
+    logger.error('Failed to get calendar subscription', err.message);
+    next(err);
+  }
+};
+
+export const resetCalendarSubscriptions = async (req, res, next) => {
+  try {
+    await calendarService.resetSubscriptions(req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar subscription links reset. Old links no longer work.',
+    });
+  } catch (err) {
+    logger.error('Failed to reset calendar subscriptions', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// IMPORT
+// ============================================================
+
+export const importItineraryCalendar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ValidationError('Attach the .ics file in the "file" field');
+    }
+
+    const result = await calendarService.importCalendar(
+      req.params.id,
+      req.user.id,
+      req.file.buffer.toString('utf8'),
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.created} items added, ${result.updated} updated, ${result.skipped.length} events skipped`,
+      data: result,
+    });
+  } catch (err) {
+    logger.error('Failed to import itinerary calendar', err.message);
+    next(err);
+  }
+};
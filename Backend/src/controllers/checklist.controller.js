@@ -0,0 +1,300 @@
+// src/controllers/checklist.controller.js
+import checklistService from '../services/checklist.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// TRIP CHECKLISTS
+// ============================================================
+
+export const getTripChecklists = async (req, res, next) => {
+  try {
+    const checklists = await checklistService.listChecklists(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: checklists,
+    });
+  } catch (err) {
+    logger.error('Failed to list checklists', err.message);
+    next(err);
+  }
+};
+
+export const getTripChecklist = async (req, res, next) => {
+  try {
+    const checklist = await checklistService.getChecklist(req.params.id, req.params.checklistId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: checklist,
+    });
+  } catch (err) {
+    logger.error('Failed to get checklist', err.message);
+    next(err);
+  }
+};
+
+export const createTripChecklist = async (req, res, next) => {
+  try {
+    const checklist = await checklistService.createChecklist(
+      req.params.id,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist created successfully',
+      data: checklist,
+    });
+  } catch (err) {
+    logger.error('Failed to create checklist', err.message);
+    next(err);
+  }
+};
+
+export const createTripChecklistFromTemplate = async (req, res, next) => {
+  try {
+    const checklist = await checklistService.createChecklistFromTemplate(
+      req.params.id,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist created from template',
+      data: checklist,
+    });
+  } catch (err) {
+    logger.error('Failed to create checklist from template', err.message);
+    next(err);
+  }
+};
+
+export const updateTripChecklist = async (req, res, next) => {
+  try {
+    const checklist = await checklistService.updateChecklist(
+      req.params.id,
+      req.params.checklistId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist updated successfully',
+      data: checklist,
+    });
+  } catch (err) {
+    logger.error('Failed to update checklist', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripChecklist = async (req, res, next) => {
+  try {
+    await checklistService.deleteChecklist(
+      req.params.id,
+      req.params.checklistId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete checklist', err.message);
+    next(err);
+  }
+};
+
+export const saveTripChecklistAsTemplate = async (req, res, next) => {
+  try {
+    const template = await checklistService.saveChecklistAsTemplate(
+      req.params.id,
+      req.params.checklistId,
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist saved as template',
+      data: template,
+    });
+  } catch (err) {
+    logger.error('Failed to save checklist as template', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// CHECKLIST ITEMS
+// ============================================================
+
+export const addTripChecklistItem = async (req, res, next) => {
+  try {
+    const item = await checklistService.addItem(
+      req.params.id,
+      req.params.checklistId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added successfully',
+      data: item,
+    });
+  } catch (err) {
+    logger.error('Failed to add checklist item', err.message);
+    next(err);
+  }
+};
+
+export const updateTripChecklistItem = async (req, res, next) => {
+  try {
+    const item = await checklistService.updateItem(
+      req.params.id,
+      req.params.checklistId,
+      req.params.itemId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Item updated successfully',
+      data: item,
+    });
+  } catch (err) {
+    logger.error('Failed to update checklist item', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripChecklistItem = async (req, res, next) => {
+  try {
+    await checklistService.deleteItem(
+      req.params.id,
+      req.params.checklistId,
+      req.params.itemId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete checklist item', err.message);
+    next(err);
+  }
+};
+
+export const checkTripChecklistItem = async (req, res, next) => {
+  try {
+    const item = await checklistService.checkItem(
+      req.params.id,
+      req.params.checklistId,
+      req.params.itemId,
+      req.user.id,
+      req.body.checked
+    );
+
+    res.status(200).json({
+      success: true,
+      message: req.body.checked ? 'Item checked off' : 'Item unchecked',
+      data: item,
+    });
+  } catch (err) {
+    logger.error('Failed to check checklist item', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// TEMPLATES
+// ============================================================
+
+export const getChecklistTemplates = async (req, res, next) => {
+  try {
+    const templates = await checklistService.listTemplates(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: templates,
+    });
+  } catch (err) {
+    logger.error('Failed to list checklist templates', err.message);
+    next(err);
+  }
+};
+
+export const getChecklistTemplate = async (req, res, next) => {
+  try {
+    const template = await checklistService.getTemplate(req.params.templateId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (err) {
+    logger.error('Failed to get checklist template', err.message);
+    next(err);
+  }
+};
+
+export const createChecklistTemplate = async (req, res, next) => {
+  try {
+    const template = await checklistService.createTemplate(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template,
+    });
+  } catch (err) {
+    logger.error('Failed to create checklist template', err.message);
+    next(err);
+  }
+};
+
+export const updateChecklistTemplate = async (req, res, next) => {
+  try {
+    const template = await checklistService.updateTemplate(req.params.templateId, req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template,
+    });
+  } catch (err) {
+    logger.error('Failed to update checklist template', err.message);
+    next(err);
+  }
+};
+
+export const deleteChecklistTemplate = async (req, res, next) => {
+  try {
+    await checklistService.deleteTemplate(req.params.templateId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete checklist template', err.message);
+    next(err);
+  }
+};
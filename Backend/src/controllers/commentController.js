@@ -0,0 +1,208 @@
+// src/controllers/commentController.js
+import prisma from '../lib/prisma.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/helpers.js';
+import { PERMISSIONS } from '../utils/constants.js';
+
+const commentAuthorSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+/**
+ * Load a post and make sure the current user may see it.
+ * Unpublished posts are only visible to their author and moderators.
+ */
+const findAccessiblePost = async (postId, user) => {
+  const post = await prisma.post.findUnique({
+    where: { id: parseInt(postId) },
+  });
+
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+
+  if (!post.published && (!user || user.id !== post.authorId)) {
+    if (!hasPermission(user, PERMISSIONS.POSTS_MODERATE)) {
+      throw new ForbiddenError('You cannot access this post');
+    }
+  }
+
+  return post;
+};
+
+/**
+ * Turn a flat, chronologically ordered list of comments into a reply tree
+ */
+const buildCommentTree = (comments) => {
+  const byId = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parentId ? byId.get(comment.parentId) : null;
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  return roots;
+};
+
+// ============================================================
+// CREATE COMMENT
+// ============================================================
+
+export const createComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { content, parentId } = req.body;
+  const userId = req.user?.id;
+
+  if (!userId) {
+    throw new ValidationError('User ID is required');
+  }
+
+  const post = await findAccessiblePost(id, req.user);
+
+  if (parentId !== undefined && parentId !== null) {
+    const parent = await prisma.comment.findUnique({
+      where: { id: parseInt(parentId) },
+    });
+
+    if (!parent || parent.postId !== post.id) {
+      throw new ValidationError('Parent comment does not belong to this post');
+    }
+  }
+
+  const comment = await prisma.comment.create({
+    data: {
+      content,
+      postId: post.id,
+      authorId: userId,
+      parentId: parentId ? parseInt(parentId) : null,
+    },
+    include: {
+      author: { select: commentAuthorSelect },
+    },
+  });
+
+  logger.info(`Comment created by user ${userId} on post ${post.id}: ${comment.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment created successfully',
+    data: comment,
+  });
+});
+
+// ============================================================
+// GET POST COMMENTS (THREADED)
+// ============================================================
+
+export const getPostComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const post = await findAccessiblePost(id, req.user);
+
+  const comments = await prisma.comment.findMany({
+    where: { postId: post.id },
+    include: {
+      author: { select: commentAuthorSelect },
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: buildCommentTree(comments),
+    total: comments.length,
+  });
+});
+
+// ============================================================
+// UPDATE COMMENT
+// ============================================================
+
+export const updateComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const { content } = req.body;
+  const userId = req.user?.id;
+
+  if (!userId) {
+    throw new ValidationError('User ID is required');
+  }
+
+  const comment = await prisma.comment.findUnique({
+    where: { id: parseInt(commentId) },
+  });
+
+  if (!comment || comment.postId !== parseInt(id)) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  // Only the author can edit the wording of a comment
+  if (comment.authorId !== userId) {
+    throw new ForbiddenError('You can only edit your own comments');
+  }
+
+  const updatedComment = await prisma.comment.update({
+    where: { id: comment.id },
+    data: { content },
+    include: {
+      author: { select: commentAuthorSelect },
+    },
+  });
+
+  logger.info(`Comment updated by user ${userId}: ${comment.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: updatedComment,
+  });
+});
+
+// ============================================================
+// DELETE COMMENT
+// ============================================================
+
+export const deleteComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const userId = req.user?.id;
+
+  if (!userId) {
+    throw new ValidationError('User ID is required');
+  }
+
+  const comment = await prisma.comment.findUnique({
+    where: { id: parseInt(commentId) },
+  });
+
+  if (!comment || comment.postId !== parseInt(id)) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  // Check authorization: only author or a moderator can delete
+  if (comment.authorId !== userId && !hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
+    throw new ForbiddenError('You can only delete your own comments');
+  }
+
+  // Replies are removed with their parent (ON DELETE CASCADE)
+  await prisma.comment.delete({
+    where: { id: comment.id },
+  });
+
+  logger.info(`Comment deleted by user ${userId}: ${comment.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted successfully',
+  });
+});
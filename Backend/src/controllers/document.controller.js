@@ -0,0 +1,160 @@
+// src/controllers/document.controller.js
+import { pipeline } from 'stream/promises';
+import documentService from '../services/document.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// DOCUMENTS
+// ============================================================
+
+export const getTripDocuments = async (req, res, next) => {
+  try {
+    const documents = await documentService.listDocuments(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: documents,
+    });
+  } catch (err) {
+    logger.error('Failed to list documents', err.message);
+    next(err);
+  }
+};
+
+export const getTripDocument = async (req, res, next) => {
+  try {
+    const document = await documentService.getDocument(req.params.id, req.params.documentId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: document,
+    });
+  } catch (err) {
+    logger.error('Failed to get document', err.message);
+    next(err);
+  }
+};
+
+export const uploadTripDocument = async (req, res, next) => {
+  try {
+    const document = await documentService.uploadDocument(
+      req.params.id,
+      req.user.id,
+      req.file,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: document,
+    });
+  } catch (err) {
+    logger.error('Failed to upload document', err.message);
+    next(err);
+  }
+};
+
+export const updateTripDocument = async (req, res, next) => {
+  try {
+    const document = await documentService.updateDocument(
+      req.params.id,
+      req.params.documentId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Document updated successfully',
+      data: document,
+    });
+  } catch (err) {
+    logger.error('Failed to update document', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripDocument = async (req, res, next) => {
+  try {
+    await documentService.deleteDocument(
+      req.params.id,
+      req.params.documentId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete document', err.message);
+    next(err);
+  }
+};
+
+export const setTripDocumentShares = async (req, res, next) => {
+  try {
+    const document = await documentService.setShares(
+      req.params.id,
+      req.params.documentId,
+      req.user.id,
+      req.body.userIds,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: document.sharedWith.length ? 'Document shared successfully' : 'Document is now private',
+      data: document,
+    });
+  } catch (err) {
+    logger.error('Failed to share document', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// DOWNLOADS
+// ============================================================
+
+export const getTripDocumentDownloadUrl = async (req, res, next) => {
+  try {
+    const link = await documentService.createDownloadUrl(req.params.id, req.params.documentId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: link,
+    });
+  } catch (err) {
+    logger.error('Failed to create document download link', err.message);
+    next(err);
+  }
+};
+
+export const downloadTripDocument = async (req, res, next) => {
+  try {
+    const file = await documentService.downloadByToken(
+      req.params.id,
+      req.params.documentId,
+      req.query.token,
+      getRequestContext(req)
+    );
+
+    // attachment() adds an RFC 5987 filename* for names outside Latin-1
+    res.status(200);
+    res.attachment(file.fileName);
+    res.set('Content-Type', file.mimeType);
+    res.set('Content-Length', String(file.size));
+    res.set('Cache-Control', 'private, no-store');
+    await pipeline(file.stream, res);
+  } catch (err) {
+    logger.error('Failed to download document', err.message);
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+};
@@ -0,0 +1,181 @@
+// src/controllers/expense.controller.js
+import expenseService from '../services/expense.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// EXPENSES
+// ============================================================
+
+export const getTripExpenses = async (req, res, next) => {
+  try {
+    const expenses = await expenseService.listExpenses(req.params.id, req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: expenses,
+    });
+  } catch (err) {
+    logger.error('Failed to list expenses', err.message);
+    next(err);
+  }
+};
+
+export const getTripExpenseTotals = async (req, res, next) => {
+  try {
+    const totals = await expenseService.getExpenseTotals(req.params.id, req.user, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: totals,
+    });
+  } catch (err) {
+    logger.error('Failed to get expense totals', err.message);
+    next(err);
+  }
+};
+
+export const getTripExpense = async (req, res, next) => {
+  try {
+    const expense = await expenseService.getExpense(req.params.id, req.params.expenseId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: expense,
+    });
+  } catch (err) {
+    logger.error('Failed to get expense', err.message);
+    next(err);
+  }
+};
+
+export const createTripExpense = async (req, res, next) => {
+  try {
+    const expense = await expenseService.createExpense(
+      req.params.id,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense added successfully',
+      data: expense,
+    });
+  } catch (err) {
+    logger.error('Failed to create expense', err.message);
+    next(err);
+  }
+};
+
+export const updateTripExpense = async (req, res, next) => {
+  try {
+    const expense = await expenseService.updateExpense(
+      req.params.id,
+      req.params.expenseId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense updated successfully',
+      data: expense,
+    });
+  } catch (err) {
+    logger.error('Failed to update expense', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripExpense = async (req, res, next) => {
+  try {
+    await expenseService.deleteExpense(
+      req.params.id,
+      req.params.expenseId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete expense', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// BALANCES & SETTLEMENTS
+// ============================================================
+
+export const getTripBalances = async (req, res, next) => {
+  try {
+    const balances = await expenseService.getBalances(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: balances,
+    });
+  } catch (err) {
+    logger.error('Failed to get trip balances', err.message);
+    next(err);
+  }
+};
+
+export const getTripSettlements = async (req, res, next) => {
+  try {
+    const settlements = await expenseService.listSettlements(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: settlements,
+    });
+  } catch (err) {
+    logger.error('Failed to list settlements', err.message);
+    next(err);
+  }
+};
+
+export const createTripSettlement = async (req, res, next) => {
+  try {
+    const settlement = await expenseService.recordSettlement(
+      req.params.id,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Settlement marked as paid',
+      data: settlement,
+    });
+  } catch (err) {
+    logger.error('Failed to record settlement', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripSettlement = async (req, res, next) => {
+  try {
+    await expenseService.deleteSettlement(
+      req.params.id,
+      req.params.settlementId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement removed',
+    });
+  } catch (err) {
+    logger.error('Failed to delete settlement', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,118 @@
+// src/controllers/joinRequest.controller.js
+import joinRequestService from '../services/joinRequest.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// MY REQUESTS
+// ============================================================
+
+export const requestToJoinTrip = async (req, res, next) => {
+  try {
+    const request = await joinRequestService.requestToJoin(
+      req.params.id,
+      req.user,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Join request sent to the trip owner',
+      data: request,
+    });
+  } catch (err) {
+    logger.error('Failed to send join request', err.message);
+    next(err);
+  }
+};
+
+export const getMyJoinRequests = async (req, res, next) => {
+  try {
+    const requests = await joinRequestService.listMyRequests(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+    });
+  } catch (err) {
+    logger.error('Failed to list join requests', err.message);
+    next(err);
+  }
+};
+
+export const cancelJoinRequest = async (req, res, next) => {
+  try {
+    await joinRequestService.cancelRequest(req.params.requestId, req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request cancelled',
+    });
+  } catch (err) {
+    logger.error('Failed to cancel join request', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// OWNER INBOX
+// ============================================================
+
+export const getJoinRequestInbox = async (req, res, next) => {
+  try {
+    const requests = await joinRequestService.listInbox(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+    });
+  } catch (err) {
+    logger.error('Failed to list join request inbox', err.message);
+    next(err);
+  }
+};
+
+export const approveJoinRequest = async (req, res, next) => {
+  try {
+    const request = await joinRequestService.approveRequest(
+      req.params.id,
+      req.params.requestId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: request.tripClosed
+        ? 'Join request approved. The trip is now full and closed to new requests'
+        : 'Join request approved',
+      data: request,
+    });
+  } catch (err) {
+    logger.error('Failed to approve join request', err.message);
+    next(err);
+  }
+};
+
+export const rejectJoinRequest = async (req, res, next) => {
+  try {
+    const request = await joinRequestService.rejectRequest(
+      req.params.id,
+      req.params.requestId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request rejected',
+      data: request,
+    });
+  } catch (err) {
+    logger.error('Failed to reject join request', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,33 @@
+// src/controllers/journal.controller.js
+import journalService from '../services/journal.service.js';
+import { logger } from '../utils/logger.js';
+
+// ============================================================
+// TRIP JOURNAL
+// ============================================================
+
+export const getTripJournal = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const { trip, posts, total } = await journalService.listJournal(req.params.id, req.user.id, {
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { trip, posts },
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Failed to get trip journal', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,105 @@
+// src/controllers/poll.controller.js
+import pollService from '../services/poll.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// POLLS
+// ============================================================
+
+export const getTripPolls = async (req, res, next) => {
+  try {
+    const polls = await pollService.listPolls(req.params.id, req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: polls,
+    });
+  } catch (err) {
+    logger.error('Failed to list polls', err.message);
+    next(err);
+  }
+};
+
+export const getTripPoll = async (req, res, next) => {
+  try {
+    const poll = await pollService.getPoll(req.params.id, req.params.pollId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: poll,
+    });
+  } catch (err) {
+    logger.error('Failed to get poll', err.message);
+    next(err);
+  }
+};
+
+export const createTripPoll = async (req, res, next) => {
+  try {
+    const poll = await pollService.createPoll(req.params.id, req.user.id, req.body, getRequestContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Poll created successfully',
+      data: poll,
+    });
+  } catch (err) {
+    logger.error('Failed to create poll', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripPoll = async (req, res, next) => {
+  try {
+    await pollService.deletePoll(req.params.id, req.params.pollId, req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Poll deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete poll', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// VOTING
+// ============================================================
+
+export const voteOnTripPoll = async (req, res, next) => {
+  try {
+    const poll = await pollService.vote(req.params.id, req.params.pollId, req.user.id, req.body.optionIds);
+
+    res.status(200).json({
+      success: true,
+      message: req.body.optionIds.length ? 'Vote saved' : 'Vote withdrawn',
+      data: poll,
+    });
+  } catch (err) {
+    logger.error('Failed to vote on poll', err.message);
+    next(err);
+  }
+};
+
+export const closeTripPoll = async (req, res, next) => {
+  try {
+    const poll = await pollService.closePoll(
+      req.params.id,
+      req.params.pollId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: poll.itineraryItem ? 'Poll closed and winner added to the itinerary' : 'Poll closed',
+      data: poll,
+    });
+  } catch (err) {
+    logger.error('Failed to close poll', err.message);
+    next(err);
+  }
+};
@@ -3,6 +3,9 @@ import prisma from '../lib/prisma.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/helpers.js';
+import { PERMISSIONS } from '../utils/constants.js';
+import journalService from '../services/journal.service.js';
 
 // ============================================================
 // CREATE POST
@@ -20,6 +23,9 @@ export const createPost = asyncHandler(async (req, res) => {
     throw new ValidationError('Title and content are required');
   }
 
+  // Optional trip journal link (trip, day, place)
+  const tripLink = await journalService.resolveTripLink(userId, req.body);
+
   const post = await prisma.post.create({
     data: {
       title,
@@ -27,6 +33,7 @@ export const createPost = asyncHandler(async (req, res) => {
       excerpt: excerpt || null,
       published: published || false,
       authorId: userId,
+      ...tripLink,
     },
     include: {
       author: {
@@ -61,8 +68,8 @@ export const getAllPosts = asyncHandler(async (req, res) => {
 
   const whereClause = {};
   
-  // Only show published posts to non-authenticated or non-authors
-  if (!req.user || req.user.role?.name === 'TRAVELLER') {
+  // Only moderators see unpublished posts in the feed
+  if (!hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
     whereClause.published = true;
   }
 
@@ -152,7 +159,7 @@ export const getPostById = asyncHandler(async (req, res) => {
 
   // Check if user can view this post
   if (!post.published && (!req.user || req.user.id !== post.authorId)) {
-    if (req.user?.role?.name !== 'ADMIN') {
+    if (!hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
       throw new ForbiddenError('You cannot access this post');
     }
   }
@@ -185,11 +192,13 @@ export const updatePost = asyncHandler(async (req, res) => {
     throw new NotFoundError('Post not found');
   }
 
-  // Check authorization: only author or admin can update
-  if (post.authorId !== userId && req.user?.role?.name !== 'ADMIN') {
+  // Check authorization: only author or a moderator can update
+  if (post.authorId !== userId && !hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
     throw new ForbiddenError('You can only update your own posts');
   }
 
+  const tripLink = await journalService.resolveTripLink(userId, req.body, post);
+
   const updatedPost = await prisma.post.update({
     where: { id: parseInt(id) },
     data: {
@@ -197,6 +206,7 @@ export const updatePost = asyncHandler(async (req, res) => {
       ...(content && { content }),
       ...(excerpt !== undefined && { excerpt }),
       ...(published !== undefined && { published }),
+      ...tripLink,
     },
     include: {
       author: {
@@ -242,8 +252,8 @@ export const deletePost = asyncHandler(async (req, res) => {
     throw new NotFoundError('Post not found');
   }
 
-  // Check authorization: only author or admin can delete
-  if (post.authorId !== userId && req.user?.role?.name !== 'ADMIN') {
+  // Check authorization: only author or a moderator can delete
+  if (post.authorId !== userId && !hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
     throw new ForbiddenError('You can only delete your own posts');
   }
 
@@ -269,8 +279,8 @@ export const getUserPosts = asyncHandler(async (req, res) => {
   const skip = (page - 1) * limit;
 
   // Check if user can view these posts
-  if (req.user?.role?.name === 'TRAVELLER' && req.user.id !== parseInt(userId)) {
-    // Travellers can only see published posts from others
+  if (req.user?.id !== parseInt(userId) && !hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
+    // Everyone else only sees published posts from others
     const whereClause = { authorId: parseInt(userId), published: true };
 
     const [posts, total] = await Promise.all([
@@ -312,7 +322,7 @@ export const getUserPosts = asyncHandler(async (req, res) => {
     });
   }
 
-  // Own posts or admin view
+  // Own posts or moderator view
   const [posts, total] = await Promise.all([
     prisma.post.findMany({
       where: { authorId: parseInt(userId) },
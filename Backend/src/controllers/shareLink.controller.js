@@ -0,0 +1,79 @@
+// src/controllers/shareLink.controller.js
+import shareLinkService from '../services/shareLink.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// SHARE LINKS (trip owner)
+// ============================================================
+
+export const getTripShareLinks = async (req, res, next) => {
+  try {
+    const links = await shareLinkService.listLinks(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: links,
+    });
+  } catch (err) {
+    logger.error('Failed to list share links', err.message);
+    next(err);
+  }
+};
+
+export const createTripShareLink = async (req, res, next) => {
+  try {
+    const link = await shareLinkService.createLink(req.params.id, req.user.id, req.body, getRequestContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created. Copy it now, it will not be shown again.',
+      data: link,
+    });
+  } catch (err) {
+    logger.error('Failed to create share link', err.message);
+    next(err);
+  }
+};
+
+export const revokeTripShareLink = async (req, res, next) => {
+  try {
+    await shareLinkService.revokeLink(req.params.id, req.params.linkId, req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+    });
+  } catch (err) {
+    logger.error('Failed to revoke share link', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// PUBLIC VIEW
+// ============================================================
+
+/**
+ * Trip behind a share link. The password, when the link has one, comes in
+ * the X-Share-Password header so it stays out of URLs and access logs.
+ */
+export const getSharedTrip = async (req, res, next) => {
+  try {
+    const trip = await shareLinkService.getSharedTrip(
+      req.params.token,
+      req.get('x-share-password'),
+      getRequestContext(req)
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    res.status(200).json({
+      success: true,
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to open share link', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,123 @@
+// src/controllers/track.controller.js
+import trackService from '../services/track.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+const sendFile = (res, file) => {
+  res.status(200);
+  res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.send(file.content);
+};
+
+// ============================================================
+// TRACKS
+// ============================================================
+
+export const getTripTracks = async (req, res, next) => {
+  try {
+    const tracks = await trackService.listTracks(req.params.id, req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: tracks,
+    });
+  } catch (err) {
+    logger.error('Failed to list tracks', err.message);
+    next(err);
+  }
+};
+
+export const getTripTrack = async (req, res, next) => {
+  try {
+    const track = await trackService.getTrack(req.params.id, req.params.trackId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: track,
+    });
+  } catch (err) {
+    logger.error('Failed to get track', err.message);
+    next(err);
+  }
+};
+
+export const uploadTripTrack = async (req, res, next) => {
+  try {
+    const track = await trackService.uploadTrack(
+      req.params.id,
+      req.user.id,
+      req.file,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Track uploaded successfully',
+      data: track,
+    });
+  } catch (err) {
+    logger.error('Failed to upload track', err.message);
+    next(err);
+  }
+};
+
+export const updateTripTrack = async (req, res, next) => {
+  try {
+    const track = await trackService.updateTrack(
+      req.params.id,
+      req.params.trackId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Track updated successfully',
+      data: track,
+    });
+  } catch (err) {
+    logger.error('Failed to update track', err.message);
+    next(err);
+  }
+};
+
+export const deleteTripTrack = async (req, res, next) => {
+  try {
+    await trackService.deleteTrack(req.params.id, req.params.trackId, req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Track deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete track', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+export const exportTripTrack = async (req, res, next) => {
+  try {
+    const file = await trackService.exportTrack(req.params.id, req.params.trackId, req.user.id, req.query);
+    sendFile(res, file);
+  } catch (err) {
+    logger.error('Failed to export track', err.message);
+    next(err);
+  }
+};
+
+export const exportTripRoute = async (req, res, next) => {
+  try {
+    const file = await trackService.exportRoute(req.params.id, req.user.id, req.query);
+    sendFile(res, file);
+  } catch (err) {
+    logger.error('Failed to export route', err.message);
+    next(err);
+  }
+};
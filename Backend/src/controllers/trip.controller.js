@@ -0,0 +1,224 @@
+// src/controllers/trip.controller.js
+import tripService from '../services/trip.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// CREATE TRIP
+// ============================================================
+
+export const createTrip = async (req, res, next) => {
+  try {
+    const trip = await tripService.createTrip(req.user.id, req.body, getRequestContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip created successfully',
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to create trip', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// LIST MY TRIPS
+// ============================================================
+
+export const getMyTrips = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const { trips, total } = await tripService.listTrips(req.user.id, {
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: trips,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Failed to list trips', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// GET TRIP WITH ITINERARY
+// ============================================================
+
+export const getTrip = async (req, res, next) => {
+  try {
+    const trip = await tripService.getTrip(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to get trip', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// UPDATE TRIP
+// ============================================================
+
+export const updateTrip = async (req, res, next) => {
+  try {
+    const trip = await tripService.updateTrip(
+      req.params.id,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip updated successfully',
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to update trip', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// DELETE TRIP
+// ============================================================
+
+export const deleteTrip = async (req, res, next) => {
+  try {
+    await tripService.deleteTrip(req.params.id, req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete trip', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// UPDATE ITINERARY DAY
+// ============================================================
+
+export const updateItineraryDay = async (req, res, next) => {
+  try {
+    const day = await tripService.updateDay(
+      req.params.id,
+      req.params.dayId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Itinerary day updated successfully',
+      data: day,
+    });
+  } catch (err) {
+    logger.error('Failed to update itinerary day', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// ITINERARY ITEMS
+// ============================================================
+
+export const createItineraryItem = async (req, res, next) => {
+  try {
+    const item = await tripService.createItem(
+      req.params.id,
+      req.params.dayId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Itinerary item created successfully',
+      data: item,
+    });
+  } catch (err) {
+    logger.error('Failed to create itinerary item', err.message);
+    next(err);
+  }
+};
+
+export const updateItineraryItem = async (req, res, next) => {
+  try {
+    const item = await tripService.updateItem(
+      req.params.id,
+      req.params.itemId,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Itinerary item updated successfully',
+      data: item,
+    });
+  } catch (err) {
+    logger.error('Failed to update itinerary item', err.message);
+    next(err);
+  }
+};
+
+export const deleteItineraryItem = async (req, res, next) => {
+  try {
+    await tripService.deleteItem(
+      req.params.id,
+      req.params.itemId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Itinerary item deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete itinerary item', err.message);
+    next(err);
+  }
+};
+
+export const reorderItineraryItems = async (req, res, next) => {
+  try {
+    const items = await tripService.reorderItems(
+      req.params.id,
+      req.params.dayId,
+      req.user.id,
+      req.body.itemIds,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Itinerary items reordered successfully',
+      data: items,
+    });
+  } catch (err) {
+    logger.error('Failed to reorder itinerary items', err.message);
+    next(err);
+  }
+};
@@ -0,0 +1,200 @@
+// src/controllers/tripMember.controller.js
+import tripMemberService from '../services/tripMember.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// MEMBERS
+// ============================================================
+
+export const getTripMembers = async (req, res, next) => {
+  try {
+    const members = await tripMemberService.listMembers(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: members,
+    });
+  } catch (err) {
+    logger.error('Failed to list trip members', err.message);
+    next(err);
+  }
+};
+
+export const updateTripMember = async (req, res, next) => {
+  try {
+    const member = await tripMemberService.updateMemberRole(
+      req.params.id,
+      req.params.userId,
+      req.user.id,
+      req.body.role,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: member,
+    });
+  } catch (err) {
+    logger.error('Failed to update trip member', err.message);
+    next(err);
+  }
+};
+
+export const removeTripMember = async (req, res, next) => {
+  try {
+    await tripMemberService.removeMember(
+      req.params.id,
+      req.params.userId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed from trip',
+    });
+  } catch (err) {
+    logger.error('Failed to remove trip member', err.message);
+    next(err);
+  }
+};
+
+export const leaveTrip = async (req, res, next) => {
+  try {
+    await tripMemberService.leaveTrip(req.params.id, req.user.id, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the trip',
+    });
+  } catch (err) {
+    logger.error('Failed to leave trip', err.message);
+    next(err);
+  }
+};
+
+export const transferTripOwnership = async (req, res, next) => {
+  try {
+    const members = await tripMemberService.transferOwnership(
+      req.params.id,
+      req.user.id,
+      req.body.userId,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip ownership transferred successfully',
+      data: members,
+    });
+  } catch (err) {
+    logger.error('Failed to transfer trip ownership', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// INVITATIONS
+// ============================================================
+
+export const inviteTripMember = async (req, res, next) => {
+  try {
+    const invitation = await tripMemberService.inviteMember(
+      req.params.id,
+      req.user,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation,
+    });
+  } catch (err) {
+    logger.error('Failed to invite trip member', err.message);
+    next(err);
+  }
+};
+
+export const getTripInvitations = async (req, res, next) => {
+  try {
+    const invitations = await tripMemberService.listInvitations(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: invitations,
+    });
+  } catch (err) {
+    logger.error('Failed to list trip invitations', err.message);
+    next(err);
+  }
+};
+
+export const revokeTripInvitation = async (req, res, next) => {
+  try {
+    await tripMemberService.revokeInvitation(
+      req.params.id,
+      req.params.invitationId,
+      req.user.id,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+    });
+  } catch (err) {
+    logger.error('Failed to revoke trip invitation', err.message);
+    next(err);
+  }
+};
+
+export const previewTripInvitation = async (req, res, next) => {
+  try {
+    const invitation = await tripMemberService.previewInvitation(req.query.token);
+
+    res.status(200).json({
+      success: true,
+      data: invitation,
+    });
+  } catch (err) {
+    logger.error('Failed to preview trip invitation', err.message);
+    next(err);
+  }
+};
+
+export const acceptTripInvitation = async (req, res, next) => {
+  try {
+    const trip = await tripMemberService.acceptInvitation(
+      req.body.token,
+      req.user,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted. Welcome aboard!',
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to accept trip invitation', err.message);
+    next(err);
+  }
+};
+
+export const declineTripInvitation = async (req, res, next) => {
+  try {
+    await tripMemberService.declineInvitation(req.body.token, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined',
+    });
+  } catch (err) {
+    logger.error('Failed to decline trip invitation', err.message);
+    next(err);
+  }
+};
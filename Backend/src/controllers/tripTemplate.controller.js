@@ -0,0 +1,92 @@
+// src/controllers/tripTemplate.controller.js
+import tripTemplateService from '../services/tripTemplate.service.js';
+import { logger } from '../utils/logger.js';
+import { getRequestContext } from '../utils/helpers.js';
+
+// ============================================================
+// TEMPLATES
+// ============================================================
+
+export const getTripTemplates = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const { templates, total } = await tripTemplateService.listTemplates(req.query, {
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: templates,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Failed to list trip templates', err.message);
+    next(err);
+  }
+};
+
+export const getTripTemplate = async (req, res, next) => {
+  try {
+    const template = await tripTemplateService.getTemplate(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (err) {
+    logger.error('Failed to get trip template', err.message);
+    next(err);
+  }
+};
+
+export const publishTripTemplate = async (req, res, next) => {
+  try {
+    const trip = await tripTemplateService.setPublished(
+      req.params.id,
+      req.user.id,
+      req.body.published,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: trip.isTemplate ? 'Trip published as a template' : 'Trip is no longer a template',
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to publish trip template', err.message);
+    next(err);
+  }
+};
+
+// ============================================================
+// CLONING
+// ============================================================
+
+export const cloneTrip = async (req, res, next) => {
+  try {
+    const trip = await tripTemplateService.cloneTrip(
+      req.params.id,
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip cloned successfully',
+      data: trip,
+    });
+  } catch (err) {
+    logger.error('Failed to clone trip', err.message);
+    next(err);
+  }
+};
@@ -1,10 +1,12 @@
 // src/controllers/userController.js
 import userService from '../services/user.service.js';
-import { sanitizeUser } from '../utils/helpers.js';
+import currencyService from '../services/currency.service.js';
+import { sanitizeUser, hasPermission, getRequestContext } from '../utils/helpers.js';
 import { NotFoundError, ValidationError, ForbiddenError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
 import prisma from '../lib/prisma.js';
 import { comparePassword, hashPassword } from '../lib/auth.js';
+import { API_MESSAGES, PERMISSIONS, AUDIT_ACTIONS } from '../utils/constants.js';
 
 // ============================================================
 // GET USER PROFILE
@@ -18,8 +20,8 @@ export const getUserProfile = async (req, res, next) => {
       throw new ValidationError('User ID is required');
     }
 
-    // Traveller can only access their own profile, Admin can access any
-    if (req.user.role?.name === 'TRAVELLER' && req.user.id !== userId) {
+    // Users can only access their own profile unless their role grants users:read
+    if (req.user.id !== userId && !hasPermission(req.user, PERMISSIONS.USERS_READ)) {
       throw new ForbiddenError('You can only access your own profile');
     }
 
@@ -42,12 +44,28 @@ export const getUserProfile = async (req, res, next) => {
 export const updateUserProfile = async (req, res, next) => {
   try {
     const userId = req.user?.id;
-    const { bio, location, website, dateOfBirth, phone, firstName, lastName } = req.body;
+    const {
+      bio,
+      location,
+      website,
+      dateOfBirth,
+      interests,
+      discoverable,
+      phone,
+      firstName,
+      lastName,
+      preferredCurrency,
+      language,
+    } = req.body;
 
     if (!userId) {
       throw new ValidationError('User ID is required');
     }
 
+    if (preferredCurrency) {
+      await currencyService.assertActiveCurrency(preferredCurrency);
+    }
+
     // Update user basic info
     const updatedUser = await prisma.user.update({
       where: { id: userId },
@@ -55,18 +73,22 @@ export const updateUserProfile = async (req, res, next) => {
         ...(phone && { phone }),
         ...(firstName && { firstName }),
         ...(lastName && { lastName }),
+        ...(preferredCurrency && { preferredCurrency }),
+        ...(language && { language }),
       },
       include: { role: true, profile: true },
     });
 
     // Update user profile
-    if (bio || location || website || dateOfBirth) {
-      await userService.updateUserProfile(userId, {
+    if (bio || location || website || dateOfBirth || interests || discoverable !== undefined) {
+      updatedUser.profile = await userService.updateUserProfile(userId, {
         bio,
         location,
         website,
         dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
-      });
+        interests,
+        discoverable,
+      }, getRequestContext(req));
     }
 
     logger.info(`User profile updated: ${userId}`);
@@ -143,14 +165,25 @@ export const changePassword = async (req, res, next) => {
     // Hash new password and update
     const hashedPassword = await hashPassword(newPassword);
 
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        password: hashedPassword,
-        refreshToken: null,
-        tokenVersion: { increment: 1 },
-      },
-    });
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          password: hashedPassword,
+          tokenVersion: { increment: 1 },
+        },
+      }),
+      prisma.session.deleteMany({ where: { userId } }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.CHANGE_PASSWORD,
+          entity: 'User',
+          entityId: userId,
+          details: 'User changed their password.',
+          ...getRequestContext(req),
+        },
+      }),
+    ]);
 
     logger.info(`Password changed for user: ${userId}`);
 
@@ -176,7 +209,7 @@ export const deleteAccount = async (req, res, next) => {
       throw new ValidationError('User ID is required');
     }
 
-    await userService.deleteUserAccount(userId);
+    await userService.deleteUserAccount(userId, getRequestContext(req));
 
     res.clearCookie('access_token');
     res.clearCookie('refresh_token');
@@ -191,4 +224,73 @@ export const deleteAccount = async (req, res, next) => {
     logger.error('Failed to delete account', err.message);
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// ============================================================
+// EMAIL CHANGE
+// ============================================================
+
+export const requestEmailChange = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    const { newEmail, password } = req.body;
+
+    if (!userId) {
+      throw new ValidationError('User ID is required');
+    }
+
+    await userService.requestEmailChange(userId, { newEmail, password }, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: API_MESSAGES.EMAIL_CHANGE_REQUESTED,
+    });
+  } catch (err) {
+    logger.error('Failed to request email change', err.message);
+    next(err);
+  }
+};
+
+export const confirmEmailChange = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new ValidationError('User ID is required');
+    }
+
+    await userService.confirmEmailChange(userId, req.body.otp, getRequestContext(req));
+
+    // tokenVersion was bumped, so the current cookies are no longer valid
+    res.clearCookie('access_token');
+    res.clearCookie('refresh_token');
+
+    res.status(200).json({
+      success: true,
+      message: API_MESSAGES.EMAIL_CHANGED,
+    });
+  } catch (err) {
+    logger.error('Failed to confirm email change', err.message);
+    next(err);
+  }
+};
+
+export const revokeEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError('Revoke token is required');
+    }
+
+    await userService.revokeEmailChange(token, getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: API_MESSAGES.EMAIL_CHANGE_REVOKED,
+    });
+  } catch (err) {
+    logger.error('Failed to revoke email change', err.message);
+    next(err);
+  }
+};
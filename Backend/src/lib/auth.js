@@ -67,6 +67,46 @@ export const verifyToken = (token, secret) => {
   }
 };
 
+/**
+ * Derive a dedicated signing key for a token purpose, so that e.g. a
+ * 2FA challenge token can never be accepted as an access token
+ * @param {string} purpose - Token purpose
+ * @returns {string} - Signing secret
+ */
+const getPurposeSecret = (purpose) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_ACCESS_SECRET || '')
+    .update(`tripmate:${purpose}`)
+    .digest('hex');
+
+/**
+ * Generate a short-lived token that is only valid for one purpose
+ * @param {object} payload - Token payload
+ * @param {string} purpose - Token purpose (e.g. '2fa-challenge')
+ * @param {string|number} expiresIn - Lifetime (default: 5 minutes)
+ * @returns {string} - JWT token
+ */
+export const generatePurposeToken = (payload, purpose, expiresIn = '5m') => {
+  return jwt.sign(payload, getPurposeSecret(purpose), {
+    expiresIn,
+    audience: purpose,
+  });
+};
+
+/**
+ * Verify a purpose token
+ * @param {string} token - JWT token
+ * @param {string} purpose - Expected token purpose
+ * @returns {object} - Decoded payload or null if invalid
+ */
+export const verifyPurposeToken = (token, purpose) => {
+  try {
+    return jwt.verify(token, getPurposeSecret(purpose), { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+};
+
 // ============================================================
 // OTP GENERATION & HASHING
 // ============================================================
@@ -104,6 +144,19 @@ export const verifyOTP = (plainOTP, hashedOTP) => {
   return hashToken(plainOTP) === hashedOTP;
 };
 
+// ============================================================
+// RANDOM TOKENS
+// ============================================================
+
+/**
+ * Generate an unguessable token for links (store only its hash)
+ * @param {number} bytes - Random bytes (default: 32)
+ * @returns {string} - Hex-encoded token
+ */
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
 // ============================================================
 // PASSWORD RESET TOKEN
 // ============================================================
@@ -113,7 +166,7 @@ export const verifyOTP = (plainOTP, hashedOTP) => {
  * @returns {string} - Secure random token
  */
 export const generatePasswordResetToken = () => {
-  return crypto.randomBytes(32).toString('hex');
+  return generateRandomToken();
 };
 
 /**
@@ -0,0 +1,119 @@
+// src/lib/dates.js
+/**
+ * Calendar date helpers. Trip and itinerary dates are stored as DATE columns,
+ * which Prisma reads back as UTC midnight; times of day are kept as "HH:mm"
+ * wall clock strings in the trip's timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse "YYYY-MM-DD" into a Date at UTC midnight
+ * @param {string} value - Date string
+ * @returns {Date}
+ */
+export const parseDateOnly = (value) => new Date(`${value}T00:00:00Z`);
+
+/**
+ * Format a DATE column value as "YYYY-MM-DD"
+ * @param {Date} date - Date at UTC midnight
+ * @returns {string}
+ */
+export const formatDateOnly = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Add whole days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Number of days between two dates (end - start)
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number}
+ */
+export const daysBetween = (start, end) => Math.round((end.getTime() - start.getTime()) / DAY_MS);
+
+/**
+ * List every date from start to end, inclusive
+ * @param {Date} start - First date
+ * @param {Date} end - Last date
+ * @returns {Date[]}
+ */
+export const eachDateBetween = (start, end) =>
+  Array.from({ length: daysBetween(start, end) + 1 }, (_, index) => addDays(start, index));
+
+const zoneFormatters = new Map();
+
+/**
+ * Wall clock parts of an instant in a timezone
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+
+  return Object.fromEntries(
+    zoneFormatters
+      .get(timeZone)
+      .formatToParts(date)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)])
+  );
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. 345 for Asia/Kathmandu)
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {number}
+ */
+export const getTimeZoneOffset = (timeZone, date) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Instant of a wall clock time in a timezone. Times skipped by a DST change
+ * move forward by the length of the gap (02:30 becomes 03:30).
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm" or "HH:mm:ss"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (date, time, timeZone) => {
+  const wallClock = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`).getTime();
+  const firstGuess = new Date(wallClock - getTimeZoneOffset(timeZone, new Date(wallClock)) * 60000);
+  const instant = new Date(wallClock - getTimeZoneOffset(timeZone, firstGuess) * 60000);
+
+  // Inside a DST gap neither offset gives back the requested time; move past the gap
+  return formatInTimeZone(instant, timeZone).time === time.slice(0, 5) ? instant : firstGuess;
+};
+
+/**
+ * Calendar date and "HH:mm" time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{date: string, time: string}}
+ */
+export const formatInTimeZone = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return { date: `${year}-${pad(month)}-${pad(day)}`, time: `${pad(hour)}:${pad(minute)}` };
+};
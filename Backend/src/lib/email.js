@@ -15,6 +15,18 @@ const transporter = nodemailer.createTransport({
 });
 console.log('Email transporter configured with user:', process.env.EMAIL_USER);
 
+/**
+ * Escape user-provided text (trip titles, names) before putting it in HTML
+ */
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[char]);
+
 /**
  * Send email with HTML template
  * @param {object} options - Email options
@@ -188,3 +200,328 @@ export const sendWelcomeEmail = async (email, firstName) => {
     text: `Welcome to Tripmate, ${firstName}! Your account is now active.`,
   });
 };
+
+/**
+ * Send the code that confirms a new email address
+ * @param {string} email - New email address
+ * @param {string} otp - Confirmation code
+ * @param {number} expiresIn - Expiry time in minutes
+ */
+export const sendEmailChangeCodeEmail = async (email, otp, expiresIn = 15) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
+          .header { background-color: #3b82f6; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { padding: 20px; }
+          .otp-box { background-color: #f0f0f0; padding: 15px; text-align: center; border-radius: 5px; margin: 20px 0; }
+          .otp-code { font-size: 32px; font-weight: bold; color: #3b82f6; letter-spacing: 5px; }
+          .footer { text-align: center; font-size: 12px; color: #999; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Confirm Your New Email</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p>You asked to use this address for your Tripmate account. Enter the code below to confirm the change:</p>
+            <div class="otp-box">
+              <p class="otp-code">${otp}</p>
+            </div>
+            <p><strong>This code expires in ${expiresIn} minutes.</strong></p>
+            <p>If you didn't request this, please ignore this email.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 Tripmate. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Confirm Your New Email - Tripmate',
+    html,
+    text: `Your Tripmate email change code is: ${otp}. This code expires in ${expiresIn} minutes.`,
+  });
+};
+
+/**
+ * Tell the current address about a pending email change, with a one-click revoke link
+ * @param {string} email - Current (old) email address
+ * @param {string} newEmail - Requested new email address
+ * @param {string} revokeUrl - Link that cancels or reverts the change
+ */
+export const sendEmailChangeNoticeEmail = async (email, newEmail, revokeUrl) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
+          .header { background-color: #ef4444; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { padding: 20px; }
+          .button { display: inline-block; background-color: #ef4444; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; }
+          .footer { text-align: center; font-size: 12px; color: #999; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Email Change Requested</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p>Someone asked to change the email of your Tripmate account to <strong>${newEmail}</strong>.</p>
+            <p>If this was you, no action is needed. If it wasn't, click below to stop the change (or undo it, if it was already confirmed):</p>
+            <p style="text-align: center;"><a class="button" href="${revokeUrl}">This wasn't me</a></p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 Tripmate. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: 'Email Change Requested - Tripmate',
+    html,
+    text: `A change of your Tripmate email to ${newEmail} was requested. If this wasn't you, open ${revokeUrl} to stop it.`,
+  });
+};
+
+/**
+ * Send trip invitation email
+ * @param {string} email - Invitee email (may not have an account yet)
+ * @param {object} invitation
+ * @param {string} invitation.tripTitle - Trip title
+ * @param {string} invitation.destination - Trip destination
+ * @param {string} invitation.inviterName - Name of the member who invited
+ * @param {string} invitation.role - EDITOR or VIEWER
+ * @param {string} invitation.inviteUrl - Link to accept or decline
+ * @param {number} invitation.expiresInDays - Link lifetime in days
+ * @returns {Promise<object>}
+ */
+export const sendTripInvitationEmail = async (
+  email,
+  { tripTitle, destination, inviterName, role, inviteUrl, expiresInDays = 7 }
+) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
+          .header { background-color: #10b981; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { padding: 20px; }
+          .button { display: inline-block; background-color: #10b981; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; }
+          .footer { text-align: center; font-size: 12px; color: #999; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You're Invited on a Trip!</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p><strong>${escapeHtml(inviterName)}</strong> invited you to join <strong>${escapeHtml(tripTitle)}</strong> (${escapeHtml(destination)}) on Tripmate as ${role === 'EDITOR' ? 'an editor' : 'a viewer'}.</p>
+            <p>New to Tripmate? Sign up with this email address first, then open the link again.</p>
+            <p style="text-align: center;"><a class="button" href="${inviteUrl}">View Invitation</a></p>
+            <p>This invitation expires in ${expiresInDays} days.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 Tripmate. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: `Invitation to ${tripTitle} - Tripmate`,
+    html,
+    text: `${inviterName} invited you to join ${tripTitle} (${destination}) on Tripmate. Open ${inviteUrl} to accept or decline. The invitation expires in ${expiresInDays} days.`,
+  });
+};
+
+/**
+ * Send budget alert email when spending reaches 80% or 100% of a budget
+ * @param {string} email - Member email
+ * @param {object} alert - Budget alert details
+ * @param {string} alert.tripTitle - Trip title
+ * @param {string} alert.budgetName - e.g. "Food budget" or "Total budget"
+ * @param {number} alert.threshold - Percentage reached (80 or 100)
+ * @param {number} alert.spent - Amount spent so far
+ * @param {number} alert.budget - Budget amount
+ * @param {string} alert.currency - Trip currency
+ * @param {string} alert.tripUrl - Link to the trip budget page
+ * @returns {Promise<object>}
+ */
+export const sendBudgetAlertEmail = async (
+  email,
+  { tripTitle, budgetName, threshold, spent, budget, currency, tripUrl }
+) => {
+  const exceeded = threshold >= 100;
+  const summary = exceeded
+    ? `The ${budgetName.toLowerCase()} for ${tripTitle} has been used up: ${spent} of ${budget} ${currency} spent.`
+    : `The ${budgetName.toLowerCase()} for ${tripTitle} is ${threshold}% used: ${spent} of ${budget} ${currency} spent.`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
+          .header { background-color: ${exceeded ? '#dc2626' : '#f59e0b'}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { padding: 20px; }
+          .button { display: inline-block; background-color: #10b981; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; }
+          .footer { text-align: center; font-size: 12px; color: #999; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${exceeded ? 'Budget Reached' : 'Budget Alert'}</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p>${escapeHtml(summary)}</p>
+            <p style="text-align: center;"><a class="button" href="${tripUrl}">View Budget</a></p>
+            <p>You get these emails because you turned on budget alerts for this trip.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 Tripmate. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: `${exceeded ? 'Budget reached' : `${threshold}% of budget used`}: ${tripTitle} - Tripmate`,
+    html,
+    text: `${summary} View the budget: ${tripUrl}`,
+  });
+};
+
+/**
+ * Notify a trip owner of a new join request
+ * @param {string} email - Owner email
+ * @param {object} request - Join request details
+ * @param {string} request.tripTitle - Trip title
+ * @param {string} request.requesterName - Who wants to join
+ * @param {string} [request.message] - Message from the requester
+ * @param {string} request.inboxUrl - Link to the owner's join request inbox
+ * @returns {Promise<object>}
+ */
+export const sendJoinRequestEmail = async (email, { tripTitle, requesterName, message, inboxUrl }) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
+          .header { background-color: #10b981; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { padding: 20px; }
+          .message { background-color: #f3f4f6; padding: 12px 16px; border-radius: 5px; font-style: italic; }
+          .button { display: inline-block; background-color: #10b981; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; }
+          .footer { text-align: center; font-size: 12px; color: #999; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>New Join Request</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p><strong>${escapeHtml(requesterName)}</strong> would like to join <strong>${escapeHtml(tripTitle)}</strong>.</p>
+            ${message ? `<p class="message">${escapeHtml(message)}</p>` : ''}
+            <p style="text-align: center;"><a class="button" href="${inboxUrl}">Review Request</a></p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 Tripmate. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: `${requesterName} wants to join ${tripTitle} - Tripmate`,
+    html,
+    text: `${requesterName} would like to join ${tripTitle}.${message ? ` Message: "${message}"` : ''} Review the request: ${inboxUrl}`,
+  });
+};
+
+/**
+ * Tell a traveller whether their join request was approved
+ * @param {string} email - Requester email
+ * @param {object} decision - Decision details
+ * @param {string} decision.tripTitle - Trip title
+ * @param {boolean} decision.approved - Approved or rejected
+ * @param {string} [decision.responseMessage] - Note from the owner
+ * @param {string} decision.tripUrl - Link to the trip (approved) or to trip search
+ * @returns {Promise<object>}
+ */
+export const sendJoinRequestDecisionEmail = async (email, { tripTitle, approved, responseMessage, tripUrl }) => {
+  const summary = approved
+    ? `Your request to join ${tripTitle} was approved. You're now a member of the trip.`
+    : `Your request to join ${tripTitle} was not accepted.`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px; }
+          .header { background-color: ${approved ? '#10b981' : '#6b7280'}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { padding: 20px; }
+          .message { background-color: #f3f4f6; padding: 12px 16px; border-radius: 5px; font-style: italic; }
+          .button { display: inline-block; background-color: #10b981; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; }
+          .footer { text-align: center; font-size: 12px; color: #999; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${approved ? "You're In!" : 'Join Request Update'}</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p>${escapeHtml(summary)}</p>
+            ${responseMessage ? `<p class="message">${escapeHtml(responseMessage)}</p>` : ''}
+            <p style="text-align: center;"><a class="button" href="${tripUrl}">${approved ? 'View Trip' : 'Find Other Trips'}</a></p>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 Tripmate. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+
+  return sendEmail({
+    to: email,
+    subject: `${approved ? 'Request approved' : 'Request not accepted'}: ${tripTitle} - Tripmate`,
+    html,
+    text: `${summary}${responseMessage ? ` Message from the organiser: "${responseMessage}"` : ''} ${tripUrl}`,
+  });
+};
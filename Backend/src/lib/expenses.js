@@ -0,0 +1,149 @@
+// src/lib/expenses.js
+/**
+ * Expense splitting and settle-up helpers. All arithmetic is done in integer
+ * cents so shares always add up to the expense total exactly.
+ */
+
+/**
+ * Convert an amount (number, string or Prisma Decimal) to integer cents
+ * @param {number|string|object} value - Amount with at most 2 decimals
+ * @returns {number}
+ */
+export const toCents = (value) => Math.round(Number(String(value)) * 100);
+
+/**
+ * Convert integer cents back to an amount
+ * @param {number} cents - Amount in cents
+ * @returns {number}
+ */
+export const fromCents = (cents) => Number((cents / 100).toFixed(2));
+
+/**
+ * Split cents proportionally to weights, handing leftover cents to the
+ * largest remainders first (ties go to the earlier entry)
+ */
+const allocate = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map((weight) => (totalCents * weight) / weightSum);
+  const cents = exact.map(Math.floor);
+
+  let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (const { index } of order) {
+    if (leftover === 0) break;
+    cents[index] += 1;
+    leftover -= 1;
+  }
+
+  return cents;
+};
+
+/**
+ * Work out each participant's share of an expense
+ * @param {number} totalCents - Expense amount in cents
+ * @param {"EQUAL"|"PERCENTAGE"|"EXACT"} splitType - How the expense is split
+ * @param {Array<{userId: number, percentage?: number, amount?: number}>} shares - Participants
+ * @returns {Array<{userId: number, cents: number, percentage: number|null}>}
+ * @throws {Error} - If percentages don't add up to 100 or exact amounts to the total
+ */
+export const splitExpense = (totalCents, splitType, shares) => {
+  if (splitType === 'PERCENTAGE') {
+    const percentSum = shares.reduce((sum, share) => sum + Math.round(share.percentage * 100), 0);
+    if (percentSum !== 10000) {
+      throw new Error('Percentages must add up to 100.');
+    }
+
+    const cents = allocate(totalCents, shares.map((share) => share.percentage));
+    return shares.map((share, index) => ({
+      userId: share.userId,
+      cents: cents[index],
+      percentage: share.percentage,
+    }));
+  }
+
+  if (splitType === 'EXACT') {
+    const cents = shares.map((share) => toCents(share.amount));
+    if (cents.reduce((sum, value) => sum + value, 0) !== totalCents) {
+      throw new Error('Exact shares must add up to the expense amount.');
+    }
+
+    return shares.map((share, index) => ({ userId: share.userId, cents: cents[index], percentage: null }));
+  }
+
+  const cents = allocate(totalCents, shares.map(() => 1));
+  return shares.map((share, index) => ({ userId: share.userId, cents: cents[index], percentage: null }));
+};
+
+/**
+ * Net position of every user: positive means they are owed money
+ * @param {Array} expenses - Expenses with `paidById`, `amount` and `shares`
+ * @param {Array} settlements - Settlements with `fromUserId`, `toUserId` and `amount`
+ * @returns {Map<number, {paid: number, share: number, sent: number, received: number, net: number}>} - Cents per user
+ */
+export const computeBalances = (expenses, settlements) => {
+  const balances = new Map();
+  const entry = (userId) => {
+    if (!balances.has(userId)) {
+      balances.set(userId, { paid: 0, share: 0, sent: 0, received: 0, net: 0 });
+    }
+    return balances.get(userId);
+  };
+
+  for (const expense of expenses) {
+    entry(expense.paidById).paid += toCents(expense.amount);
+    for (const share of expense.shares) {
+      entry(share.userId).share += toCents(share.amount);
+    }
+  }
+
+  for (const settlement of settlements) {
+    entry(settlement.fromUserId).sent += toCents(settlement.amount);
+    entry(settlement.toUserId).received += toCents(settlement.amount);
+  }
+
+  for (const balance of balances.values()) {
+    balance.net = balance.paid - balance.share + balance.sent - balance.received;
+  }
+
+  return balances;
+};
+
+/**
+ * Turn net balances into settle-up transfers. Greedily matches the largest
+ * debtor with the largest creditor, which needs at most (people - 1) transfers.
+ * @param {Map<number, {net: number}>} balances - Output of computeBalances
+ * @returns {Array<{fromUserId: number, toUserId: number, cents: number}>}
+ */
+export const settleUp = (balances) => {
+  const debtors = [];
+  const creditors = [];
+
+  for (const [userId, { net }] of balances) {
+    if (net < 0) debtors.push({ userId, cents: -net });
+    if (net > 0) creditors.push({ userId, cents: net });
+  }
+
+  const byAmount = (a, b) => b.cents - a.cents || a.userId - b.userId;
+  const transfers = [];
+
+  while (debtors.length && creditors.length) {
+    debtors.sort(byAmount);
+    creditors.sort(byAmount);
+
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const cents = Math.min(debtor.cents, creditor.cents);
+
+    transfers.push({ fromUserId: debtor.userId, toUserId: creditor.userId, cents });
+
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) debtors.shift();
+    if (creditor.cents === 0) creditors.shift();
+  }
+
+  return transfers;
+};
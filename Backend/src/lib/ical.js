@@ -0,0 +1,322 @@
+// src/lib/ical.js
+/**
+ * iCalendar (RFC 5545) helpers: build a calendar of itinerary events and
+ * read VEVENTs from .ics files. Timed events are written with a TZID and a
+ * VTIMEZONE built from the runtime's timezone data.
+ */
+import { getTimeZoneOffset, zonedTimeToUtc, formatInTimeZone } from './dates.js';
+import { isValidTimeZone, isValidDateOnly } from './validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// ============================================================
+// WRITING
+// ============================================================
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, without splitting multi-byte characters
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    if (size + length > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    size += length;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const compactDate = (date) => date.replace(/-/g, '');
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocal = (date, time) => `${compactDate(date)}T${time.replace(':', '')}00`;
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * VTIMEZONE lines for a timezone between two instants. Transitions are read
+ * from the runtime's timezone data, so no RRULEs are needed for that range.
+ */
+const buildTimeZone = (timeZone, from, to) => {
+  // 1. Walk the range a day at a time and narrow each offset change down to the minute
+  const start = Math.floor(from.getTime() / DAY_MS) * DAY_MS;
+  let previousOffset = getTimeZoneOffset(timeZone, new Date(start));
+  const observances = [{ at: start, offsetFrom: previousOffset, offsetTo: previousOffset }];
+
+  for (let low = start; low < to.getTime(); low += DAY_MS) {
+    const offset = getTimeZoneOffset(timeZone, new Date(low + DAY_MS));
+    if (offset === previousOffset) continue;
+
+    let before = low;
+    let after = low + DAY_MS;
+    while (after - before > MINUTE_MS) {
+      const middle = before + Math.floor((after - before) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getTimeZoneOffset(timeZone, new Date(middle)) === previousOffset) before = middle;
+      else after = middle;
+    }
+
+    observances.push({ at: after, offsetFrom: previousOffset, offsetTo: offset });
+    previousOffset = offset;
+  }
+
+  // 2. The lowest offset seen is standard time, anything above it daylight time
+  const standardOffset = Math.min(...observances.map((observance) => observance.offsetTo));
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observances.flatMap(({ at, offsetFrom, offsetTo }) => {
+      const component = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+      // DTSTART of an observance is in the local time before the change
+      const localStart = formatUtc(new Date(at + offsetFrom * MINUTE_MS)).replace('Z', '');
+      return [
+        `BEGIN:${component}`,
+        `DTSTART:${localStart}`,
+        `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(offsetTo)}`,
+        `END:${component}`,
+      ];
+    }),
+    'END:VTIMEZONE',
+  ];
+};
+
+/**
+ * DTSTART/DTEND line: a DATE for all-day events, else a local time with TZID
+ */
+const formatEventTime = (name, { date, time }, timeZone) =>
+  time ? `${name};TZID=${timeZone}:${formatLocal(date, time)}` : `${name};VALUE=DATE:${compactDate(date)}`;
+
+/**
+ * Build an iCalendar document
+ * @param {object} calendar
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {string} calendar.timeZone - IANA timezone of all timed events
+ * @param {Date} calendar.from - First instant covered by the events
+ * @param {Date} calendar.to - Last instant covered by the events
+ * @param {Array<object>} calendar.events - { uid, stamp, summary, description?, location?,
+ *   latitude?, longitude?, categories?, start: { date, time? }, end?: { date, time? } }
+ * @returns {string} - CRLF separated .ics content
+ */
+export const buildCalendar = ({ name, timeZone, from, to, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tripmate//Itinerary//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...buildTimeZone(timeZone, new Date(from.getTime() - DAY_MS), new Date(to.getTime() + DAY_MS)),
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(event.stamp)}`,
+      formatEventTime('DTSTART', event.start, timeZone),
+      ...(event.end ? [formatEventTime('DTEND', event.end, timeZone)] : []),
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+      ...(event.latitude != null && event.longitude != null ? [`GEO:${event.latitude};${event.longitude}`] : []),
+      ...(event.categories ? [`CATEGORIES:${escapeText(event.categories)}`] : []),
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// ============================================================
+// READING
+// ============================================================
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split "NAME;PARAM=VALUE:value" into its parts (colons inside quoted params are kept)
+ */
+const parseContentLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((param) => {
+        const [key, ...value] = param.split('=');
+        return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+      })
+    ),
+    value: line.slice(colon + 1),
+  };
+};
+
+/**
+ * Read the VEVENTs of an .ics file. Nested components such as VALARM are skipped.
+ * @param {string} text - .ics content
+ * @returns {Array<object>} - { uid, summary, description, location, latitude, longitude, start, end, duration }
+ *   where start/end are raw properties ({ value, params })
+ */
+export const parseCalendar = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !event) event = {};
+      else if (event) nested += 1;
+      continue;
+    }
+    if (property.name === 'END') {
+      if (event && nested > 0) nested -= 1;
+      else if (event && property.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+    if (!event || nested > 0) continue;
+
+    switch (property.name) {
+      case 'UID':
+        event.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+      case 'DESCRIPTION':
+      case 'LOCATION':
+        event[property.name.toLowerCase()] = unescapeText(property.value).trim();
+        break;
+      case 'GEO': {
+        const [latitude, longitude] = property.value.split(/[;,]/).map(Number);
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+          event.latitude = latitude;
+          event.longitude = longitude;
+        }
+        break;
+      }
+      case 'DTSTART':
+        event.start = property;
+        break;
+      case 'DTEND':
+        event.end = property;
+        break;
+      case 'DURATION':
+        event.duration = property.value.trim();
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Parse a DURATION value (e.g. "PT1H30M", "P1D") into milliseconds, or null
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Read a DTSTART/DTEND property as either a calendar date or an instant.
+ * Floating times and unknown TZIDs (e.g. Windows zone names) are read in
+ * the fallback timezone. Impossible dates and times (month 13, 25:00) give null.
+ */
+const readEventTime = (property, fallbackTimeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '00', utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!isValidDateOnly(date)) return null;
+  if (hour === undefined) return { date };
+
+  if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return null;
+  const time = `${hour}:${minute}:${second}`;
+  const timeZone = isValidTimeZone(property.params.TZID) ? property.params.TZID : fallbackTimeZone;
+  const instant = utc ? new Date(`${date}T${time}Z`) : zonedTimeToUtc(date, time, timeZone);
+
+  return Number.isNaN(instant.getTime()) ? null : { instant };
+};
+
+/**
+ * Start and end of a parsed VEVENT as dates and "HH:mm" times in a timezone.
+ * All-day events have no times. Returns null if DTSTART is missing or invalid.
+ * @param {object} event - Event from parseCalendar
+ * @param {string} timeZone - IANA timezone to express the times in
+ * @returns {{start: {date: string, time: string|null}, end: {date: string, time: string|null}|null}|null}
+ */
+export const resolveEventTimes = (event, timeZone) => {
+  const start = event.start && readEventTime(event.start, timeZone);
+  if (!start) return null;
+
+  if (start.date) {
+    return { start: { date: start.date, time: null }, end: null };
+  }
+
+  let end = event.end ? readEventTime(event.end, timeZone)?.instant : null;
+  if (!end && event.duration) {
+    const duration = parseDuration(event.duration);
+    if (duration !== null) end = new Date(start.instant.getTime() + duration);
+  }
+
+  return {
+    start: formatInTimeZone(start.instant, timeZone),
+    end: end && end > start.instant ? formatInTimeZone(end, timeZone) : null,
+  };
+};
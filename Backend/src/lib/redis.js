@@ -7,10 +7,19 @@ import { logger } from '../utils/logger.js';
 
 let redisClient;
 
+const REDIS_MAX_RECONNECT_ATTEMPTS = 5;
+
 export const initializeRedis = async () => {
   try {
     redisClient = redis.createClient({
       url: process.env.REDIS_URL || 'redis://localhost:6379',
+      socket: {
+        // Give up after a few attempts so startup never hangs without Redis
+        reconnectStrategy: (retries) =>
+          retries >= REDIS_MAX_RECONNECT_ATTEMPTS
+            ? new Error('Redis reconnect attempts exhausted')
+            : Math.min(retries * 200, 2000),
+      },
     });
 
     redisClient.on('error', (err) => {
@@ -22,14 +31,20 @@ export const initializeRedis = async () => {
     return redisClient;
   } catch (error) {
     logger.warn('Redis not available, running without cache:', error.message);
+    redisClient = null;
     return null;
   }
 };
 
 export const getRedisClient = () => redisClient;
 
+/**
+ * True when a Redis connection is open and usable
+ */
+export const isRedisReady = () => Boolean(redisClient?.isReady);
+
 export const closeRedis = async () => {
-  if (redisClient) {
+  if (redisClient?.isOpen) {
     await redisClient.quit();
     logger.info('✓ Redis connection closed');
   }
@@ -0,0 +1,92 @@
+// src/lib/storage.js
+/**
+ * File storage behind a small interface, so uploads can move to another
+ * backend (e.g. object storage) without touching the services. The backend
+ * is chosen with STORAGE_DRIVER; "local" keeps files on disk under
+ * STORAGE_LOCAL_PATH.
+ *
+ * Every backend provides:
+ *   put(key, buffer)  save a new file
+ *   read(key)         readable stream of a file (throws if it doesn't exist)
+ *   remove(key)       delete a file; missing files are ignored
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Files on the local disk, one file per key below the root directory
+ * @param {string} root - Absolute directory path
+ */
+const createLocalStorage = (root) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // 'wx' never overwrites an existing file
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx', mode: 0o600 });
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(path.resolve(process.env.STORAGE_LOCAL_PATH || 'uploads')),
+};
+
+let storage;
+
+/**
+ * The configured storage backend (created on first use)
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+/**
+ * Random, unguessable key for a new file
+ * @param {string} prefix - Folder-like prefix, e.g. "documents/12"
+ * @returns {string}
+ */
+export const generateStorageKey = (prefix) => `${prefix}/${crypto.randomBytes(16).toString('hex')}`;
+
+/**
+ * Delete stored files after the database rows pointing to them are gone.
+ * Failures are logged rather than thrown: the rows can't be brought back,
+ * so a leftover file is the lesser problem.
+ * @param {string[]} keys - Storage keys
+ */
+export const removeStoredFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getStorage().remove(key);
+    } catch (err) {
+      logger.error(`Failed to remove stored file ${key}`, err.message);
+    }
+  }
+};
@@ -0,0 +1,214 @@
+// src/lib/totp.js
+import crypto from 'crypto';
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'sha1';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================================
+// BASE32 (RFC 4648)
+// ============================================================
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} - Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Raw bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ============================================================
+// TOTP GENERATION & VERIFICATION
+// ============================================================
+
+/**
+ * Generate a new random TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} - Base32 encoded secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the RFC 6238 time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Compute the HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Moving factor
+ * @returns {string} - Zero-padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(TOTP_ALGORITHM, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - 6-digit code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) =>
+  generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Accepted drift in time steps (default: 1)
+ * @returns {number|null} - Matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {object} options
+ * @param {string} options.secret - Base32 encoded secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} - otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = 'Tripmate' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ============================================================
+// RECOVERY CODES
+// ============================================================
+
+/**
+ * Generate one-time recovery codes in the form "a1b2c-3d4e5"
+ * @param {number} count - Number of codes (default: 10)
+ * @returns {string[]} - Plain recovery codes
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+/**
+ * Normalize a recovery code before hashing (case and dashes don't matter)
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string}
+ */
+export const normalizeRecoveryCode = (code) =>
+  String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ============================================================
+// SECRET ENCRYPTION AT REST
+// ============================================================
+
+const getEncryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET || '')
+    .digest();
+
+/**
+ * Encrypt a TOTP secret with AES-256-GCM for database storage
+ * @param {string} secret - Base32 encoded secret
+ * @returns {string} - "iv:authTag:ciphertext" in hex
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a TOTP secret produced by encryptSecret
+ * @param {string} payload - "iv:authTag:ciphertext" in hex
+ * @returns {string} - Base32 encoded secret
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,419 @@
+// src/lib/tracks.js
+/**
+ * GPS track helpers: read GPX and KML files, compute distance and elevation
+ * statistics, and write tracks back out. The formats are read with a small
+ * tag scanner instead of a full XML parser; only the elements that carry
+ * track geometry are looked at. Every step runs in linear time, so a
+ * malformed upload (unclosed tags, comments or CDATA) can't stall the server.
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Elevation changes smaller than this are treated as GPS noise
+const ELEVATION_THRESHOLD_METERS = 3;
+
+// ============================================================
+// READING
+// ============================================================
+
+/**
+ * Remove every open...close section, or keep only its content. An unclosed
+ * section is left as it is.
+ */
+const stripSections = (text, open, close, keepContent = false) => {
+  let result = '';
+  let from = 0;
+  let start = text.indexOf(open);
+
+  while (start !== -1) {
+    const end = text.indexOf(close, start + open.length);
+    if (end === -1) break;
+    result += text.slice(from, start) + (keepContent ? text.slice(start + open.length, end) : '');
+    from = end + close.length;
+    start = text.indexOf(open, from);
+  }
+
+  return result + text.slice(from);
+};
+
+const decodeXml = (value) =>
+  stripSections(value, '<![CDATA[', ']]>', true)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+    .trim();
+
+/**
+ * Every tag of a piece of XML, in order, with its local name (namespace
+ * prefix dropped). CDATA sections, comments and declarations are skipped;
+ * scanning stops at the first tag that is never closed with '>'.
+ */
+let lastScan = { xml: null, tags: [] };
+
+const scanTags = (xml) => {
+  // The same file is searched for several elements in a row
+  if (lastScan.xml === xml) return lastScan.tags;
+
+  const tags = [];
+  let start = xml.indexOf('<');
+
+  while (start !== -1) {
+    const skip = [
+      ['<![CDATA[', ']]>'],
+      ['<!--', '-->'],
+      ['<!', '>'],
+      ['<?', '?>'],
+    ].find(([open]) => xml.startsWith(open, start));
+    const close = skip ? skip[1] : '>';
+    const end = xml.indexOf(close, start + 1);
+    if (end === -1) break;
+
+    if (!skip) {
+      const match = /^<(\/?)(?:[\w.-]+:)?([\w.-]+)([\s\S]*)$/.exec(xml.slice(start, end));
+      if (match) {
+        const selfClosing = match[3].endsWith('/');
+        tags.push({
+          name: match[2],
+          closing: match[1] === '/',
+          selfClosing,
+          attributes: selfClosing ? match[3].slice(0, -1) : match[3],
+          start,
+          end: end + 1,
+        });
+      }
+    }
+    start = xml.indexOf('<', end + close.length);
+  }
+
+  lastScan = { xml, tags };
+  return tags;
+};
+
+/**
+ * Contents of every <tag>...</tag> and <tag/> in a piece of XML (any
+ * namespace prefix), in document order. Tags that are never closed are left out.
+ */
+const findElements = (xml, tag) => {
+  const open = [];
+  const elements = [];
+
+  for (const token of scanTags(xml)) {
+    if (token.name !== tag) continue;
+    if (token.selfClosing) {
+      elements.push({ attributes: token.attributes, body: '', start: token.start });
+    } else if (!token.closing) {
+      open.push(token);
+    } else if (open.length > 0) {
+      const opening = open.pop();
+      elements.push({ attributes: opening.attributes, body: xml.slice(opening.end, token.start), start: opening.start });
+    }
+  }
+
+  return elements.sort((a, b) => a.start - b.start).map(({ attributes, body }) => ({ attributes, body }));
+};
+
+const findText = (xml, tag) => {
+  const [element] = findElements(xml, tag);
+  return element ? decodeXml(element.body) : null;
+};
+
+const readAttribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes);
+  return match ? match[1] : null;
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Points of a GPX file: every <trkseg> and every <rte> is one segment
+ */
+const parseGpx = (xml) => {
+  const blocks = [...findElements(xml, 'trkseg'), ...findElements(xml, 'rte')];
+
+  const segments = blocks.map(({ body }) =>
+    [...findElements(body, 'trkpt'), ...findElements(body, 'rtept')].map(({ attributes, body: content }) => ({
+      latitude: toNumber(readAttribute(attributes, 'lat')),
+      longitude: toNumber(readAttribute(attributes, 'lon')),
+      elevation: toNumber(findText(content, 'ele')),
+      recordedAt: toDate(findText(content, 'time')),
+    }))
+  );
+
+  const [track] = [...findElements(xml, 'trk'), ...findElements(xml, 'rte')];
+  const [metadata] = findElements(xml, 'metadata');
+  const name =
+    (track && findText(track.body.replace(/<(trkseg|rtept)[\s\S]*/, ''), 'name')) ||
+    (metadata && findText(metadata.body, 'name'));
+
+  return { name, segments };
+};
+
+/**
+ * Points of a KML file: every <LineString> and every <gx:Track> is one segment
+ */
+const parseKml = (xml) => {
+  const lineStrings = findElements(xml, 'LineString').map(({ body }) =>
+    (findText(body, 'coordinates') || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((tuple) => {
+        const [longitude, latitude, elevation] = tuple.split(',');
+        return {
+          latitude: toNumber(latitude),
+          longitude: toNumber(longitude),
+          elevation: toNumber(elevation),
+          recordedAt: null,
+        };
+      })
+  );
+
+  // gx:Track lists <when> times and <gx:coord> positions in matching order
+  const gxTracks = findElements(xml, 'Track').map(({ body }) => {
+    const times = findElements(body, 'when').map((element) => toDate(decodeXml(element.body)));
+    return findElements(body, 'coord').map((element, index) => {
+      const [longitude, latitude, elevation] = decodeXml(element.body).split(/\s+/);
+      return {
+        latitude: toNumber(latitude),
+        longitude: toNumber(longitude),
+        elevation: toNumber(elevation),
+        recordedAt: times[index] || null,
+      };
+    });
+  });
+
+  const [placemark] = findElements(xml, 'Placemark');
+  const name = (placemark && findText(placemark.body, 'name')) || findText(xml, 'name');
+
+  return { name, segments: [...lineStrings, ...gxTracks] };
+};
+
+/**
+ * Read the track points of a GPX or KML file
+ * @param {string} text - File content
+ * @param {"GPX"|"KML"} format - File format
+ * @returns {{name: string|null, points: Array<{segment: number, latitude: number, longitude: number, elevation: number|null, recordedAt: Date|null}>}}
+ * @throws {Error} - If the file has no track points or a point has invalid coordinates
+ */
+export const parseTrack = (text, format) => {
+  const xml = stripSections(text, '<!--', '-->');
+  const { name, segments } = format === 'KML' ? parseKml(xml) : parseGpx(xml);
+  lastScan = { xml: null, tags: [] };
+
+  const points = segments
+    .filter((segment) => segment.length > 0)
+    .flatMap((segment, index) => segment.map((point) => ({ segment: index, ...point })));
+
+  if (points.length === 0) {
+    throw new Error(`The ${format} file has no track or route points.`);
+  }
+
+  points.forEach((point, index) => {
+    const validLatitude = Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90;
+    const validLongitude = Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+    if (!validLatitude || !validLongitude) {
+      throw new Error(`Point ${index + 1} has invalid coordinates.`);
+    }
+    if (!Number.isFinite(point.elevation)) point.elevation = null;
+  });
+
+  return { name: name || null, points };
+};
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points in meters (haversine)
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number}
+ */
+export const distanceBetween = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * Distance and elevation statistics of a track. Distance is not counted
+ * across the gap between segments; elevation changes are, since the climb
+ * happened either way. Gain and loss ignore changes below a small threshold
+ * so that GPS jitter on flat ground doesn't add up.
+ * @param {Array<{segment: number, latitude: number, longitude: number, elevation: number|null}>} points
+ * @returns {{distanceMeters: number, elevationGain: number, elevationLoss: number, maxAltitude: number|null, minAltitude: number|null}}
+ */
+export const computeTrackStats = (points) => {
+  let distance = 0;
+  let gain = 0;
+  let loss = 0;
+  let reference = null;
+  let maxAltitude = null;
+  let minAltitude = null;
+
+  points.forEach((point, index) => {
+    const previous = points[index - 1];
+    if (previous && previous.segment === point.segment) {
+      distance += distanceBetween(previous, point);
+    }
+
+    if (point.elevation === null) return;
+
+    maxAltitude = maxAltitude === null ? point.elevation : Math.max(maxAltitude, point.elevation);
+    minAltitude = minAltitude === null ? point.elevation : Math.min(minAltitude, point.elevation);
+
+    if (reference === null) {
+      reference = point.elevation;
+    } else if (Math.abs(point.elevation - reference) >= ELEVATION_THRESHOLD_METERS) {
+      if (point.elevation > reference) gain += point.elevation - reference;
+      else loss += reference - point.elevation;
+      reference = point.elevation;
+    }
+  });
+
+  return {
+    distanceMeters: round(distance),
+    elevationGain: round(gain),
+    elevationLoss: round(loss),
+    maxAltitude: round(maxAltitude),
+    minAltitude: round(minAltitude),
+  };
+};
+
+// ============================================================
+// WRITING
+// ============================================================
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Group points into segments, in order
+ */
+const toSegments = (points) => {
+  const segments = [];
+  points.forEach((point, index) => {
+    if (index === 0 || point.segment !== points[index - 1].segment) segments.push([]);
+    segments[segments.length - 1].push(point);
+  });
+  return segments;
+};
+
+/**
+ * Write tracks and waypoints as a GPX 1.1 document
+ * @param {object} route
+ * @param {string} route.name - Document name
+ * @param {Array<{name: string, points: Array<object>}>} route.tracks - Tracks with their points
+ * @param {Array<{name: string, latitude: number, longitude: number, description?: string}>} [route.waypoints]
+ * @returns {string}
+ */
+export const buildGpx = ({ name, tracks, waypoints = [] }) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Tripmate" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+  ];
+
+  for (const waypoint of waypoints) {
+    lines.push(
+      `  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`,
+      `    <name>${escapeXml(waypoint.name)}</name>`,
+      ...(waypoint.description ? [`    <desc>${escapeXml(waypoint.description)}</desc>`] : []),
+      '  </wpt>'
+    );
+  }
+
+  for (const track of tracks) {
+    lines.push('  <trk>', `    <name>${escapeXml(track.name)}</name>`);
+    for (const segment of toSegments(track.points)) {
+      lines.push('    <trkseg>');
+      for (const point of segment) {
+        const children = [
+          point.elevation !== null ? `<ele>${point.elevation}</ele>` : '',
+          point.recordedAt ? `<time>${point.recordedAt.toISOString()}</time>` : '',
+        ].join('');
+        lines.push(
+          children
+            ? `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${children}</trkpt>`
+            : `      <trkpt lat="${point.latitude}" lon="${point.longitude}"/>`
+        );
+      }
+      lines.push('    </trkseg>');
+    }
+    lines.push('  </trk>');
+  }
+
+  lines.push('</gpx>');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Write tracks and waypoints as a KML 2.2 document. Each segment becomes a
+ * LineString; altitudes are kept when every point of the segment has one.
+ * @param {object} route - Same shape as for buildGpx
+ * @returns {string}
+ */
+export const buildKml = ({ name, tracks, waypoints = [] }) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+  ];
+
+  for (const waypoint of waypoints) {
+    lines.push(
+      '    <Placemark>',
+      `      <name>${escapeXml(waypoint.name)}</name>`,
+      ...(waypoint.description ? [`      <description>${escapeXml(waypoint.description)}</description>`] : []),
+      `      <Point><coordinates>${waypoint.longitude},${waypoint.latitude}</coordinates></Point>`,
+      '    </Placemark>'
+    );
+  }
+
+  for (const track of tracks) {
+    const segments = toSegments(track.points);
+    lines.push('    <Placemark>', `      <name>${escapeXml(track.name)}</name>`, '      <MultiGeometry>');
+    for (const segment of segments) {
+      const withAltitude = segment.every((point) => point.elevation !== null);
+      const coordinates = segment
+        .map((point) =>
+          withAltitude
+            ? `${point.longitude},${point.latitude},${point.elevation}`
+            : `${point.longitude},${point.latitude}`
+        )
+        .join(' ');
+      lines.push(
+        '        <LineString>',
+        ...(withAltitude ? ['          <altitudeMode>absolute</altitudeMode>'] : []),
+        `          <coordinates>${coordinates}</coordinates>`,
+        '        </LineString>'
+      );
+    }
+    lines.push('      </MultiGeometry>', '    </Placemark>');
+  }
+
+  lines.push('  </Document>', '</kml>');
+  return `${lines.join('\n')}\n`;
+};
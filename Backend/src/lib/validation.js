@@ -73,3 +73,54 @@ export const sanitizeInput = (input) => {
   if (typeof input !== 'string') return input;
   return input.trim();
 };
+
+/**
+ * Validate a calendar date in YYYY-MM-DD format
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+export const isValidDateOnly = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Validate a 24h wall clock time in HH:mm format
+ * @param {string} value - Time string
+ * @returns {boolean}
+ */
+export const isValidTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+/**
+ * Validate an IANA timezone name (e.g. "Asia/Kathmandu")
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate an ISO 4217 currency code (e.g. "NPR")
+ * @param {string} code - Currency code
+ * @returns {boolean}
+ */
+export const isValidCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Validate a positive money amount with at most 2 decimals
+ * @param {number|string} value - Amount
+ * @returns {boolean}
+ */
+export const isValidAmount = (value) => {
+  if (typeof value !== 'number' && typeof value !== 'string') return false;
+  const text = String(value).trim();
+  return /^\d{1,10}(\.\d{1,2})?$/.test(text) && Number(text) > 0;
+};
@@ -2,17 +2,30 @@ import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
 import { AuthenticationError, ForbiddenError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/helpers.js';
+
+// Role with its granted permissions, as attached to req.user
+export const userRoleInclude = {
+  role: {
+    include: {
+      permissions: { include: { permission: true } },
+    },
+  },
+};
+
+// Access token from the cookie, or from an `Authorization: Bearer` header
+const getAccessToken = (req) =>
+  req.cookies?.access_token ||
+  (req.headers.authorization && req.headers.authorization.split(' ')[1]);
 
 /**
  * Authenticate user via JWT access token
- * Verifies token, fetches user, checks account status, and validates token version
+ * Verifies token, fetches user, checks account status, and validates token version and device session
  */
 export const authenticate = async (req, res, next) => {
   try {
     // 1. Extract Token from cookies or authorization header
-    const token =
-      req.cookies?.access_token ||
-      (req.headers.authorization && req.headers.authorization.split(' ')[1]);
+    const token = getAccessToken(req);
 
     if (!token) {
       throw new AuthenticationError('No access token provided');
@@ -29,10 +42,10 @@ export const authenticate = async (req, res, next) => {
       throw new AuthenticationError('Invalid or expired token');
     }
 
-    // 3. Fetch User with Role
+    // 3. Fetch User with Role and its permissions
     const user = await prisma.user.findUnique({
       where: { id: Number(payload.userId) },
-      include: { role: true },
+      include: userRoleInclude,
     });
 
     if (!user) {
@@ -52,8 +65,22 @@ export const authenticate = async (req, res, next) => {
       throw new AuthenticationError('Session revoked. Please login again.');
     }
 
-    // 6. Attach user to request object
+    // 6. Device Session Check
+    // A session revoked on its own (or expired) ends its access tokens too
+    if (payload.sessionId !== undefined) {
+      const session = await prisma.session.findUnique({
+        where: { id: String(payload.sessionId) },
+        select: { userId: true, expiresAt: true },
+      });
+
+      if (!session || session.userId !== user.id || session.expiresAt <= new Date()) {
+        throw new AuthenticationError('Session revoked. Please login again.');
+      }
+    }
+
+    // 7. Attach user and current device session to request object
     req.user = user;
+    req.sessionId = payload.sessionId;
     next();
   } catch (err) {
     logger.error('Authentication failed', err.message);
@@ -61,8 +88,45 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate when an access token is sent, otherwise continue as a guest
+ * For public routes that show more to authors and moderators
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  if (!getAccessToken(req)) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+/**
+ * Permission middleware - check the permissions granted to the user's role
+ * @param {...string} permissions - Permission keys that are all required, e.g. 'posts:moderate'
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AuthenticationError('Authentication required');
+      }
+
+      const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+
+      if (missing.length > 0) {
+        throw new ForbiddenError('Insufficient permissions for this action');
+      }
+
+      next();
+    } catch (err) {
+      logger.error('Permission check failed', err.message);
+      next(err);
+    }
+  };
+};
+
 /**
  * Authorization middleware - check user roles
+ * Prefer requirePermission so custom roles can be granted access without a code change
  * @param {Array<string>} allowedRoles - Array of role names that are allowed
  */
 export const authorize = (allowedRoles = []) => {
@@ -50,6 +50,14 @@ export const errorHandlerMiddleware = (err, req, res, next) => {
     }
   }
 
+  // Upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message,
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -0,0 +1,203 @@
+// src/middleware/rateLimiter.js
+import crypto from 'crypto';
+import { getRedisClient, isRedisReady } from '../lib/redis.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { RATE_LIMITS } from '../utils/constants.js';
+
+// ============================================================
+// STORES
+// ============================================================
+
+// Fallback store used when Redis is not configured or unreachable.
+// Only correct for a single server process.
+const memoryStore = new Map();
+
+const MEMORY_SWEEP_INTERVAL = 60 * 1000;
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of memoryStore) {
+    if (bucket.resetAt <= now) memoryStore.delete(key);
+  }
+}, MEMORY_SWEEP_INTERVAL).unref();
+
+/**
+ * Count a hit in the in-memory fixed window
+ * @returns {{count: number, resetInMs: number}}
+ */
+const hitMemory = (key, windowMs) => {
+  const now = Date.now();
+  let bucket = memoryStore.get(key);
+
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    memoryStore.set(key, bucket);
+  }
+
+  bucket.count += 1;
+  return { count: bucket.count, resetInMs: bucket.resetAt - now };
+};
+
+/**
+ * Count a hit in a Redis fixed window (shared across server instances)
+ * @returns {Promise<{count: number, resetInMs: number}>}
+ */
+const hitRedis = async (client, key, windowMs) => {
+  const count = await client.incr(key);
+  let ttl = await client.pTTL(key);
+
+  // First hit of the window, or a key that somehow lost its expiry
+  if (count === 1 || ttl < 0) {
+    await client.pExpire(key, windowMs);
+    ttl = windowMs;
+  }
+
+  return { count, resetInMs: ttl };
+};
+
+const hit = async (key, windowMs) => {
+  if (isRedisReady()) {
+    try {
+      return await hitRedis(getRedisClient(), key, windowMs);
+    } catch (error) {
+      logger.warn('Rate limiter falling back to memory store:', error.message);
+    }
+  }
+  return hitMemory(key, windowMs);
+};
+
+// ============================================================
+// KEY GENERATORS
+// ============================================================
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+/**
+ * Bucket requests by client IP
+ */
+export const byIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * Bucket requests by the email in the body (hashed, so no PII ends up in Redis)
+ */
+export const byEmail = (req) => {
+  const email = req.body?.email;
+  if (!email || typeof email !== 'string') return null;
+  return hashKey(email.toLowerCase().trim());
+};
+
+// ============================================================
+// MIDDLEWARE FACTORY
+// ============================================================
+
+/**
+ * Create a fixed-window rate limiting middleware
+ * @param {object} options
+ * @param {string} options.name - Bucket name, used in the storage key
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Max requests per key per window
+ * @param {function} options.keyGenerator - (req) => key, or null to skip limiting
+ * @param {string} options.message - Error message sent with the 429
+ * @returns {function} - Express middleware
+ */
+export const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message = 'Too many requests. Please try again later.',
+}) => {
+  return async (req, res, next) => {
+    try {
+      const keyPart = keyGenerator(req);
+      if (!keyPart) return next();
+
+      const { count, resetInMs } = await hit(`rl:${name}:${keyPart}`, windowMs);
+      const retryAfterSeconds = Math.max(1, Math.ceil(resetInMs / 1000));
+
+      res.set('X-RateLimit-Limit', String(max));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('X-RateLimit-Reset', String(retryAfterSeconds));
+
+      if (count > max) {
+        res.set('Retry-After', String(retryAfterSeconds));
+        logger.warn(`Rate limit exceeded for ${name} (${count}/${max})`);
+        throw new TooManyRequestsError(message);
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// ============================================================
+// AUTH ENDPOINT LIMITERS (per IP and per email)
+// ============================================================
+
+export const loginRateLimiter = [
+  createRateLimiter({
+    name: 'login:ip',
+    windowMs: RATE_LIMITS.LOGIN_WINDOW,
+    max: RATE_LIMITS.LOGIN_IP_ATTEMPTS,
+    keyGenerator: byIp,
+    message: 'Too many login attempts from this network. Please try again later.',
+  }),
+  createRateLimiter({
+    name: 'login:email',
+    windowMs: RATE_LIMITS.LOGIN_WINDOW,
+    max: RATE_LIMITS.LOGIN_ATTEMPTS,
+    keyGenerator: byEmail,
+    message: 'Too many login attempts for this account. Please try again later.',
+  }),
+];
+
+export const otpRequestRateLimiter = [
+  createRateLimiter({
+    name: 'otp-request:ip',
+    windowMs: RATE_LIMITS.OTP_WINDOW,
+    max: RATE_LIMITS.OTP_IP_REQUESTS,
+    keyGenerator: byIp,
+    message: 'Too many code requests from this network. Please try again later.',
+  }),
+  createRateLimiter({
+    name: 'otp-request:email',
+    windowMs: RATE_LIMITS.OTP_WINDOW,
+    max: RATE_LIMITS.OTP_REQUESTS,
+    keyGenerator: byEmail,
+    message: 'Too many code requests for this email. Please try again later.',
+  }),
+];
+
+export const otpVerifyRateLimiter = [
+  createRateLimiter({
+    name: 'otp-verify:ip',
+    windowMs: RATE_LIMITS.OTP_VERIFY_WINDOW,
+    max: RATE_LIMITS.OTP_VERIFY_IP_ATTEMPTS,
+    keyGenerator: byIp,
+    message: 'Too many verification attempts from this network. Please try again later.',
+  }),
+  createRateLimiter({
+    name: 'otp-verify:email',
+    windowMs: RATE_LIMITS.OTP_VERIFY_WINDOW,
+    max: RATE_LIMITS.OTP_VERIFY_ATTEMPTS,
+    keyGenerator: byEmail,
+    message: 'Too many verification attempts for this email. Please try again later.',
+  }),
+];
+
+// ============================================================
+// SHARE LINK LIMITER (public, some links have a password)
+// ============================================================
+
+export const shareLinkRateLimiter = createRateLimiter({
+  name: 'share-link:ip',
+  windowMs: RATE_LIMITS.SHARE_LINK_WINDOW,
+  max: RATE_LIMITS.SHARE_LINK_IP_REQUESTS,
+  keyGenerator: byIp,
+  message: 'Too many share link requests from this network. Please try again later.',
+});
+
+export default createRateLimiter;
@@ -0,0 +1,61 @@
+// src/middleware/upload.js
+import multer from 'multer';
+import { ValidationError } from '../utils/errors.js';
+import { EXCHANGE_RATE_IMPORT, ICS_IMPORT, TRACK_IMPORT, DOCUMENT_UPLOAD } from '../utils/constants.js';
+
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+const ICS_MIME_TYPES = ['text/calendar', 'application/ics', 'application/octet-stream', 'text/plain'];
+
+/**
+ * Accept one CSV file in the `file` field, kept in memory as req.file.buffer
+ */
+export const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: EXCHANGE_RATE_IMPORT.MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) && CSV_MIME_TYPES.includes(file.mimetype);
+    cb(isCsv ? null : new ValidationError('Only .csv files can be imported.'), isCsv);
+  },
+}).single('file');
+
+/**
+ * Accept one iCalendar file in the `file` field, kept in memory as req.file.buffer
+ */
+export const uploadIcs = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ICS_IMPORT.MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isIcs = /\.(ics|ical)$/i.test(file.originalname) && ICS_MIME_TYPES.includes(file.mimetype);
+    cb(isIcs ? null : new ValidationError('Only .ics calendar files can be imported.'), isIcs);
+  },
+}).single('file');
+
+/**
+ * Accept one GPX or KML file in the `file` field, kept in memory as req.file.buffer.
+ * GPS apps label these files inconsistently, so the extension decides. The file
+ * name can become the track name, so it is read as UTF-8.
+ */
+export const uploadTrack = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: TRACK_IMPORT.MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isTrack = /\.(gpx|kml)$/i.test(file.originalname);
+    cb(isTrack ? null : new ValidationError('Only .gpx and .kml files can be uploaded.'), isTrack);
+  },
+}).single('file');
+
+/**
+ * Accept one travel document (PDF or image) in the `file` field, kept in memory
+ * as req.file.buffer. The service also checks the content matches the type.
+ * File names are read as UTF-8 so that non-Latin names (e.g. Devanagari) survive.
+ */
+export const uploadDocument = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: DOCUMENT_UPLOAD.MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isAllowed = DOCUMENT_UPLOAD.MIME_TYPES.includes(file.mimetype);
+    cb(isAllowed ? null : new ValidationError('Only PDF, JPEG, PNG, WebP and HEIC files can be uploaded.'), isAllowed);
+  },
+}).single('file');
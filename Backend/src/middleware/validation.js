@@ -3,11 +3,32 @@ import {
   isValidEmail,
   isStrongPassword,
   isValidOTP,
+  isValidDateOnly,
+  isValidTime,
+  isValidTimeZone,
+  isValidCurrencyCode,
+  isValidAmount,
   sanitizeEmail,
   sanitizeInput,
 } from '../lib/validation.js';
 import { ValidationError } from '../utils/errors.js';
-import { API_MESSAGES } from '../utils/constants.js';
+import {
+  API_MESSAGES,
+  OTP_PURPOSES,
+  TRIP_VISIBILITY,
+  ITINERARY_ITEM_TYPES,
+  ASSIGNABLE_TRIP_ROLES,
+  EXPENSE_CATEGORIES,
+  EXPENSE_SPLIT_TYPES,
+  CHECKLIST_KINDS,
+  CHECKLIST_LIMITS,
+  DOCUMENT_CATEGORIES,
+  LANGUAGES,
+  PROFILE_LIMITS,
+  TRIP_LIMITS,
+  POLL_LIMITS,
+  SHARE_LINK_LIMITS,
+} from '../utils/constants.js';
 
 /**
  * Validate Registration Request
@@ -108,6 +129,79 @@ export const validateLogin = (req, res, next) => {
   }
 };
 
+/**
+ * Validate a TOTP code (2FA enable / recovery code regeneration)
+ */
+export const validateTwoFactorCode = (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !isValidOTP(code)) {
+      throw new ValidationError('Two-factor code must be a 6-digit code.');
+    }
+
+    req.body.code = String(code).trim();
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate a second factor: either a TOTP code or a recovery code
+ */
+const validateSecondFactor = (body) => {
+  const { code, recoveryCode } = body;
+
+  if (code) {
+    if (!isValidOTP(code)) {
+      throw new ValidationError('Two-factor code must be a 6-digit code.');
+    }
+    body.code = String(code).trim();
+  } else if (!recoveryCode || typeof recoveryCode !== 'string') {
+    throw new ValidationError('A two-factor code or recovery code is required.');
+  }
+};
+
+/**
+ * Validate 2FA Login Step
+ */
+export const validateTwoFactorLogin = (req, res, next) => {
+  try {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken || typeof challengeToken !== 'string') {
+      throw new ValidationError('Challenge token is required.');
+    }
+
+    validateSecondFactor(req.body);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate 2FA Disable Request
+ */
+export const validateTwoFactorDisable = (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || typeof password !== 'string' || password.length === 0) {
+      throw new ValidationError('Password is required.');
+    }
+
+    validateSecondFactor(req.body);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Validate Password Reset Request
  */
@@ -159,12 +253,16 @@ export const validatePasswordReset = (req, res, next) => {
  */
 export const validateResendOTP = (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { email, type } = req.body;
 
     if (!email || !isValidEmail(email)) {
       throw new ValidationError(API_MESSAGES.INVALID_EMAIL);
     }
 
+    if (type !== undefined && ![OTP_PURPOSES.EMAIL_VERIFY, OTP_PURPOSES.PASSWORD_RESET].includes(type)) {
+      throw new ValidationError('OTP type must be EMAIL_VERIFY or PASSWORD_RESET.');
+    }
+
     req.body.email = sanitizeEmail(email);
 
     next();
@@ -194,6 +292,48 @@ export const validateChangePassword = (req, res, next) => {
   }
 };
 
+/**
+ * Validate Email Change Request
+ */
+export const validateEmailChangeRequest = (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !isValidEmail(newEmail)) {
+      throw new ValidationError(API_MESSAGES.INVALID_EMAIL);
+    }
+
+    if (!password || typeof password !== 'string' || password.length === 0) {
+      throw new ValidationError('Password is required.');
+    }
+
+    req.body.newEmail = sanitizeEmail(newEmail);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Email Change Confirmation
+ */
+export const validateEmailChangeConfirm = (req, res, next) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp || !isValidOTP(otp)) {
+      throw new ValidationError('OTP must be a 6-digit code.');
+    }
+
+    req.body.otp = String(otp).trim();
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Validate Post Input
  */
@@ -219,6 +359,30 @@ export const validatePostInput = (req, res, next) => {
   }
 };
 
+/**
+ * Validate Comment Input
+ */
+export const validateCommentInput = (req, res, next) => {
+  try {
+    const { content, parentId } = req.body;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw new ValidationError('Content is required and must be a non-empty string.');
+    }
+
+    if (parentId !== undefined && parentId !== null && !Number.isInteger(Number(parentId))) {
+      throw new ValidationError('Parent comment ID must be an integer.');
+    }
+
+    // Sanitize inputs
+    req.body.content = sanitizeInput(content);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Validate Profile Update
  */
@@ -250,6 +414,33 @@ export const validateProfileUpdate = (req, res, next) => {
       throw new ValidationError('Website must be a string.');
     }
 
+    validateCurrency(req.body, 'preferredCurrency');
+
+    if (req.body.language !== undefined) {
+      req.body.language = String(req.body.language).toUpperCase();
+      if (!LANGUAGES.includes(req.body.language)) {
+        throw new ValidationError(`Language must be one of: ${LANGUAGES.join(', ')}.`);
+      }
+    }
+
+    if (req.body.interests !== undefined) {
+      const { interests } = req.body;
+      if (!Array.isArray(interests) || !interests.every((interest) => typeof interest === 'string')) {
+        throw new ValidationError('Interests must be an array of strings.');
+      }
+      req.body.interests = [...new Set(interests.map((interest) => interest.trim().toLowerCase()).filter(Boolean))];
+      if (req.body.interests.length > PROFILE_LIMITS.MAX_INTERESTS) {
+        throw new ValidationError(`You can list at most ${PROFILE_LIMITS.MAX_INTERESTS} interests.`);
+      }
+      if (req.body.interests.some((interest) => interest.length > PROFILE_LIMITS.MAX_INTEREST_LENGTH)) {
+        throw new ValidationError(`Interests can be at most ${PROFILE_LIMITS.MAX_INTEREST_LENGTH} characters.`);
+      }
+    }
+
+    if (req.body.discoverable !== undefined && typeof req.body.discoverable !== 'boolean') {
+      throw new ValidationError('discoverable must be a boolean.');
+    }
+
     // Sanitize inputs
     if (firstName) req.body.firstName = sanitizeInput(firstName);
     if (lastName) req.body.lastName = sanitizeInput(lastName);
@@ -264,3 +455,1144 @@ export const validateProfileUpdate = (req, res, next) => {
   }
 };
 
+/**
+ * Check the shared fields of a role create/update body
+ */
+const validateRoleFields = (body) => {
+  const { name, description, permissions } = body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]{1,29}$/.test(name.trim())) {
+      throw new ValidationError(
+        'Role name must be 2-30 characters: letters, numbers and underscores, starting with a letter.'
+      );
+    }
+    body.name = name.trim().toUpperCase();
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string') {
+      throw new ValidationError('Description must be a string.');
+    }
+    body.description = sanitizeInput(description);
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions) || permissions.some((key) => typeof key !== 'string')) {
+      throw new ValidationError('Permissions must be an array of permission keys.');
+    }
+    body.permissions = [...new Set(permissions.map((key) => key.trim()))];
+  }
+};
+
+/**
+ * Validate Role Creation
+ */
+export const validateRoleCreate = (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      throw new ValidationError('Role name is required.');
+    }
+
+    validateRoleFields(req.body);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Role Update
+ */
+export const validateRoleUpdate = (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (name === undefined && description === undefined && permissions === undefined) {
+      throw new ValidationError('Provide a name, description or permissions to update.');
+    }
+
+    validateRoleFields(req.body);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check an optional free-text field and trim it; empty strings clear the field
+ */
+const validateOptionalText = (body, field, label) => {
+  const value = body[field];
+  if (value === undefined || value === null) return;
+
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${label} must be a string.`);
+  }
+  body[field] = sanitizeInput(value) || null;
+};
+
+/**
+ * Check a required free-text field (or an optional one on partial updates)
+ */
+const validateRequiredText = (body, field, label, partial) => {
+  const value = body[field];
+  if (partial && value === undefined) return;
+
+  if (!value || typeof value !== 'string' || value.trim().length === 0) {
+    throw new ValidationError(`${label} is required and must be a non-empty string.`);
+  }
+  body[field] = sanitizeInput(value);
+};
+
+/**
+ * Check an optional currency code and upper-case it
+ */
+const validateCurrency = (body, field = 'currency') => {
+  if (body[field] === undefined) return;
+
+  body[field] = String(body[field]).trim().toUpperCase();
+  if (!isValidCurrencyCode(body[field])) {
+    throw new ValidationError(`${field} must be a 3-letter ISO 4217 code, e.g. "NPR".`);
+  }
+};
+
+/**
+ * Check the fields of a trip create/update body
+ */
+const validateTripFields = (body, partial) => {
+  validateRequiredText(body, 'title', 'Title', partial);
+  validateRequiredText(body, 'destination', 'Destination', partial);
+  validateOptionalText(body, 'description', 'Description');
+  validateOptionalText(body, 'coverImage', 'Cover image');
+
+  for (const field of ['startDate', 'endDate']) {
+    if (partial && body[field] === undefined) continue;
+    if (!isValidDateOnly(body[field])) {
+      throw new ValidationError(`${field} must be a date in YYYY-MM-DD format.`);
+    }
+  }
+
+  if (body.timezone !== undefined && !isValidTimeZone(body.timezone)) {
+    throw new ValidationError('Timezone must be a valid IANA timezone, e.g. "Asia/Kathmandu".');
+  }
+
+  validateCurrency(body);
+
+  for (const field of ['lookingForCompanions', 'isOpen']) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      throw new ValidationError(`${field} must be a boolean.`);
+    }
+  }
+
+  // Group size cap, owner included; null removes it
+  if (body.maxMembers !== undefined && body.maxMembers !== null) {
+    if (!Number.isInteger(body.maxMembers) || body.maxMembers < 2 || body.maxMembers > TRIP_LIMITS.MAX_MEMBERS) {
+      throw new ValidationError(`maxMembers must be a whole number from 2 to ${TRIP_LIMITS.MAX_MEMBERS}, or null.`);
+    }
+  }
+
+  if (body.visibility !== undefined) {
+    body.visibility = String(body.visibility).toUpperCase();
+    if (!Object.values(TRIP_VISIBILITY).includes(body.visibility)) {
+      throw new ValidationError(`Visibility must be one of: ${Object.values(TRIP_VISIBILITY).join(', ')}.`);
+    }
+  }
+};
+
+/**
+ * Validate Trip Creation
+ */
+export const validateTripCreate = (req, res, next) => {
+  try {
+    validateTripFields(req.body, false);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Update
+ */
+export const validateTripUpdate = (req, res, next) => {
+  try {
+    validateTripFields(req.body, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate User Block
+ */
+export const validateUserBlock = (req, res, next) => {
+  try {
+    const userId = Number(req.body.userId);
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      throw new ValidationError('userId of the user to block is required.');
+    }
+
+    req.body.userId = userId;
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Template Publishing
+ */
+export const validateTripTemplatePublish = (req, res, next) => {
+  try {
+    if (typeof req.body.published !== 'boolean') {
+      throw new ValidationError('published must be a boolean.');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Clone (new start date, optional timezone and title)
+ */
+export const validateTripClone = (req, res, next) => {
+  try {
+    const { startDate, timezone } = req.body;
+
+    if (!isValidDateOnly(startDate)) {
+      throw new ValidationError('startDate must be a date in YYYY-MM-DD format.');
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      throw new ValidationError('Timezone must be a valid IANA timezone, e.g. "Asia/Kathmandu".');
+    }
+    if (req.body.title !== undefined && !String(req.body.title).trim()) {
+      throw new ValidationError('Title cannot be empty.');
+    }
+    validateOptionalText(req.body, 'title', 'Title');
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Itinerary Day Update
+ */
+export const validateItineraryDayUpdate = (req, res, next) => {
+  try {
+    validateOptionalText(req.body, 'title', 'Title');
+    validateOptionalText(req.body, 'notes', 'Notes');
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check the fields of an itinerary item create/update body
+ */
+const validateItineraryItemFields = (body, partial) => {
+  validateRequiredText(body, 'title', 'Title', partial);
+  validateOptionalText(body, 'placeName', 'Place name');
+  validateOptionalText(body, 'address', 'Address');
+  validateOptionalText(body, 'notes', 'Notes');
+
+  if (body.type !== undefined) {
+    body.type = String(body.type).toUpperCase();
+    if (!ITINERARY_ITEM_TYPES.includes(body.type)) {
+      throw new ValidationError(`Type must be one of: ${ITINERARY_ITEM_TYPES.join(', ')}.`);
+    }
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    if (body[field] === undefined || body[field] === null) continue;
+    if (!isValidTime(body[field])) {
+      throw new ValidationError(`${field} must be a time in HH:mm format.`);
+    }
+  }
+
+  if (body.startTime && body.endTime && body.endTime < body.startTime) {
+    throw new ValidationError('endTime cannot be before startTime.');
+  }
+
+  const coordinates = [
+    ['latitude', 90],
+    ['longitude', 180],
+  ];
+  for (const [field, max] of coordinates) {
+    if (body[field] === undefined || body[field] === null) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || Math.abs(value) > max) {
+      throw new ValidationError(`${field} must be a number between -${max} and ${max}.`);
+    }
+    body[field] = value;
+  }
+
+  if (body.dayId !== undefined) {
+    if (!Number.isInteger(Number(body.dayId))) {
+      throw new ValidationError('dayId must be an integer.');
+    }
+    body.dayId = Number(body.dayId);
+  }
+};
+
+/**
+ * Validate Itinerary Item Creation
+ */
+export const validateItineraryItemCreate = (req, res, next) => {
+  try {
+    validateItineraryItemFields(req.body, false);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Itinerary Item Update
+ */
+export const validateItineraryItemUpdate = (req, res, next) => {
+  try {
+    validateItineraryItemFields(req.body, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Itinerary Item Reordering
+ */
+export const validateItineraryReorder = (req, res, next) => {
+  try {
+    const { itemIds } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.some((id) => !Number.isInteger(Number(id)))) {
+      throw new ValidationError('itemIds must be an array of item IDs.');
+    }
+
+    req.body.itemIds = itemIds.map(Number);
+
+    if (new Set(req.body.itemIds).size !== req.body.itemIds.length) {
+      throw new ValidationError('itemIds must not contain duplicates.');
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const validateAssignableRole = (role) => {
+  if (!ASSIGNABLE_TRIP_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of: ${ASSIGNABLE_TRIP_ROLES.join(', ')}.`);
+  }
+};
+
+/**
+ * Validate Trip Invitation
+ */
+export const validateTripInvitation = (req, res, next) => {
+  try {
+    const { email, role = 'VIEWER' } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      throw new ValidationError(API_MESSAGES.INVALID_EMAIL);
+    }
+
+    validateAssignableRole(role);
+
+    req.body.email = sanitizeEmail(email);
+    req.body.role = role;
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Invitation Token (body or query string)
+ */
+export const validateInvitationToken = (req, res, next) => {
+  try {
+    const token = req.body?.token ?? req.query.token;
+
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError('Invitation token is required.');
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Member Role Change
+ */
+export const validateTripMemberRole = (req, res, next) => {
+  try {
+    validateAssignableRole(req.body.role);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Join Request (optional message to the owner)
+ */
+export const validateJoinRequest = (req, res, next) => {
+  try {
+    validateOptionalText(req.body, 'message', 'Message');
+    if (req.body.message && req.body.message.length > 1000) {
+      throw new ValidationError('Message can be at most 1000 characters.');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Join Request Answer (role applies to approvals only)
+ */
+export const validateJoinRequestResponse = (req, res, next) => {
+  try {
+    validateOptionalText(req.body, 'responseMessage', 'Response message');
+    if (req.body.role !== undefined) {
+      validateAssignableRole(req.body.role);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Ownership Transfer
+ */
+export const validateOwnershipTransfer = (req, res, next) => {
+  try {
+    const userId = Number(req.body.userId);
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      throw new ValidationError('userId of the new owner is required.');
+    }
+
+    req.body.userId = userId;
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check the fields of an expense create/update body
+ */
+const validateExpenseFields = (body, partial) => {
+  validateRequiredText(body, 'description', 'Description', partial);
+  validateCurrency(body);
+
+  if (!partial || body.amount !== undefined) {
+    if (!isValidAmount(body.amount)) {
+      throw new ValidationError('Amount must be a positive number with at most 2 decimals.');
+    }
+    body.amount = String(body.amount).trim();
+  }
+
+  if (body.category !== undefined) {
+    body.category = String(body.category).toUpperCase();
+    if (!EXPENSE_CATEGORIES.includes(body.category)) {
+      throw new ValidationError(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}.`);
+    }
+  }
+
+  if (body.expenseDate !== undefined && !isValidDateOnly(body.expenseDate)) {
+    throw new ValidationError('expenseDate must be a date in YYYY-MM-DD format.');
+  }
+
+  if (body.paidById !== undefined) {
+    body.paidById = Number(body.paidById);
+    if (!Number.isInteger(body.paidById) || body.paidById <= 0) {
+      throw new ValidationError('paidById must be a user ID.');
+    }
+  }
+
+  if (body.splitType !== undefined) {
+    body.splitType = String(body.splitType).toUpperCase();
+    if (!Object.values(EXPENSE_SPLIT_TYPES).includes(body.splitType)) {
+      throw new ValidationError(`splitType must be one of: ${Object.values(EXPENSE_SPLIT_TYPES).join(', ')}.`);
+    }
+  }
+
+  if (body.shares === undefined) {
+    if (body.splitType && body.splitType !== EXPENSE_SPLIT_TYPES.EQUAL) {
+      throw new ValidationError(`shares are required for ${body.splitType} splits.`);
+    }
+    return;
+  }
+
+  if (!Array.isArray(body.shares) || body.shares.length === 0) {
+    throw new ValidationError('shares must be a non-empty array of { userId } entries.');
+  }
+
+  if (partial && body.splitType === undefined) {
+    throw new ValidationError('splitType is required when changing shares.');
+  }
+
+  const splitType = body.splitType || EXPENSE_SPLIT_TYPES.EQUAL;
+  body.shares = body.shares.map((share) => {
+    const userId = Number(share?.userId);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      throw new ValidationError('Every share needs a userId.');
+    }
+
+    if (splitType === EXPENSE_SPLIT_TYPES.PERCENTAGE) {
+      const percentage = Number(share.percentage);
+      if (!Number.isFinite(percentage) || percentage <= 0 || percentage > 100) {
+        throw new ValidationError('Every share needs a percentage between 0 and 100.');
+      }
+      return { userId, percentage };
+    }
+
+    if (splitType === EXPENSE_SPLIT_TYPES.EXACT) {
+      if (!isValidAmount(share.amount)) {
+        throw new ValidationError('Every share needs an amount with at most 2 decimals.');
+      }
+      return { userId, amount: String(share.amount).trim() };
+    }
+
+    return { userId };
+  });
+
+  if (new Set(body.shares.map((share) => share.userId)).size !== body.shares.length) {
+    throw new ValidationError('shares must not list the same user twice.');
+  }
+};
+
+/**
+ * Validate Expense Creation
+ */
+export const validateExpenseCreate = (req, res, next) => {
+  try {
+    validateExpenseFields(req.body, false);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Expense Update
+ */
+export const validateExpenseUpdate = (req, res, next) => {
+  try {
+    validateExpenseFields(req.body, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Settlement (a payment between two members)
+ */
+export const validateSettlement = (req, res, next) => {
+  try {
+    const { amount } = req.body;
+
+    for (const field of ['fromUserId', 'toUserId']) {
+      req.body[field] = Number(req.body[field]);
+      if (!Number.isInteger(req.body[field]) || req.body[field] <= 0) {
+        throw new ValidationError(`${field} must be a user ID.`);
+      }
+    }
+
+    if (req.body.fromUserId === req.body.toUserId) {
+      throw new ValidationError('A settlement needs two different members.');
+    }
+
+    if (!isValidAmount(amount)) {
+      throw new ValidationError('Amount must be a positive number with at most 2 decimals.');
+    }
+    req.body.amount = String(amount).trim();
+
+    validateCurrency(req.body);
+    validateOptionalText(req.body, 'note', 'Note');
+
+    if (req.body.note?.length > 500) {
+      throw new ValidationError('Note must be at most 500 characters.');
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Currency Creation/Update
+ */
+const validateCurrencyFields = (body, partial) => {
+  if (!partial) {
+    body.code = String(body.code ?? '').trim().toUpperCase();
+    if (!isValidCurrencyCode(body.code)) {
+      throw new ValidationError('Code must be a 3-letter ISO 4217 code, e.g. "NPR".');
+    }
+  }
+
+  validateRequiredText(body, 'name', 'Name', partial);
+  validateOptionalText(body, 'symbol', 'Symbol');
+
+  if (body.isActive !== undefined && typeof body.isActive !== 'boolean') {
+    throw new ValidationError('isActive must be a boolean.');
+  }
+};
+
+export const validateCurrencyCreate = (req, res, next) => {
+  try {
+    validateCurrencyFields(req.body, false);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const validateCurrencyUpdate = (req, res, next) => {
+  try {
+    validateCurrencyFields(req.body, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Exchange Rate (1 baseCurrency = rate quoteCurrency from effectiveDate)
+ */
+export const validateExchangeRate = (req, res, next) => {
+  try {
+    const { rate, effectiveDate } = req.body;
+
+    for (const field of ['baseCurrency', 'quoteCurrency']) {
+      req.body[field] = String(req.body[field] ?? '').trim().toUpperCase();
+      if (!isValidCurrencyCode(req.body[field])) {
+        throw new ValidationError(`${field} must be a 3-letter ISO 4217 code.`);
+      }
+    }
+
+    if (req.body.baseCurrency === req.body.quoteCurrency) {
+      throw new ValidationError('baseCurrency and quoteCurrency must differ.');
+    }
+
+    const rateText = String(rate ?? '').trim();
+    if (!/^\d{1,10}(\.\d{1,8})?$/.test(rateText) || Number(rateText) <= 0) {
+      throw new ValidationError('Rate must be a positive number with at most 8 decimals.');
+    }
+    req.body.rate = rateText;
+
+    if (!isValidDateOnly(effectiveDate)) {
+      throw new ValidationError('effectiveDate must be a date in YYYY-MM-DD format.');
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Trip Budget ({ total, categories: { FOOD: 200, ... } }, null removes a budget)
+ */
+export const validateTripBudget = (req, res, next) => {
+  try {
+    const { total, categories } = req.body;
+
+    if (total === undefined && categories === undefined) {
+      throw new ValidationError('Provide a total and/or categories budget.');
+    }
+
+    const checkAmount = (value, label) => {
+      if (value === null) return null;
+      if (!isValidAmount(value)) {
+        throw new ValidationError(`${label} must be a positive amount with at most 2 decimals, or null to remove it.`);
+      }
+      return String(value).trim();
+    };
+
+    if (total !== undefined) req.body.total = checkAmount(total, 'total');
+
+    if (categories !== undefined) {
+      if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+        throw new ValidationError('categories must be an object of category: amount.');
+      }
+
+      req.body.categories = Object.fromEntries(
+        Object.entries(categories).map(([category, amount]) => {
+          const key = category.toUpperCase();
+          if (!EXPENSE_CATEGORIES.includes(key)) {
+            throw new ValidationError(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}.`);
+          }
+          return [key, checkAmount(amount, key)];
+        })
+      );
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Budget Alert Opt-in
+ */
+export const validateBudgetAlerts = (req, res, next) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be a boolean.');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check the optional name and dayId of a track. dayId null (or empty in a
+ * multipart form) means the track belongs to the whole trip.
+ */
+const validateTrackFields = (body) => {
+  validateOptionalText(body, 'name', 'Name');
+
+  if (body.dayId === '' || body.dayId === null) {
+    body.dayId = null;
+  } else if (body.dayId !== undefined) {
+    if (!Number.isInteger(Number(body.dayId))) {
+      throw new ValidationError('dayId must be an integer or null.');
+    }
+    body.dayId = Number(body.dayId);
+  }
+};
+
+/**
+ * Validate Track Upload (multipart fields next to the file)
+ */
+export const validateTrackUpload = (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ValidationError('Attach the .gpx or .kml file in the "file" field');
+    }
+    validateTrackFields(req.body);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Track Update
+ */
+export const validateTrackUpdate = (req, res, next) => {
+  try {
+    if (req.body.name !== undefined && !String(req.body.name).trim()) {
+      throw new ValidationError('Name cannot be empty.');
+    }
+    validateTrackFields(req.body);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check an optional checklist kind and upper-case it
+ */
+const validateChecklistKind = (body) => {
+  if (body.kind === undefined) return;
+
+  body.kind = String(body.kind).toUpperCase();
+  if (!CHECKLIST_KINDS.includes(body.kind)) {
+    throw new ValidationError(`kind must be one of: ${CHECKLIST_KINDS.join(', ')}.`);
+  }
+};
+
+/**
+ * Check the fields of a checklist item (trip or template). assigneeId is
+ * only allowed on trip checklists.
+ */
+const validateChecklistItemFields = (body, partial, allowAssignee) => {
+  validateRequiredText(body, 'title', 'Title', partial);
+  validateOptionalText(body, 'notes', 'Notes');
+
+  if (body.quantity !== undefined && body.quantity !== null) {
+    const quantity = Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) {
+      throw new ValidationError('quantity must be a whole number between 1 and 999, or null.');
+    }
+    body.quantity = quantity;
+  }
+
+  if (body.assigneeId !== undefined && body.assigneeId !== null) {
+    if (!allowAssignee) {
+      throw new ValidationError('Template items cannot be assigned.');
+    }
+    if (!Number.isInteger(Number(body.assigneeId))) {
+      throw new ValidationError('assigneeId must be a user ID or null.');
+    }
+    body.assigneeId = Number(body.assigneeId);
+  }
+};
+
+/**
+ * Check an optional list of new checklist items
+ */
+const validateChecklistItemList = (body, allowAssignee) => {
+  if (body.items === undefined) return;
+
+  if (!Array.isArray(body.items)) {
+    throw new ValidationError('items must be an array.');
+  }
+  if (body.items.length > CHECKLIST_LIMITS.MAX_ITEMS_PER_CHECKLIST) {
+    throw new ValidationError(`A checklist can have at most ${CHECKLIST_LIMITS.MAX_ITEMS_PER_CHECKLIST} items.`);
+  }
+
+  body.items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw new ValidationError(`items[${index}] must be an object.`);
+    }
+    validateChecklistItemFields(item, false, allowAssignee);
+  });
+};
+
+/**
+ * Validate Checklist Creation
+ */
+export const validateChecklistCreate = (req, res, next) => {
+  try {
+    validateRequiredText(req.body, 'title', 'Title', false);
+    validateChecklistKind(req.body);
+    validateChecklistItemList(req.body, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Checklist Update
+ */
+export const validateChecklistUpdate = (req, res, next) => {
+  try {
+    validateRequiredText(req.body, 'title', 'Title', true);
+    validateChecklistKind(req.body);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Checklist Item Creation
+ */
+export const validateChecklistItemCreate = (req, res, next) => {
+  try {
+    validateChecklistItemFields(req.body, false, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Checklist Item Update
+ */
+export const validateChecklistItemUpdate = (req, res, next) => {
+  try {
+    validateChecklistItemFields(req.body, true, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Checking Off a Checklist Item
+ */
+export const validateChecklistCheck = (req, res, next) => {
+  try {
+    if (typeof req.body.checked !== 'boolean') {
+      throw new ValidationError('checked must be a boolean.');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Creating a Checklist From a Template
+ */
+export const validateChecklistFromTemplate = (req, res, next) => {
+  try {
+    const templateId = Number(req.body.templateId);
+
+    if (!Number.isInteger(templateId) || templateId <= 0) {
+      throw new ValidationError('templateId is required.');
+    }
+
+    req.body.templateId = templateId;
+    validateRequiredText(req.body, 'title', 'Title', true);
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check the fields of a checklist template create/update body
+ */
+const validateChecklistTemplateFields = (body, partial) => {
+  validateRequiredText(body, 'name', 'Name', partial);
+  validateOptionalText(body, 'description', 'Description');
+  validateChecklistKind(body);
+  validateChecklistItemList(body, false);
+};
+
+/**
+ * Validate Checklist Template Creation
+ */
+export const validateChecklistTemplateCreate = (req, res, next) => {
+  try {
+    validateChecklistTemplateFields(req.body, false);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Checklist Template Update (items, if given, replace the current list)
+ */
+export const validateChecklistTemplateUpdate = (req, res, next) => {
+  try {
+    validateChecklistTemplateFields(req.body, true);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Check the optional title and category of a travel document
+ */
+const validateDocumentFields = (body) => {
+  if (body.title !== undefined && !String(body.title).trim()) {
+    throw new ValidationError('Title cannot be empty.');
+  }
+  validateOptionalText(body, 'title', 'Title');
+
+  if (body.category !== undefined) {
+    body.category = String(body.category).toUpperCase();
+    if (!DOCUMENT_CATEGORIES.includes(body.category)) {
+      throw new ValidationError(`category must be one of: ${DOCUMENT_CATEGORIES.join(', ')}.`);
+    }
+  }
+};
+
+/**
+ * Validate Document Upload (multipart fields next to the file)
+ */
+export const validateDocumentUpload = (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ValidationError('Attach the document in the "file" field');
+    }
+    validateDocumentFields(req.body);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Document Update
+ */
+export const validateDocumentUpdate = (req, res, next) => {
+  try {
+    validateDocumentFields(req.body);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Document Shares (the full list of member ids to share with)
+ */
+export const validateDocumentShares = (req, res, next) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || !userIds.every((id) => Number.isInteger(id) && id > 0)) {
+      throw new ValidationError('userIds must be an array of user ids.');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Poll Creation
+ */
+export const validatePollCreate = (req, res, next) => {
+  try {
+    const { options, deadline } = req.body;
+
+    validateRequiredText(req.body, 'question', 'Question', false);
+    validateOptionalText(req.body, 'description', 'Description');
+
+    if (
+      !Array.isArray(options) ||
+      options.length < POLL_LIMITS.MIN_OPTIONS ||
+      options.length > POLL_LIMITS.MAX_OPTIONS
+    ) {
+      throw new ValidationError(
+        `options must be a list of ${POLL_LIMITS.MIN_OPTIONS} to ${POLL_LIMITS.MAX_OPTIONS} choices.`
+      );
+    }
+    options.forEach((option, index) => {
+      if (!option || typeof option !== 'object') {
+        throw new ValidationError(`options[${index}] must be an object with a label.`);
+      }
+      validateRequiredText(option, 'label', `options[${index}].label`, false);
+      validateOptionalText(option, 'description', `options[${index}].description`);
+    });
+
+    for (const field of ['multipleChoice', 'anonymous']) {
+      if (req.body[field] !== undefined && typeof req.body[field] !== 'boolean') {
+        throw new ValidationError(`${field} must be a boolean.`);
+      }
+    }
+
+    if (deadline !== undefined && deadline !== null) {
+      const date = new Date(deadline);
+      if (typeof deadline !== 'string' || Number.isNaN(date.getTime())) {
+        throw new ValidationError('deadline must be an ISO 8601 date and time.');
+      }
+      if (date <= new Date()) {
+        throw new ValidationError('deadline must be in the future.');
+      }
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Poll Vote (the full list of options I vote for)
+ */
+export const validatePollVote = (req, res, next) => {
+  try {
+    const { optionIds } = req.body;
+
+    if (!Array.isArray(optionIds) || !optionIds.every((id) => Number.isInteger(id) && id > 0)) {
+      throw new ValidationError('optionIds must be an array of option ids.');
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Poll Close (optional winner and itinerary item to create from it)
+ */
+export const validatePollClose = (req, res, next) => {
+  try {
+    const { optionId, itineraryItem } = req.body;
+
+    if (optionId !== undefined && (!Number.isInteger(optionId) || optionId <= 0)) {
+      throw new ValidationError('optionId must be an option id.');
+    }
+
+    if (itineraryItem !== undefined) {
+      if (!itineraryItem || typeof itineraryItem !== 'object') {
+        throw new ValidationError('itineraryItem must be an object with a dayId.');
+      }
+      if (itineraryItem.dayId === undefined) {
+        throw new ValidationError('itineraryItem.dayId is required.');
+      }
+      // The title defaults to the winning option's label
+      validateItineraryItemFields(itineraryItem, true);
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Share Link Creation (optional label, expiry and password)
+ */
+export const validateShareLinkCreate = (req, res, next) => {
+  try {
+    const { expiresAt, password } = req.body;
+
+    validateOptionalText(req.body, 'label', 'Label');
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+      if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime())) {
+        throw new ValidationError('expiresAt must be an ISO 8601 date and time.');
+      }
+      if (date <= new Date()) {
+        throw new ValidationError('expiresAt must be in the future.');
+      }
+    }
+
+    if (password !== undefined && password !== null) {
+      if (typeof password !== 'string' || password.length < SHARE_LINK_LIMITS.MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(
+          `password must be at least ${SHARE_LINK_LIMITS.MIN_PASSWORD_LENGTH} characters long.`
+        );
+      }
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate Post Trip Link (trip journal: trip, day and place ids, null to unlink)
+ */
+export const validatePostTripLink = (req, res, next) => {
+  try {
+    for (const field of ['tripId', 'dayId', 'itemId']) {
+      const value = req.body[field];
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+        throw new ValidationError(`${field} must be an id or null.`);
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,21 +1,45 @@
 // src/routes/admin.routes.js
 import express from 'express';
-import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+import { authenticate, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  validateRoleCreate,
+  validateRoleUpdate,
+  validateCurrencyCreate,
+  validateCurrencyUpdate,
+  validateExchangeRate,
+} from '../middleware/validation.js';
+import { uploadCsv } from '../middleware/upload.js';
 import userService from '../services/user.service.js';
-import { sanitizeUser } from '../utils/helpers.js';
+import roleService from '../services/role.service.js';
+import auditService from '../services/audit.service.js';
+import currencyService from '../services/currency.service.js';
+import { sanitizeUser, getRequestContext, toCsvRow } from '../utils/helpers.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
+import { PERMISSIONS, PAGINATION } from '../utils/constants.js';
 
 const router = express.Router();
 
+const AUDIT_LOG_COLUMNS = [
+  'id',
+  'createdAt',
+  'action',
+  'entity',
+  'entityId',
+  'actorId',
+  'ipAddress',
+  'userAgent',
+  'details',
+];
+
 // ============================================================
-// ADMIN ONLY ROUTES - User Management
+// USER MANAGEMENT
 // ============================================================
 
 /**
  * GET /admin/users - Get all users (paginated)
  */
-router.get('/users', authenticate, isAdmin, async (req, res, next) => {
+router.get('/users', authenticate, requirePermission(PERMISSIONS.USERS_READ), async (req, res, next) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
@@ -41,7 +65,7 @@ router.get('/users', authenticate, isAdmin, async (req, res, next) => {
 /**
  * GET /admin/users/:id - Get specific user details
  */
-router.get('/users/:id', authenticate, isAdmin, async (req, res, next) => {
+router.get('/users/:id', authenticate, requirePermission(PERMISSIONS.USERS_READ), async (req, res, next) => {
   try {
     const user = await userService.getUserById(parseInt(req.params.id));
 
@@ -58,15 +82,16 @@ router.get('/users/:id', authenticate, isAdmin, async (req, res, next) => {
 /**
  * POST /admin/users/:id/block - Block a user account
  */
-router.post('/users/:id/block', authenticate, isAdmin, async (req, res, next) => {
+router.post('/users/:id/block', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.id);
 
     if (userId === req.user?.id) {
       throw new ValidationError('You cannot block your own account');
     }
+    await roleService.assertCanManageUser(userId, req.user);
 
-    const user = await userService.blockUser(userId);
+    const user = await userService.blockUser(userId, getRequestContext(req));
 
     res.status(200).json({
       success: true,
@@ -82,11 +107,12 @@ router.post('/users/:id/block', authenticate, isAdmin, async (req, res, next) =>
 /**
  * POST /admin/users/:id/unblock - Unblock a user account
  */
-router.post('/users/:id/unblock', authenticate, isAdmin, async (req, res, next) => {
+router.post('/users/:id/unblock', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.id);
+    await roleService.assertCanManageUser(userId, req.user);
 
-    const user = await userService.unblockUser(userId);
+    const user = await userService.unblockUser(userId, getRequestContext(req));
 
     res.status(200).json({
       success: true,
@@ -102,15 +128,16 @@ router.post('/users/:id/unblock', authenticate, isAdmin, async (req, res, next)
 /**
  * DELETE /admin/users/:id - Delete a user account
  */
-router.delete('/users/:id', authenticate, isAdmin, async (req, res, next) => {
+router.delete('/users/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.id);
 
     if (userId === req.user?.id) {
       throw new ValidationError('You cannot delete your own account');
     }
+    await roleService.assertCanManageUser(userId, req.user);
 
-    await userService.deleteUserAccount(userId);
+    await userService.deleteUserAccount(userId, getRequestContext(req));
 
     res.status(200).json({
       success: true,
@@ -125,7 +152,7 @@ router.delete('/users/:id', authenticate, isAdmin, async (req, res, next) => {
 /**
  * GET /admin/stats - Get system statistics
  */
-router.get('/stats', authenticate, isAdmin, async (req, res, next) => {
+router.get('/stats', authenticate, requirePermission(PERMISSIONS.STATS_READ), async (req, res, next) => {
   try {
     const prisma = await import('../lib/prisma.js').then(m => m.default);
 
@@ -151,4 +178,410 @@ router.get('/stats', authenticate, isAdmin, async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /admin/users/:id/role - Change the role of a user
+ */
+router.put('/users/:id/role', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!role || typeof role !== 'string') {
+      throw new ValidationError('Role name is required');
+    }
+
+    if (userId === req.user?.id) {
+      throw new ValidationError('You cannot change your own role');
+    }
+
+    const user = await roleService.assignUserRole(
+      userId,
+      role.trim().toUpperCase(),
+      req.user,
+      getRequestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user: sanitizeUser(user),
+    });
+  } catch (err) {
+    logger.error('Failed to change user role', err.message);
+    next(err);
+  }
+});
+
+// ============================================================
+// ROLES & PERMISSIONS
+// ============================================================
+
+/**
+ * GET /admin/permissions - List every permission that can be granted
+ */
+router.get('/permissions', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    const permissions = await roleService.listPermissions();
+
+    res.status(200).json({
+      success: true,
+      data: permissions,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch permissions', err.message);
+    next(err);
+  }
+});
+
+/**
+ * GET /admin/roles - List roles with their permissions
+ */
+router.get('/roles', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    const roles = await roleService.listRoles();
+
+    res.status(200).json({
+      success: true,
+      data: roles,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch roles', err.message);
+    next(err);
+  }
+});
+
+/**
+ * GET /admin/roles/:id - Get a role with its permissions
+ */
+router.get('/roles/:id', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    const role = await roleService.getRoleById(parseInt(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      data: role,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch role', err.message);
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/roles - Create a custom role (e.g. MODERATOR, GUIDE)
+ */
+router.post(
+  '/roles',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateRoleCreate,
+  async (req, res, next) => {
+    try {
+      const role = await roleService.createRole(req.body, req.user, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role,
+      });
+    } catch (err) {
+      logger.error('Failed to create role', err.message);
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /admin/roles/:id - Update a role; `permissions` replaces the current set
+ */
+router.put(
+  '/roles/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateRoleUpdate,
+  async (req, res, next) => {
+    try {
+      const role = await roleService.updateRole(
+        parseInt(req.params.id),
+        req.body,
+        req.user,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: role,
+      });
+    } catch (err) {
+      logger.error('Failed to update role', err.message);
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /admin/roles/:id - Delete a custom role without users
+ */
+router.delete('/roles/:id', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res, next) => {
+  try {
+    await roleService.deleteRole(parseInt(req.params.id), getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (err) {
+    logger.error('Failed to delete role', err.message);
+    next(err);
+  }
+});
+
+// ============================================================
+// AUDIT LOG
+// ============================================================
+
+/**
+ * GET /admin/audit-logs - Query the audit log (newest first)
+ * Filters: action, entity, entityId, actorId, from, to. Paginate with `cursor` = nextCursor.
+ */
+router.get('/audit-logs', authenticate, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res, next) => {
+  try {
+    const { data, nextCursor } = await auditService.listAuditLogs(req.query);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    });
+  } catch (err) {
+    logger.error('Failed to fetch audit logs', err.message);
+    next(err);
+  }
+});
+
+/**
+ * GET /admin/audit-logs/export?format=csv|ndjson - Download every matching entry
+ * Accepts the same filters as /admin/audit-logs
+ */
+router.get('/audit-logs/export', authenticate, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res, next) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'ndjson'].includes(format)) {
+      throw new ValidationError('Export format must be csv or ndjson');
+    }
+
+    // Pull the first entry before sending headers so filter errors still become JSON
+    const logs = auditService.iterateAuditLogs(req.query);
+    const first = await logs.next();
+
+    const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const formatEntry = (log) =>
+      format === 'csv'
+        ? `${toCsvRow(AUDIT_LOG_COLUMNS.map((column) => log[column]))}\n`
+        : `${JSON.stringify(log)}\n`;
+
+    if (format === 'csv') res.write(`${toCsvRow(AUDIT_LOG_COLUMNS)}\n`);
+
+    if (!first.done) {
+      res.write(formatEntry(first.value));
+      for await (const log of logs) {
+        res.write(formatEntry(log));
+      }
+    }
+
+    res.end();
+  } catch (err) {
+    logger.error('Failed to export audit logs', err.message);
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    next(err);
+  }
+});
+
+// ============================================================
+// CURRENCIES & EXCHANGE RATES
+// ============================================================
+
+/**
+ * GET /admin/currencies - List currencies (?includeInactive=true for all)
+ */
+router.get('/currencies', authenticate, requirePermission(PERMISSIONS.CURRENCIES_MANAGE), async (req, res, next) => {
+  try {
+    const currencies = await currencyService.listCurrencies({
+      includeInactive: req.query.includeInactive === 'true',
+    });
+
+    res.status(200).json({
+      success: true,
+      data: currencies,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch currencies', err.message);
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/currencies - Add a currency (code, name, symbol)
+ */
+router.post(
+  '/currencies',
+  authenticate,
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  validateCurrencyCreate,
+  async (req, res, next) => {
+    try {
+      const currency = await currencyService.createCurrency(req.body, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Currency created successfully',
+        data: currency,
+      });
+    } catch (err) {
+      logger.error('Failed to create currency', err.message);
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /admin/currencies/:code - Rename or (de)activate a currency
+ */
+router.put(
+  '/currencies/:code',
+  authenticate,
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  validateCurrencyUpdate,
+  async (req, res, next) => {
+    try {
+      const currency = await currencyService.updateCurrency(
+        req.params.code.toUpperCase(),
+        req.body,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Currency updated successfully',
+        data: currency,
+      });
+    } catch (err) {
+      logger.error('Failed to update currency', err.message);
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /admin/exchange-rates - List rates, newest first
+ * Filters: base, quote, from, to (YYYY-MM-DD)
+ */
+router.get('/exchange-rates', authenticate, requirePermission(PERMISSIONS.CURRENCIES_MANAGE), async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), PAGINATION.MAX_LIMIT);
+
+    const { rates, total } = await currencyService.listRates(req.query, {
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rates,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Failed to fetch exchange rates', err.message);
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/exchange-rates - Set a rate from a date on (replaces that day's rate)
+ */
+router.post(
+  '/exchange-rates',
+  authenticate,
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  validateExchangeRate,
+  async (req, res, next) => {
+    try {
+      const rate = await currencyService.setRate(req.body, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Exchange rate saved',
+        data: rate,
+      });
+    } catch (err) {
+      logger.error('Failed to save exchange rate', err.message);
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /admin/exchange-rates/import - Import rates from a CSV file (multipart field `file`)
+ * Header: base,quote,rate,date
+ */
+router.post(
+  '/exchange-rates/import',
+  authenticate,
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  uploadCsv,
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new ValidationError('Attach the CSV file in the "file" field');
+      }
+
+      const result = await currencyService.importRates(req.file.buffer.toString('utf8'), getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: `${result.imported} exchange rates imported`,
+        data: result,
+      });
+    } catch (err) {
+      logger.error('Failed to import exchange rates', err.message);
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /admin/exchange-rates/:id - Delete a rate
+ */
+router.delete('/exchange-rates/:id', authenticate, requirePermission(PERMISSIONS.CURRENCIES_MANAGE), async (req, res, next) => {
+  try {
+    await currencyService.deleteRate(parseInt(req.params.id), getRequestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted',
+    });
+  } catch (err) {
+    logger.error('Failed to delete exchange rate', err.message);
+    next(err);
+  }
+});
+
 export default router;
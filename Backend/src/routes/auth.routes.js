@@ -11,6 +11,13 @@ import {
   resendOTP,
   getCurrentUser,
   revokeAllSessions,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } from '../controllers/auth.controller.js';
 import {
   validateRegister,
@@ -19,8 +26,16 @@ import {
   validatePasswordResetRequest,
   validatePasswordReset,
   validateResendOTP,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
 } from '../middleware/validation.js';
 import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  loginRateLimiter,
+  otpRequestRateLimiter,
+  otpVerifyRateLimiter,
+} from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
@@ -32,20 +47,26 @@ const router = express.Router();
 router.post('/register', validateRegister, register);
 
 // Email Verification
-router.post('/verify-email-otp', validateVerifyEmailOTP, verifyEmailOTP);
+router.post('/verify-email-otp', validateVerifyEmailOTP, otpVerifyRateLimiter, verifyEmailOTP);
 
 // Login
-router.post('/login', validateLogin, login);
+router.post('/login', validateLogin, loginRateLimiter, login);
+router.post('/login/2fa', validateTwoFactorLogin, loginRateLimiter, verifyTwoFactorLogin);
 
 // Token Refresh
 router.post('/refresh', refreshTokens);
 
 // Password Recovery
-router.post('/request-password-reset', validatePasswordResetRequest, requestPasswordReset);
-router.post('/reset-password', validatePasswordReset, resetPassword);
+router.post(
+  '/request-password-reset',
+  validatePasswordResetRequest,
+  otpRequestRateLimiter,
+  requestPasswordReset
+);
+router.post('/reset-password', validatePasswordReset, otpVerifyRateLimiter, resetPassword);
 
 // Resend OTP
-router.post('/resend-otp', validateResendOTP, resendOTP);
+router.post('/resend-otp', validateResendOTP, otpRequestRateLimiter, resendOTP);
 
 // ============================================================
 // PROTECTED ROUTES (Authentication Required)
@@ -60,4 +81,14 @@ router.post('/logout', authenticate, logout);
 // Revoke All Sessions
 router.post('/revoke-sessions', authenticate, revokeAllSessions);
 
+// Device Sessions
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
+
+// Two-Factor Authentication (TOTP)
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, validateTwoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', authenticate, validateTwoFactorDisable, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validateTwoFactorCode, regenerateRecoveryCodes);
+
 export default router;
@@ -0,0 +1,12 @@
+// src/routes/buddy.routes.js
+import express from 'express';
+import { searchBuddies } from '../controllers/buddy.controller.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Trips looking for companions, best match first
+// (?tripId= or ?destination=&startDate=&endDate=, plus ?language=&interests=a,b&page=&limit=)
+router.get('/search', authenticate, searchBuddies);
+
+export default router;
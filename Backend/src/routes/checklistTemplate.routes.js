@@ -0,0 +1,33 @@
+// src/routes/checklistTemplate.routes.js
+import express from 'express';
+import {
+  getChecklistTemplates,
+  getChecklistTemplate,
+  createChecklistTemplate,
+  updateChecklistTemplate,
+  deleteChecklistTemplate,
+} from '../controllers/checklist.controller.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  validateChecklistTemplateCreate,
+  validateChecklistTemplateUpdate,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// List system templates and my own
+router.get('/', authenticate, getChecklistTemplates);
+
+// Create a template (`items` without assignees)
+router.post('/', authenticate, validateChecklistTemplateCreate, createChecklistTemplate);
+
+// Get template with its items (system or my own)
+router.get('/:templateId', authenticate, getChecklistTemplate);
+
+// Update my template (`items` replaces the list)
+router.put('/:templateId', authenticate, validateChecklistTemplateUpdate, updateChecklistTemplate);
+
+// Delete my template
+router.delete('/:templateId', authenticate, deleteChecklistTemplate);
+
+export default router;
@@ -0,0 +1,26 @@
+// src/routes/currency.routes.js
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import currencyService from '../services/currency.service.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /currencies - Currencies that can be used for trips, expenses and preferences
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const currencies = await currencyService.listCurrencies();
+
+    res.status(200).json({
+      success: true,
+      data: currencies,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch currencies', err.message);
+    next(err);
+  }
+});
+
+export default router;
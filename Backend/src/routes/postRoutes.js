@@ -8,7 +8,14 @@ import {
   deletePost,
   getUserPosts,
 } from '../controllers/postController.js';
-import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import {
+  createComment,
+  getPostComments,
+  updateComment,
+  deleteComment,
+} from '../controllers/commentController.js';
+import { authenticate, optionalAuthenticate } from '../middleware/authMiddleware.js';
+import { validateCommentInput, validatePostTripLink } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -25,17 +32,29 @@ router.get('/:id', getPostById);
 // Get user's posts (public posts visible to all)
 router.get('/user/:userId', getUserPosts);
 
+// Get threaded comments of a post (unpublished posts only for the author or posts:moderate)
+router.get('/:id/comments', optionalAuthenticate, getPostComments);
+
 // ============================================================
 // PROTECTED ROUTES (Authentication Required)
 // ============================================================
 
-// Create post (authenticated users)
-router.post('/', authenticate, createPost);
+// Create post (authenticated users), optionally about a trip (`tripId`, `dayId`, `itemId`)
+router.post('/', authenticate, validatePostTripLink, createPost);
 
-// Update post (only author or admin)
-router.put('/:id', authenticate, updatePost);
+// Update post (only author or posts:moderate; `tripId: null` unlinks it from the trip)
+router.put('/:id', authenticate, validatePostTripLink, updatePost);
 
-// Delete post (only author or admin)
+// Delete post (only author or posts:moderate)
 router.delete('/:id', authenticate, deletePost);
 
+// Comment on a post, optionally as a reply to another comment
+router.post('/:id/comments', authenticate, validateCommentInput, createComment);
+
+// Edit comment (only author)
+router.put('/:id/comments/:commentId', authenticate, validateCommentInput, updateComment);
+
+// Delete comment (only author or posts:moderate)
+router.delete('/:id/comments/:commentId', authenticate, deleteComment);
+
 export default router;
@@ -0,0 +1,11 @@
+// src/routes/share.routes.js
+import express from 'express';
+import { getSharedTrip } from '../controllers/shareLink.controller.js';
+import { shareLinkRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Read-only trip view for anyone with the link (X-Share-Password header for protected links)
+router.get('/:token', shareLinkRateLimiter, getSharedTrip);
+
+export default router;
@@ -0,0 +1,498 @@
+// src/routes/trip.routes.js
+import express from 'express';
+import {
+  createTrip,
+  getMyTrips,
+  getTrip,
+  updateTrip,
+  deleteTrip,
+  updateItineraryDay,
+  createItineraryItem,
+  updateItineraryItem,
+  deleteItineraryItem,
+  reorderItineraryItems,
+} from '../controllers/trip.controller.js';
+import {
+  requestToJoinTrip,
+  getMyJoinRequests,
+  cancelJoinRequest,
+  getJoinRequestInbox,
+  approveJoinRequest,
+  rejectJoinRequest,
+} from '../controllers/joinRequest.controller.js';
+import {
+  getTripTemplates,
+  getTripTemplate,
+  publishTripTemplate,
+  cloneTrip,
+} from '../controllers/tripTemplate.controller.js';
+import {
+  getTripMembers,
+  updateTripMember,
+  removeTripMember,
+  leaveTrip,
+  transferTripOwnership,
+  inviteTripMember,
+  getTripInvitations,
+  revokeTripInvitation,
+  previewTripInvitation,
+  acceptTripInvitation,
+  declineTripInvitation,
+} from '../controllers/tripMember.controller.js';
+import {
+  getTripExpenses,
+  getTripExpenseTotals,
+  getTripExpense,
+  createTripExpense,
+  updateTripExpense,
+  deleteTripExpense,
+  getTripBalances,
+  getTripSettlements,
+  createTripSettlement,
+  deleteTripSettlement,
+} from '../controllers/expense.controller.js';
+import { getTripBudget, updateTripBudget, updateBudgetAlerts } from '../controllers/budget.controller.js';
+import {
+  getItineraryCalendar,
+  getCalendarSubscription,
+  resetCalendarSubscriptions,
+  importItineraryCalendar,
+} from '../controllers/calendar.controller.js';
+import {
+  getTripTracks,
+  getTripTrack,
+  uploadTripTrack,
+  updateTripTrack,
+  deleteTripTrack,
+  exportTripTrack,
+  exportTripRoute,
+} from '../controllers/track.controller.js';
+import {
+  getTripChecklists,
+  getTripChecklist,
+  createTripChecklist,
+  createTripChecklistFromTemplate,
+  updateTripChecklist,
+  deleteTripChecklist,
+  saveTripChecklistAsTemplate,
+  addTripChecklistItem,
+  updateTripChecklistItem,
+  deleteTripChecklistItem,
+  checkTripChecklistItem,
+} from '../controllers/checklist.controller.js';
+import {
+  getTripPolls,
+  getTripPoll,
+  createTripPoll,
+  deleteTripPoll,
+  voteOnTripPoll,
+  closeTripPoll,
+} from '../controllers/poll.controller.js';
+import {
+  getTripShareLinks,
+  createTripShareLink,
+  revokeTripShareLink,
+} from '../controllers/shareLink.controller.js';
+import { getTripJournal } from '../controllers/journal.controller.js';
+import {
+  getTripDocuments,
+  getTripDocument,
+  uploadTripDocument,
+  updateTripDocument,
+  deleteTripDocument,
+  setTripDocumentShares,
+  getTripDocumentDownloadUrl,
+  downloadTripDocument,
+} from '../controllers/document.controller.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { uploadIcs, uploadTrack, uploadDocument } from '../middleware/upload.js';
+import {
+  validateTripCreate,
+  validateTripUpdate,
+  validateTripTemplatePublish,
+  validateTripClone,
+  validateItineraryDayUpdate,
+  validateItineraryItemCreate,
+  validateItineraryItemUpdate,
+  validateItineraryReorder,
+  validateTripInvitation,
+  validateInvitationToken,
+  validateTripMemberRole,
+  validateOwnershipTransfer,
+  validateJoinRequest,
+  validateJoinRequestResponse,
+  validateExpenseCreate,
+  validateExpenseUpdate,
+  validateSettlement,
+  validateTripBudget,
+  validateBudgetAlerts,
+  validateTrackUpload,
+  validateTrackUpdate,
+  validateChecklistCreate,
+  validateChecklistUpdate,
+  validateChecklistItemCreate,
+  validateChecklistItemUpdate,
+  validateChecklistCheck,
+  validateChecklistFromTemplate,
+  validateChecklistTemplateUpdate,
+  validateDocumentUpload,
+  validateDocumentUpdate,
+  validateDocumentShares,
+  validatePollCreate,
+  validatePollVote,
+  validatePollClose,
+  validateShareLinkCreate,
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Calendar apps can't sign in; subscription URLs carry their own token instead
+const authenticateCalendar = (req, res, next) => (req.query.token ? next() : authenticate(req, res, next));
+
+// ============================================================
+// INVITATIONS (by emailed token, before /:id routes)
+// ============================================================
+
+// Preview an invitation (public, works before registering)
+router.get('/invitations/preview', validateInvitationToken, previewTripInvitation);
+
+// Accept an invitation (must be signed in with the invited email)
+router.post('/invitations/accept', authenticate, validateInvitationToken, acceptTripInvitation);
+
+// Decline an invitation (public, the token is enough)
+router.post('/invitations/decline', validateInvitationToken, declineTripInvitation);
+
+// ============================================================
+// JOIN REQUESTS (before /:id routes)
+// ============================================================
+
+// Requests I sent (?status=)
+router.get('/join-requests', authenticate, getMyJoinRequests);
+
+// Requests for the trips I own (?status=PENDING by default, ?tripId=)
+router.get('/join-requests/inbox', authenticate, getJoinRequestInbox);
+
+// Withdraw a pending request I sent
+router.delete('/join-requests/:requestId', authenticate, cancelJoinRequest);
+
+// ============================================================
+// CALENDAR SUBSCRIPTIONS (before /:id routes)
+// ============================================================
+
+// Revoke all of my calendar subscription URLs
+router.post('/calendar-subscriptions/reset', authenticate, resetCalendarSubscriptions);
+
+// ============================================================
+// TEMPLATES (before /:id routes)
+// ============================================================
+
+// Browse published templates (?sort=popular|recent&destination=&page=&limit=)
+router.get('/templates', authenticate, getTripTemplates);
+
+// Template itinerary by day number, without personal data
+router.get('/templates/:id', authenticate, getTripTemplate);
+
+// ============================================================
+// TRIPS
+// ============================================================
+
+// List trips I'm a member of
+router.get('/', authenticate, getMyTrips);
+
+// Create trip (itinerary days are created for every date)
+router.post('/', authenticate, validateTripCreate, createTrip);
+
+// Get trip with its full itinerary (members, or anyone for public trips)
+router.get('/:id', authenticate, getTrip);
+
+// Update trip details and dates (owner/editor; visibility is owner only)
+router.put('/:id', authenticate, validateTripUpdate, updateTrip);
+
+// Delete trip (owner only)
+router.delete('/:id', authenticate, deleteTrip);
+
+// Publish the itinerary as a template, or take it down (`published`) (owner only)
+router.put('/:id/template', authenticate, validateTripTemplatePublish, publishTripTemplate);
+
+// Start my own trip from a template (or a trip I'm on) at a new `startDate`
+router.post('/:id/clone', authenticate, validateTripClone, cloneTrip);
+
+// ============================================================
+// MEMBERS
+// ============================================================
+
+// List members with their roles (members only)
+router.get('/:id/members', authenticate, getTripMembers);
+
+// Change a member's role to EDITOR or VIEWER (owner only)
+router.put('/:id/members/:userId', authenticate, validateTripMemberRole, updateTripMember);
+
+// Remove a member (owner only)
+router.delete('/:id/members/:userId', authenticate, removeTripMember);
+
+// Leave a trip (the owner must transfer ownership first)
+router.post('/:id/leave', authenticate, leaveTrip);
+
+// Hand ownership to another member, who must already be on the trip (owner only)
+router.post('/:id/transfer-ownership', authenticate, validateOwnershipTransfer, transferTripOwnership);
+
+// Invite someone by email (owner only)
+router.post('/:id/invitations', authenticate, validateTripInvitation, inviteTripMember);
+
+// List pending invitations (owner only)
+router.get('/:id/invitations', authenticate, getTripInvitations);
+
+// Revoke a pending invitation (owner only)
+router.delete('/:id/invitations/:invitationId', authenticate, revokeTripInvitation);
+
+// Ask to join an open trip (`message`)
+router.post('/:id/join-requests', authenticate, validateJoinRequest, requestToJoinTrip);
+
+// Approve a request, adding the traveller as a member (`role`, `responseMessage`) (owner only)
+router.post(
+  '/:id/join-requests/:requestId/approve',
+  authenticate,
+  validateJoinRequestResponse,
+  approveJoinRequest
+);
+
+// Reject a request (`responseMessage`) (owner only)
+router.post(
+  '/:id/join-requests/:requestId/reject',
+  authenticate,
+  validateJoinRequestResponse,
+  rejectJoinRequest
+);
+
+// ============================================================
+// ITINERARY (owner/editor)
+// ============================================================
+
+// Update day title/notes
+router.put('/:id/days/:dayId', authenticate, validateItineraryDayUpdate, updateItineraryDay);
+
+// Add item to the end of a day
+router.post('/:id/days/:dayId/items', authenticate, validateItineraryItemCreate, createItineraryItem);
+
+// Reorder the items of a day
+router.put('/:id/days/:dayId/items/order', authenticate, validateItineraryReorder, reorderItineraryItems);
+
+// Update item (set dayId to move it to another day)
+router.put('/:id/items/:itemId', authenticate, validateItineraryItemUpdate, updateItineraryItem);
+
+// Delete item
+router.delete('/:id/items/:itemId', authenticate, deleteItineraryItem);
+
+// ============================================================
+// CALENDAR
+// ============================================================
+
+// Itinerary as an .ics file (signed in, or ?token= from a subscription URL)
+router.get('/:id/itinerary.ics', authenticateCalendar, getItineraryCalendar);
+
+// My secret subscription URL for calendar apps (members only)
+router.get('/:id/calendar-subscription', authenticate, getCalendarSubscription);
+
+// Add or update itinerary items from an .ics file (owner/editor)
+router.post('/:id/itinerary/import', authenticate, uploadIcs, importItineraryCalendar);
+
+// ============================================================
+// GPS TRACKS
+// ============================================================
+
+// List tracks with distance and elevation stats (?dayId=)
+router.get('/:id/tracks', authenticate, getTripTracks);
+
+// Upload a .gpx or .kml file (multipart `file`, optional `name` and `dayId`) (owner/editor)
+router.post('/:id/tracks', authenticate, uploadTrack, validateTrackUpload, uploadTripTrack);
+
+// Planned route as GPX or KML: tracks plus items with coordinates (?format=gpx|kml&dayId=)
+router.get('/:id/route/export', authenticate, exportTripRoute);
+
+// Get track with its points
+router.get('/:id/tracks/:trackId', authenticate, getTripTrack);
+
+// Download one track as GPX or KML (?format=gpx|kml)
+router.get('/:id/tracks/:trackId/export', authenticate, exportTripTrack);
+
+// Rename a track or move it to another day (owner/editor)
+router.put('/:id/tracks/:trackId', authenticate, validateTrackUpdate, updateTripTrack);
+
+// Delete track (owner/editor)
+router.delete('/:id/tracks/:trackId', authenticate, deleteTripTrack);
+
+// ============================================================
+// CHECKLISTS (members only)
+// ============================================================
+
+// List checklists with their items and progress
+router.get('/:id/checklists', authenticate, getTripChecklists);
+
+// Create checklist, optionally with `items` (owner/editor)
+router.post('/:id/checklists', authenticate, validateChecklistCreate, createTripChecklist);
+
+// Copy a system or personal template into the trip (owner/editor)
+router.post(
+  '/:id/checklists/from-template',
+  authenticate,
+  validateChecklistFromTemplate,
+  createTripChecklistFromTemplate
+);
+
+// Get checklist with its items
+router.get('/:id/checklists/:checklistId', authenticate, getTripChecklist);
+
+// Rename or change the kind of a checklist (owner/editor)
+router.put('/:id/checklists/:checklistId', authenticate, validateChecklistUpdate, updateTripChecklist);
+
+// Delete checklist (owner/editor)
+router.delete('/:id/checklists/:checklistId', authenticate, deleteTripChecklist);
+
+// Save a checklist as one of my templates (assignees are left out)
+router.post(
+  '/:id/checklists/:checklistId/save-as-template',
+  authenticate,
+  validateChecklistTemplateUpdate,
+  saveTripChecklistAsTemplate
+);
+
+// Add item (owner/editor)
+router.post('/:id/checklists/:checklistId/items', authenticate, validateChecklistItemCreate, addTripChecklistItem);
+
+// Update item, including its assignee (owner/editor)
+router.put(
+  '/:id/checklists/:checklistId/items/:itemId',
+  authenticate,
+  validateChecklistItemUpdate,
+  updateTripChecklistItem
+);
+
+// Delete item (owner/editor)
+router.delete('/:id/checklists/:checklistId/items/:itemId', authenticate, deleteTripChecklistItem);
+
+// Check or uncheck an item (unassigned items or my own; owner/editor any)
+router.put(
+  '/:id/checklists/:checklistId/items/:itemId/check',
+  authenticate,
+  validateChecklistCheck,
+  checkTripChecklistItem
+);
+
+// ============================================================
+// POLLS (members only)
+// ============================================================
+
+// List polls with results (?status=open|closed)
+router.get('/:id/polls', authenticate, getTripPolls);
+
+// Ask the group (`question`, `options`, `multipleChoice`, `anonymous`, `deadline`)
+router.post('/:id/polls', authenticate, validatePollCreate, createTripPoll);
+
+// Get poll with results
+router.get('/:id/polls/:pollId', authenticate, getTripPoll);
+
+// Delete poll (creator, owner or editors)
+router.delete('/:id/polls/:pollId', authenticate, deleteTripPoll);
+
+// Replace my votes (`optionIds`, [] to withdraw)
+router.put('/:id/polls/:pollId/vote', authenticate, validatePollVote, voteOnTripPoll);
+
+// Close voting, optionally adding the winner to the itinerary (creator, owner or editors)
+router.post('/:id/polls/:pollId/close', authenticate, validatePollClose, closeTripPoll);
+
+// ============================================================
+// JOURNAL (anyone who can view the trip)
+// ============================================================
+
+// Published posts about the trip, oldest first (?page=&limit=)
+router.get('/:id/journal', authenticate, getTripJournal);
+
+// ============================================================
+// SHARE LINKS (owner only; opened through /api/share/:token)
+// ============================================================
+
+// List share links with their status and visit counts
+router.get('/:id/share-links', authenticate, getTripShareLinks);
+
+// Create a read-only link (`label`, `expiresAt`, `password`); the URL is only returned once
+router.post('/:id/share-links', authenticate, validateShareLinkCreate, createTripShareLink);
+
+// Revoke a share link
+router.delete('/:id/share-links/:linkId', authenticate, revokeTripShareLink);
+
+// ============================================================
+// DOCUMENTS (members only; each member sees their own and those shared with them)
+// ============================================================
+
+// List my documents and the ones shared with me
+router.get('/:id/documents', authenticate, getTripDocuments);
+
+// Upload a PDF or image (multipart: file, title?, category?)
+router.post('/:id/documents', authenticate, uploadDocument, validateDocumentUpload, uploadTripDocument);
+
+// Get document details
+router.get('/:id/documents/:documentId', authenticate, getTripDocument);
+
+// Rename or recategorize my document
+router.put('/:id/documents/:documentId', authenticate, validateDocumentUpdate, updateTripDocument);
+
+// Delete my document and its file
+router.delete('/:id/documents/:documentId', authenticate, deleteTripDocument);
+
+// Replace the members my document is shared with (`userIds`, [] for private)
+router.put('/:id/documents/:documentId/shares', authenticate, validateDocumentShares, setTripDocumentShares);
+
+// Short-lived signed download link
+router.get('/:id/documents/:documentId/download-url', authenticate, getTripDocumentDownloadUrl);
+
+// Download the file (?token= from the signed link, no session needed)
+router.get('/:id/documents/:documentId/download', downloadTripDocument);
+
+// ============================================================
+// EXPENSES (members only)
+// ============================================================
+
+// List expenses (?category=FOOD)
+router.get('/:id/expenses', authenticate, getTripExpenses);
+
+// Add expense with an EQUAL, PERCENTAGE or EXACT split
+router.post('/:id/expenses', authenticate, validateExpenseCreate, createTripExpense);
+
+// Totals converted to my preferred currency (?currency= to override)
+router.get('/:id/expenses/totals', authenticate, getTripExpenseTotals);
+
+// Get expense with its shares
+router.get('/:id/expenses/:expenseId', authenticate, getTripExpense);
+
+// Update expense (owner/editor, or whoever added or paid it)
+router.put('/:id/expenses/:expenseId', authenticate, validateExpenseUpdate, updateTripExpense);
+
+// Delete expense (owner/editor, or whoever added or paid it)
+router.delete('/:id/expenses/:expenseId', authenticate, deleteTripExpense);
+
+// Net balances and suggested settle-up transfers, per currency
+router.get('/:id/balances', authenticate, getTripBalances);
+
+// List settlements
+router.get('/:id/settlements', authenticate, getTripSettlements);
+
+// Mark a settlement as paid (payer, recipient or owner)
+router.post('/:id/settlements', authenticate, validateSettlement, createTripSettlement);
+
+// Remove a settlement recorded by mistake (recorder or owner)
+router.delete('/:id/settlements/:settlementId', authenticate, deleteTripSettlement);
+
+// ============================================================
+// BUDGET (members only)
+// ============================================================
+
+// Spent vs. remaining by category and by day, in the trip currency
+router.get('/:id/budget', authenticate, getTripBudget);
+
+// Set total/category budgets, null removes one (owner only)
+router.put('/:id/budget', authenticate, validateTripBudget, updateTripBudget);
+
+// Opt in or out of 80%/100% budget alert emails
+router.put('/:id/budget/alerts', authenticate, validateBudgetAlerts, updateBudgetAlerts);
+
+export default router;
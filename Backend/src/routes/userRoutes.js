@@ -6,15 +6,30 @@ import {
   updateAvatar,
   changePassword,
   deleteAccount,
+  requestEmailChange,
+  confirmEmailChange,
+  revokeEmailChange,
 } from '../controllers/userController.js';
+import { getBlockedUsers, addBlockedUser, removeBlockedUser } from '../controllers/buddy.controller.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import {
   validateProfileUpdate,
   validateChangePassword,
+  validateEmailChangeRequest,
+  validateEmailChangeConfirm,
+  validateUserBlock,
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
+// ============================================================
+// PUBLIC ROUTES (No Authentication Required)
+// ============================================================
+
+// Revoke an email change with the `token` from the link sent to the old address
+// (the link opens CLIENT_URL/email-change/revoke, which posts the token here)
+router.post('/email-change/revoke', revokeEmailChange);
+
 // ============================================================
 // PROTECTED ROUTES (Authentication Required)
 // ============================================================
@@ -22,6 +37,11 @@ const router = express.Router();
 // Get own profile
 router.get('/profile', authenticate, getUserProfile);
 
+// Users I blocked; blocking hides us from each other in buddy search
+router.get('/blocks', authenticate, getBlockedUsers);
+router.post('/blocks', authenticate, validateUserBlock, addBlockedUser);
+router.delete('/blocks/:userId', authenticate, removeBlockedUser);
+
 // Get other user's profile (public but authenticated can view)
 router.get('/:id', authenticate, getUserProfile);
 
@@ -34,6 +54,10 @@ router.put('/avatar', authenticate, updateAvatar);
 // Change password
 router.post('/change-password', authenticate, validateChangePassword, changePassword);
 
+// Change email (code is sent to the new address)
+router.post('/email-change', authenticate, validateEmailChangeRequest, requestEmailChange);
+router.post('/email-change/confirm', authenticate, validateEmailChangeConfirm, confirmEmailChange);
+
 // Delete account (self-destructing)
 router.delete('/account', authenticate, deleteAccount);
 
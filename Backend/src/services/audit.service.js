@@ -0,0 +1,119 @@
+import prisma from "../lib/prisma.js";
+import { ValidationError } from "../utils/errors.js";
+import { PAGINATION } from "../utils/constants.js";
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseId = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new ValidationError(`${name} must be a positive integer.`);
+  }
+  return id;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date.`);
+  }
+  return date;
+};
+
+/**
+ * Turn query string filters into a Prisma where clause.
+ * A date-only `to` (YYYY-MM-DD) includes that whole day.
+ */
+const buildWhere = ({ action, entity, entityId, actorId, from, to } = {}) => {
+  const where = {};
+
+  if (action) where.action = String(action).toUpperCase();
+  if (entity) where.entity = String(entity);
+
+  const parsedEntityId = parseId(entityId, "entityId");
+  if (parsedEntityId !== undefined) where.entityId = parsedEntityId;
+
+  const parsedActorId = parseId(actorId, "actorId");
+  if (parsedActorId !== undefined) where.actorId = parsedActorId;
+
+  const fromDate = parseDate(from, "from");
+  let toDate = parseDate(to, "to");
+  if (toDate && DATE_ONLY_REGEX.test(to)) {
+    toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  if (fromDate && toDate && fromDate >= toDate) {
+    throw new ValidationError("from must be before to.");
+  }
+
+  if (fromDate || toDate) {
+    where.createdAt = {
+      ...(fromDate && { gte: fromDate }),
+      ...(toDate && { lt: toDate }),
+    };
+  }
+
+  return where;
+};
+
+/**
+ * Read-only access to the audit trail, newest entries first.
+ * Pages are keyed by entry id so new entries never shift a page.
+ */
+const auditService = {
+  async listAuditLogs(filters = {}) {
+    const where = buildWhere(filters);
+    const cursor = parseId(filters.cursor, "cursor");
+    const limit = Math.min(
+      parseId(filters.limit, "limit") || PAGINATION.DEFAULT_LIMIT,
+      PAGINATION.MAX_LIMIT
+    );
+
+    // Fetch one extra row to know whether there is a next page
+    const logs = await prisma.auditLog.findMany({
+      where: {
+        ...where,
+        ...(cursor && { id: { lt: cursor } }),
+      },
+      orderBy: { id: "desc" },
+      take: limit + 1,
+    });
+
+    const hasMore = logs.length > limit;
+    const data = hasMore ? logs.slice(0, limit) : logs;
+
+    return {
+      data,
+      nextCursor: hasMore ? data[data.length - 1].id : null,
+    };
+  },
+
+  /**
+   * Walk every matching entry in batches, for exports
+   */
+  async *iterateAuditLogs(filters = {}) {
+    const where = buildWhere(filters);
+    let cursor;
+
+    while (true) {
+      const batch = await prisma.auditLog.findMany({
+        where: {
+          ...where,
+          ...(cursor && { id: { lt: cursor } }),
+        },
+        orderBy: { id: "desc" },
+        take: PAGINATION.EXPORT_BATCH_SIZE,
+      });
+
+      if (batch.length === 0) return;
+      yield* batch;
+
+      if (batch.length < PAGINATION.EXPORT_BATCH_SIZE) return;
+      cursor = batch[batch.length - 1].id;
+    }
+  },
+};
+
+export default auditService;
@@ -0,0 +1,278 @@
+import prisma from "../lib/prisma.js";
+import { parseDateOnly, formatDateOnly, daysBetween } from "../lib/dates.js";
+import { isValidDateOnly } from "../lib/validation.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { BUDDY_SEARCH, LANGUAGES } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const { WEIGHTS } = BUDDY_SEARCH;
+
+const travellerSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+  language: true,
+  profile: { select: { location: true, interests: true } },
+};
+
+const normalize = (value) => value.trim().toLowerCase();
+
+/**
+ * How well two destinations match: 1 for the same place, 0.6 when one
+ * contains the other ("Pokhara" / "Pokhara, Nepal"), 0.3 for a shared word
+ */
+const destinationScore = (wanted, destination) => {
+  const a = normalize(wanted);
+  const b = normalize(destination);
+  if (a === b) return 1;
+  if (a.includes(b) || b.includes(a)) return 0.6;
+
+  const words = new Set(a.split(/[^\p{L}\p{N}]+/u).filter((word) => word.length > 2));
+  return b.split(/[^\p{L}\p{N}]+/u).some((word) => words.has(word)) ? 0.3 : 0;
+};
+
+/**
+ * Days two date ranges have in common (0 when they don't overlap)
+ */
+const overlapDays = (startA, endA, startB, endB) => {
+  const start = startA > startB ? startA : startB;
+  const end = endA < endB ? endA : endB;
+  return Math.max(daysBetween(start, end) + 1, 0);
+};
+
+/**
+ * Work out what to search for: the destination and dates of one of my trips
+ * (?tripId=), or ?destination= and/or ?startDate=&endDate=. Language and
+ * interests default to my own profile.
+ */
+const parseSearchCriteria = async (userId, query, me) => {
+  const criteria = {};
+
+  if (query.tripId !== undefined) {
+    const trip = await tripService.getTripForUser(query.tripId, userId, "MEMBER");
+    Object.assign(criteria, {
+      tripId: trip.id,
+      destination: trip.destination,
+      startDate: trip.startDate,
+      endDate: trip.endDate,
+    });
+  } else {
+    if (query.destination && String(query.destination).trim()) {
+      criteria.destination = String(query.destination).trim();
+    }
+    if (query.startDate !== undefined || query.endDate !== undefined) {
+      if (!isValidDateOnly(query.startDate) || !isValidDateOnly(query.endDate)) {
+        throw new ValidationError("startDate and endDate must both be dates in YYYY-MM-DD format.");
+      }
+      criteria.startDate = parseDateOnly(query.startDate);
+      criteria.endDate = parseDateOnly(query.endDate);
+      if (criteria.endDate < criteria.startDate) {
+        throw new ValidationError("endDate cannot be before startDate.");
+      }
+    }
+  }
+
+  if (!criteria.destination && !criteria.startDate) {
+    throw new ValidationError("Search by tripId, or by destination and/or startDate and endDate.");
+  }
+
+  criteria.language = me.language;
+  if (query.language !== undefined) {
+    criteria.language = String(query.language).toUpperCase();
+    if (!LANGUAGES.includes(criteria.language)) {
+      throw new ValidationError(`language must be one of: ${LANGUAGES.join(", ")}.`);
+    }
+  }
+
+  criteria.interests =
+    query.interests !== undefined
+      ? String(query.interests).split(",").map(normalize).filter(Boolean)
+      : me.profile?.interests || [];
+
+  return criteria;
+};
+
+/**
+ * Score one trip against the search (0-100) and explain the match
+ */
+const scoreTrip = (trip, criteria) => {
+  const destination = criteria.destination ? destinationScore(criteria.destination, trip.destination) : 0;
+
+  const overlap = criteria.startDate
+    ? overlapDays(criteria.startDate, criteria.endDate, trip.startDate, trip.endDate)
+    : 0;
+  const shorterTrip = criteria.startDate
+    ? Math.min(daysBetween(criteria.startDate, criteria.endDate), daysBetween(trip.startDate, trip.endDate)) + 1
+    : 1;
+
+  const sameLanguage = trip.owner.language === criteria.language;
+
+  const theirInterests = new Set(trip.owner.profile?.interests || []);
+  const sharedInterests = criteria.interests.filter((interest) => theirInterests.has(interest));
+
+  const score =
+    WEIGHTS.DESTINATION * destination +
+    WEIGHTS.DATES * (overlap / shorterTrip) +
+    WEIGHTS.LANGUAGE * (sameLanguage ? 1 : 0) +
+    WEIGHTS.INTERESTS * (criteria.interests.length ? sharedInterests.length / criteria.interests.length : 0);
+
+  return {
+    score: Math.round(score),
+    match: {
+      destination: destination === 1 ? "EXACT" : destination > 0 ? "PARTIAL" : null,
+      overlapDays: overlap,
+      sameLanguage,
+      sharedInterests,
+    },
+  };
+};
+
+const buddyService = {
+  // ========== SEARCH ==========
+
+  /**
+   * Upcoming trips whose owners are looking for companions, best match first.
+   * Users who turned off `discoverable`, are inactive, or blocked me (or I
+   * blocked them) never show up, and neither do trips I'm already on.
+   * Only the soonest BUDDY_SEARCH.MAX_CANDIDATES matching trips are ranked;
+   * `truncated` tells when more trips matched than that.
+   */
+  async searchBuddies(userId, query = {}, { skip = 0, take = 10 } = {}) {
+    const me = await prisma.user.findUnique({
+      where: { id: Number(userId) },
+      select: { language: true, profile: { select: { interests: true } } },
+    });
+    if (!me) throw new NotFoundError("User not found.");
+
+    // 1. Work out what to match against
+    const criteria = await parseSearchCriteria(userId, query, me);
+
+    // 2. Candidate trips: flagged, not over yet, matching the destination or dates
+    const matches = [];
+    if (criteria.destination) {
+      matches.push({ destination: { contains: criteria.destination, mode: "insensitive" } });
+      for (const word of criteria.destination.split(/[^\p{L}\p{N}]+/u).filter((part) => part.length > 2)) {
+        matches.push({ destination: { contains: word, mode: "insensitive" } });
+      }
+    }
+    if (criteria.startDate) {
+      matches.push({ startDate: { lte: criteria.endDate }, endDate: { gte: criteria.startDate } });
+    }
+
+    const where = {
+      lookingForCompanions: true,
+      endDate: { gte: parseDateOnly(formatDateOnly(new Date())) },
+      members: { none: { userId: Number(userId) } },
+      owner: {
+        isActive: true,
+        OR: [{ profile: { is: null } }, { profile: { is: { discoverable: true } } }],
+        blocksMade: { none: { blockedId: Number(userId) } },
+        blocksReceived: { none: { blockerId: Number(userId) } },
+      },
+      OR: matches,
+    };
+
+    const [trips, matchCount] = await Promise.all([
+      prisma.trip.findMany({
+        where,
+        select: {
+          id: true,
+          title: true,
+          destination: true,
+          startDate: true,
+          endDate: true,
+          coverImage: true,
+          _count: { select: { members: true } },
+          owner: { select: travellerSelect },
+        },
+        orderBy: { startDate: "asc" },
+        take: BUDDY_SEARCH.MAX_CANDIDATES,
+      }),
+      prisma.trip.count({ where }),
+    ]);
+
+    // 3. Rank them
+    const results = trips
+      .map(({ owner, _count, ...trip }) => ({
+        trip: { ...trip, memberCount: _count.members },
+        traveller: {
+          id: owner.id,
+          firstName: owner.firstName,
+          lastName: owner.lastName,
+          avatar: owner.avatar,
+          language: owner.language,
+          location: owner.profile?.location ?? null,
+          interests: owner.profile?.interests || [],
+        },
+        ...scoreTrip({ ...trip, owner }, criteria),
+      }))
+      .sort((a, b) => b.score - a.score || a.trip.startDate - b.trip.startDate);
+
+    return {
+      results: results.slice(skip, skip + take),
+      total: results.length,
+      truncated: matchCount > trips.length,
+    };
+  },
+
+  // ========== BLOCKED USERS ==========
+
+  async listBlockedUsers(userId) {
+    const blocks = await prisma.userBlock.findMany({
+      where: { blockerId: Number(userId) },
+      select: {
+        createdAt: true,
+        blocked: { select: { id: true, firstName: true, lastName: true, avatar: true } },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return blocks.map((block) => ({ ...block.blocked, blockedAt: block.createdAt }));
+  },
+
+  /**
+   * Hide a user from me and me from them (buddy search, join requests)
+   */
+  async blockUser(userId, blockedId) {
+    if (Number(blockedId) === Number(userId)) {
+      throw new ValidationError("You can't block yourself.");
+    }
+    const user = await prisma.user.findUnique({ where: { id: Number(blockedId) }, select: { id: true } });
+    if (!user) throw new NotFoundError("User not found.");
+
+    await prisma.userBlock.upsert({
+      where: { blockerId_blockedId: { blockerId: Number(userId), blockedId: user.id } },
+      update: {},
+      create: { blockerId: Number(userId), blockedId: user.id },
+    });
+
+    logger.info(`User ${userId} blocked user ${user.id}`);
+  },
+
+  async unblockUser(userId, blockedId) {
+    const { count } = await prisma.userBlock.deleteMany({
+      where: { blockerId: Number(userId), blockedId: Number(blockedId) },
+    });
+    if (count === 0) throw new NotFoundError("This user isn't blocked.");
+  },
+
+  /**
+   * Whether either user has blocked the other
+   */
+  async isBlockedBetween(userId, otherUserId) {
+    const block = await prisma.userBlock.findFirst({
+      where: {
+        OR: [
+          { blockerId: Number(userId), blockedId: Number(otherUserId) },
+          { blockerId: Number(otherUserId), blockedId: Number(userId) },
+        ],
+      },
+      select: { id: true },
+    });
+    return Boolean(block);
+  },
+};
+
+export default buddyService;
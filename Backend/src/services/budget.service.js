@@ -0,0 +1,270 @@
+import prisma from "../lib/prisma.js";
+import { formatDateOnly, eachDateBetween } from "../lib/dates.js";
+import { toCents, fromCents } from "../lib/expenses.js";
+import { sendBudgetAlertEmail } from "../lib/email.js";
+import { isValidCurrencyCode } from "../lib/validation.js";
+import { ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getClientUrl } from "../utils/helpers.js";
+import {
+  AUDIT_ACTIONS,
+  BUDGET_ALERT_THRESHOLDS,
+  EXPENSE_CATEGORIES,
+} from "../utils/constants.js";
+import tripService from "./trip.service.js";
+import currencyService from "./currency.service.js";
+
+const categoryLabel = (category) =>
+  category ? `${category.charAt(0)}${category.slice(1).toLowerCase()} budget` : "Total budget";
+
+/**
+ * Highest alert threshold reached by the spending, or 0
+ */
+const reachedLevel = (spentCents, budgetCents) =>
+  BUDGET_ALERT_THRESHOLDS.filter((threshold) => spentCents * 100 >= budgetCents * threshold).pop() || 0;
+
+/**
+ * Spending of a trip in cents, in total, per category and per day, in the
+ * currency of `convert` (from currencyService.getConverter). Expenses
+ * without an exchange rate are left out and returned in `unconverted`.
+ */
+const computeSpending = async (trip, convert) => {
+  const expenses = await prisma.expense.findMany({
+    where: { tripId: trip.id },
+    select: { id: true, amount: true, currency: true, category: true, expenseDate: true },
+    orderBy: { expenseDate: "asc" },
+  });
+
+  const spending = {
+    total: 0,
+    byCategory: Object.fromEntries(EXPENSE_CATEGORIES.map((category) => [category, 0])),
+    byDay: new Map(),
+    unconverted: [],
+  };
+
+  for (const expense of expenses) {
+    const converted = convert(expense.amount, expense.currency, expense.expenseDate);
+    if (!converted) {
+      spending.unconverted.push(expense);
+      continue;
+    }
+
+    const cents = toCents(converted.amount);
+    const date = formatDateOnly(expense.expenseDate);
+    if (!spending.byDay.has(date)) spending.byDay.set(date, { total: 0, byCategory: {} });
+    const day = spending.byDay.get(date);
+
+    spending.total += cents;
+    spending.byCategory[expense.category] += cents;
+    day.total += cents;
+    day.byCategory[expense.category] = (day.byCategory[expense.category] || 0) + cents;
+  }
+
+  return spending;
+};
+
+const describeBudget = (budgetCents, spentCents) => ({
+  budget: budgetCents === null ? null : fromCents(budgetCents),
+  spent: fromCents(spentCents),
+  remaining: budgetCents === null ? null : fromCents(budgetCents - spentCents),
+  percentUsed: budgetCents ? Math.round((spentCents / budgetCents) * 1000) / 10 : null,
+});
+
+const budgetService = {
+  // ========== REPORT ==========
+
+  /**
+   * Spent vs. remaining by category and by day, in the user's preferred
+   * currency unless `currency` is given. Expenses are converted with the rate
+   * in effect on each expense date; budgets, which are set in the trip's
+   * currency, with today's rate. With a total budget, each trip day gets an
+   * equal share of it.
+   */
+  async getBudgetReport(tripId, user, { currency } = {}) {
+    const trip = await tripService.getTripForUser(tripId, user.id, "MEMBER");
+
+    const target = currency === undefined ? user.preferredCurrency : String(currency).toUpperCase();
+    if (!isValidCurrencyCode(target)) {
+      throw new ValidationError("currency must be a 3-letter currency code.");
+    }
+
+    const [budgets, member, convert] = await Promise.all([
+      prisma.tripBudget.findMany({ where: { tripId: trip.id } }),
+      prisma.tripMember.findUnique({
+        where: { tripId_userId: { tripId: trip.id, userId: Number(user.id) } },
+        select: { budgetAlerts: true },
+      }),
+      currencyService.getConverter(target),
+    ]);
+    const spending = await computeSpending(trip, convert);
+
+    const today = new Date();
+    const budgetCents = (category) => {
+      const budget = budgets.find((entry) => entry.category === category);
+      if (!budget) return null;
+
+      const converted = convert(budget.amount, trip.currency, today);
+      if (!converted) {
+        throw new ValidationError(`No exchange rate from ${trip.currency} to ${target} to convert the budgets.`);
+      }
+      return toCents(converted.amount);
+    };
+
+    // 1. Every trip date is listed, plus dates outside the trip that have spending
+    const tripDates = eachDateBetween(trip.startDate, trip.endDate).map(formatDateOnly);
+    const dates = [...new Set([...tripDates, ...spending.byDay.keys()])].sort();
+
+    const totalBudget = budgetCents(null);
+    const dailyBudget = totalBudget === null ? null : Math.floor(totalBudget / tripDates.length);
+
+    return {
+      currency: target,
+      tripCurrency: trip.currency,
+      alertsEnabled: member.budgetAlerts,
+      total: describeBudget(totalBudget, spending.total),
+      categories: EXPENSE_CATEGORIES.map((category) => ({
+        category,
+        ...describeBudget(budgetCents(category), spending.byCategory[category]),
+      })),
+      days: dates.map((date) => {
+        const day = spending.byDay.get(date) || { total: 0, byCategory: {} };
+        const inTrip = tripDates.includes(date);
+
+        return {
+          date,
+          inTrip,
+          ...describeBudget(inTrip ? dailyBudget : null, day.total),
+          byCategory: Object.fromEntries(
+            Object.entries(day.byCategory).map(([category, cents]) => [category, fromCents(cents)])
+          ),
+        };
+      }),
+      unconverted: spending.unconverted,
+    };
+  },
+
+  // ========== BUDGETS ==========
+
+  /**
+   * Set the total and/or category budgets, in the trip's currency; null
+   * removes a budget. Returns the report in the user's preferred currency.
+   * @param {object} data - { total?: string|null, categories?: { [category]: string|null } }
+   */
+  async setBudget(tripId, user, { total, categories = {} }, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, user.id, "OWNER");
+
+    const changes = Object.entries(categories);
+    if (total !== undefined) changes.unshift([null, total]);
+
+    await prisma.$transaction(async (tx) => {
+      for (const [category, amount] of changes) {
+        if (amount === null) {
+          await tx.tripBudget.deleteMany({ where: { tripId: trip.id, category } });
+          continue;
+        }
+
+        // The total budget has a null category, which a compound unique key can't match
+        const existing = await tx.tripBudget.findFirst({ where: { tripId: trip.id, category } });
+        if (existing) {
+          await tx.tripBudget.update({ where: { id: existing.id }, data: { amount } });
+        } else {
+          await tx.tripBudget.create({ data: { tripId: trip.id, category, amount } });
+        }
+      }
+
+      await tx.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.UPDATE_TRIP_BUDGET,
+          entity: "Trip",
+          entityId: trip.id,
+          details: `Budget updated: ${changes
+            .map(([category, amount]) => `${category || "TOTAL"}=${amount ?? "removed"}`)
+            .join(", ")} (${trip.currency}).`,
+          ...context,
+        },
+      });
+    });
+
+    // A lower budget may already be exceeded
+    await this.checkBudgetAlerts(trip.id);
+
+    return this.getBudgetReport(trip.id, user);
+  },
+
+  async setBudgetAlerts(tripId, userId, enabled) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    await prisma.tripMember.update({
+      where: { tripId_userId: { tripId: trip.id, userId: Number(userId) } },
+      data: { budgetAlerts: enabled },
+    });
+
+    return { budgetAlerts: enabled };
+  },
+
+  // ========== ALERTS ==========
+
+  /**
+   * Email opted-in members when spending crosses 80% or 100% of a budget.
+   * Each threshold is only sent once; if spending drops back below it (or the
+   * budget is raised) it can be sent again later. Runs after every expense
+   * change and never throws, so a mail problem can't fail the expense.
+   */
+  async checkBudgetAlerts(tripId) {
+    try {
+      const trip = await prisma.trip.findUnique({
+        where: { id: Number(tripId) },
+        include: { budgets: true },
+      });
+      if (!trip || trip.budgets.length === 0) return;
+
+      const spending = await computeSpending(trip, await currencyService.getConverter(trip.currency));
+      const alerts = [];
+
+      for (const budget of trip.budgets) {
+        const spent = budget.category ? spending.byCategory[budget.category] : spending.total;
+        const level = reachedLevel(spent, toCents(budget.amount));
+        if (level === budget.alertLevel) continue;
+
+        // Only the request that moves the level sends the email
+        const { count } = await prisma.tripBudget.updateMany({
+          where: { id: budget.id, alertLevel: budget.alertLevel },
+          data: { alertLevel: level },
+        });
+        if (count === 1 && level > budget.alertLevel) {
+          alerts.push({ budget, level, spent });
+        }
+      }
+
+      if (alerts.length === 0) return;
+
+      const recipients = await prisma.tripMember.findMany({
+        where: { tripId: trip.id, budgetAlerts: true },
+        include: { user: { select: { email: true } } },
+      });
+
+      for (const { budget, level, spent } of alerts) {
+        for (const recipient of recipients) {
+          try {
+            await sendBudgetAlertEmail(recipient.user.email, {
+              tripTitle: trip.title,
+              budgetName: categoryLabel(budget.category),
+              threshold: level,
+              spent: fromCents(spent),
+              budget: Number(budget.amount),
+              currency: trip.currency,
+              tripUrl: `${getClientUrl()}/trips/${trip.id}/budget`,
+            });
+          } catch (err) {
+            logger.error(`Failed to send budget alert to user ${recipient.userId}`, err.message);
+          }
+        }
+        logger.info(`Trip ${trip.id} ${categoryLabel(budget.category)} reached ${level}%`);
+      }
+    } catch (err) {
+      logger.error(`Budget alert check failed for trip ${tripId}`, err.message);
+    }
+  },
+};
+
+export default budgetService;
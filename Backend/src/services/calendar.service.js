@@ -0,0 +1,296 @@
+import prisma from "../lib/prisma.js";
+import { formatDateOnly, addDays } from "../lib/dates.js";
+import { buildCalendar, parseCalendar, resolveEventTimes } from "../lib/ical.js";
+import { generatePurposeToken, verifyPurposeToken } from "../lib/auth.js";
+import { ValidationError, NotFoundError, AuthenticationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getApiUrl } from "../utils/helpers.js";
+import { AUDIT_ACTIONS, ICS_IMPORT, TOKEN_EXPIRY, TRIP_LIMITS } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const FEED_TOKEN_PURPOSE = "calendar-feed";
+
+// First keyword found in an event's summary or location decides the item type
+const ITEM_TYPE_KEYWORDS = [
+  ["TRANSPORT", /\b(flight|airport|train|bus|ferry|taxi|jeep|transfer|departure|arrival)\b/i],
+  ["LODGING", /\b(hotel|hostel|lodge|guest ?house|teahouse|check-?in|check-?out|stay)\b/i],
+  ["FOOD", /\b(breakfast|lunch|dinner|restaurant|cafe|café)\b/i],
+];
+
+const guessItemType = (event) =>
+  ITEM_TYPE_KEYWORDS.find(([, regex]) => regex.test(`${event.summary} ${event.location || ""}`))?.[0] ||
+  "ACTIVITY";
+
+const fileName = (trip) =>
+  `${trip.title.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || "trip"}.ics`;
+
+/**
+ * Itinerary of a trip as iCalendar events: one all-day event for the whole
+ * trip, timed events for items with a start time and all-day events for the rest.
+ */
+const renderCalendar = async (tripId) => {
+  const trip = await prisma.trip.findUnique({
+    where: { id: Number(tripId) },
+    include: {
+      days: {
+        orderBy: { date: "asc" },
+        include: { items: { orderBy: [{ position: "asc" }, { id: "asc" }] } },
+      },
+    },
+  });
+
+  const events = [
+    {
+      uid: `trip-${trip.id}@tripmate`,
+      stamp: trip.updatedAt,
+      summary: trip.title,
+      description: trip.description,
+      location: trip.destination,
+      start: { date: formatDateOnly(trip.startDate) },
+      end: { date: formatDateOnly(addDays(trip.endDate, 1)) },
+    },
+  ];
+
+  for (const day of trip.days) {
+    const date = formatDateOnly(day.date);
+
+    for (const item of day.items) {
+      events.push({
+        uid: `item-${item.id}@tripmate`,
+        stamp: item.updatedAt,
+        summary: item.title,
+        description: item.notes,
+        location: [item.placeName, item.address].filter(Boolean).join(", "),
+        latitude: item.latitude,
+        longitude: item.longitude,
+        categories: item.type,
+        start: { date, time: item.startTime },
+        end: item.startTime
+          ? item.endTime && { date, time: item.endTime }
+          : { date: formatDateOnly(addDays(day.date, 1)) },
+      });
+    }
+  }
+
+  return {
+    fileName: fileName(trip),
+    content: buildCalendar({
+      name: trip.title,
+      timeZone: trip.timezone,
+      from: trip.startDate,
+      to: addDays(trip.endDate, 1),
+      events,
+    }),
+  };
+};
+
+const calendarService = {
+  // ========== EXPORT ==========
+
+  async getCalendar(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "VIEW");
+    return renderCalendar(trip.id);
+  },
+
+  /**
+   * Calendar for a subscription URL. The token stands in for the session
+   * cookie, so the user's access to the trip is checked again on every fetch.
+   */
+  async getCalendarByToken(tripId, token) {
+    const payload = verifyPurposeToken(token, FEED_TOKEN_PURPOSE);
+    if (!payload || payload.tripId !== Number(tripId)) {
+      throw new AuthenticationError("Invalid or expired calendar link.");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.userId },
+      select: { id: true, isActive: true, calendarTokenVersion: true },
+    });
+    if (!user || !user.isActive || user.calendarTokenVersion !== payload.version) {
+      throw new AuthenticationError("Invalid or expired calendar link.");
+    }
+
+    const trip = await tripService.getTripForUser(tripId, user.id, "VIEW");
+    return renderCalendar(trip.id);
+  },
+
+  // ========== SUBSCRIPTIONS ==========
+
+  /**
+   * Secret URL calendar apps can poll without signing in
+   */
+  async getSubscription(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const user = await prisma.user.findUnique({
+      where: { id: Number(userId) },
+      select: { calendarTokenVersion: true },
+    });
+    if (!user) throw new NotFoundError("User not found.");
+
+    const token = generatePurposeToken(
+      { userId: Number(userId), tripId: trip.id, version: user.calendarTokenVersion },
+      FEED_TOKEN_PURPOSE,
+      TOKEN_EXPIRY.CALENDAR_FEED
+    );
+    const url = `${getApiUrl()}/api/trips/${trip.id}/itinerary.ics?token=${token}`;
+
+    return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+  },
+
+  /**
+   * Revoke every subscription URL the user has handed out
+   */
+  async resetSubscriptions(userId, context = {}) {
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: Number(userId) },
+        data: { calendarTokenVersion: { increment: 1 } },
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.RESET_CALENDAR_SUBSCRIPTIONS,
+          entity: "User",
+          entityId: Number(userId),
+          details: "Calendar subscription links reset.",
+          ...context,
+        },
+      }),
+    ]);
+  },
+
+  // ========== IMPORT ==========
+
+  /**
+   * Turn the VEVENTs of an .ics file into itinerary items. Times are
+   * converted to the trip's timezone and each event goes on the day it
+   * starts. Events imported before (same UID) are updated instead of
+   * duplicated. Events outside the trip dates are skipped and reported.
+   * @returns {Promise<{created: number, updated: number, skipped: Array<{uid, summary, reason}>}>}
+   */
+  async importCalendar(tripId, userId, icsText, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+
+    // 1. Parse the file
+    const events = parseCalendar(icsText.replace(/^\uFEFF/, ""));
+    if (events.length === 0) throw new ValidationError("The file has no calendar events.");
+    if (events.length > ICS_IMPORT.MAX_EVENTS) {
+      throw new ValidationError(`A calendar import can contain at most ${ICS_IMPORT.MAX_EVENTS} events.`);
+    }
+
+    const days = await prisma.itineraryDay.findMany({ where: { tripId: trip.id } });
+    const dayByDate = new Map(days.map((day) => [formatDateOnly(day.date), day]));
+
+    const result = { created: 0, updated: 0, skipped: [] };
+    const skip = (event, reason) =>
+      result.skipped.push({ uid: event.uid || null, summary: event.summary || null, reason });
+
+    // 2. Map every event to item fields
+    const seenUids = new Set();
+    const items = [];
+
+    for (const event of events) {
+      const times = resolveEventTimes(event, trip.timezone);
+      if (!event.summary) {
+        skip(event, "Event has no title.");
+      } else if (!times) {
+        skip(event, "Event has no valid start date.");
+      } else if (!dayByDate.has(times.start.date)) {
+        skip(event, `${times.start.date} is outside the trip dates.`);
+      } else if (event.uid && seenUids.has(event.uid)) {
+        // Changed occurrences of a recurring event share its UID
+        skip(event, "Another event in the file has the same UID.");
+      } else {
+        if (event.uid) seenUids.add(event.uid);
+
+        const hasCoordinates = Math.abs(event.latitude) <= 90 && Math.abs(event.longitude) <= 180;
+        items.push({
+          day: dayByDate.get(times.start.date),
+          data: {
+            title: event.summary,
+            type: guessItemType(event),
+            startTime: times.start.time,
+            // Items can't span days, so an end on a later day is left out
+            endTime: times.end?.date === times.start.date ? times.end.time : null,
+            placeName: event.location || null,
+            latitude: hasCoordinates ? event.latitude : null,
+            longitude: hasCoordinates ? event.longitude : null,
+            notes: event.description || null,
+            icalUid: event.uid || null,
+          },
+        });
+      }
+    }
+
+    // 3. Create or update the items
+    await prisma.$transaction(
+      async (tx) => {
+        const existing = await tx.itineraryItem.findMany({
+          where: { day: { tripId: trip.id }, icalUid: { in: [...seenUids] } },
+        });
+        const existingByUid = new Map(existing.map((item) => [item.icalUid, item]));
+
+        // Next position and item count of every day, read once and kept up
+        // to date here instead of asking the database for each event
+        const dayStats = await tx.itineraryItem.groupBy({
+          by: ["dayId"],
+          where: { day: { tripId: trip.id } },
+          _max: { position: true },
+          _count: { _all: true },
+        });
+        const slots = new Map(
+          dayStats.map((stat) => [stat.dayId, { next: (stat._max.position ?? -1) + 1, count: stat._count._all }])
+        );
+        const takePosition = (dayId) => {
+          const slot = slots.get(dayId) || { next: 0, count: 0 };
+          if (slot.count >= TRIP_LIMITS.MAX_ITEMS_PER_DAY) {
+            throw new ValidationError(`A day can have at most ${TRIP_LIMITS.MAX_ITEMS_PER_DAY} items.`);
+          }
+          slots.set(dayId, { next: slot.next + 1, count: slot.count + 1 });
+          return slot.next;
+        };
+
+        const newItems = [];
+        for (const { day, data } of items) {
+          const current = data.icalUid && existingByUid.get(data.icalUid);
+
+          try {
+            if (current) {
+              // The type may have been corrected by hand, so it is kept
+              const { type, ...changes } = data;
+              const move = current.dayId === day.id ? {} : { dayId: day.id, position: takePosition(day.id) };
+              await tx.itineraryItem.update({ where: { id: current.id }, data: { ...changes, ...move } });
+              if (move.dayId) slots.get(current.dayId).count -= 1;
+              result.updated += 1;
+            } else {
+              newItems.push({ ...data, dayId: day.id, position: takePosition(day.id) });
+            }
+          } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            skip({ uid: data.icalUid, summary: data.title }, err.message);
+          }
+        }
+
+        // New items go in with a single insert
+        await tx.itineraryItem.createMany({ data: newItems });
+        result.created = newItems.length;
+
+        await tx.auditLog.create({
+          data: {
+            action: AUDIT_ACTIONS.IMPORT_ITINERARY,
+            entity: "Trip",
+            entityId: trip.id,
+            details: `Calendar imported: ${result.created} items added, ${result.updated} updated, ${result.skipped.length} events skipped.`,
+            ...context,
+          },
+        });
+      },
+      // Updating existing items is still one query per event
+      { timeout: ICS_IMPORT.TRANSACTION_TIMEOUT }
+    );
+
+    logger.info(`Calendar imported into trip ${trip.id} by user ${userId}`);
+    return result;
+  },
+};
+
+export default calendarService;
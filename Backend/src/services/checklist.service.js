@@ -0,0 +1,432 @@
+import prisma from "../lib/prisma.js";
+import { ValidationError, NotFoundError, ForbiddenError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { AUDIT_ACTIONS, CHECKLIST_LIMITS, TRIP_MEMBER_ROLES } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const userSummarySelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const itemInclude = {
+  assignee: { select: userSummarySelect },
+  checkedBy: { select: userSummarySelect },
+};
+
+const checklistInclude = {
+  items: {
+    include: itemInclude,
+    orderBy: [{ position: "asc" }, { id: "asc" }],
+  },
+};
+
+const templateInclude = {
+  items: { orderBy: [{ position: "asc" }, { id: "asc" }] },
+};
+
+const itemFields = ["title", "notes", "quantity", "assigneeId"];
+
+const pick = (data, fields) =>
+  Object.fromEntries(fields.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]));
+
+const recordChecklistAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Add checked/total counts to a checklist
+ */
+const withProgress = (checklist) => ({
+  ...checklist,
+  progress: {
+    checked: checklist.items.filter((item) => item.isChecked).length,
+    total: checklist.items.length,
+  },
+});
+
+/**
+ * Items can only be assigned to people on the trip
+ */
+const assertAssigneesAreMembers = async (tripId, items) => {
+  const assigneeIds = [...new Set(items.map((item) => item.assigneeId).filter(Boolean))];
+  if (assigneeIds.length === 0) return;
+
+  const members = await prisma.tripMember.findMany({
+    where: { tripId, userId: { in: assigneeIds } },
+    select: { userId: true },
+  });
+  const memberIds = members.map((member) => member.userId);
+
+  const outsider = assigneeIds.find((userId) => !memberIds.includes(userId));
+  if (outsider) {
+    throw new ValidationError(`User ${outsider} is not a member of this trip.`);
+  }
+};
+
+const isEditor = (trip) => [TRIP_MEMBER_ROLES.OWNER, TRIP_MEMBER_ROLES.EDITOR].includes(trip.memberRole);
+
+const checklistService = {
+  // ========== TRIP CHECKLISTS ==========
+
+  async findChecklist(tripId, checklistId) {
+    const checklist = await prisma.tripChecklist.findFirst({
+      where: { id: Number(checklistId), tripId },
+      include: { _count: { select: { items: true } } },
+    });
+    if (!checklist) throw new NotFoundError("Checklist not found.");
+    return checklist;
+  },
+
+  async findItem(checklistId, itemId) {
+    const item = await prisma.checklistItem.findFirst({
+      where: { id: Number(itemId), checklistId },
+    });
+    if (!item) throw new NotFoundError("Checklist item not found.");
+    return item;
+  },
+
+  async listChecklists(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    const checklists = await prisma.tripChecklist.findMany({
+      where: { tripId: trip.id },
+      include: checklistInclude,
+      orderBy: [{ position: "asc" }, { id: "asc" }],
+    });
+    return checklists.map(withProgress);
+  },
+
+  async getChecklist(tripId, checklistId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    await this.findChecklist(trip.id, checklistId);
+
+    const checklist = await prisma.tripChecklist.findUnique({
+      where: { id: Number(checklistId) },
+      include: checklistInclude,
+    });
+    return withProgress(checklist);
+  },
+
+  /**
+   * Create a checklist, optionally with its first items
+   * @param {object} data - { title, kind?, items?: [{ title, notes?, quantity?, assigneeId? }] }
+   */
+  async createChecklist(tripId, userId, { title, kind, items = [] }, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    await assertAssigneesAreMembers(trip.id, items);
+
+    const { _max, _count } = await prisma.tripChecklist.aggregate({
+      where: { tripId: trip.id },
+      _max: { position: true },
+      _count: true,
+    });
+    if (_count >= CHECKLIST_LIMITS.MAX_CHECKLISTS_PER_TRIP) {
+      throw new ValidationError(`A trip can have at most ${CHECKLIST_LIMITS.MAX_CHECKLISTS_PER_TRIP} checklists.`);
+    }
+
+    const [checklist] = await prisma.$transaction([
+      prisma.tripChecklist.create({
+        data: {
+          tripId: trip.id,
+          title,
+          ...(kind && { kind }),
+          position: (_max.position ?? -1) + 1,
+          createdById: Number(userId),
+          items: {
+            create: items.map((item, position) => ({ ...pick(item, itemFields), position })),
+          },
+        },
+        include: checklistInclude,
+      }),
+      recordChecklistAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.CREATE_CHECKLIST,
+        `Checklist "${title}" created with ${items.length} items.`,
+        context
+      ),
+    ]);
+
+    return withProgress(checklist);
+  },
+
+  /**
+   * Copy a template (a system one or one of the user's own) into the trip
+   */
+  async createChecklistFromTemplate(tripId, userId, { templateId, title }, context = {}) {
+    const template = await this.getTemplate(templateId, userId);
+
+    return this.createChecklist(
+      tripId,
+      userId,
+      {
+        title: title || template.name,
+        kind: template.kind,
+        items: template.items.map((item) => pick(item, ["title", "notes", "quantity"])),
+      },
+      context
+    );
+  },
+
+  async updateChecklist(tripId, checklistId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const checklist = await this.findChecklist(trip.id, checklistId);
+
+    const [updatedChecklist] = await prisma.$transaction([
+      prisma.tripChecklist.update({
+        where: { id: checklist.id },
+        data: pick(data, ["title", "kind"]),
+        include: checklistInclude,
+      }),
+      recordChecklistAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_CHECKLIST,
+        `Checklist ${checklist.id} updated: ${Object.keys(data).join(", ") || "no changes"}.`,
+        context
+      ),
+    ]);
+
+    return withProgress(updatedChecklist);
+  },
+
+  async deleteChecklist(tripId, checklistId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const checklist = await this.findChecklist(trip.id, checklistId);
+
+    // Items are removed with the checklist (ON DELETE CASCADE)
+    await prisma.$transaction([
+      prisma.tripChecklist.delete({ where: { id: checklist.id } }),
+      recordChecklistAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_CHECKLIST,
+        `Checklist ${checklist.id} "${checklist.title}" deleted.`,
+        context
+      ),
+    ]);
+  },
+
+  // ========== CHECKLIST ITEMS ==========
+
+  async addItem(tripId, checklistId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const checklist = await this.findChecklist(trip.id, checklistId);
+    await assertAssigneesAreMembers(trip.id, [data]);
+
+    if (checklist._count.items >= CHECKLIST_LIMITS.MAX_ITEMS_PER_CHECKLIST) {
+      throw new ValidationError(`A checklist can have at most ${CHECKLIST_LIMITS.MAX_ITEMS_PER_CHECKLIST} items.`);
+    }
+
+    const { _max } = await prisma.checklistItem.aggregate({
+      where: { checklistId: checklist.id },
+      _max: { position: true },
+    });
+
+    const [item] = await prisma.$transaction([
+      prisma.checklistItem.create({
+        data: {
+          ...pick(data, itemFields),
+          checklistId: checklist.id,
+          position: (_max.position ?? -1) + 1,
+        },
+        include: itemInclude,
+      }),
+      recordChecklistAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_CHECKLIST,
+        `Item "${data.title}" added to checklist ${checklist.id}.`,
+        context
+      ),
+    ]);
+
+    return item;
+  },
+
+  async updateItem(tripId, checklistId, itemId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const checklist = await this.findChecklist(trip.id, checklistId);
+    const item = await this.findItem(checklist.id, itemId);
+    await assertAssigneesAreMembers(trip.id, [data]);
+
+    const [updatedItem] = await prisma.$transaction([
+      prisma.checklistItem.update({
+        where: { id: item.id },
+        data: pick(data, itemFields),
+        include: itemInclude,
+      }),
+      recordChecklistAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_CHECKLIST,
+        `Item ${item.id} of checklist ${checklist.id} updated: ${Object.keys(data).join(", ") || "no changes"}.`,
+        context
+      ),
+    ]);
+
+    return updatedItem;
+  },
+
+  async deleteItem(tripId, checklistId, itemId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const checklist = await this.findChecklist(trip.id, checklistId);
+    const item = await this.findItem(checklist.id, itemId);
+
+    await prisma.$transaction([
+      prisma.checklistItem.delete({ where: { id: item.id } }),
+      recordChecklistAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_CHECKLIST,
+        `Item "${item.title}" removed from checklist ${checklist.id}.`,
+        context
+      ),
+    ]);
+  },
+
+  /**
+   * Check or uncheck an item. Owners and editors can tick anything; other
+   * members can tick unassigned items and the ones assigned to them.
+   */
+  async checkItem(tripId, checklistId, itemId, userId, checked) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const checklist = await this.findChecklist(trip.id, checklistId);
+    const item = await this.findItem(checklist.id, itemId);
+
+    if (!isEditor(trip) && item.assigneeId && item.assigneeId !== Number(userId)) {
+      throw new ForbiddenError("This item is assigned to someone else.");
+    }
+
+    return prisma.checklistItem.update({
+      where: { id: item.id },
+      data: checked
+        ? { isChecked: true, checkedAt: new Date(), checkedById: Number(userId) }
+        : { isChecked: false, checkedAt: null, checkedById: null },
+      include: itemInclude,
+    });
+  },
+
+  // ========== TEMPLATES ==========
+
+  /**
+   * System templates followed by the user's own
+   */
+  async listTemplates(userId) {
+    const templates = await prisma.checklistTemplate.findMany({
+      where: { OR: [{ ownerId: null }, { ownerId: Number(userId) }] },
+      include: { _count: { select: { items: true } } },
+      orderBy: [{ ownerId: { sort: "asc", nulls: "first" } }, { name: "asc" }],
+    });
+
+    return templates.map(({ _count, systemKey, ...template }) => ({
+      ...template,
+      isSystem: template.ownerId === null,
+      itemCount: _count.items,
+    }));
+  },
+
+  async getTemplate(templateId, userId) {
+    const template = await prisma.checklistTemplate.findUnique({
+      where: { id: Number(templateId) },
+      include: templateInclude,
+    });
+
+    // Other users' templates are private
+    if (!template || (template.ownerId !== null && template.ownerId !== Number(userId))) {
+      throw new NotFoundError("Checklist template not found.");
+    }
+
+    const { systemKey, ...data } = template;
+    return { ...data, isSystem: template.ownerId === null };
+  },
+
+  /**
+   * Load a template the user may change; system templates are read only
+   */
+  async findOwnTemplate(templateId, userId) {
+    const template = await this.getTemplate(templateId, userId);
+    if (template.isSystem) {
+      throw new ForbiddenError("System templates can't be changed. Use one in a trip and edit it there.");
+    }
+    return template;
+  },
+
+  async createTemplate(userId, { name, description, kind, items = [] }) {
+    const count = await prisma.checklistTemplate.count({ where: { ownerId: Number(userId) } });
+    if (count >= CHECKLIST_LIMITS.MAX_TEMPLATES_PER_USER) {
+      throw new ValidationError(`You can have at most ${CHECKLIST_LIMITS.MAX_TEMPLATES_PER_USER} checklist templates.`);
+    }
+
+    const template = await prisma.checklistTemplate.create({
+      data: {
+        ownerId: Number(userId),
+        name,
+        description: description || null,
+        ...(kind && { kind }),
+        items: {
+          create: items.map((item, position) => ({ ...pick(item, ["title", "notes", "quantity"]), position })),
+        },
+      },
+    });
+
+    logger.info(`Checklist template created by user ${userId}: ${template.id}`);
+    return this.getTemplate(template.id, userId);
+  },
+
+  /**
+   * Update a template; a given items list replaces the current items
+   */
+  async updateTemplate(templateId, userId, data) {
+    const template = await this.findOwnTemplate(templateId, userId);
+
+    await prisma.checklistTemplate.update({
+      where: { id: template.id },
+      data: {
+        ...pick(data, ["name", "description", "kind"]),
+        ...(data.items && {
+          items: {
+            deleteMany: {},
+            create: data.items.map((item, position) => ({
+              ...pick(item, ["title", "notes", "quantity"]),
+              position,
+            })),
+          },
+        }),
+      },
+    });
+
+    return this.getTemplate(template.id, userId);
+  },
+
+  async deleteTemplate(templateId, userId) {
+    const template = await this.findOwnTemplate(templateId, userId);
+    await prisma.checklistTemplate.delete({ where: { id: template.id } });
+  },
+
+  /**
+   * Save a trip checklist as a new template of the user (without assignees)
+   */
+  async saveChecklistAsTemplate(tripId, checklistId, userId, { name, description } = {}) {
+    const checklist = await this.getChecklist(tripId, checklistId, userId);
+
+    return this.createTemplate(userId, {
+      name: name || checklist.title,
+      description,
+      kind: checklist.kind,
+      items: checklist.items.map((item) => pick(item, ["title", "notes", "quantity"])),
+    });
+  },
+};
+
+export default checklistService;
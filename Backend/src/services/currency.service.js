@@ -0,0 +1,336 @@
+import prisma from "../lib/prisma.js";
+import { parseDateOnly, formatDateOnly } from "../lib/dates.js";
+import { isValidCurrencyCode, isValidDateOnly } from "../lib/validation.js";
+import { ValidationError, NotFoundError, ConflictError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { parseCsv } from "../utils/helpers.js";
+import { AUDIT_ACTIONS, EXCHANGE_RATE_IMPORT } from "../utils/constants.js";
+
+const IMPORT_COLUMNS = ["base", "quote", "rate", "date"];
+
+const recordCurrencyAudit = (client, action, entity, entityId, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity,
+      entityId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Parse a positive rate with at most 8 decimals
+ */
+const parseRate = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^\d{1,10}(\.\d{1,8})?$/.test(text) || Number(text) <= 0) return null;
+  return text;
+};
+
+/**
+ * Latest rate on or before `date` for one direction of a pair, or null
+ */
+const findRateOn = (ratesByPair, base, quote, date) => {
+  const rates = ratesByPair.get(`${base}:${quote}`) || [];
+  return rates.find((rate) => rate.effectiveDate <= date) || null;
+};
+
+/**
+ * Rate from one currency to another on a date. Uses the pair as stored or its
+ * inverse (whichever is more recent), else a cross rate through a third currency.
+ */
+const resolveRate = (ratesByPair, codes, from, to, date) => {
+  if (from === to) return 1;
+
+  const direct = findRateOn(ratesByPair, from, to, date);
+  const inverse = findRateOn(ratesByPair, to, from, date);
+  if (direct && (!inverse || direct.effectiveDate >= inverse.effectiveDate)) return direct.rate;
+  if (inverse) return 1 / inverse.rate;
+
+  for (const via of codes) {
+    if (via === from || via === to) continue;
+    const first = resolveRate(ratesByPair, [], from, via, date);
+    const second = first && resolveRate(ratesByPair, [], via, to, date);
+    if (second) return first * second;
+  }
+
+  return null;
+};
+
+const currencyService = {
+  // ========== CURRENCIES ==========
+
+  async listCurrencies({ includeInactive = false } = {}) {
+    return prisma.currency.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: { code: "asc" },
+    });
+  },
+
+  /**
+   * Make sure a currency exists and can be used for new amounts
+   */
+  async assertActiveCurrency(code) {
+    const currency = await prisma.currency.findUnique({ where: { code } });
+    if (!currency || !currency.isActive) {
+      throw new ValidationError(`Currency ${code} is not supported.`);
+    }
+    return currency;
+  },
+
+  async createCurrency({ code, name, symbol }, context = {}) {
+    const existing = await prisma.currency.findUnique({ where: { code } });
+    if (existing) throw new ConflictError(`Currency ${code} already exists.`);
+
+    const [currency] = await prisma.$transaction([
+      prisma.currency.create({ data: { code, name, symbol: symbol || null } }),
+      recordCurrencyAudit(
+        prisma,
+        AUDIT_ACTIONS.CREATE_CURRENCY,
+        "Currency",
+        null,
+        `Currency ${code} (${name}) created.`,
+        context
+      ),
+    ]);
+
+    return currency;
+  },
+
+  async updateCurrency(code, data, context = {}) {
+    const currency = await prisma.currency.findUnique({ where: { code } });
+    if (!currency) throw new NotFoundError("Currency not found.");
+
+    const [updatedCurrency] = await prisma.$transaction([
+      prisma.currency.update({
+        where: { code },
+        data: {
+          ...(data.name !== undefined && { name: data.name }),
+          ...(data.symbol !== undefined && { symbol: data.symbol }),
+          ...(data.isActive !== undefined && { isActive: data.isActive }),
+        },
+      }),
+      recordCurrencyAudit(
+        prisma,
+        AUDIT_ACTIONS.UPDATE_CURRENCY,
+        "Currency",
+        currency.id,
+        `Currency ${code} updated${data.isActive === false ? " (deactivated)" : ""}.`,
+        context
+      ),
+    ]);
+
+    return updatedCurrency;
+  },
+
+  // ========== EXCHANGE RATES ==========
+
+  /**
+   * List rates, newest first. Filters: base, quote, from, to (YYYY-MM-DD).
+   */
+  async listRates(query = {}, { skip = 0, take = 50 } = {}) {
+    const where = {};
+
+    for (const [param, field] of [["base", "baseCurrency"], ["quote", "quoteCurrency"]]) {
+      if (query[param] === undefined) continue;
+      const code = String(query[param]).toUpperCase();
+      if (!isValidCurrencyCode(code)) {
+        throw new ValidationError(`${param} must be a 3-letter currency code.`);
+      }
+      where[field] = code;
+    }
+
+    for (const param of ["from", "to"]) {
+      if (query[param] !== undefined && !isValidDateOnly(query[param])) {
+        throw new ValidationError(`${param} must be a date in YYYY-MM-DD format.`);
+      }
+    }
+    if (query.from || query.to) {
+      where.effectiveDate = {
+        ...(query.from && { gte: parseDateOnly(query.from) }),
+        ...(query.to && { lte: parseDateOnly(query.to) }),
+      };
+    }
+
+    const [rates, total] = await Promise.all([
+      prisma.exchangeRate.findMany({
+        where,
+        orderBy: [{ effectiveDate: "desc" }, { baseCurrency: "asc" }, { quoteCurrency: "asc" }],
+        skip,
+        take,
+      }),
+      prisma.exchangeRate.count({ where }),
+    ]);
+
+    return { rates, total };
+  },
+
+  /**
+   * Set the rate of a pair from a date on; an existing rate for that day is replaced
+   */
+  async setRate({ baseCurrency, quoteCurrency, rate, effectiveDate }, context = {}) {
+    const count = await prisma.currency.count({
+      where: { code: { in: [baseCurrency, quoteCurrency] } },
+    });
+    if (count !== 2) {
+      throw new ValidationError("Both currencies must be added before setting a rate.");
+    }
+
+    const date = parseDateOnly(effectiveDate);
+    const [exchangeRate] = await prisma.$transaction([
+      prisma.exchangeRate.upsert({
+        where: {
+          baseCurrency_quoteCurrency_effectiveDate: { baseCurrency, quoteCurrency, effectiveDate: date },
+        },
+        update: { rate },
+        create: { baseCurrency, quoteCurrency, rate, effectiveDate: date },
+      }),
+      recordCurrencyAudit(
+        prisma,
+        AUDIT_ACTIONS.SET_EXCHANGE_RATE,
+        "ExchangeRate",
+        null,
+        `1 ${baseCurrency} = ${rate} ${quoteCurrency} from ${effectiveDate}.`,
+        context
+      ),
+    ]);
+
+    return exchangeRate;
+  },
+
+  async deleteRate(rateId, context = {}) {
+    const rate = await prisma.exchangeRate.findUnique({ where: { id: Number(rateId) } });
+    if (!rate) throw new NotFoundError("Exchange rate not found.");
+
+    await prisma.$transaction([
+      prisma.exchangeRate.delete({ where: { id: rate.id } }),
+      recordCurrencyAudit(
+        prisma,
+        AUDIT_ACTIONS.DELETE_EXCHANGE_RATE,
+        "ExchangeRate",
+        rate.id,
+        `Rate ${rate.baseCurrency}/${rate.quoteCurrency} of ${formatDateOnly(rate.effectiveDate)} deleted.`,
+        context
+      ),
+    ]);
+  },
+
+  /**
+   * Import rates from CSV with a `base,quote,rate,date` header. The file is
+   * checked completely first; nothing is saved if any row is invalid.
+   */
+  async importRates(csvText, context = {}) {
+    // 1. Parse and check the header
+    const [header, ...rows] = parseCsv(csvText.replace(/^\uFEFF/, ""));
+    const columns = (header || []).map((column) => column.toLowerCase());
+
+    if (IMPORT_COLUMNS.some((column) => !columns.includes(column))) {
+      throw new ValidationError(`CSV header must contain: ${IMPORT_COLUMNS.join(", ")}.`);
+    }
+    if (rows.length === 0) throw new ValidationError("CSV file has no rates.");
+    if (rows.length > EXCHANGE_RATE_IMPORT.MAX_ROWS) {
+      throw new ValidationError(`A CSV import can contain at most ${EXCHANGE_RATE_IMPORT.MAX_ROWS} rates.`);
+    }
+
+    // 2. Validate every row, collecting errors with their line number
+    const knownCodes = new Set((await prisma.currency.findMany({ select: { code: true } })).map((c) => c.code));
+    const errors = [];
+    const rates = new Map();
+
+    rows.forEach((row, index) => {
+      const line = index + 2;
+      const cell = (column) => row[columns.indexOf(column)] ?? "";
+      const baseCurrency = cell("base").toUpperCase();
+      const quoteCurrency = cell("quote").toUpperCase();
+      const rate = parseRate(cell("rate"));
+      const effectiveDate = cell("date");
+
+      if (!knownCodes.has(baseCurrency) || !knownCodes.has(quoteCurrency)) {
+        errors.push(`Line ${line}: unknown currency ${knownCodes.has(baseCurrency) ? quoteCurrency : baseCurrency}.`);
+      } else if (baseCurrency === quoteCurrency) {
+        errors.push(`Line ${line}: base and quote currency must differ.`);
+      } else if (!rate) {
+        errors.push(`Line ${line}: rate must be a positive number.`);
+      } else if (!isValidDateOnly(effectiveDate)) {
+        errors.push(`Line ${line}: date must be in YYYY-MM-DD format.`);
+      } else {
+        // A later line for the same pair and day wins
+        rates.set(`${baseCurrency}:${quoteCurrency}:${effectiveDate}`, {
+          baseCurrency,
+          quoteCurrency,
+          rate,
+          effectiveDate: parseDateOnly(effectiveDate),
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 10).join(" ");
+      const more = errors.length > 10 ? ` (${errors.length - 10} more errors)` : "";
+      throw new ValidationError(`CSV import failed. ${shown}${more}`);
+    }
+
+    // 3. Save all rates at once
+    await prisma.$transaction([
+      ...[...rates.values()].map((data) =>
+        prisma.exchangeRate.upsert({
+          where: {
+            baseCurrency_quoteCurrency_effectiveDate: {
+              baseCurrency: data.baseCurrency,
+              quoteCurrency: data.quoteCurrency,
+              effectiveDate: data.effectiveDate,
+            },
+          },
+          update: { rate: data.rate },
+          create: data,
+        })
+      ),
+      recordCurrencyAudit(
+        prisma,
+        AUDIT_ACTIONS.IMPORT_EXCHANGE_RATES,
+        "ExchangeRate",
+        null,
+        `${rates.size} exchange rates imported from CSV.`,
+        context
+      ),
+    ]);
+
+    logger.info(`${rates.size} exchange rates imported`);
+    return { imported: rates.size };
+  },
+
+  // ========== CONVERSION ==========
+
+  /**
+   * Build a converter into `targetCurrency` that applies the rate in effect
+   * on a given date. Returns null for amounts without a usable rate.
+   * @param {string} targetCurrency - Currency code to convert into
+   * @returns {Promise<(amount: number|string|object, currency: string, date: Date) => {amount: number, rate: number}|null>}
+   */
+  async getConverter(targetCurrency) {
+    // The table is maintained by hand, so it is small enough to load at once
+    const rows = await prisma.exchangeRate.findMany({
+      orderBy: { effectiveDate: "desc" },
+      select: { baseCurrency: true, quoteCurrency: true, rate: true, effectiveDate: true },
+    });
+
+    const ratesByPair = new Map();
+    const codes = new Set();
+    for (const row of rows) {
+      const key = `${row.baseCurrency}:${row.quoteCurrency}`;
+      if (!ratesByPair.has(key)) ratesByPair.set(key, []);
+      ratesByPair.get(key).push({ rate: Number(row.rate), effectiveDate: row.effectiveDate });
+      codes.add(row.baseCurrency);
+      codes.add(row.quoteCurrency);
+    }
+
+    return (amount, currency, date) => {
+      const rate = resolveRate(ratesByPair, [...codes], currency, targetCurrency, date);
+      if (!rate) return null;
+      return { amount: Math.round(Number(amount) * rate * 100) / 100, rate };
+    };
+  },
+};
+
+export default currencyService;
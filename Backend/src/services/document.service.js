@@ -0,0 +1,329 @@
+import prisma from "../lib/prisma.js";
+import { generatePurposeToken, verifyPurposeToken } from "../lib/auth.js";
+import { getStorage, generateStorageKey, removeStoredFiles } from "../lib/storage.js";
+import { ValidationError, NotFoundError, ForbiddenError, AuthenticationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getApiUrl } from "../utils/helpers.js";
+import { AUDIT_ACTIONS, DOCUMENT_UPLOAD, TOKEN_EXPIRY } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const DOWNLOAD_TOKEN_PURPOSE = "document-download";
+
+// The first bytes each accepted type starts with. The MIME type sent by the
+// browser is only a claim, so the content has to agree with it.
+const FILE_SIGNATURES = {
+  "application/pdf": (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-",
+  "image/jpeg": (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  "image/png": (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/webp": (buffer) =>
+    buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP",
+  "image/heic": (buffer) =>
+    buffer.subarray(4, 8).toString("latin1") === "ftyp" &&
+    ["heic", "heix", "mif1", "msf1"].includes(buffer.subarray(8, 12).toString("latin1")),
+};
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const documentSelect = {
+  id: true,
+  tripId: true,
+  title: true,
+  category: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  createdAt: true,
+  updatedAt: true,
+  owner: { select: userSelect },
+  shares: { select: { user: { select: userSelect } }, orderBy: { createdAt: "asc" } },
+};
+
+const recordDocumentAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Flatten the share rows to the list of users the document is shared with
+ */
+const formatDocument = ({ shares, ...document }) => ({
+  ...document,
+  sharedWith: shares.map((share) => share.user),
+});
+
+const canAccess = (document, userId) =>
+  document.owner.id === Number(userId) || document.shares.some((share) => share.user.id === Number(userId));
+
+const documentService = {
+  // ========== DOCUMENTS ==========
+
+  /**
+   * Load a document the user may see: their own or one shared with them.
+   * Other members' documents are reported as missing.
+   */
+  async findDocument(tripId, documentId, userId) {
+    const document = await prisma.tripDocument.findUnique({
+      where: { id: Number(documentId) },
+      select: { ...documentSelect, storageKey: true },
+    });
+    if (!document || document.tripId !== Number(tripId) || !canAccess(document, userId)) {
+      throw new NotFoundError("Document not found.");
+    }
+    return document;
+  },
+
+  async findOwnDocument(tripId, documentId, userId) {
+    const document = await this.findDocument(tripId, documentId, userId);
+    if (document.owner.id !== Number(userId)) {
+      throw new ForbiddenError("Only the member who uploaded this document can change it.");
+    }
+    return document;
+  },
+
+  /**
+   * My documents for a trip plus the ones other members shared with me
+   */
+  async listDocuments(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    const documents = await prisma.tripDocument.findMany({
+      where: {
+        tripId: trip.id,
+        OR: [{ ownerId: Number(userId) }, { shares: { some: { userId: Number(userId) } } }],
+      },
+      select: documentSelect,
+      orderBy: [{ category: "asc" }, { createdAt: "desc" }],
+    });
+
+    return documents.map(formatDocument);
+  },
+
+  async getDocument(tripId, documentId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const { storageKey, ...document } = await this.findDocument(trip.id, documentId, userId);
+    return formatDocument(document);
+  },
+
+  /**
+   * Store an uploaded file in the vault. Only the uploader can see it until
+   * they share it.
+   * @param {{buffer: Buffer, originalname: string, mimetype: string, size: number}} file - Uploaded file
+   * @param {object} data - { title?, category? }
+   */
+  async uploadDocument(tripId, userId, file, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    // 1. Check the file really is what it claims to be
+    const matchesType = FILE_SIGNATURES[file.mimetype];
+    if (!matchesType || !matchesType(file.buffer)) {
+      throw new ValidationError("The file content doesn't match its type. Upload a PDF, JPEG, PNG, WebP or HEIC file.");
+    }
+
+    const documentCount = await prisma.tripDocument.count({
+      where: { tripId: trip.id, ownerId: Number(userId) },
+    });
+    if (documentCount >= DOCUMENT_UPLOAD.MAX_DOCUMENTS_PER_MEMBER) {
+      throw new ValidationError(`You can keep at most ${DOCUMENT_UPLOAD.MAX_DOCUMENTS_PER_MEMBER} documents per trip.`);
+    }
+
+    // 2. Save the file, then the row pointing to it
+    const storageKey = generateStorageKey(`documents/${trip.id}`);
+    await getStorage().put(storageKey, file.buffer);
+
+    let document;
+    try {
+      document = await prisma.$transaction(async (tx) => {
+        const created = await tx.tripDocument.create({
+          data: {
+            tripId: trip.id,
+            ownerId: Number(userId),
+            title: data.title || file.originalname,
+            ...(data.category && { category: data.category }),
+            fileName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            storageKey,
+          },
+          select: documentSelect,
+        });
+
+        // 3. Log action (the title only, document contents are private)
+        await recordDocumentAudit(
+          tx,
+          trip.id,
+          AUDIT_ACTIONS.UPLOAD_DOCUMENT,
+          `Document ${created.id} "${created.title}" uploaded by user ${userId}.`,
+          context
+        );
+
+        return created;
+      });
+    } catch (err) {
+      await removeStoredFiles([storageKey]);
+      throw err;
+    }
+
+    logger.info(`Document uploaded to trip ${trip.id} by user ${userId}: ${document.id}`);
+    return formatDocument(document);
+  },
+
+  async updateDocument(tripId, documentId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const document = await this.findOwnDocument(trip.id, documentId, userId);
+
+    const [updatedDocument] = await prisma.$transaction([
+      prisma.tripDocument.update({
+        where: { id: document.id },
+        data: {
+          ...(data.title !== undefined && { title: data.title }),
+          ...(data.category !== undefined && { category: data.category }),
+        },
+        select: documentSelect,
+      }),
+      recordDocumentAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_DOCUMENT,
+        `Document ${document.id} updated: ${Object.keys(data).join(", ") || "no changes"}.`,
+        context
+      ),
+    ]);
+
+    return formatDocument(updatedDocument);
+  },
+
+  async deleteDocument(tripId, documentId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const document = await this.findOwnDocument(trip.id, documentId, userId);
+
+    // Shares are removed with the document (ON DELETE CASCADE)
+    await prisma.$transaction([
+      prisma.tripDocument.delete({ where: { id: document.id } }),
+      recordDocumentAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_DOCUMENT,
+        `Document ${document.id} "${document.title}" deleted.`,
+        context
+      ),
+    ]);
+
+    await removeStoredFiles([document.storageKey]);
+  },
+
+  // ========== SHARING ==========
+
+  /**
+   * Replace the list of members a document is shared with (an empty list
+   * makes it private again)
+   * @param {number[]} userIds - Trip members other than the uploader
+   */
+  async setShares(tripId, documentId, userId, userIds, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const document = await this.findOwnDocument(trip.id, documentId, userId);
+
+    const ids = [...new Set(userIds)];
+    if (ids.includes(Number(userId))) {
+      throw new ValidationError("You can't share a document with yourself.");
+    }
+    const memberCount = await prisma.tripMember.count({
+      where: { tripId: trip.id, userId: { in: ids } },
+    });
+    if (memberCount !== ids.length) {
+      throw new ValidationError("Documents can only be shared with members of this trip.");
+    }
+
+    const [, , updatedDocument] = await prisma.$transaction([
+      prisma.documentShare.deleteMany({ where: { documentId: document.id } }),
+      prisma.documentShare.createMany({
+        data: ids.map((id) => ({ documentId: document.id, userId: id })),
+      }),
+      prisma.tripDocument.findUnique({ where: { id: document.id }, select: documentSelect }),
+      recordDocumentAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.SHARE_DOCUMENT,
+        ids.length
+          ? `Document ${document.id} shared with users ${ids.join(", ")}.`
+          : `Document ${document.id} made private.`,
+        context
+      ),
+    ]);
+
+    return formatDocument(updatedDocument);
+  },
+
+  // ========== DOWNLOADS ==========
+
+  /**
+   * Short-lived link to download a document without the session cookie
+   * (e.g. to open it in a new tab or hand it to a viewer app)
+   */
+  async createDownloadUrl(tripId, documentId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const document = await this.findDocument(trip.id, documentId, userId);
+
+    const token = generatePurposeToken(
+      { documentId: document.id, userId: Number(userId) },
+      DOWNLOAD_TOKEN_PURPOSE,
+      TOKEN_EXPIRY.DOCUMENT_DOWNLOAD
+    );
+    const { exp } = verifyPurposeToken(token, DOWNLOAD_TOKEN_PURPOSE);
+
+    return {
+      url: `${getApiUrl()}/api/trips/${trip.id}/documents/${document.id}/download?token=${token}`,
+      expiresAt: new Date(exp * 1000),
+    };
+  },
+
+  /**
+   * File behind a download link. Access is checked again, so a link stops
+   * working as soon as the user leaves the trip or the share is removed.
+   * @returns {Promise<{fileName: string, mimeType: string, size: number, stream: import('stream').Readable}>}
+   */
+  async downloadByToken(tripId, documentId, token, context = {}) {
+    const payload = verifyPurposeToken(token, DOWNLOAD_TOKEN_PURPOSE);
+    if (!payload || payload.documentId !== Number(documentId)) {
+      throw new AuthenticationError("Invalid or expired download link.");
+    }
+
+    const trip = await tripService.getTripForUser(tripId, payload.userId, "MEMBER");
+    const document = await this.findDocument(trip.id, documentId, payload.userId);
+
+    let stream;
+    try {
+      stream = await getStorage().read(document.storageKey);
+    } catch (err) {
+      logger.error(`Stored file missing for document ${document.id}`, err.message);
+      throw new NotFoundError("Document file not found.");
+    }
+
+    await recordDocumentAudit(
+      prisma,
+      trip.id,
+      AUDIT_ACTIONS.DOWNLOAD_DOCUMENT,
+      `Document ${document.id} downloaded by user ${payload.userId}.`,
+      { actorId: payload.userId, ...context }
+    );
+
+    return {
+      fileName: document.fileName,
+      mimeType: document.mimeType,
+      size: document.size,
+      stream,
+    };
+  },
+};
+
+export default documentService;
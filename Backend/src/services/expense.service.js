@@ -0,0 +1,474 @@
+import prisma from "../lib/prisma.js";
+import { parseDateOnly, formatDateOnly } from "../lib/dates.js";
+import {
+  toCents,
+  fromCents,
+  splitExpense,
+  computeBalances,
+  settleUp,
+} from "../lib/expenses.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { isValidCurrencyCode } from "../lib/validation.js";
+import {
+  AUDIT_ACTIONS,
+  EXPENSE_CATEGORIES,
+  EXPENSE_SPLIT_TYPES,
+  TRIP_MEMBER_ROLES,
+} from "../utils/constants.js";
+import tripService from "./trip.service.js";
+import currencyService from "./currency.service.js";
+import budgetService from "./budget.service.js";
+
+const userSummarySelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const expenseInclude = {
+  paidBy: { select: userSummarySelect },
+  shares: {
+    include: { user: { select: userSummarySelect } },
+    orderBy: { userId: "asc" },
+  },
+};
+
+const recordExpenseAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * IDs of the users currently on the trip
+ */
+const getMemberIds = async (tripId) => {
+  const members = await prisma.tripMember.findMany({
+    where: { tripId },
+    select: { userId: true },
+    orderBy: { joinedAt: "asc" },
+  });
+  return members.map((member) => member.userId);
+};
+
+/**
+ * Build the share rows for an expense. An EQUAL split without explicit
+ * shares is divided between everyone currently on the trip.
+ */
+const buildShares = (amount, splitType, shares, memberIds) => {
+  const participants = shares ?? memberIds.map((userId) => ({ userId }));
+
+  const outsider = participants.find((share) => !memberIds.includes(share.userId));
+  if (outsider) {
+    throw new ValidationError(`User ${outsider.userId} is not a member of this trip.`);
+  }
+
+  try {
+    return splitExpense(toCents(amount), splitType, participants).map((share) => ({
+      userId: share.userId,
+      amount: fromCents(share.cents),
+      percentage: share.percentage,
+    }));
+  } catch (err) {
+    throw new ValidationError(err.message);
+  }
+};
+
+/**
+ * Editors and the owner manage every expense; other members only the ones
+ * they added or paid for.
+ */
+const assertCanManageExpense = (trip, expense, userId) => {
+  const isEditor = [TRIP_MEMBER_ROLES.OWNER, TRIP_MEMBER_ROLES.EDITOR].includes(trip.memberRole);
+  if (isEditor || expense.createdById === Number(userId) || expense.paidById === Number(userId)) return;
+
+  throw new ForbiddenError("You can only change expenses you added or paid for.");
+};
+
+const expenseService = {
+  // ========== EXPENSES ==========
+
+  async listExpenses(tripId, userId, { category } = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    const where = { tripId: trip.id };
+    if (category !== undefined) {
+      const value = String(category).toUpperCase();
+      if (!EXPENSE_CATEGORIES.includes(value)) {
+        throw new ValidationError(`Category must be one of: ${EXPENSE_CATEGORIES.join(", ")}.`);
+      }
+      where.category = value;
+    }
+
+    return prisma.expense.findMany({
+      where,
+      include: expenseInclude,
+      orderBy: [{ expenseDate: "desc" }, { id: "desc" }],
+    });
+  },
+
+  async findExpense(tripId, expenseId) {
+    const expense = await prisma.expense.findFirst({
+      where: { id: Number(expenseId), tripId },
+      include: expenseInclude,
+    });
+    if (!expense) throw new NotFoundError("Expense not found.");
+    return expense;
+  },
+
+  async getExpense(tripId, expenseId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    return this.findExpense(trip.id, expenseId);
+  },
+
+  async createExpense(tripId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const memberIds = await getMemberIds(trip.id);
+
+    // 1. The payer defaults to whoever logs the expense
+    const paidById = data.paidById ?? Number(userId);
+    if (!memberIds.includes(paidById)) {
+      throw new ValidationError("The payer must be a member of this trip.");
+    }
+
+    if (data.currency) await currencyService.assertActiveCurrency(data.currency);
+
+    // 2. Split the amount between participants
+    const splitType = data.splitType || EXPENSE_SPLIT_TYPES.EQUAL;
+    const shares = buildShares(data.amount, splitType, data.shares, memberIds);
+
+    // 3. Save expense with its shares
+    const [expense] = await prisma.$transaction([
+      prisma.expense.create({
+        data: {
+          tripId: trip.id,
+          paidById,
+          description: data.description,
+          amount: data.amount,
+          currency: data.currency || trip.currency,
+          category: data.category || "OTHER",
+          splitType,
+          expenseDate: parseDateOnly(data.expenseDate ?? formatDateOnly(new Date())),
+          createdById: Number(userId),
+          shares: { create: shares },
+        },
+        include: expenseInclude,
+      }),
+      recordExpenseAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.CREATE_EXPENSE,
+        `Expense "${data.description}" of ${data.amount} ${data.currency || trip.currency} paid by user ${paidById} (${splitType} split).`,
+        context
+      ),
+    ]);
+
+    logger.info(`Expense ${expense.id} added to trip ${trip.id}`);
+    await budgetService.checkBudgetAlerts(trip.id);
+    return expense;
+  },
+
+  /**
+   * Update an expense. Changing the amount re-splits it with the existing
+   * participants, except for EXACT splits which need new shares.
+   */
+  async updateExpense(tripId, expenseId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const expense = await this.findExpense(trip.id, expenseId);
+    assertCanManageExpense(trip, expense, userId);
+
+    const memberIds = await getMemberIds(trip.id);
+
+    // 1. Check the new payer and currency
+    if (data.paidById !== undefined && !memberIds.includes(data.paidById)) {
+      throw new ValidationError("The payer must be a member of this trip.");
+    }
+    if (data.currency) await currencyService.assertActiveCurrency(data.currency);
+
+    // 2. Re-split when the amount or the split type changes
+    const amount = data.amount ?? expense.amount.toString();
+    const splitType = data.splitType ?? expense.splitType;
+    let shares;
+
+    if (data.shares !== undefined) {
+      shares = buildShares(amount, splitType, data.shares, memberIds);
+    } else if (data.amount !== undefined || data.splitType !== undefined) {
+      if (splitType === EXPENSE_SPLIT_TYPES.EXACT) {
+        throw new ValidationError("shares are required when changing the amount of an EXACT split.");
+      }
+
+      // Keep the current participants, who may include people who have since left
+      const currentShares = expense.shares.map((share) => ({
+        userId: share.userId,
+        percentage: share.percentage === null ? undefined : Number(share.percentage),
+      }));
+      const participantIds = currentShares.map((share) => share.userId);
+      shares = buildShares(amount, splitType, currentShares, [...memberIds, ...participantIds]);
+    }
+
+    // 3. Save changes, replacing the shares if they were re-split
+    const [updatedExpense] = await prisma.$transaction([
+      prisma.expense.update({
+        where: { id: expense.id },
+        data: {
+          ...(data.description !== undefined && { description: data.description }),
+          ...(data.amount !== undefined && { amount: data.amount }),
+          ...(data.currency !== undefined && { currency: data.currency }),
+          ...(data.category !== undefined && { category: data.category }),
+          ...(data.expenseDate !== undefined && { expenseDate: parseDateOnly(data.expenseDate) }),
+          ...(data.paidById !== undefined && { paidById: data.paidById }),
+          ...(shares && { splitType, shares: { deleteMany: {}, create: shares } }),
+        },
+        include: expenseInclude,
+      }),
+      recordExpenseAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_EXPENSE,
+        `Expense ${expense.id} "${expense.description}" updated.`,
+        context
+      ),
+    ]);
+
+    await budgetService.checkBudgetAlerts(trip.id);
+    return updatedExpense;
+  },
+
+  async deleteExpense(tripId, expenseId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const expense = await this.findExpense(trip.id, expenseId);
+    assertCanManageExpense(trip, expense, userId);
+
+    await prisma.$transaction([
+      prisma.expense.delete({ where: { id: expense.id } }),
+      recordExpenseAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_EXPENSE,
+        `Expense ${expense.id} "${expense.description}" of ${expense.amount} ${expense.currency} deleted.`,
+        context
+      ),
+    ]);
+
+    await budgetService.checkBudgetAlerts(trip.id);
+  },
+
+  /**
+   * Trip spending converted into one currency (the user's preferred currency
+   * unless `currency` is given), using the rate in effect on each expense date.
+   * Expenses without a usable rate are listed instead of being guessed.
+   */
+  async getExpenseTotals(tripId, user, { currency } = {}) {
+    const trip = await tripService.getTripForUser(tripId, user.id, "MEMBER");
+
+    const target = currency === undefined ? user.preferredCurrency : String(currency).toUpperCase();
+    if (!isValidCurrencyCode(target)) {
+      throw new ValidationError("currency must be a 3-letter currency code.");
+    }
+
+    const [expenses, convert] = await Promise.all([
+      prisma.expense.findMany({
+        where: { tripId: trip.id },
+        select: { id: true, amount: true, currency: true, category: true, expenseDate: true },
+        orderBy: { expenseDate: "asc" },
+      }),
+      currencyService.getConverter(target),
+    ]);
+
+    let totalCents = 0;
+    const byCategory = Object.fromEntries(EXPENSE_CATEGORIES.map((category) => [category, 0]));
+    const unconverted = [];
+
+    for (const expense of expenses) {
+      const converted = convert(expense.amount, expense.currency, expense.expenseDate);
+      if (!converted) {
+        unconverted.push(expense);
+        continue;
+      }
+      totalCents += toCents(converted.amount);
+      byCategory[expense.category] += toCents(converted.amount);
+    }
+
+    return {
+      currency: target,
+      total: fromCents(totalCents),
+      byCategory: Object.fromEntries(
+        Object.entries(byCategory).map(([category, cents]) => [category, fromCents(cents)])
+      ),
+      unconverted,
+    };
+  },
+
+  // ========== BALANCES ==========
+
+  /**
+   * Net balance per member and the transfers that settle them, per currency.
+   * Recorded settlements count towards the balances.
+   */
+  async getBalances(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    // 1. Load everything that moves money on this trip
+    const [expenses, settlements] = await Promise.all([
+      prisma.expense.findMany({
+        where: { tripId: trip.id },
+        select: { paidById: true, amount: true, currency: true, shares: { select: { userId: true, amount: true } } },
+      }),
+      prisma.settlement.findMany({
+        where: { tripId: trip.id },
+        select: { fromUserId: true, toUserId: true, amount: true, currency: true },
+      }),
+    ]);
+
+    // 2. Balances are kept per currency
+    const currencies = [...new Set([...expenses, ...settlements].map((entry) => entry.currency))].sort();
+    const userIds = new Set();
+
+    const results = currencies.map((currency) => {
+      const balances = computeBalances(
+        expenses.filter((expense) => expense.currency === currency),
+        settlements.filter((settlement) => settlement.currency === currency)
+      );
+      balances.forEach((_, id) => userIds.add(id));
+
+      return {
+        currency,
+        totalSpent: fromCents(
+          expenses
+            .filter((expense) => expense.currency === currency)
+            .reduce((sum, expense) => sum + toCents(expense.amount), 0)
+        ),
+        balances: [...balances].map(([id, balance]) => ({
+          userId: id,
+          paid: fromCents(balance.paid),
+          share: fromCents(balance.share),
+          settlementsPaid: fromCents(balance.sent),
+          settlementsReceived: fromCents(balance.received),
+          net: fromCents(balance.net),
+        })),
+        transfers: settleUp(balances).map((transfer) => ({
+          fromUserId: transfer.fromUserId,
+          toUserId: transfer.toUserId,
+          amount: fromCents(transfer.cents),
+        })),
+      };
+    });
+
+    // 3. Attach names, including people who have left the trip
+    const users = await prisma.user.findMany({
+      where: { id: { in: [...userIds] } },
+      select: userSummarySelect,
+    });
+
+    return { currencies: results, users };
+  },
+
+  // ========== SETTLEMENTS ==========
+
+  async listSettlements(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    return prisma.settlement.findMany({
+      where: { tripId: trip.id },
+      include: {
+        fromUser: { select: userSummarySelect },
+        toUser: { select: userSummarySelect },
+      },
+      orderBy: { paidAt: "desc" },
+    });
+  },
+
+  /**
+   * Mark a payment between two members as paid. Either side of the payment
+   * (or the trip owner) can record it.
+   */
+  async recordSettlement(tripId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    const isParty = [data.fromUserId, data.toUserId].includes(Number(userId));
+    if (!isParty && trip.memberRole !== TRIP_MEMBER_ROLES.OWNER) {
+      throw new ForbiddenError("Only the payer, the recipient or the trip owner can record a settlement.");
+    }
+
+    // Both sides must take part in the trip's money, now or in the past
+    const involved = await prisma.user.count({
+      where: {
+        id: { in: [data.fromUserId, data.toUserId] },
+        OR: [
+          { tripMemberships: { some: { tripId: trip.id } } },
+          { expensesPaid: { some: { tripId: trip.id } } },
+          { expenseShares: { some: { expense: { tripId: trip.id } } } },
+        ],
+      },
+    });
+    if (involved !== 2) {
+      throw new ValidationError("Both people must be part of this trip.");
+    }
+    if (data.currency) await currencyService.assertActiveCurrency(data.currency);
+
+    const [settlement] = await prisma.$transaction([
+      prisma.settlement.create({
+        data: {
+          tripId: trip.id,
+          fromUserId: data.fromUserId,
+          toUserId: data.toUserId,
+          amount: data.amount,
+          currency: data.currency || trip.currency,
+          note: data.note || null,
+          recordedById: Number(userId),
+        },
+        include: {
+          fromUser: { select: userSummarySelect },
+          toUser: { select: userSummarySelect },
+        },
+      }),
+      recordExpenseAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.RECORD_SETTLEMENT,
+        `User ${data.fromUserId} paid user ${data.toUserId} ${data.amount} ${data.currency || trip.currency}.`,
+        context
+      ),
+    ]);
+
+    logger.info(`Settlement ${settlement.id} recorded on trip ${trip.id}`);
+    return settlement;
+  },
+
+  async deleteSettlement(tripId, settlementId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    const settlement = await prisma.settlement.findFirst({
+      where: { id: Number(settlementId), tripId: trip.id },
+    });
+    if (!settlement) throw new NotFoundError("Settlement not found.");
+
+    if (settlement.recordedById !== Number(userId) && trip.memberRole !== TRIP_MEMBER_ROLES.OWNER) {
+      throw new ForbiddenError("Only the person who recorded a settlement or the trip owner can remove it.");
+    }
+
+    await prisma.$transaction([
+      prisma.settlement.delete({ where: { id: settlement.id } }),
+      recordExpenseAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_SETTLEMENT,
+        `Settlement ${settlement.id} (user ${settlement.fromUserId} to user ${settlement.toUserId}, ${settlement.amount} ${settlement.currency}) removed.`,
+        context
+      ),
+    ]);
+  },
+};
+
+export default expenseService;
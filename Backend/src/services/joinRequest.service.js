@@ -0,0 +1,378 @@
+import prisma from "../lib/prisma.js";
+import { sendJoinRequestEmail, sendJoinRequestDecisionEmail } from "../lib/email.js";
+import { ValidationError, NotFoundError, ConflictError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getClientUrl } from "../utils/helpers.js";
+import {
+  AUDIT_ACTIONS,
+  JOIN_REQUEST_STATUSES,
+  TRIP_MEMBER_ROLES,
+  TRIP_VISIBILITY,
+} from "../utils/constants.js";
+import tripService from "./trip.service.js";
+import buddyService from "./buddy.service.js";
+
+const FULL_TRIP_MESSAGE = "The trip is full.";
+
+const requestSelect = {
+  id: true,
+  tripId: true,
+  message: true,
+  status: true,
+  responseMessage: true,
+  respondedAt: true,
+  createdAt: true,
+  user: { select: { id: true, firstName: true, lastName: true, avatar: true, language: true } },
+  trip: { select: { id: true, title: true, destination: true, startDate: true, endDate: true } },
+};
+
+const displayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(" ") || user.email;
+
+const recordJoinAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Check an optional ?status= filter
+ */
+const parseStatusFilter = (status, fallback) => {
+  if (status === undefined) return fallback;
+  const value = String(status).toUpperCase();
+  if (!JOIN_REQUEST_STATUSES.includes(value)) {
+    throw new ValidationError(`status must be one of: ${JOIN_REQUEST_STATUSES.join(", ")}.`);
+  }
+  return value;
+};
+
+/**
+ * Email the outcome of a request. The decision is already saved, so a
+ * failed email is logged rather than undoing it.
+ */
+const notifyDecision = async (request, trip, approved, responseMessage) => {
+  try {
+    await sendJoinRequestDecisionEmail(request.user.email, {
+      tripTitle: trip.title,
+      approved,
+      responseMessage,
+      tripUrl: approved ? `${getClientUrl()}/trips/${trip.id}` : `${getClientUrl()}/buddies`,
+    });
+  } catch (err) {
+    logger.error(`Failed to send join request decision to user ${request.user.id}`, err.message);
+  }
+};
+
+const joinRequestService = {
+  // ========== REQUESTS (traveller side) ==========
+
+  /**
+   * Ask to join an open trip. Owners who blocked the traveller (or were
+   * blocked by them) see nothing, and their trip looks missing.
+   * @param {object} user - Authenticated user
+   * @param {object} data - { message? }
+   */
+  async requestToJoin(tripId, user, data, context = {}) {
+    const trip = await prisma.trip.findUnique({
+      where: { id: Number(tripId) },
+      include: {
+        owner: { select: { id: true, email: true } },
+        members: { where: { userId: user.id } },
+        _count: { select: { members: true } },
+      },
+    });
+    if (!trip) throw new NotFoundError("Trip not found.");
+    if (trip.members.length > 0) throw new ConflictError("You're already a member of this trip.");
+
+    // 1. Only open trips take requests, from people on good terms with the owner
+    if (!trip.isOpen) {
+      if (trip.visibility !== TRIP_VISIBILITY.PUBLIC) throw new NotFoundError("Trip not found.");
+      throw new ValidationError("This trip isn't accepting join requests.");
+    }
+    if (await buddyService.isBlockedBetween(user.id, trip.ownerId)) {
+      throw new NotFoundError("Trip not found.");
+    }
+    if (trip.maxMembers && trip._count.members >= trip.maxMembers) {
+      throw new ValidationError("This trip is full.");
+    }
+
+    const pending = await prisma.tripJoinRequest.findFirst({
+      where: { tripId: trip.id, userId: user.id, status: "PENDING" },
+    });
+    if (pending) throw new ConflictError("You already asked to join this trip.");
+
+    // 2. Save the request
+    const request = await prisma.tripJoinRequest.create({
+      data: { tripId: trip.id, userId: user.id, message: data.message || null },
+      select: requestSelect,
+    });
+
+    await recordJoinAudit(
+      prisma,
+      trip.id,
+      AUDIT_ACTIONS.REQUEST_TO_JOIN_TRIP,
+      `Join request ${request.id} sent by user ${user.id}.`,
+      context
+    );
+
+    // 3. Let the owner know
+    try {
+      await sendJoinRequestEmail(trip.owner.email, {
+        tripTitle: trip.title,
+        requesterName: displayName(user),
+        message: request.message,
+        inboxUrl: `${getClientUrl()}/join-requests`,
+      });
+    } catch (err) {
+      logger.error(`Failed to send join request ${request.id} to the trip owner`, err.message);
+    }
+
+    logger.info(`User ${user.id} asked to join trip ${trip.id}`);
+    return request;
+  },
+
+  /**
+   * Requests I sent (?status=, all by default)
+   */
+  async listMyRequests(userId, query = {}) {
+    const status = parseStatusFilter(query.status);
+
+    return prisma.tripJoinRequest.findMany({
+      where: { userId: Number(userId), ...(status && { status }) },
+      select: requestSelect,
+      orderBy: { createdAt: "desc" },
+    });
+  },
+
+  async cancelRequest(requestId, userId, context = {}) {
+    const request = await prisma.tripJoinRequest.findUnique({ where: { id: Number(requestId) } });
+    if (!request || request.userId !== Number(userId) || request.status !== "PENDING") {
+      throw new NotFoundError("Pending join request not found.");
+    }
+
+    await prisma.$transaction([
+      prisma.tripJoinRequest.update({
+        where: { id: request.id, status: "PENDING" },
+        data: { status: "CANCELLED", respondedAt: new Date() },
+      }),
+      recordJoinAudit(
+        prisma,
+        request.tripId,
+        AUDIT_ACTIONS.CANCEL_JOIN_REQUEST,
+        `Join request ${request.id} cancelled by user ${userId}.`,
+        context
+      ),
+    ]);
+  },
+
+  // ========== INBOX (owner side) ==========
+
+  /**
+   * Requests for every trip I own, oldest first (?status= defaults to
+   * PENDING, ?tripId= for one trip)
+   */
+  async listInbox(userId, query = {}) {
+    const status = parseStatusFilter(query.status, "PENDING");
+    if (query.tripId !== undefined && !Number.isInteger(Number(query.tripId))) {
+      throw new ValidationError("tripId must be an integer.");
+    }
+
+    return prisma.tripJoinRequest.findMany({
+      where: {
+        status,
+        trip: {
+          ownerId: Number(userId),
+          ...(query.tripId !== undefined && { id: Number(query.tripId) }),
+        },
+      },
+      select: requestSelect,
+      orderBy: { createdAt: "asc" },
+    });
+  },
+
+  async findPendingRequest(tripId, requestId) {
+    const request = await prisma.tripJoinRequest.findUnique({
+      where: { id: Number(requestId) },
+      include: { user: { select: { id: true, email: true, firstName: true, lastName: true } } },
+    });
+    if (!request || request.tripId !== Number(tripId) || request.status !== "PENDING") {
+      throw new NotFoundError("Pending join request not found.");
+    }
+    return request;
+  },
+
+  /**
+   * Approve a request: the traveller becomes a member. Filling the last
+   * place closes the trip and turns down the other pending requests.
+   * @param {object} data - { role?, responseMessage? }
+   */
+  async approveRequest(tripId, requestId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+    const request = await this.findPendingRequest(trip.id, requestId);
+    const role = data.role || TRIP_MEMBER_ROLES.VIEWER;
+
+    const { approved, closed, declined } = await prisma.$transaction(async (tx) => {
+      // 1. Make sure there is still room (concurrent joins wait on the lock)
+      const { trip: lockedTrip, memberCount } = await this.lockTripForJoining(tx, trip.id);
+      if (lockedTrip.maxMembers && memberCount >= lockedTrip.maxMembers) {
+        throw new ValidationError("This trip is full. Raise maxMembers to approve more requests.");
+      }
+
+      // 2. Answer the request, unless it was cancelled meanwhile, and add the member
+      const { count } = await tx.tripJoinRequest.updateMany({
+        where: { id: request.id, status: "PENDING" },
+        data: {
+          status: "APPROVED",
+          responseMessage: data.responseMessage || null,
+          respondedById: Number(userId),
+          respondedAt: new Date(),
+        },
+      });
+      if (count === 0) throw new NotFoundError("Pending join request not found.");
+
+      await tx.tripMember.upsert({
+        where: { tripId_userId: { tripId: trip.id, userId: request.userId } },
+        update: {},
+        create: { tripId: trip.id, userId: request.userId, role },
+      });
+      await recordJoinAudit(
+        tx,
+        trip.id,
+        AUDIT_ACTIONS.APPROVE_JOIN_REQUEST,
+        `Join request ${request.id} approved: user ${request.userId} joined as ${role}.`,
+        context
+      );
+
+      // 3. Close the trip once it is full
+      const result = await this.closeTripIfFull(tx, lockedTrip, memberCount + 1, Number(userId), context);
+      const approvedRequest = await tx.tripJoinRequest.findUnique({
+        where: { id: request.id },
+        select: requestSelect,
+      });
+
+      return { approved: approvedRequest, ...result };
+    });
+
+    // 4. Emails go out once everything is saved
+    await notifyDecision(request, trip, true, data.responseMessage);
+    await this.notifyTripFull(trip, declined);
+
+    logger.info(`Join request ${request.id} approved for trip ${trip.id}${closed ? " (trip now full)" : ""}`);
+    return { ...approved, tripClosed: closed };
+  },
+
+  /**
+   * @param {object} data - { responseMessage? }
+   */
+  async rejectRequest(tripId, requestId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+    const request = await this.findPendingRequest(trip.id, requestId);
+
+    const [rejected] = await prisma.$transaction([
+      prisma.tripJoinRequest.update({
+        where: { id: request.id, status: "PENDING" },
+        data: {
+          status: "REJECTED",
+          responseMessage: data.responseMessage || null,
+          respondedById: Number(userId),
+          respondedAt: new Date(),
+        },
+        select: requestSelect,
+      }),
+      recordJoinAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.REJECT_JOIN_REQUEST,
+        `Join request ${request.id} from user ${request.userId} rejected.`,
+        context
+      ),
+    ]);
+
+    await notifyDecision(request, trip, false, data.responseMessage);
+    return rejected;
+  },
+
+  // ========== GROUP SIZE ==========
+
+  /**
+   * Lock a trip's row until the transaction ends, so that two people joining
+   * at the same time (approvals, accepted invitations) can't both take the
+   * last place, then count its members
+   * @param {object} tx - Interactive transaction client
+   * @returns {Promise<{trip: object, memberCount: number}>}
+   */
+  async lockTripForJoining(tx, tripId) {
+    await tx.$queryRaw`SELECT "id" FROM "trips" WHERE "id" = ${Number(tripId)} FOR UPDATE`;
+
+    const trip = await tx.trip.findUnique({
+      where: { id: Number(tripId) },
+      select: { id: true, title: true, maxMembers: true, isOpen: true, lookingForCompanions: true },
+    });
+    if (!trip) throw new NotFoundError("Trip not found.");
+
+    const memberCount = await tx.tripMember.count({ where: { tripId: trip.id } });
+    return { trip, memberCount };
+  },
+
+  /**
+   * Once a new member fills the last place, stop listing the trip and turn
+   * down the requests still waiting. Runs in the transaction that added the
+   * member, after lockTripForJoining.
+   * @param {number} memberCount - Members including the one just added
+   * @param {number|null} respondedById - The owner when they approved a request
+   * @returns {Promise<{closed: boolean, declined: object[]}>} - Declined requests, to email after saving
+   */
+  async closeTripIfFull(tx, trip, memberCount, respondedById, context = {}) {
+    if (!trip.maxMembers || memberCount < trip.maxMembers) {
+      return { closed: false, declined: [] };
+    }
+
+    const declined = await tx.tripJoinRequest.findMany({
+      where: { tripId: trip.id, status: "PENDING" },
+      include: { user: { select: { id: true, email: true } } },
+    });
+    if (!trip.isOpen && !trip.lookingForCompanions && declined.length === 0) {
+      return { closed: false, declined: [] };
+    }
+
+    await tx.tripJoinRequest.updateMany({
+      where: { id: { in: declined.map((request) => request.id) }, status: "PENDING" },
+      data: {
+        status: "REJECTED",
+        responseMessage: FULL_TRIP_MESSAGE,
+        respondedById,
+        respondedAt: new Date(),
+      },
+    });
+    await tx.trip.update({
+      where: { id: trip.id },
+      data: { isOpen: false, lookingForCompanions: false },
+    });
+    await recordJoinAudit(
+      tx,
+      trip.id,
+      AUDIT_ACTIONS.CLOSE_TRIP,
+      `Trip closed: ${trip.maxMembers} members reached, ${declined.length} pending requests declined.`,
+      context
+    );
+
+    return { closed: true, declined };
+  },
+
+  /**
+   * Email the travellers whose requests were turned down by closeTripIfFull
+   */
+  async notifyTripFull(trip, declined) {
+    for (const request of declined) {
+      await notifyDecision(request, trip, false, FULL_TRIP_MESSAGE);
+    }
+  },
+};
+
+export default joinRequestService;
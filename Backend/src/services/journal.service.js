@@ -0,0 +1,105 @@
+import prisma from "../lib/prisma.js";
+import { ValidationError } from "../utils/errors.js";
+import tripService from "./trip.service.js";
+
+const journalPostInclude = {
+  author: { select: { id: true, firstName: true, lastName: true, avatar: true } },
+  day: { select: { id: true, date: true, title: true } },
+  item: { select: { id: true, title: true, placeName: true, latitude: true, longitude: true } },
+  _count: { select: { comments: true } },
+};
+
+const journalService = {
+  // ========== LINKING POSTS ==========
+
+  /**
+   * Work out the trip, day and item a post should point to. Only members
+   * can write about a trip, and the day and item must belong to it. An
+   * item alone also sets its day. Changing the trip clears the day and
+   * item; changing the day clears the item.
+   * @param {object} data - { tripId?, dayId?, itemId? } (null unlinks)
+   * @param {object} [current] - The post being updated
+   * @returns {Promise<object>} - Fields to save on the post (empty when the link doesn't change)
+   */
+  async resolveTripLink(userId, data, current = {}) {
+    const { tripId, dayId, itemId } = data;
+    if (tripId === undefined && dayId === undefined && itemId === undefined) return {};
+    if (tripId === null) return { tripId: null, dayId: null, itemId: null };
+
+    // 1. The trip: a new one, or the one the post is already linked to
+    const targetTripId = tripId ?? current.tripId;
+    if (!targetTripId) {
+      throw new ValidationError("Link the post to a trip before picking a day or place.");
+    }
+    const trip = await tripService.getTripForUser(targetTripId, userId, "MEMBER");
+    const tripChanged = trip.id !== current.tripId;
+
+    const link = {
+      tripId: trip.id,
+      dayId: dayId !== undefined ? dayId : tripChanged ? null : current.dayId ?? null,
+      itemId: itemId !== undefined ? itemId : tripChanged || dayId !== undefined ? null : current.itemId ?? null,
+    };
+
+    // 2. The place, which also tells the day
+    if (link.itemId) {
+      const item = await prisma.itineraryItem.findUnique({
+        where: { id: link.itemId },
+        select: { dayId: true, day: { select: { tripId: true } } },
+      });
+      if (!item || item.day.tripId !== trip.id) {
+        throw new ValidationError("itemId must be an itinerary item of this trip.");
+      }
+      if (dayId === undefined || dayId === null) {
+        link.dayId = item.dayId;
+      } else if (dayId !== item.dayId) {
+        throw new ValidationError("itemId must be an item of the chosen day.");
+      }
+    }
+
+    // 3. The day
+    if (link.dayId) {
+      const day = await prisma.itineraryDay.findUnique({ where: { id: link.dayId }, select: { tripId: true } });
+      if (!day || day.tripId !== trip.id) {
+        throw new ValidationError("dayId must be an itinerary day of this trip.");
+      }
+    }
+
+    return link;
+  },
+
+  // ========== JOURNAL ==========
+
+  /**
+   * Published posts about a trip, oldest first. Anyone who can view the trip
+   * can read its journal: members, or everyone for public trips.
+   */
+  async listJournal(tripId, userId, { skip = 0, take = 10 } = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "VIEW");
+
+    const where = { tripId: trip.id, published: true };
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({
+        where,
+        include: journalPostInclude,
+        orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+        skip,
+        take,
+      }),
+      prisma.post.count({ where }),
+    ]);
+
+    return {
+      trip: {
+        id: trip.id,
+        title: trip.title,
+        destination: trip.destination,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+      },
+      posts,
+      total,
+    };
+  },
+};
+
+export default journalService;
@@ -0,0 +1,145 @@
+import prisma from "../lib/prisma.js";
+import { generateOTP, hashToken } from "../lib/auth.js";
+import { ValidationError, TooManyRequestsError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { AUDIT_ACTIONS, OTP_LIMITS, OTP_EXPIRY } from "../utils/constants.js";
+
+/**
+ * Refuse to issue or check codes while a purpose is in lockout
+ */
+const assertNotLocked = (record) => {
+  if (record?.lockedUntil && new Date() < record.lockedUntil) {
+    const minutes = Math.ceil((record.lockedUntil - Date.now()) / 60000);
+    throw new TooManyRequestsError(
+      `Too many invalid codes. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`
+    );
+  }
+};
+
+/**
+ * One-time codes are stored per (user, purpose), so a code issued for one
+ * flow can never satisfy another and flows don't overwrite each other.
+ */
+const otpService = {
+  getExpiryMinutes(purpose) {
+    return Math.round(OTP_EXPIRY[purpose] / 60000);
+  },
+
+  async assertNotLocked(userId, purpose) {
+    const record = await prisma.oneTimeCode.findUnique({
+      where: { userId_purpose: { userId: Number(userId), purpose } },
+    });
+    assertNotLocked(record);
+  },
+
+  // ========== ISSUE ==========
+
+  async issue(userId, purpose) {
+    const existing = await prisma.oneTimeCode.findUnique({
+      where: { userId_purpose: { userId: Number(userId), purpose } },
+    });
+
+    // 1. Respect the cooldown after too many wrong codes
+    assertNotLocked(existing);
+
+    // 2. Generate code with the expiry of its purpose
+    const otp = generateOTP(6);
+    const data = {
+      codeHash: hashToken(otp),
+      expiresAt: new Date(Date.now() + OTP_EXPIRY[purpose]),
+      attempts: 0,
+      lockedUntil: null,
+    };
+
+    // 3. Replace any previous code for the same purpose
+    await prisma.oneTimeCode.upsert({
+      where: { userId_purpose: { userId: Number(userId), purpose } },
+      update: data,
+      create: { userId: Number(userId), purpose, ...data },
+    });
+
+    return { otp, expiresInMinutes: this.getExpiryMinutes(purpose) };
+  },
+
+  // ========== VERIFY ==========
+
+  /**
+   * Check and consume a code. Wrong codes are counted; once
+   * OTP_LIMITS.MAX_ATTEMPTS is reached the code is invalidated and no new
+   * code for this purpose can be requested until the cooldown ends.
+   */
+  async verify(userId, purpose, otp, context = {}) {
+    const record = await prisma.oneTimeCode.findUnique({
+      where: { userId_purpose: { userId: Number(userId), purpose } },
+    });
+
+    // 1. Validate code state
+    assertNotLocked(record);
+
+    if (!record?.codeHash || !record.expiresAt) {
+      throw new ValidationError("No OTP request found. Please request a new one.");
+    }
+
+    if (new Date() > record.expiresAt) {
+      throw new ValidationError("OTP has expired. Please request a new one.");
+    }
+
+    // 2. Compare hashes and consume on success
+    if (hashToken(String(otp).trim()) === record.codeHash) {
+      await prisma.oneTimeCode.delete({ where: { id: record.id } });
+      return true;
+    }
+
+    // 3. Count the failure
+    const remaining = await this.registerFailure(record, context);
+    throw new ValidationError(
+      `Invalid OTP. ${remaining} attempt${remaining === 1 ? "" : "s"} remaining.`
+    );
+  },
+
+  /**
+   * Count a failed check against a code. On the last allowed attempt the
+   * code is invalidated and the purpose locked for the cooldown.
+   * @returns {Promise<number>} - Attempts left
+   * @throws {TooManyRequestsError} - When the code has just been locked
+   */
+  async registerFailure(record, context = {}) {
+    const { userId, purpose } = record;
+    const { attempts } = await prisma.oneTimeCode.update({
+      where: { id: record.id },
+      data: { attempts: { increment: 1 } },
+    });
+
+    if (attempts < OTP_LIMITS.MAX_ATTEMPTS) {
+      return OTP_LIMITS.MAX_ATTEMPTS - attempts;
+    }
+
+    await prisma.$transaction([
+      prisma.oneTimeCode.update({
+        where: { id: record.id },
+        data: {
+          codeHash: null,
+          expiresAt: null,
+          attempts: 0,
+          lockedUntil: new Date(Date.now() + OTP_LIMITS.LOCKOUT_COOLDOWN),
+        },
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.OTP_LOCKOUT,
+          entity: "User",
+          entityId: Number(userId),
+          details: `OTP for ${purpose} invalidated after ${attempts} failed attempts.`,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.warn(`OTP lockout for user ${userId} (${purpose})`);
+    throw new TooManyRequestsError(
+      "Too many invalid codes. This code has been invalidated, please request a new one later."
+    );
+  },
+};
+
+export default otpService;
@@ -0,0 +1,288 @@
+import prisma from "../lib/prisma.js";
+import { ValidationError, NotFoundError, ForbiddenError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { AUDIT_ACTIONS, POLL_LIMITS, TRIP_MEMBER_ROLES } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const voterSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const pollInclude = {
+  createdBy: { select: voterSelect },
+  options: { orderBy: [{ position: "asc" }, { id: "asc" }] },
+  votes: { select: { optionId: true, userId: true, user: { select: voterSelect } } },
+};
+
+const recordPollAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+const isOpen = (poll) => !poll.closedAt && (!poll.deadline || poll.deadline > new Date());
+
+/**
+ * Poll with vote counts per option. Members always see the results and
+ * their own votes; voters are listed only on polls that aren't anonymous.
+ */
+const formatPoll = ({ votes, ...poll }, userId) => {
+  const voterIds = new Set(votes.map((vote) => vote.userId));
+
+  return {
+    ...poll,
+    isOpen: isOpen(poll),
+    totalVoters: voterIds.size,
+    myVotes: votes.filter((vote) => vote.userId === Number(userId)).map((vote) => vote.optionId),
+    options: poll.options.map((option) => {
+      const optionVotes = votes.filter((vote) => vote.optionId === option.id);
+      return {
+        ...option,
+        votes: optionVotes.length,
+        percentage: voterIds.size ? Math.round((optionVotes.length / voterIds.size) * 100) : 0,
+        ...(!poll.anonymous && { voters: optionVotes.map((vote) => vote.user) }),
+      };
+    }),
+  };
+};
+
+/**
+ * Options with the most votes (several on a tie, none without votes)
+ */
+const leadingOptions = (poll) => {
+  const counts = poll.options.map((option) => ({
+    option,
+    votes: poll.votes.filter((vote) => vote.optionId === option.id).length,
+  }));
+  const most = Math.max(...counts.map((count) => count.votes));
+  return most > 0 ? counts.filter((count) => count.votes === most).map((count) => count.option) : [];
+};
+
+const pollService = {
+  // ========== POLLS ==========
+
+  async findPoll(tripId, pollId) {
+    const poll = await prisma.tripPoll.findUnique({
+      where: { id: Number(pollId) },
+      include: pollInclude,
+    });
+    if (!poll || poll.tripId !== Number(tripId)) {
+      throw new NotFoundError("Poll not found.");
+    }
+    return poll;
+  },
+
+  /**
+   * The creator, owners and editors manage a poll
+   */
+  assertCanManage(trip, poll, userId) {
+    const isEditor = [TRIP_MEMBER_ROLES.OWNER, TRIP_MEMBER_ROLES.EDITOR].includes(trip.memberRole);
+    if (!isEditor && poll.createdById !== Number(userId)) {
+      throw new ForbiddenError("Only the poll's creator, the owner or editors can do this.");
+    }
+  },
+
+  /**
+   * Newest first (?status=open|closed)
+   */
+  async listPolls(tripId, userId, query = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    if (query.status !== undefined && !["open", "closed"].includes(query.status)) {
+      throw new ValidationError("status must be one of: open, closed.");
+    }
+
+    const polls = await prisma.tripPoll.findMany({
+      where: { tripId: trip.id },
+      include: pollInclude,
+      orderBy: { createdAt: "desc" },
+    });
+
+    return polls
+      .map((poll) => formatPoll(poll, userId))
+      .filter((poll) => !query.status || poll.isOpen === (query.status === "open"));
+  },
+
+  async getPoll(tripId, pollId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    return formatPoll(await this.findPoll(trip.id, pollId), userId);
+  },
+
+  /**
+   * Any member can ask the group
+   * @param {object} data - { question, description?, options: [{ label, description? }], multipleChoice?, anonymous?, deadline? }
+   */
+  async createPoll(tripId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    const pollCount = await prisma.tripPoll.count({ where: { tripId: trip.id } });
+    if (pollCount >= POLL_LIMITS.MAX_POLLS_PER_TRIP) {
+      throw new ValidationError(`A trip can have at most ${POLL_LIMITS.MAX_POLLS_PER_TRIP} polls.`);
+    }
+
+    const poll = await prisma.$transaction(async (tx) => {
+      const created = await tx.tripPoll.create({
+        data: {
+          tripId: trip.id,
+          createdById: Number(userId),
+          question: data.question,
+          description: data.description || null,
+          multipleChoice: data.multipleChoice ?? false,
+          anonymous: data.anonymous ?? false,
+          deadline: data.deadline ? new Date(data.deadline) : null,
+          options: {
+            create: data.options.map((option, position) => ({
+              label: option.label,
+              description: option.description || null,
+              position,
+            })),
+          },
+        },
+        include: pollInclude,
+      });
+
+      await recordPollAudit(
+        tx,
+        trip.id,
+        AUDIT_ACTIONS.CREATE_POLL,
+        `Poll ${created.id} "${created.question}" created with ${created.options.length} options.`,
+        context
+      );
+
+      return created;
+    });
+
+    logger.info(`Poll created in trip ${trip.id} by user ${userId}: ${poll.id}`);
+    return formatPoll(poll, userId);
+  },
+
+  async deletePoll(tripId, pollId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const poll = await this.findPoll(trip.id, pollId);
+    this.assertCanManage(trip, poll, userId);
+
+    // Options and votes are removed with the poll (ON DELETE CASCADE)
+    await prisma.$transaction([
+      prisma.tripPoll.delete({ where: { id: poll.id } }),
+      recordPollAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_POLL,
+        `Poll ${poll.id} "${poll.question}" deleted.`,
+        context
+      ),
+    ]);
+  },
+
+  // ========== VOTING ==========
+
+  /**
+   * Replace my votes on a poll (an empty list withdraws them)
+   * @param {number[]} optionIds - One option on single-choice polls
+   */
+  async vote(tripId, pollId, userId, optionIds) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const poll = await this.findPoll(trip.id, pollId);
+
+    if (!isOpen(poll)) {
+      throw new ValidationError("Voting on this poll has ended.");
+    }
+    const ids = [...new Set(optionIds)];
+    if (!poll.multipleChoice && ids.length > 1) {
+      throw new ValidationError("This poll allows only one choice.");
+    }
+    const validIds = new Set(poll.options.map((option) => option.id));
+    if (ids.some((id) => !validIds.has(id))) {
+      throw new ValidationError("optionIds must be options of this poll.");
+    }
+
+    await prisma.$transaction([
+      prisma.tripPollVote.deleteMany({ where: { pollId: poll.id, userId: Number(userId) } }),
+      prisma.tripPollVote.createMany({
+        data: ids.map((optionId) => ({ pollId: poll.id, optionId, userId: Number(userId) })),
+      }),
+    ]);
+
+    return formatPoll(await this.findPoll(trip.id, poll.id), userId);
+  },
+
+  // ========== CLOSING ==========
+
+  /**
+   * End voting. The option with the most votes wins, or `optionId` to
+   * settle a tie. With `itineraryItem` ({ dayId, ... }) the winner is added
+   * to the itinerary, which needs owner or editor rights.
+   * @param {object} data - { optionId?, itineraryItem? }
+   */
+  async closePoll(tripId, pollId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+    const poll = await this.findPoll(trip.id, pollId);
+    this.assertCanManage(trip, poll, userId);
+
+    if (poll.closedAt) {
+      throw new ValidationError("This poll is already closed.");
+    }
+
+    // 1. Work out the winner
+    let winner = null;
+    if (data.optionId !== undefined) {
+      winner = poll.options.find((option) => option.id === data.optionId);
+      if (!winner) throw new ValidationError("optionId must be an option of this poll.");
+    } else {
+      const leaders = leadingOptions(poll);
+      if (leaders.length === 1) winner = leaders[0];
+    }
+    if (data.itineraryItem && !winner) {
+      throw new ValidationError("There is no single winning option. Pick one with optionId.");
+    }
+
+    // 2. Add the winner to the itinerary (checks edit rights and the day)
+    let item = null;
+    if (data.itineraryItem) {
+      const { dayId, ...itemData } = data.itineraryItem;
+      item = await tripService.createItem(
+        trip.id,
+        dayId,
+        userId,
+        {
+          ...itemData,
+          title: itemData.title || winner.label,
+          notes: itemData.notes ?? winner.description,
+        },
+        context
+      );
+    }
+
+    // 3. Close the poll
+    const [closedPoll] = await prisma.$transaction([
+      prisma.tripPoll.update({
+        where: { id: poll.id },
+        data: {
+          closedAt: new Date(),
+          winningOptionId: winner?.id ?? null,
+          itineraryItemId: item?.id ?? null,
+        },
+        include: pollInclude,
+      }),
+      recordPollAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.CLOSE_POLL,
+        `Poll ${poll.id} closed${winner ? `, winner: "${winner.label}"` : " without a winner"}${item ? `, added as item ${item.id}` : ""}.`,
+        context
+      ),
+    ]);
+
+    logger.info(`Poll ${poll.id} closed in trip ${trip.id} by user ${userId}`);
+    return { ...formatPoll(closedPoll, userId), itineraryItem: item };
+  },
+};
+
+export default pollService;
@@ -0,0 +1,283 @@
+import prisma from "../lib/prisma.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getUserPermissions } from "../utils/helpers.js";
+import { AUDIT_ACTIONS, PERMISSIONS, ROLES } from "../utils/constants.js";
+
+const roleInclude = {
+  permissions: { include: { permission: true } },
+  _count: { select: { users: true } },
+};
+
+/**
+ * Flatten a role loaded with roleInclude for API responses
+ */
+const formatRole = ({ permissions, _count, ...role }) => ({
+  ...role,
+  permissions: permissions.map((grant) => grant.permission.key).sort(),
+  userCount: _count.users,
+});
+
+/**
+ * ADMIN, or a role that holds every permission
+ */
+const isFullAdmin = (user) => {
+  const granted = getUserPermissions(user);
+  return user.role?.name === ROLES.ADMIN || Object.values(PERMISSIONS).every((key) => granted.includes(key));
+};
+
+/**
+ * Refuse to hand out permissions the actor doesn't hold, unless they are a
+ * full admin. Otherwise a custom role could be given everything.
+ */
+const assertCanGrant = (actor, keys = []) => {
+  if (isFullAdmin(actor)) return;
+
+  const granted = getUserPermissions(actor);
+  const missing = keys.filter((key) => !granted.includes(key));
+  if (missing.length > 0) {
+    throw new ForbiddenError(`You can't grant permissions you don't have: ${missing.join(", ")}.`);
+  }
+};
+
+/**
+ * Resolve permission keys to ids, rejecting keys that were never seeded
+ */
+const resolvePermissionIds = async (keys = []) => {
+  if (keys.length === 0) return [];
+
+  const permissions = await prisma.permission.findMany({
+    where: { key: { in: keys } },
+  });
+
+  const known = new Set(permissions.map((permission) => permission.key));
+  const unknown = keys.filter((key) => !known.has(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown permissions: ${unknown.join(", ")}`);
+  }
+
+  return permissions.map((permission) => permission.id);
+};
+
+const roleService = {
+  // ========== READ ==========
+
+  async listPermissions() {
+    return prisma.permission.findMany({ orderBy: { key: "asc" } });
+  },
+
+  async listRoles() {
+    const roles = await prisma.role.findMany({
+      include: roleInclude,
+      orderBy: { name: "asc" },
+    });
+    return roles.map(formatRole);
+  },
+
+  async getRoleById(roleId) {
+    const role = await prisma.role.findUnique({
+      where: { id: Number(roleId) },
+      include: roleInclude,
+    });
+    if (!role) throw new NotFoundError("Role not found.");
+    return formatRole(role);
+  },
+
+  // ========== MANAGE ==========
+
+  /**
+   * @param {object} actor - Authenticated user, loaded with their role's permissions
+   */
+  async createRole({ name, description, permissions = [] }, actor, context = {}) {
+    // 1. Role names are unique, and only permissions the actor holds can be granted
+    const existing = await prisma.role.findUnique({ where: { name } });
+    if (existing) throw new ConflictError(`Role '${name}' already exists.`);
+    assertCanGrant(actor, permissions);
+
+    // 2. Create role with its permissions
+    const permissionIds = await resolvePermissionIds(permissions);
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        description: description || null,
+        permissions: {
+          create: permissionIds.map((permissionId) => ({ permissionId })),
+        },
+      },
+      include: roleInclude,
+    });
+
+    // 3. Log action
+    await prisma.auditLog.create({
+      data: {
+        action: AUDIT_ACTIONS.CREATE_ROLE,
+        entity: "Role",
+        entityId: role.id,
+        details: `Role ${role.name} created with permissions: ${permissions.join(", ") || "none"}.`,
+        ...context,
+      },
+    });
+
+    logger.info(`Role created: ${role.name}`);
+    return formatRole(role);
+  },
+
+  /**
+   * @param {object} actor - Authenticated user, loaded with their role's permissions
+   */
+  async updateRole(roleId, { name, description, permissions }, actor, context = {}) {
+    const role = await prisma.role.findUnique({ where: { id: Number(roleId) } });
+    if (!role) throw new NotFoundError("Role not found.");
+
+    // 1. Guard built-in roles
+    if (name !== undefined && name !== role.name) {
+      if (role.isSystem) {
+        throw new ForbiddenError("Built-in roles cannot be renamed.");
+      }
+      const existing = await prisma.role.findUnique({ where: { name } });
+      if (existing) throw new ConflictError(`Role '${name}' already exists.`);
+    }
+
+    // ADMIN keeps every permission so administrators can't lock themselves out
+    if (permissions !== undefined && role.name === ROLES.ADMIN) {
+      throw new ForbiddenError("The ADMIN role always has every permission.");
+    }
+    if (permissions !== undefined) assertCanGrant(actor, permissions);
+
+    // 2. Update details and replace the permission set
+    const permissionIds =
+      permissions !== undefined ? await resolvePermissionIds(permissions) : null;
+
+    const [updatedRole] = await prisma.$transaction([
+      prisma.role.update({
+        where: { id: role.id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && { description }),
+          ...(permissionIds && {
+            permissions: {
+              deleteMany: {},
+              create: permissionIds.map((permissionId) => ({ permissionId })),
+            },
+          }),
+        },
+        include: roleInclude,
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.UPDATE_ROLE,
+          entity: "Role",
+          entityId: role.id,
+          details: permissions !== undefined
+            ? `Role ${role.name} updated; permissions: ${permissions.join(", ") || "none"}.`
+            : `Role ${role.name} updated.`,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.info(`Role updated: ${updatedRole.name}`);
+    return formatRole(updatedRole);
+  },
+
+  async deleteRole(roleId, context = {}) {
+    const role = await prisma.role.findUnique({
+      where: { id: Number(roleId) },
+      include: { _count: { select: { users: true } } },
+    });
+    if (!role) throw new NotFoundError("Role not found.");
+
+    if (role.isSystem) {
+      throw new ForbiddenError("Built-in roles cannot be deleted.");
+    }
+
+    // Deleting a role cascades to its users, so it has to be empty first
+    if (role._count.users > 0) {
+      throw new ConflictError("Reassign the users of this role before deleting it.");
+    }
+
+    await prisma.$transaction([
+      prisma.role.delete({ where: { id: role.id } }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.DELETE_ROLE,
+          entity: "Role",
+          entityId: role.id,
+          details: `Role ${role.name} deleted.`,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.info(`Role deleted: ${role.name}`);
+  },
+
+  // ========== USERS ==========
+
+  /**
+   * Only a full admin can block, unblock, delete or change the role of
+   * another full admin
+   * @param {object} actor - Authenticated user, loaded with their role's permissions
+   * @returns {Promise<object>} - The target user with their role's permissions
+   */
+  async assertCanManageUser(userId, actor) {
+    const user = await prisma.user.findUnique({
+      where: { id: Number(userId) },
+      include: { role: { include: { permissions: { include: { permission: true } } } } },
+    });
+    if (!user) throw new NotFoundError("User not found.");
+
+    if (isFullAdmin(user) && !isFullAdmin(actor)) {
+      throw new ForbiddenError("Only an admin can manage an admin account.");
+    }
+    return user;
+  },
+
+  /**
+   * Change a user's role. Only a full admin can make someone ADMIN or
+   * change an admin's role, and nobody can hand out permissions they don't
+   * hold themselves.
+   * @param {object} actor - Authenticated user, loaded with their role's permissions
+   */
+  async assignUserRole(userId, roleName, actor, context = {}) {
+    const role = await prisma.role.findUnique({ where: { name: roleName }, include: roleInclude });
+    if (!role) throw new NotFoundError(`Role '${roleName}' not found.`);
+
+    const user = await this.assertCanManageUser(userId, actor);
+
+    if (!isFullAdmin(actor)) {
+      if (role.name === ROLES.ADMIN) {
+        throw new ForbiddenError("Only an admin can grant the ADMIN role.");
+      }
+      assertCanGrant(actor, formatRole(role).permissions);
+    }
+
+    const [updatedUser] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { roleId: role.id },
+        include: { role: true },
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.ASSIGN_ROLE,
+          entity: "User",
+          entityId: user.id,
+          details: `Role changed from ${user.role.name} to ${role.name}.`,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.info(`User ${user.email} assigned role ${role.name}`);
+    return updatedUser;
+  },
+};
+
+export default roleService;
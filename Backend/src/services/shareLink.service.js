@@ -0,0 +1,302 @@
+import prisma from "../lib/prisma.js";
+import { hashPassword, comparePassword, hashToken, generateRandomToken } from "../lib/auth.js";
+import { ValidationError, NotFoundError, AuthenticationError, TooManyRequestsError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getClientUrl } from "../utils/helpers.js";
+import { AUDIT_ACTIONS, SHARE_LINK_LIMITS } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const personSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const shareLinkSelect = {
+  id: true,
+  label: true,
+  passwordHash: true,
+  expiresAt: true,
+  revokedAt: true,
+  accessCount: true,
+  lastAccessedAt: true,
+  lockedUntil: true,
+  createdAt: true,
+  createdBy: { select: personSelect },
+};
+
+// What someone holding the link gets to see. Budgets, expenses, documents,
+// polls and member emails stay with the members.
+const sharedTripSelect = {
+  id: true,
+  title: true,
+  description: true,
+  destination: true,
+  startDate: true,
+  endDate: true,
+  timezone: true,
+  coverImage: true,
+  owner: { select: { firstName: true, lastName: true, avatar: true } },
+  members: {
+    select: { role: true, user: { select: { firstName: true, lastName: true, avatar: true } } },
+    orderBy: { joinedAt: "asc" },
+  },
+  days: {
+    orderBy: { date: "asc" },
+    select: {
+      date: true,
+      title: true,
+      notes: true,
+      items: {
+        orderBy: [{ position: "asc" }, { id: "asc" }],
+        select: {
+          title: true,
+          type: true,
+          startTime: true,
+          endTime: true,
+          placeName: true,
+          address: true,
+          latitude: true,
+          longitude: true,
+          notes: true,
+        },
+      },
+    },
+  },
+};
+
+const recordShareAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+const linkStatus = (link) => {
+  if (link.revokedAt) return "REVOKED";
+  if (link.expiresAt && link.expiresAt <= new Date()) return "EXPIRED";
+  return "ACTIVE";
+};
+
+/**
+ * Link as the owner sees it: never the token or the password hash
+ */
+const formatLink = ({ passwordHash, ...link }) => ({
+  ...link,
+  hasPassword: Boolean(passwordHash),
+  status: linkStatus(link),
+});
+
+const shareLinkService = {
+  // ========== MANAGING LINKS (owner) ==========
+
+  /**
+   * Every link of a trip, newest first, including revoked and expired ones
+   */
+  async listLinks(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+
+    const links = await prisma.tripShareLink.findMany({
+      where: { tripId: trip.id },
+      select: shareLinkSelect,
+      orderBy: { createdAt: "desc" },
+    });
+
+    return links.map(formatLink);
+  },
+
+  /**
+   * Create a read-only link to the trip. The token is part of the returned
+   * URL and can't be looked up again later.
+   * @param {object} data - { label?, expiresAt?, password? }
+   */
+  async createLink(tripId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+
+    const activeCount = await prisma.tripShareLink.count({
+      where: {
+        tripId: trip.id,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+    });
+    if (activeCount >= SHARE_LINK_LIMITS.MAX_ACTIVE_PER_TRIP) {
+      throw new ValidationError(
+        `A trip can have at most ${SHARE_LINK_LIMITS.MAX_ACTIVE_PER_TRIP} active share links. Revoke one first.`
+      );
+    }
+
+    // 1. Only the hash of the token is stored
+    const token = generateRandomToken();
+
+    const [link] = await prisma.$transaction([
+      prisma.tripShareLink.create({
+        data: {
+          tripId: trip.id,
+          createdById: Number(userId),
+          tokenHash: hashToken(token),
+          label: data.label || null,
+          passwordHash: data.password ? await hashPassword(data.password) : null,
+          expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+        },
+        select: shareLinkSelect,
+      }),
+      recordShareAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.CREATE_SHARE_LINK,
+        `Share link created${data.password ? " with a password" : ""}${data.expiresAt ? `, expires ${new Date(data.expiresAt).toISOString()}` : ""}.`,
+        context
+      ),
+    ]);
+
+    logger.info(`Share link ${link.id} created for trip ${trip.id} by user ${userId}`);
+    return { ...formatLink(link), url: `${getClientUrl()}/share/${token}`, token };
+  },
+
+  /**
+   * Stop a link from working. Revoked links stay listed with their stats.
+   */
+  async revokeLink(tripId, linkId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+
+    const link = await prisma.tripShareLink.findUnique({ where: { id: Number(linkId) } });
+    if (!link || link.tripId !== trip.id || link.revokedAt) {
+      throw new NotFoundError("Share link not found.");
+    }
+
+    await prisma.$transaction([
+      prisma.tripShareLink.update({
+        where: { id: link.id },
+        data: { revokedAt: new Date() },
+      }),
+      recordShareAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.REVOKE_SHARE_LINK,
+        `Share link ${link.id} revoked.`,
+        context
+      ),
+    ]);
+  },
+
+  // ========== PUBLIC VIEW ==========
+
+  /**
+   * Trip behind a share link, for anyone holding it. Every attempt on a
+   * known link is logged, including the refused ones. Unknown, revoked and
+   * expired links all look the same to the caller. Wrong passwords are
+   * counted per link, whatever IP they come from, and lock it for a while.
+   * @param {string} token - Token from the link
+   * @param {string} [password] - Needed when the link has one
+   */
+  async getSharedTrip(token, password, context = {}) {
+    const link = await prisma.tripShareLink.findUnique({
+      where: { tokenHash: hashToken(String(token)) },
+    });
+    if (!link) throw new NotFoundError("Share link not found.");
+
+    // 1. Check the link is still valid and unlocked
+    if (linkStatus(link) !== "ACTIVE") {
+      await recordShareAudit(
+        prisma,
+        link.tripId,
+        AUDIT_ACTIONS.DENY_SHARE_LINK,
+        `Share link ${link.id} used while ${linkStatus(link).toLowerCase()}.`,
+        context
+      );
+      throw new NotFoundError("Share link not found.");
+    }
+
+    if (link.passwordHash && link.lockedUntil && new Date() < link.lockedUntil) {
+      await recordShareAudit(
+        prisma,
+        link.tripId,
+        AUDIT_ACTIONS.DENY_SHARE_LINK,
+        `Share link ${link.id} used while locked after wrong passwords.`,
+        context
+      );
+      const minutes = Math.ceil((link.lockedUntil - Date.now()) / 60000);
+      throw new TooManyRequestsError(
+        `Too many wrong passwords for this link. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`
+      );
+    }
+
+    if (link.passwordHash && !password) {
+      await recordShareAudit(
+        prisma,
+        link.tripId,
+        AUDIT_ACTIONS.DENY_SHARE_LINK,
+        `Share link ${link.id} used without the password.`,
+        context
+      );
+      throw new AuthenticationError("This link needs a password.");
+    }
+
+    // 2. Count wrong passwords on the link itself, so guesses spread over
+    // many IPs still lock it
+    if (link.passwordHash && !(await comparePassword(String(password), link.passwordHash))) {
+      const locked = await prisma.$transaction(async (tx) => {
+        const { failedAttempts } = await tx.tripShareLink.update({
+          where: { id: link.id },
+          data: { failedAttempts: { increment: 1 } },
+          select: { failedAttempts: true },
+        });
+        const lock = failedAttempts >= SHARE_LINK_LIMITS.MAX_PASSWORD_ATTEMPTS;
+        if (lock) {
+          await tx.tripShareLink.update({
+            where: { id: link.id },
+            data: { failedAttempts: 0, lockedUntil: new Date(Date.now() + SHARE_LINK_LIMITS.LOCKOUT_DURATION) },
+          });
+        }
+
+        await recordShareAudit(
+          tx,
+          link.tripId,
+          AUDIT_ACTIONS.DENY_SHARE_LINK,
+          `Share link ${link.id} used with a wrong password (${failedAttempts} of ${SHARE_LINK_LIMITS.MAX_PASSWORD_ATTEMPTS})${lock ? ", link locked" : ""}.`,
+          context
+        );
+        return lock;
+      });
+
+      if (locked) {
+        logger.warn(`Share link ${link.id} locked after ${SHARE_LINK_LIMITS.MAX_PASSWORD_ATTEMPTS} wrong passwords`);
+        throw new TooManyRequestsError("Too many wrong passwords for this link. Please try again later.");
+      }
+      throw new AuthenticationError("Incorrect password for this link.");
+    }
+
+    // 3. Count the visit and log it; the right password clears wrong guesses
+    const [trip] = await prisma.$transaction([
+      prisma.trip.findUnique({ where: { id: link.tripId }, select: sharedTripSelect }),
+      prisma.tripShareLink.update({
+        where: { id: link.id },
+        data: { accessCount: { increment: 1 }, lastAccessedAt: new Date(), failedAttempts: 0 },
+      }),
+      recordShareAudit(
+        prisma,
+        link.tripId,
+        AUDIT_ACTIONS.ACCESS_SHARE_LINK,
+        `Trip viewed through share link ${link.id}.`,
+        context
+      ),
+    ]);
+
+    // 4. Members by name only
+    const { id, members, ...sharedTrip } = trip;
+    return {
+      ...sharedTrip,
+      members: members.map((member) => ({ ...member.user, role: member.role })),
+      memberCount: members.length,
+      sharedUntil: link.expiresAt,
+    };
+  },
+};
+
+export default shareLinkService;
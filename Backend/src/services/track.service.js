@@ -0,0 +1,288 @@
+import prisma from "../lib/prisma.js";
+import { formatDateOnly } from "../lib/dates.js";
+import { parseTrack, computeTrackStats, buildGpx, buildKml } from "../lib/tracks.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { AUDIT_ACTIONS, TRACK_FORMATS, TRACK_IMPORT } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const EXPORT_TYPES = {
+  GPX: { extension: "gpx", contentType: "application/gpx+xml", build: buildGpx },
+  KML: { extension: "kml", contentType: "application/vnd.google-earth.kml+xml", build: buildKml },
+};
+
+const trackSummarySelect = {
+  id: true,
+  tripId: true,
+  dayId: true,
+  name: true,
+  sourceFormat: true,
+  uploadedById: true,
+  pointCount: true,
+  distanceMeters: true,
+  elevationGain: true,
+  elevationLoss: true,
+  maxAltitude: true,
+  minAltitude: true,
+  createdAt: true,
+  updatedAt: true,
+  day: { select: { date: true } },
+};
+
+const pointSelect = {
+  segment: true,
+  latitude: true,
+  longitude: true,
+  elevation: true,
+  recordedAt: true,
+};
+
+const recordTrackAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Check an export format (?format=gpx|kml, GPX by default)
+ */
+const parseExportFormat = (format = "gpx") => {
+  const key = String(format).toUpperCase();
+  if (!TRACK_FORMATS.includes(key)) {
+    throw new ValidationError(`format must be one of: ${TRACK_FORMATS.join(", ").toLowerCase()}.`);
+  }
+  return EXPORT_TYPES[key];
+};
+
+/**
+ * Check an optional ?dayId= filter
+ */
+const parseDayFilter = (dayId) => {
+  if (dayId === undefined) return undefined;
+  if (!Number.isInteger(Number(dayId))) {
+    throw new ValidationError("dayId must be an integer.");
+  }
+  return Number(dayId);
+};
+
+const slugify = (value) =>
+  value.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || "route";
+
+const trackService = {
+  // ========== TRACKS ==========
+
+  async findTrack(tripId, trackId) {
+    const track = await prisma.tripTrack.findUnique({
+      where: { id: Number(trackId) },
+      select: trackSummarySelect,
+    });
+    if (!track || track.tripId !== Number(tripId)) {
+      throw new NotFoundError("Track not found.");
+    }
+    return track;
+  },
+
+  /**
+   * List a trip's tracks without their points (?dayId= for one day)
+   */
+  async listTracks(tripId, userId, query = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "VIEW");
+
+    const dayId = parseDayFilter(query.dayId);
+
+    return prisma.tripTrack.findMany({
+      where: { tripId: trip.id, ...(dayId !== undefined && { dayId }) },
+      select: trackSummarySelect,
+      orderBy: [{ day: { date: "asc" } }, { createdAt: "asc" }],
+    });
+  },
+
+  async getTrack(tripId, trackId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "VIEW");
+    const track = await this.findTrack(trip.id, trackId);
+
+    const points = await prisma.trackPoint.findMany({
+      where: { trackId: track.id },
+      select: pointSelect,
+      orderBy: { sequence: "asc" },
+    });
+
+    return { ...track, points };
+  },
+
+  /**
+   * Store the points of an uploaded GPX/KML file with its distance and
+   * elevation statistics
+   * @param {{buffer: Buffer, originalname: string}} file - Uploaded file
+   * @param {object} data - { name?, dayId? }
+   */
+  async uploadTrack(tripId, userId, file, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const day = data.dayId ? await tripService.findDay(trip.id, data.dayId) : null;
+
+    const trackCount = await prisma.tripTrack.count({ where: { tripId: trip.id } });
+    if (trackCount >= TRACK_IMPORT.MAX_TRACKS_PER_TRIP) {
+      throw new ValidationError(`A trip can have at most ${TRACK_IMPORT.MAX_TRACKS_PER_TRIP} tracks.`);
+    }
+
+    // 1. Parse the file
+    const format = file.originalname.toLowerCase().endsWith(".kml") ? "KML" : "GPX";
+    let parsed;
+    try {
+      parsed = parseTrack(file.buffer.toString("utf8").replace(/^\uFEFF/, ""), format);
+    } catch (err) {
+      throw new ValidationError(err.message);
+    }
+    if (parsed.points.length > TRACK_IMPORT.MAX_POINTS) {
+      throw new ValidationError(`A track can have at most ${TRACK_IMPORT.MAX_POINTS} points.`);
+    }
+
+    // 2. Save the track with its points and statistics
+    const name = data.name || parsed.name || file.originalname.replace(/\.(gpx|kml)$/i, "");
+    const track = await prisma.tripTrack.create({
+      data: {
+        tripId: trip.id,
+        dayId: day?.id ?? null,
+        name,
+        sourceFormat: format,
+        uploadedById: Number(userId),
+        pointCount: parsed.points.length,
+        ...computeTrackStats(parsed.points),
+        points: {
+          createMany: {
+            data: parsed.points.map((point, sequence) => ({ sequence, ...point })),
+          },
+        },
+      },
+      select: trackSummarySelect,
+    });
+
+    // 3. Log action
+    await recordTrackAudit(
+      prisma,
+      trip.id,
+      AUDIT_ACTIONS.UPLOAD_TRIP_TRACK,
+      `Track ${track.id} "${track.name}" uploaded from ${format} (${track.pointCount} points, ${track.distanceMeters} m).`,
+      context
+    );
+
+    logger.info(`Track uploaded to trip ${trip.id} by user ${userId}: ${track.id}`);
+    return track;
+  },
+
+  /**
+   * Rename a track or move it to another day (dayId null for the whole trip)
+   */
+  async updateTrack(tripId, trackId, userId, data, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const track = await this.findTrack(trip.id, trackId);
+    if (data.dayId) await tripService.findDay(trip.id, data.dayId);
+
+    const [updatedTrack] = await prisma.$transaction([
+      prisma.tripTrack.update({
+        where: { id: track.id },
+        data: {
+          ...(data.name !== undefined && { name: data.name }),
+          ...(data.dayId !== undefined && { dayId: data.dayId }),
+        },
+        select: trackSummarySelect,
+      }),
+      recordTrackAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_TRIP_TRACK,
+        `Track ${track.id} updated: ${Object.keys(data).join(", ") || "no changes"}.`,
+        context
+      ),
+    ]);
+
+    return updatedTrack;
+  },
+
+  async deleteTrack(tripId, trackId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "EDIT");
+    const track = await this.findTrack(trip.id, trackId);
+
+    // Points are removed with the track (ON DELETE CASCADE)
+    await prisma.$transaction([
+      prisma.tripTrack.delete({ where: { id: track.id } }),
+      recordTrackAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_TRIP_TRACK,
+        `Track ${track.id} "${track.name}" deleted.`,
+        context
+      ),
+    ]);
+  },
+
+  // ========== EXPORT ==========
+
+  async exportTrack(tripId, trackId, userId, query = {}) {
+    const exportType = parseExportFormat(query.format);
+    const track = await this.getTrack(tripId, trackId, userId);
+
+    return {
+      fileName: `${slugify(track.name)}.${exportType.extension}`,
+      contentType: exportType.contentType,
+      content: exportType.build({ name: track.name, tracks: [track] }),
+    };
+  },
+
+  /**
+   * The planned route of a trip (or of one day with ?dayId=): its tracks in
+   * day order, plus every itinerary item with coordinates as a waypoint
+   */
+  async exportRoute(tripId, userId, query = {}) {
+    const exportType = parseExportFormat(query.format);
+    const trip = await tripService.getTripForUser(tripId, userId, "VIEW");
+    const dayId = parseDayFilter(query.dayId);
+    const day = dayId !== undefined ? await tripService.findDay(trip.id, dayId) : null;
+
+    const [tracks, items] = await Promise.all([
+      prisma.tripTrack.findMany({
+        where: { tripId: trip.id, ...(day && { dayId: day.id }) },
+        include: { points: { select: pointSelect, orderBy: { sequence: "asc" } } },
+        orderBy: [{ day: { date: "asc" } }, { createdAt: "asc" }],
+      }),
+      prisma.itineraryItem.findMany({
+        where: {
+          day: day ? { id: day.id } : { tripId: trip.id },
+          latitude: { not: null },
+          longitude: { not: null },
+        },
+        include: { day: { select: { date: true } } },
+        orderBy: [{ day: { date: "asc" } }, { position: "asc" }, { id: "asc" }],
+      }),
+    ]);
+
+    if (tracks.length === 0 && items.length === 0) {
+      throw new NotFoundError("This trip has no tracks or places with coordinates to export.");
+    }
+
+    const name = day ? `${trip.title} (${formatDateOnly(day.date)})` : trip.title;
+    return {
+      fileName: `${slugify(name)}.${exportType.extension}`,
+      contentType: exportType.contentType,
+      content: exportType.build({
+        name,
+        tracks,
+        waypoints: items.map((item) => ({
+          name: item.title,
+          latitude: item.latitude,
+          longitude: item.longitude,
+          description: [formatDateOnly(item.day.date), item.startTime, item.placeName]
+            .filter(Boolean)
+            .join(" "),
+        })),
+      }),
+    };
+  },
+};
+
+export default trackService;
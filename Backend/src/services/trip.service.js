@@ -0,0 +1,532 @@
+import prisma from "../lib/prisma.js";
+import {
+  parseDateOnly,
+  formatDateOnly,
+  addDays,
+  daysBetween,
+  eachDateBetween,
+} from "../lib/dates.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { removeStoredFiles } from "../lib/storage.js";
+import currencyService from "./currency.service.js";
+import {
+  AUDIT_ACTIONS,
+  TRIP_LIMITS,
+  TRIP_VISIBILITY,
+  TRIP_MEMBER_ROLES,
+  DEFAULT_CURRENCY,
+} from "../utils/constants.js";
+
+const TRIP_ROLE_RANK = {
+  [TRIP_MEMBER_ROLES.VIEWER]: 1,
+  [TRIP_MEMBER_ROLES.EDITOR]: 2,
+  [TRIP_MEMBER_ROLES.OWNER]: 3,
+};
+
+const ACCESS_RANK = {
+  VIEW: TRIP_ROLE_RANK.VIEWER,
+  MEMBER: TRIP_ROLE_RANK.VIEWER,
+  EDIT: TRIP_ROLE_RANK.EDITOR,
+  OWNER: TRIP_ROLE_RANK.OWNER,
+};
+
+const tripOwnerSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const itineraryInclude = {
+  owner: { select: tripOwnerSelect },
+  days: {
+    orderBy: { date: "asc" },
+    include: {
+      items: { orderBy: [{ position: "asc" }, { id: "asc" }] },
+    },
+  },
+};
+
+const itemFields = [
+  "title",
+  "type",
+  "startTime",
+  "endTime",
+  "placeName",
+  "address",
+  "latitude",
+  "longitude",
+  "notes",
+];
+
+/**
+ * Copy the allowed keys that are present in the request body
+ */
+const pick = (data, fields) =>
+  Object.fromEntries(fields.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]));
+
+/**
+ * Check a start/end date pair and return them as DATE values
+ */
+const parseTripDates = (startDate, endDate) => {
+  const start = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+
+  if (end < start) {
+    throw new ValidationError("endDate cannot be before startDate.");
+  }
+  if (daysBetween(start, end) + 1 > TRIP_LIMITS.MAX_DAYS) {
+    throw new ValidationError(`Trips can be at most ${TRIP_LIMITS.MAX_DAYS} days long.`);
+  }
+
+  return { start, end };
+};
+
+/**
+ * Write an audit entry for a change to a trip or its itinerary
+ */
+const recordTripAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+const tripService = {
+  // ========== ACCESS ==========
+
+  /**
+   * Load a trip and check what the user may do with it, based on their
+   * membership role. Public trips can be viewed by anyone; MEMBER is like
+   * VIEW but never lets outsiders in.
+   * @param {"VIEW"|"MEMBER"|"EDIT"|"OWNER"} access - Required access level
+   * @returns {Promise<object>} - Trip with the user's `memberRole` (null for non-members)
+   */
+  async getTripForUser(tripId, userId, access = "VIEW") {
+    const trip = await prisma.trip.findUnique({
+      where: { id: Number(tripId) },
+      include: {
+        members: { where: { userId: Number(userId) } },
+      },
+    });
+    if (!trip) throw new NotFoundError("Trip not found.");
+
+    const { members, ...tripData } = trip;
+    const memberRole = members[0]?.role ?? null;
+    const rank = memberRole ? TRIP_ROLE_RANK[memberRole] : 0;
+
+    if (rank >= ACCESS_RANK[access]) return { ...tripData, memberRole };
+
+    if (!memberRole && access === "VIEW" && trip.visibility === TRIP_VISIBILITY.PUBLIC) {
+      return { ...tripData, memberRole };
+    }
+
+    // Don't reveal private trips to outsiders
+    if (!memberRole && trip.visibility !== TRIP_VISIBILITY.PUBLIC) {
+      throw new NotFoundError("Trip not found.");
+    }
+    const messages = {
+      MEMBER: "Only trip members can do this.",
+      OWNER: "Only the trip owner can do this.",
+    };
+    throw new ForbiddenError(messages[access] || "You don't have permission to change this trip.");
+  },
+
+  // ========== TRIPS ==========
+
+  async createTrip(userId, data, context = {}) {
+    // 1. Validate the date range and currency
+    const { start, end } = parseTripDates(data.startDate, data.endDate);
+    if (data.currency) await currencyService.assertActiveCurrency(data.currency);
+
+    // 2. Create the trip with one itinerary day per date
+    const trip = await prisma.trip.create({
+      data: {
+        title: data.title,
+        description: data.description || null,
+        destination: data.destination,
+        startDate: start,
+        endDate: end,
+        timezone: data.timezone || "UTC",
+        currency: data.currency || DEFAULT_CURRENCY,
+        coverImage: data.coverImage || null,
+        visibility: data.visibility || TRIP_VISIBILITY.PRIVATE,
+        lookingForCompanions: data.lookingForCompanions ?? false,
+        isOpen: data.isOpen ?? false,
+        maxMembers: data.maxMembers ?? null,
+        ownerId: Number(userId),
+        members: {
+          create: { userId: Number(userId), role: TRIP_MEMBER_ROLES.OWNER },
+        },
+        days: {
+          create: eachDateBetween(start, end).map((date) => ({ date })),
+        },
+      },
+      include: itineraryInclude,
+    });
+
+    // 3. Log action
+    await recordTripAudit(
+      prisma,
+      trip.id,
+      AUDIT_ACTIONS.CREATE_TRIP,
+      `Trip "${trip.title}" created (${data.startDate} to ${data.endDate}).`,
+      context
+    );
+
+    logger.info(`Trip created by user ${userId}: ${trip.id}`);
+    return trip;
+  },
+
+  async listTrips(userId, { skip = 0, take = 10 } = {}) {
+    const where = { members: { some: { userId: Number(userId) } } };
+
+    const [trips, total] = await Promise.all([
+      prisma.trip.findMany({
+        where,
+        include: {
+          owner: { select: tripOwnerSelect },
+          members: { where: { userId: Number(userId) }, select: { role: true } },
+          _count: { select: { days: true, members: true } },
+        },
+        orderBy: { startDate: "desc" },
+        skip,
+        take,
+      }),
+      prisma.trip.count({ where }),
+    ]);
+
+    return { trips, total };
+  },
+
+  async getTrip(tripId, userId) {
+    const { memberRole } = await this.getTripForUser(tripId, userId, "VIEW");
+
+    const trip = await prisma.trip.findUnique({
+      where: { id: Number(tripId) },
+      include: itineraryInclude,
+    });
+    return { ...trip, memberRole };
+  },
+
+  /**
+   * Update trip details. Moving the start date shifts every itinerary day
+   * with it; shortening the trip drops trailing days only if they are empty.
+   */
+  async updateTrip(tripId, userId, data, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "EDIT");
+
+    if (
+      data.visibility !== undefined &&
+      data.visibility !== trip.visibility &&
+      trip.memberRole !== TRIP_MEMBER_ROLES.OWNER
+    ) {
+      throw new ForbiddenError("Only the trip owner can change its visibility.");
+    }
+    // The owner is the one listed in buddy search and answering join requests
+    const ownerOnlyChanges = ["lookingForCompanions", "isOpen", "maxMembers"].filter(
+      (field) => data[field] !== undefined && data[field] !== trip[field]
+    );
+    if (ownerOnlyChanges.length > 0 && trip.memberRole !== TRIP_MEMBER_ROLES.OWNER) {
+      throw new ForbiddenError(`Only the trip owner can change: ${ownerOnlyChanges.join(", ")}.`);
+    }
+    if (data.isOpen || data.maxMembers) {
+      const memberCount = await prisma.tripMember.count({ where: { tripId: trip.id } });
+      const maxMembers = data.maxMembers !== undefined ? data.maxMembers : trip.maxMembers;
+      if (data.maxMembers && data.maxMembers < memberCount) {
+        throw new ValidationError(`maxMembers can't be lower than the current ${memberCount} members.`);
+      }
+      if (data.isOpen && maxMembers && memberCount >= maxMembers) {
+        throw new ValidationError("The trip is full. Raise maxMembers before opening it.");
+      }
+    }
+
+    // 1. Work out the new date range
+    const { start, end } = parseTripDates(
+      data.startDate ?? formatDateOnly(trip.startDate),
+      data.endDate ?? formatDateOnly(trip.endDate)
+    );
+    if (data.currency) await currencyService.assertActiveCurrency(data.currency);
+    const offset = daysBetween(trip.startDate, start);
+
+    const updatedTrip = await prisma.$transaction(async (tx) => {
+      // 2. Shift days, walking away from the direction of travel so dates never collide
+      if (offset !== 0) {
+        const days = await tx.itineraryDay.findMany({
+          where: { tripId: trip.id },
+          orderBy: { date: offset > 0 ? "desc" : "asc" },
+        });
+        for (const day of days) {
+          await tx.itineraryDay.update({
+            where: { id: day.id },
+            data: { date: addDays(day.date, offset) },
+          });
+        }
+      }
+
+      // 3. Drop trailing days that fall outside the new range
+      const removedDays = await tx.itineraryDay.findMany({
+        where: { tripId: trip.id, date: { gt: end } },
+        include: { _count: { select: { items: true } } },
+      });
+      if (removedDays.some((day) => day._count.items > 0)) {
+        throw new ValidationError(
+          "Move or delete the itinerary items on the days you are removing first."
+        );
+      }
+      await tx.itineraryDay.deleteMany({
+        where: { id: { in: removedDays.map((day) => day.id) } },
+      });
+
+      // 4. Add days for new dates
+      await tx.itineraryDay.createMany({
+        data: eachDateBetween(start, end).map((date) => ({ tripId: trip.id, date })),
+        skipDuplicates: true,
+      });
+
+      const result = await tx.trip.update({
+        where: { id: trip.id },
+        data: {
+          ...pick(data, [
+            "title",
+            "description",
+            "destination",
+            "timezone",
+            "currency",
+            "coverImage",
+            "visibility",
+            "lookingForCompanions",
+            "isOpen",
+            "maxMembers",
+          ]),
+          startDate: start,
+          endDate: end,
+        },
+        include: itineraryInclude,
+      });
+
+      await recordTripAudit(
+        tx,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_TRIP,
+        `Trip updated: ${Object.keys(data).join(", ") || "no changes"}.`,
+        context
+      );
+
+      return result;
+    });
+
+    logger.info(`Trip updated by user ${userId}: ${trip.id}`);
+    return updatedTrip;
+  },
+
+  async deleteTrip(tripId, userId, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "OWNER");
+    const documents = await prisma.tripDocument.findMany({
+      where: { tripId: trip.id },
+      select: { storageKey: true },
+    });
+
+    // Days, items and document rows are removed with the trip (ON DELETE CASCADE)
+    await prisma.$transaction([
+      prisma.trip.delete({ where: { id: trip.id } }),
+      recordTripAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_TRIP,
+        `Trip "${trip.title}" deleted.`,
+        context
+      ),
+    ]);
+    await removeStoredFiles(documents.map((document) => document.storageKey));
+
+    logger.info(`Trip deleted by user ${userId}: ${trip.id}`);
+  },
+
+  // ========== ITINERARY DAYS ==========
+
+  async findDay(tripId, dayId) {
+    const day = await prisma.itineraryDay.findUnique({ where: { id: Number(dayId) } });
+    if (!day || day.tripId !== Number(tripId)) {
+      throw new NotFoundError("Itinerary day not found.");
+    }
+    return day;
+  },
+
+  async updateDay(tripId, dayId, userId, data, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "EDIT");
+    const day = await this.findDay(trip.id, dayId);
+
+    const [updatedDay] = await prisma.$transaction([
+      prisma.itineraryDay.update({
+        where: { id: day.id },
+        data: pick(data, ["title", "notes"]),
+        include: { items: { orderBy: [{ position: "asc" }, { id: "asc" }] } },
+      }),
+      recordTripAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_ITINERARY_DAY,
+        `Itinerary day ${formatDateOnly(day.date)} updated.`,
+        context
+      ),
+    ]);
+
+    return updatedDay;
+  },
+
+  // ========== ITINERARY ITEMS ==========
+
+  async findItem(tripId, itemId) {
+    const item = await prisma.itineraryItem.findUnique({
+      where: { id: Number(itemId) },
+      include: { day: true },
+    });
+    if (!item || item.day.tripId !== Number(tripId)) {
+      throw new NotFoundError("Itinerary item not found.");
+    }
+    return item;
+  },
+
+  /**
+   * Position after the last item of a day
+   */
+  async nextPosition(client, dayId) {
+    const { _max, _count } = await client.itineraryItem.aggregate({
+      where: { dayId },
+      _max: { position: true },
+      _count: true,
+    });
+
+    if (_count >= TRIP_LIMITS.MAX_ITEMS_PER_DAY) {
+      throw new ValidationError(`A day can have at most ${TRIP_LIMITS.MAX_ITEMS_PER_DAY} items.`);
+    }
+    return (_max.position ?? -1) + 1;
+  },
+
+  async createItem(tripId, dayId, userId, data, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "EDIT");
+    const day = await this.findDay(trip.id, dayId);
+
+    // 1. Append to the end of the day
+    const position = await this.nextPosition(prisma, day.id);
+
+    // 2. Create item
+    const item = await prisma.itineraryItem.create({
+      data: {
+        ...pick(data, itemFields),
+        dayId: day.id,
+        position,
+      },
+    });
+
+    // 3. Log action
+    await recordTripAudit(
+      prisma,
+      trip.id,
+      AUDIT_ACTIONS.CREATE_ITINERARY_ITEM,
+      `Item ${item.id} "${item.title}" added to ${formatDateOnly(day.date)}.`,
+      context
+    );
+
+    return item;
+  },
+
+  async updateItem(tripId, itemId, userId, data, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "EDIT");
+    const item = await this.findItem(trip.id, itemId);
+
+    // 1. Times are checked against the stored values on partial updates
+    const startTime = data.startTime !== undefined ? data.startTime : item.startTime;
+    const endTime = data.endTime !== undefined ? data.endTime : item.endTime;
+    if (startTime && endTime && endTime < startTime) {
+      throw new ValidationError("endTime cannot be before startTime.");
+    }
+
+    // 2. Moving to another day appends the item there
+    let move = {};
+    if (data.dayId !== undefined && data.dayId !== item.dayId) {
+      const targetDay = await this.findDay(trip.id, data.dayId);
+      move = { dayId: targetDay.id, position: await this.nextPosition(prisma, targetDay.id) };
+    }
+
+    const [updatedItem] = await prisma.$transaction([
+      prisma.itineraryItem.update({
+        where: { id: item.id },
+        data: { ...pick(data, itemFields), ...move },
+      }),
+      recordTripAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_ITINERARY_ITEM,
+        `Item ${item.id} updated: ${Object.keys(data).join(", ") || "no changes"}.`,
+        context
+      ),
+    ]);
+
+    return updatedItem;
+  },
+
+  async deleteItem(tripId, itemId, userId, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "EDIT");
+    const item = await this.findItem(trip.id, itemId);
+
+    await prisma.$transaction([
+      prisma.itineraryItem.delete({ where: { id: item.id } }),
+      recordTripAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.DELETE_ITINERARY_ITEM,
+        `Item ${item.id} "${item.title}" removed from ${formatDateOnly(item.day.date)}.`,
+        context
+      ),
+    ]);
+  },
+
+  /**
+   * Set the order of a day's items. itemIds must list every item of the day exactly once.
+   */
+  async reorderItems(tripId, dayId, userId, itemIds, context = {}) {
+    const trip = await this.getTripForUser(tripId, userId, "EDIT");
+    const day = await this.findDay(trip.id, dayId);
+
+    const items = await prisma.itineraryItem.findMany({
+      where: { dayId: day.id },
+      select: { id: true },
+    });
+
+    const current = new Set(items.map((item) => item.id));
+    if (itemIds.length !== current.size || itemIds.some((id) => !current.has(id))) {
+      throw new ValidationError("itemIds must contain every item of this day exactly once.");
+    }
+
+    await prisma.$transaction([
+      ...itemIds.map((id, position) =>
+        prisma.itineraryItem.update({ where: { id }, data: { position } })
+      ),
+      recordTripAudit(
+        prisma,
+        trip.id,
+        AUDIT_ACTIONS.REORDER_ITINERARY_ITEMS,
+        `Items of ${formatDateOnly(day.date)} reordered.`,
+        context
+      ),
+    ]);
+
+    return prisma.itineraryItem.findMany({
+      where: { dayId: day.id },
+      orderBy: [{ position: "asc" }, { id: "asc" }],
+    });
+  },
+};
+
+export default tripService;
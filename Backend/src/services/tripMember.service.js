@@ -0,0 +1,375 @@
+import prisma from "../lib/prisma.js";
+import { generatePurposeToken, verifyPurposeToken } from "../lib/auth.js";
+import { sendTripInvitationEmail } from "../lib/email.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { getClientUrl } from "../utils/helpers.js";
+import { AUDIT_ACTIONS, TOKEN_EXPIRY, TRIP_MEMBER_ROLES } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+import joinRequestService from "./joinRequest.service.js";
+
+const INVITATION_PURPOSE = "trip-invitation";
+
+const memberUserSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const displayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(" ") || user.email;
+
+const recordMemberAudit = (tripId, action, details, context, client = prisma) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Resolve an invitation token to a pending, unexpired invitation
+ */
+const findPendingInvitation = async (token) => {
+  const payload = verifyPurposeToken(token, INVITATION_PURPOSE);
+  if (!payload?.invitationId) {
+    throw new ValidationError("Invalid or expired invitation link.");
+  }
+
+  const invitation = await prisma.tripInvitation.findUnique({
+    where: { id: Number(payload.invitationId) },
+    include: {
+      trip: true,
+      invitedBy: { select: memberUserSelect },
+    },
+  });
+
+  if (!invitation || invitation.status !== "PENDING" || new Date() > invitation.expiresAt) {
+    throw new ValidationError("This invitation is no longer valid.");
+  }
+
+  return invitation;
+};
+
+const tripMemberService = {
+  // ========== MEMBERS ==========
+
+  async listMembers(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "MEMBER");
+
+    return prisma.tripMember.findMany({
+      where: { tripId: trip.id },
+      include: { user: { select: memberUserSelect } },
+      orderBy: { joinedAt: "asc" },
+    });
+  },
+
+  async findMember(tripId, memberUserId) {
+    const member = await prisma.tripMember.findUnique({
+      where: { tripId_userId: { tripId, userId: Number(memberUserId) } },
+    });
+    if (!member) throw new NotFoundError("Trip member not found.");
+    return member;
+  },
+
+  async updateMemberRole(tripId, memberUserId, userId, role, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+    const member = await this.findMember(trip.id, memberUserId);
+
+    // Ownership only changes hands through transferOwnership
+    if (member.role === TRIP_MEMBER_ROLES.OWNER) {
+      throw new ValidationError("Use ownership transfer to change the owner's role.");
+    }
+
+    const [updatedMember] = await prisma.$transaction([
+      prisma.tripMember.update({
+        where: { id: member.id },
+        data: { role },
+        include: { user: { select: memberUserSelect } },
+      }),
+      recordMemberAudit(
+        trip.id,
+        AUDIT_ACTIONS.UPDATE_TRIP_MEMBER,
+        `Member ${member.userId} changed from ${member.role} to ${role}.`,
+        context
+      ),
+    ]);
+
+    return updatedMember;
+  },
+
+  async removeMember(tripId, memberUserId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+    const member = await this.findMember(trip.id, memberUserId);
+
+    if (member.role === TRIP_MEMBER_ROLES.OWNER) {
+      throw new ValidationError("The trip owner cannot be removed.");
+    }
+
+    await prisma.$transaction([
+      prisma.tripMember.delete({ where: { id: member.id } }),
+      recordMemberAudit(
+        trip.id,
+        AUDIT_ACTIONS.REMOVE_TRIP_MEMBER,
+        `Member ${member.userId} (${member.role}) removed.`,
+        context
+      ),
+    ]);
+
+    logger.info(`User ${member.userId} removed from trip ${trip.id}`);
+  },
+
+  async leaveTrip(tripId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "VIEW");
+    if (!trip.memberRole) {
+      throw new ValidationError("You are not a member of this trip.");
+    }
+
+    // A trip always keeps exactly one owner
+    if (trip.memberRole === TRIP_MEMBER_ROLES.OWNER) {
+      throw new ValidationError("Transfer ownership to another member before leaving the trip.");
+    }
+
+    await prisma.$transaction([
+      prisma.tripMember.delete({
+        where: { tripId_userId: { tripId: trip.id, userId: Number(userId) } },
+      }),
+      recordMemberAudit(
+        trip.id,
+        AUDIT_ACTIONS.LEAVE_TRIP,
+        `Member ${userId} (${trip.memberRole}) left the trip.`,
+        context
+      ),
+    ]);
+
+    logger.info(`User ${userId} left trip ${trip.id}`);
+  },
+
+  /**
+   * Hand the trip to another member. The previous owner stays on as an editor.
+   */
+  async transferOwnership(tripId, userId, newOwnerId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+
+    if (Number(newOwnerId) === Number(userId)) {
+      throw new ValidationError("You already own this trip.");
+    }
+
+    const newOwner = await prisma.tripMember.findUnique({
+      where: { tripId_userId: { tripId: trip.id, userId: Number(newOwnerId) } },
+    });
+    if (!newOwner) {
+      throw new ValidationError("Ownership can only be transferred to a trip member.");
+    }
+
+    await prisma.$transaction([
+      prisma.tripMember.update({
+        where: { tripId_userId: { tripId: trip.id, userId: Number(userId) } },
+        data: { role: TRIP_MEMBER_ROLES.EDITOR },
+      }),
+      prisma.tripMember.update({
+        where: { id: newOwner.id },
+        data: { role: TRIP_MEMBER_ROLES.OWNER },
+      }),
+      prisma.trip.update({
+        where: { id: trip.id },
+        data: { ownerId: newOwner.userId },
+      }),
+      recordMemberAudit(
+        trip.id,
+        AUDIT_ACTIONS.TRANSFER_TRIP_OWNERSHIP,
+        `Ownership transferred from user ${userId} to user ${newOwner.userId}.`,
+        context
+      ),
+    ]);
+
+    logger.info(`Trip ${trip.id} ownership transferred to user ${newOwner.userId}`);
+    return this.listMembers(trip.id, userId);
+  },
+
+  // ========== INVITATIONS ==========
+
+  async inviteMember(tripId, user, { email, role = TRIP_MEMBER_ROLES.VIEWER }, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, user.id, "OWNER");
+
+    // 1. Skip people who are already on the trip
+    const existingMember = await prisma.tripMember.findFirst({
+      where: { tripId: trip.id, user: { email } },
+    });
+    if (existingMember) throw new ConflictError("This person is already a member of the trip.");
+
+    // 2. A new invitation replaces any pending one for the same address
+    await prisma.tripInvitation.updateMany({
+      where: { tripId: trip.id, email, status: "PENDING" },
+      data: { status: "REVOKED", respondedAt: new Date() },
+    });
+
+    const invitation = await prisma.tripInvitation.create({
+      data: {
+        tripId: trip.id,
+        email,
+        role,
+        invitedById: user.id,
+        expiresAt: new Date(Date.now() + TOKEN_EXPIRY.TRIP_INVITATION),
+      },
+    });
+
+    // 3. Signed token: lets the invitee open the invitation before having an account
+    const token = generatePurposeToken(
+      { invitationId: invitation.id, tripId: trip.id },
+      INVITATION_PURPOSE,
+      Math.floor(TOKEN_EXPIRY.TRIP_INVITATION / 1000)
+    );
+
+    await sendTripInvitationEmail(email, {
+      tripTitle: trip.title,
+      destination: trip.destination,
+      inviterName: displayName(user),
+      role,
+      inviteUrl: `${getClientUrl()}/trip-invitations?token=${encodeURIComponent(token)}`,
+      expiresInDays: Math.round(TOKEN_EXPIRY.TRIP_INVITATION / (24 * 60 * 60 * 1000)),
+    });
+
+    // 4. Log action
+    await recordMemberAudit(
+      trip.id,
+      AUDIT_ACTIONS.INVITE_TRIP_MEMBER,
+      `Invitation ${invitation.id} sent to ${email} as ${role}.`,
+      context
+    );
+
+    logger.info(`Trip ${trip.id} invitation sent to ${email}`);
+    return invitation;
+  },
+
+  async listInvitations(tripId, userId) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+
+    return prisma.tripInvitation.findMany({
+      where: { tripId: trip.id, status: "PENDING", expiresAt: { gt: new Date() } },
+      include: { invitedBy: { select: memberUserSelect } },
+      orderBy: { createdAt: "desc" },
+    });
+  },
+
+  async revokeInvitation(tripId, invitationId, userId, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+
+    const { count } = await prisma.tripInvitation.updateMany({
+      where: { id: Number(invitationId), tripId: trip.id, status: "PENDING" },
+      data: { status: "REVOKED", respondedAt: new Date() },
+    });
+    if (count === 0) throw new NotFoundError("Pending invitation not found.");
+
+    await recordMemberAudit(
+      trip.id,
+      AUDIT_ACTIONS.REVOKE_TRIP_INVITATION,
+      `Invitation ${invitationId} revoked.`,
+      context
+    );
+  },
+
+  /**
+   * Public summary of an invitation, so the app can show it before sign up
+   */
+  async previewInvitation(token) {
+    const invitation = await findPendingInvitation(token);
+
+    return {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+      invitedBy: displayName(invitation.invitedBy),
+      trip: {
+        id: invitation.trip.id,
+        title: invitation.trip.title,
+        destination: invitation.trip.destination,
+        startDate: invitation.trip.startDate,
+        endDate: invitation.trip.endDate,
+        coverImage: invitation.trip.coverImage,
+      },
+    };
+  },
+
+  async acceptInvitation(token, user, context = {}) {
+    const invitation = await findPendingInvitation(token);
+
+    // 1. The invitation belongs to the address it was sent to
+    if (invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+      throw new ForbiddenError("This invitation was sent to a different email address.");
+    }
+
+    const { trip, declined } = await prisma.$transaction(async (tx) => {
+      // 2. Make sure there is still room (concurrent joins wait on the lock)
+      const { trip: lockedTrip, memberCount } = await joinRequestService.lockTripForJoining(tx, invitation.tripId);
+      const membership = await tx.tripMember.findUnique({
+        where: { tripId_userId: { tripId: invitation.tripId, userId: user.id } },
+      });
+      if (!membership && lockedTrip.maxMembers && memberCount >= lockedTrip.maxMembers) {
+        throw new ValidationError("This trip is full. Ask the owner to raise its group size.");
+      }
+
+      // 3. Join the trip (an existing member keeps their current role)
+      if (!membership) {
+        await tx.tripMember.create({
+          data: { tripId: invitation.tripId, userId: user.id, role: invitation.role },
+        });
+      }
+      await tx.tripInvitation.update({
+        where: { id: invitation.id, status: "PENDING" },
+        data: { status: "ACCEPTED", respondedAt: new Date() },
+      });
+      await recordMemberAudit(
+        invitation.tripId,
+        AUDIT_ACTIONS.ACCEPT_TRIP_INVITATION,
+        `Invitation ${invitation.id} accepted by user ${user.id} as ${invitation.role}.`,
+        context,
+        tx
+      );
+
+      // 4. Taking the last place closes the trip, like an approved join request
+      const { declined } = membership
+        ? { declined: [] }
+        : await joinRequestService.closeTripIfFull(tx, lockedTrip, memberCount + 1, null, context);
+
+      return { trip: lockedTrip, declined };
+    });
+
+    await joinRequestService.notifyTripFull(trip, declined);
+
+    logger.info(`User ${user.id} joined trip ${invitation.tripId}`);
+    return tripService.getTrip(invitation.tripId, user.id);
+  },
+
+  /**
+   * Declining only needs the emailed token, so it works without an account
+   */
+  async declineInvitation(token, context = {}) {
+    const invitation = await findPendingInvitation(token);
+
+    await prisma.$transaction([
+      prisma.tripInvitation.update({
+        where: { id: invitation.id },
+        data: { status: "DECLINED", respondedAt: new Date() },
+      }),
+      recordMemberAudit(
+        invitation.tripId,
+        AUDIT_ACTIONS.DECLINE_TRIP_INVITATION,
+        `Invitation ${invitation.id} for ${invitation.email} declined.`,
+        context
+      ),
+    ]);
+  },
+};
+
+export default tripMemberService;
@@ -0,0 +1,252 @@
+import prisma from "../lib/prisma.js";
+import { parseDateOnly, formatDateOnly, addDays, daysBetween } from "../lib/dates.js";
+import { ValidationError, NotFoundError, ForbiddenError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { AUDIT_ACTIONS, TRIP_VISIBILITY, TRIP_MEMBER_ROLES, TRIP_TEMPLATE_SORTS } from "../utils/constants.js";
+import tripService from "./trip.service.js";
+
+const authorSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+};
+
+const templateSummarySelect = {
+  id: true,
+  title: true,
+  description: true,
+  destination: true,
+  startDate: true,
+  endDate: true,
+  timezone: true,
+  coverImage: true,
+  cloneCount: true,
+  templatePublishedAt: true,
+  owner: { select: authorSelect },
+};
+
+// Copied to the clone as they are. Everything else on an item (ids, calendar
+// UIDs) belongs to the original trip.
+const itemFields = [
+  "title",
+  "type",
+  "startTime",
+  "endTime",
+  "placeName",
+  "address",
+  "latitude",
+  "longitude",
+  "notes",
+  "position",
+];
+
+const itineraryDaysInclude = {
+  orderBy: { date: "asc" },
+  include: { items: { orderBy: [{ position: "asc" }, { id: "asc" }] } },
+};
+
+const recordTemplateAudit = (client, tripId, action, details, context) =>
+  client.auditLog.create({
+    data: {
+      action,
+      entity: "Trip",
+      entityId: tripId,
+      details,
+      ...context,
+    },
+  });
+
+/**
+ * Template summary with its length in days instead of the original dates
+ */
+const formatTemplateSummary = ({ startDate, endDate, ...template }) => ({
+  ...template,
+  durationDays: daysBetween(startDate, endDate) + 1,
+});
+
+/**
+ * Check the ?sort= of the template list (most cloned first by default)
+ */
+const parseTemplateSort = (sort = "popular") => {
+  if (!TRIP_TEMPLATE_SORTS.includes(sort)) {
+    throw new ValidationError(`sort must be one of: ${TRIP_TEMPLATE_SORTS.join(", ")}.`);
+  }
+  return sort === "popular"
+    ? [{ cloneCount: "desc" }, { templatePublishedAt: "desc" }]
+    : [{ templatePublishedAt: "desc" }];
+};
+
+const tripTemplateService = {
+  // ========== TEMPLATES ==========
+
+  /**
+   * Published templates, most cloned first (?sort=recent for newest first,
+   * ?destination= to search)
+   */
+  async listTemplates(query = {}, { skip = 0, take = 10 } = {}) {
+    const orderBy = parseTemplateSort(query.sort);
+    const destination = query.destination ? String(query.destination).trim() : "";
+
+    const where = {
+      isTemplate: true,
+      ...(destination && { destination: { contains: destination, mode: "insensitive" } }),
+    };
+
+    const [templates, total] = await Promise.all([
+      prisma.trip.findMany({ where, select: templateSummarySelect, orderBy, skip, take }),
+      prisma.trip.count({ where }),
+    ]);
+
+    return { templates: templates.map(formatTemplateSummary), total };
+  },
+
+  /**
+   * A template's itinerary by day number. Only what a clone would copy is
+   * shown: no dates, members, expenses or documents.
+   */
+  async getTemplate(tripId) {
+    const template = await prisma.trip.findUnique({
+      where: { id: Number(tripId) },
+      select: { ...templateSummarySelect, isTemplate: true, days: itineraryDaysInclude },
+    });
+    if (!template || !template.isTemplate) {
+      throw new NotFoundError("Template not found.");
+    }
+
+    const { isTemplate, days, ...summary } = template;
+    return {
+      ...formatTemplateSummary(summary),
+      days: days.map((day) => ({
+        dayNumber: daysBetween(template.startDate, day.date) + 1,
+        title: day.title,
+        notes: day.notes,
+        items: day.items.map((item) =>
+          Object.fromEntries(itemFields.map((field) => [field, item[field]]))
+        ),
+      })),
+    };
+  },
+
+  /**
+   * Publish a trip as a template or take it down again (owner only). The
+   * clone count is kept if it is published again later.
+   */
+  async setPublished(tripId, userId, published, context = {}) {
+    const trip = await tripService.getTripForUser(tripId, userId, "OWNER");
+    if (trip.isTemplate === published) {
+      return { id: trip.id, isTemplate: trip.isTemplate, templatePublishedAt: trip.templatePublishedAt };
+    }
+
+    const [updatedTrip] = await prisma.$transaction([
+      prisma.trip.update({
+        where: { id: trip.id },
+        data: { isTemplate: published, templatePublishedAt: published ? new Date() : null },
+        select: { id: true, isTemplate: true, templatePublishedAt: true },
+      }),
+      recordTemplateAudit(
+        prisma,
+        trip.id,
+        published ? AUDIT_ACTIONS.PUBLISH_TRIP_TEMPLATE : AUDIT_ACTIONS.UNPUBLISH_TRIP_TEMPLATE,
+        published ? `Trip "${trip.title}" published as a template.` : `Trip "${trip.title}" unpublished as a template.`,
+        context
+      ),
+    ]);
+
+    logger.info(`Trip ${trip.id} ${published ? "published" : "unpublished"} as a template by user ${userId}`);
+    return updatedTrip;
+  },
+
+  // ========== CLONING ==========
+
+  /**
+   * Start a new private trip from a published template (or from a trip the
+   * user is a member of). Days keep their offset from the start date, item
+   * times stay the same local times in the new timezone. Members, expenses,
+   * budgets, documents, tracks and checklists are not copied.
+   * @param {object} data - { startDate, timezone?, title? }
+   */
+  async cloneTrip(tripId, userId, data, context = {}) {
+    // 1. Load the source with its itinerary and check it can be cloned
+    const source = await prisma.trip.findUnique({
+      where: { id: Number(tripId) },
+      include: {
+        days: itineraryDaysInclude,
+        members: { where: { userId: Number(userId) } },
+      },
+    });
+    if (!source) throw new NotFoundError("Trip not found.");
+
+    const isMember = source.members.length > 0;
+    if (!source.isTemplate && !isMember) {
+      if (source.visibility !== TRIP_VISIBILITY.PUBLIC) throw new NotFoundError("Trip not found.");
+      throw new ForbiddenError("This trip isn't published as a template.");
+    }
+
+    // 2. Shift the whole itinerary to the new start date
+    const start = parseDateOnly(data.startDate);
+    const offset = daysBetween(source.startDate, start);
+
+    const trip = await prisma.$transaction(async (tx) => {
+      const created = await tx.trip.create({
+        data: {
+          title: data.title || source.title,
+          description: source.description,
+          destination: source.destination,
+          startDate: start,
+          endDate: addDays(source.endDate, offset),
+          timezone: data.timezone || source.timezone,
+          currency: source.currency,
+          coverImage: source.coverImage,
+          visibility: TRIP_VISIBILITY.PRIVATE,
+          ownerId: Number(userId),
+          clonedFromId: source.id,
+          members: {
+            create: { userId: Number(userId), role: TRIP_MEMBER_ROLES.OWNER },
+          },
+          days: {
+            create: source.days.map((day) => ({
+              date: addDays(day.date, offset),
+              title: day.title,
+              notes: day.notes,
+              items: {
+                create: day.items.map((item) =>
+                  Object.fromEntries(itemFields.map((field) => [field, item[field]]))
+                ),
+              },
+            })),
+          },
+        },
+        include: {
+          owner: { select: authorSelect },
+          days: itineraryDaysInclude,
+        },
+      });
+
+      // 3. Count clones by other people, so popularity isn't inflated by the
+      // template's own members
+      if (source.isTemplate && !isMember) {
+        await tx.trip.update({
+          where: { id: source.id },
+          data: { cloneCount: { increment: 1 } },
+        });
+      }
+
+      // 4. Log action
+      await recordTemplateAudit(
+        tx,
+        created.id,
+        AUDIT_ACTIONS.CLONE_TRIP,
+        `Trip "${created.title}" cloned from trip ${source.id} (${formatDateOnly(created.startDate)} to ${formatDateOnly(created.endDate)}).`,
+        context
+      );
+
+      return created;
+    });
+
+    logger.info(`Trip ${source.id} cloned by user ${userId}: ${trip.id}`);
+    return { ...trip, memberRole: TRIP_MEMBER_ROLES.OWNER };
+  },
+};
+
+export default tripTemplateService;
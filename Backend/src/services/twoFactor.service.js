@@ -0,0 +1,301 @@
+import prisma from "../lib/prisma.js";
+import {
+  comparePassword,
+  hashToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+} from "../lib/auth.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} from "../lib/totp.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  AuthenticationError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { AUDIT_ACTIONS, OTP_PURPOSES, OTP_EXPIRY } from "../utils/constants.js";
+import otpService from "./otp.service.js";
+
+const CHALLENGE_PURPOSE = "2fa-challenge";
+const CHALLENGE_EXPIRES_IN = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+const twoFactorService = {
+  // ========== ENROLLMENT ==========
+
+  async setup(userId) {
+    const user = await prisma.user.findUnique({ where: { id: Number(userId) } });
+    if (!user) throw new NotFoundError("User not found.");
+
+    if (user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is already enabled.");
+    }
+
+    // 1. Generate a fresh secret; it stays inactive until confirmed with a code
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: encryptSecret(secret),
+        twoFactorLastStep: null,
+      },
+    });
+
+    logger.info(`2FA setup started for user: ${user.id}`);
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    };
+  },
+
+  async enable(userId, code, context = {}) {
+    const user = await prisma.user.findUnique({ where: { id: Number(userId) } });
+    if (!user) throw new NotFoundError("User not found.");
+
+    if (user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is already enabled.");
+    }
+    if (!user.twoFactorSecret) {
+      throw new ValidationError("Start two-factor setup before enabling it.");
+    }
+
+    // 1. Confirm the authenticator app produces valid codes
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) throw new ValidationError("Invalid two-factor code.");
+
+    // 2. Enable 2FA and issue recovery codes
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: true, twoFactorLastStep: step },
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.recoveryCode.createMany({
+        data: recoveryCodes.map((recoveryCode) => ({
+          userId: user.id,
+          codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        })),
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.ENABLE_2FA,
+          entity: "User",
+          entityId: user.id,
+          details: "Two-factor authentication enabled.",
+          actorId: user.id,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.info(`2FA enabled for user: ${user.id}`);
+    return { recoveryCodes };
+  },
+
+  async disable(userId, { password, code, recoveryCode }, context = {}) {
+    const user = await prisma.user.findUnique({ where: { id: Number(userId) } });
+    if (!user) throw new NotFoundError("User not found.");
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is not enabled.");
+    }
+
+    // 1. Require both the password and a second factor
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch) throw new ValidationError("Password is incorrect.");
+
+    await this.verifySecondFactor(user, { code, recoveryCode });
+
+    // 2. Remove secret and recovery codes
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.DISABLE_2FA,
+          entity: "User",
+          entityId: user.id,
+          details: "Two-factor authentication disabled.",
+          actorId: user.id,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.info(`2FA disabled for user: ${user.id}`);
+  },
+
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await prisma.user.findUnique({ where: { id: Number(userId) } });
+    if (!user) throw new NotFoundError("User not found.");
+
+    if (!user.twoFactorEnabled) {
+      throw new ValidationError("Two-factor authentication is not enabled.");
+    }
+
+    await this.verifySecondFactor(user, { code });
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.recoveryCode.createMany({
+        data: recoveryCodes.map((recoveryCode) => ({
+          userId: user.id,
+          codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        })),
+      }),
+    ]);
+
+    logger.info(`2FA recovery codes regenerated for user: ${user.id}`);
+    return { recoveryCodes };
+  },
+
+  // ========== VERIFICATION ==========
+
+  /**
+   * Check a TOTP code or a recovery code for a user with 2FA enabled.
+   * TOTP codes can only be used once; recovery codes are burned on use.
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+
+      if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) {
+        throw new ValidationError("Invalid two-factor code.");
+      }
+
+      // Guard against the same code being accepted twice in parallel
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, twoFactorLastStep: user.twoFactorLastStep },
+        data: { twoFactorLastStep: step },
+      });
+      if (count === 0) throw new ValidationError("Invalid two-factor code.");
+
+      return "TOTP";
+    }
+
+    if (recoveryCode) {
+      const { count } = await prisma.recoveryCode.updateMany({
+        where: {
+          userId: user.id,
+          codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+          usedAt: null,
+        },
+        data: { usedAt: new Date() },
+      });
+      if (count === 0) throw new ValidationError("Invalid recovery code.");
+
+      return "RECOVERY_CODE";
+    }
+
+    throw new ValidationError("A two-factor code or recovery code is required.");
+  },
+
+  // ========== LOGIN CHALLENGE ==========
+
+  /**
+   * Start the second step of a login. Only the latest challenge of a user
+   * is valid, and wrong codes are counted on it like any one-time code, so
+   * guessing spread over many IPs still locks the account's 2FA login.
+   * Logging in again keeps the count: it is only cleared by a correct
+   * second factor or by the lockout itself.
+   */
+  async createLoginChallenge(user) {
+    await otpService.assertNotLocked(user.id, OTP_PURPOSES.LOGIN_2FA);
+
+    const challengeToken = generatePurposeToken(
+      { userId: user.id, version: user.tokenVersion },
+      CHALLENGE_PURPOSE,
+      CHALLENGE_EXPIRES_IN
+    );
+
+    const data = {
+      codeHash: hashToken(challengeToken),
+      expiresAt: new Date(Date.now() + OTP_EXPIRY.LOGIN_2FA),
+      lockedUntil: null,
+    };
+    await prisma.oneTimeCode.upsert({
+      where: { userId_purpose: { userId: user.id, purpose: OTP_PURPOSES.LOGIN_2FA } },
+      update: data,
+      create: { userId: user.id, purpose: OTP_PURPOSES.LOGIN_2FA, attempts: 0, ...data },
+    });
+
+    return challengeToken;
+  },
+
+  async completeLogin(challengeToken, { code, recoveryCode }, context = {}) {
+    // 1. Validate the challenge issued by /auth/login
+    const payload = verifyPurposeToken(challengeToken, CHALLENGE_PURPOSE);
+    if (!payload) {
+      throw new AuthenticationError("Two-factor challenge expired. Please login again.");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: Number(payload.userId) },
+      include: { role: true },
+    });
+
+    if (!user || !user.twoFactorEnabled || payload.version !== user.tokenVersion) {
+      throw new AuthenticationError("Two-factor challenge expired. Please login again.");
+    }
+
+    if (!user.isActive) {
+      throw new ForbiddenError("Your account has been blocked by an administrator.");
+    }
+
+    // 2. The challenge must be the user's latest one and not locked
+    await otpService.assertNotLocked(user.id, OTP_PURPOSES.LOGIN_2FA);
+    const challenge = await prisma.oneTimeCode.findUnique({
+      where: { userId_purpose: { userId: user.id, purpose: OTP_PURPOSES.LOGIN_2FA } },
+    });
+    if (challenge?.codeHash !== hashToken(challengeToken) || new Date() > challenge.expiresAt) {
+      throw new AuthenticationError("Two-factor challenge expired. Please login again.");
+    }
+
+    // 3. Verify the second factor, counting wrong codes against the challenge
+    let method;
+    try {
+      method = await this.verifySecondFactor(user, { code, recoveryCode });
+    } catch (err) {
+      if (err instanceof ValidationError) await otpService.registerFailure(challenge, context);
+      throw err;
+    }
+    await prisma.oneTimeCode.delete({ where: { id: challenge.id } });
+
+    // 4. Log action
+    await prisma.auditLog.create({
+      data: {
+        action: AUDIT_ACTIONS.LOGIN,
+        entity: "User",
+        entityId: user.id,
+        details: `User successfully logged in with two-factor authentication (${method}).`,
+        actorId: user.id,
+        ...context,
+      },
+    });
+
+    logger.info(`User logged in with 2FA: ${user.email}`);
+    return user;
+  },
+};
+
+export default twoFactorService;
@@ -1,22 +1,45 @@
+import jwt from "jsonwebtoken";
 import prisma from "../lib/prisma.js";
 import {
   hashPassword,
   comparePassword,
   hashToken,
-  generateOTP,
-  verifyOTP,
+  generatePasswordResetToken,
 } from "../lib/auth.js";
-import { sendVerificationEmail, sendPasswordResetEmail, sendWelcomeEmail } from "../lib/email.js";
-import { ValidationError, NotFoundError, ForbiddenError } from "../utils/errors.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+  sendEmailChangeCodeEmail,
+  sendEmailChangeNoticeEmail,
+} from "../lib/email.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  AuthenticationError,
+  ConflictError,
+} from "../utils/errors.js";
+import { removeStoredFiles } from "../lib/storage.js";
 import { logger } from "../utils/logger.js";
-import { AUDIT_ACTIONS } from "../utils/constants.js";
-
-const OTP_EXPIRE_MINUTES = Number(process.env.OTP_EXPIRES_MINUTES || 15);
+import { AUDIT_ACTIONS, TOKEN_EXPIRY, OTP_PURPOSES } from "../utils/constants.js";
+import { getClientUrl } from "../utils/helpers.js";
+import otpService from "./otp.service.js";
+
+/**
+ * Read the expiry of a signed JWT so the session row expires with its token
+ */
+const getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded?.exp
+    ? new Date(decoded.exp * 1000)
+    : new Date(Date.now() + TOKEN_EXPIRY.SESSION);
+};
 
 const userService = {
   // ========== REGISTRATION ==========
   
-  async registerUser({ email, password, firstName, lastName }) {
+  async registerUser({ email, password, firstName, lastName }, context = {}) {
     // 1. Check if user exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
     
@@ -24,6 +47,7 @@ const userService = {
       if (existingUser.isVerified) {
         throw new ValidationError("Email already registered and verified.");
       }
+      await otpService.assertNotLocked(existingUser.id, OTP_PURPOSES.EMAIL_VERIFY);
     }
 
     // 2. Fetch Default Role (TRAVELLER)
@@ -32,11 +56,8 @@ const userService = {
     });
     if (!travellerRole) throw new NotFoundError("System Role 'TRAVELLER' not found.");
 
-    // 3. Hash password and generate OTP
+    // 3. Hash password
     const hashedPassword = await hashPassword(password);
-    const otp = generateOTP(6);
-    const otpHash = hashToken(otp);
-    const otpExpiresAt = new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000);
 
     // 4. Create or update user
     const user = await prisma.user.upsert({
@@ -45,8 +66,6 @@ const userService = {
         firstName,
         lastName,
         password: hashedPassword,
-        otpCode: otpHash,
-        otpExpiresAt: otpExpiresAt,
         isVerified: false,
       },
       create: {
@@ -55,8 +74,6 @@ const userService = {
         lastName,
         password: hashedPassword,
         roleId: travellerRole.id,
-        otpCode: otpHash,
-        otpExpiresAt: otpExpiresAt,
         isVerified: false,
         isActive: true,
         tokenVersion: 0,
@@ -64,8 +81,9 @@ const userService = {
       },
     });
 
-    // 5. Send verification email
-    await sendVerificationEmail(email, otp, OTP_EXPIRE_MINUTES);
+    // 5. Issue and send verification code
+    const { otp, expiresInMinutes } = await otpService.issue(user.id, OTP_PURPOSES.EMAIL_VERIFY);
+    await sendVerificationEmail(email, otp, expiresInMinutes);
 
     // 6. Log action
     await prisma.auditLog.create({
@@ -74,6 +92,8 @@ const userService = {
         entity: "User",
         entityId: user.id,
         details: "User registered and awaiting email verification.",
+        actorId: user.id,
+        ...context,
       },
     });
 
@@ -83,52 +103,40 @@ const userService = {
 
   // ========== EMAIL VERIFICATION ==========
   
-  async verifyEmailOTP({ email, otp }) {
+  async verifyEmailOTP({ email, otp }, context = {}) {
     // 1. Fetch user
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) throw new NotFoundError("User not found.");
 
-    // 2. Validate OTP
-    if (!user.otpCode || !user.otpExpiresAt) {
-      throw new ValidationError("No OTP request found. Please request a new one.");
-    }
-
-    if (new Date() > user.otpExpiresAt) {
-      throw new ValidationError("OTP expired. Please register again or resend OTP.");
-    }
-
-    // 3. Compare OTP (hash the user input and compare with stored hash)
-    const hashedInputOTP = hashToken(String(otp).trim());
-    const isValid = hashedInputOTP === user.otpCode;
-    
-    if (!isValid) throw new ValidationError("Invalid OTP.");
+    // 2. Check and consume the EMAIL_VERIFY code
+    await otpService.verify(user.id, OTP_PURPOSES.EMAIL_VERIFY, otp, context);
 
-    // 4. Update user - mark as verified
+    // 3. Update user - mark as verified
     const updatedUser = await prisma.user.update({
       where: { email },
       data: {
         isVerified: true,
-        otpCode: null,
-        otpExpiresAt: null,
         isActive: true,
       },
       include: { role: true },
     });
 
-    // 5. Create user profile
+    // 4. Create user profile
     await prisma.userProfile.upsert({
       where: { userId: updatedUser.id },
       update: {},
       create: { userId: updatedUser.id },
     });
 
-    // 6. Log action
+    // 5. Log action
     await prisma.auditLog.create({
       data: {
         action: AUDIT_ACTIONS.VERIFY_EMAIL,
         entity: "User",
         entityId: updatedUser.id,
         details: "User successfully verified email via OTP.",
+        actorId: updatedUser.id,
+        ...context,
       },
     });
 
@@ -138,29 +146,27 @@ const userService = {
 
   // ========== OTP MANAGEMENT ==========
   
-  async createAndSendOTP(email, type = "PASSWORD_RESET") {
+  async createAndSendOTP(email, type = OTP_PURPOSES.PASSWORD_RESET, context = {}) {
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) throw new NotFoundError("User not found.");
 
-    // 1. Generate OTP
-    const otp = generateOTP(6);
-    const otpHash = hashToken(otp);
-    const otpExpiresAt = new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000);
+    // 1. Only verification and password reset codes can be requested here
+    if (type !== OTP_PURPOSES.PASSWORD_RESET && type !== OTP_PURPOSES.EMAIL_VERIFY) {
+      throw new ValidationError("Invalid OTP type.");
+    }
 
-    // 2. Update user with OTP
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        otpCode: otpHash,
-        otpExpiresAt: otpExpiresAt,
-      },
-    });
+    if (type === OTP_PURPOSES.EMAIL_VERIFY && user.isVerified) {
+      throw new ValidationError("Email is already verified.");
+    }
+
+    // 2. Issue a code for this purpose only (respects lockout cooldown)
+    const { otp, expiresInMinutes } = await otpService.issue(user.id, type);
 
     // 3. Send email based on type
-    if (type === "PASSWORD_RESET") {
-      await sendPasswordResetEmail(email, otp, OTP_EXPIRE_MINUTES);
+    if (type === OTP_PURPOSES.PASSWORD_RESET) {
+      await sendPasswordResetEmail(email, otp, expiresInMinutes);
     } else {
-      await sendVerificationEmail(email, otp, OTP_EXPIRE_MINUTES);
+      await sendVerificationEmail(email, otp, expiresInMinutes);
     }
 
     // 4. Log action
@@ -170,6 +176,7 @@ const userService = {
         entity: "User",
         entityId: user.id,
         details: `OTP resent for ${type}`,
+        ...context,
       },
     });
 
@@ -179,7 +186,7 @@ const userService = {
 
   // ========== AUTHENTICATION ==========
   
-  async authenticateUser(email, password) {
+  async authenticateUser(email, password, context = {}) {
     const user = await prisma.user.findUnique({ 
       where: { email },
       include: { role: true } 
@@ -201,13 +208,21 @@ const userService = {
       throw new ForbiddenError("Your account has been blocked by an administrator.");
     }
 
-    // 4. Log action
+    // 4. Users with 2FA are only logged in once the second factor is verified
+    if (user.twoFactorEnabled) {
+      logger.info(`Password accepted, awaiting 2FA for: ${email}`);
+      return user;
+    }
+
+    // 5. Log action
     await prisma.auditLog.create({
       data: {
         action: AUDIT_ACTIONS.LOGIN,
         entity: "User",
         entityId: user.id,
         details: "User successfully logged in.",
+        actorId: user.id,
+        ...context,
       },
     });
 
@@ -215,36 +230,144 @@ const userService = {
     return user;
   },
 
-  // ========== REFRESH TOKEN MANAGEMENT ==========
-  
-  async saveRefreshToken(userId, refreshToken) {
-    const hashedToken = hashToken(refreshToken);
-    await prisma.user.update({
-      where: { id: Number(userId) },
-      data: { refreshToken: hashedToken },
+  // ========== SESSION (REFRESH TOKEN) MANAGEMENT ==========
+
+  async createSession({ sessionId, userId, refreshToken, deviceLabel, userAgent, ipAddress }) {
+    return prisma.session.create({
+      data: {
+        id: sessionId,
+        userId: Number(userId),
+        tokenHash: hashToken(refreshToken),
+        deviceLabel,
+        userAgent,
+        ipAddress,
+        expiresAt: getTokenExpiry(refreshToken),
+      },
     });
   },
 
-  async getUserWithRefreshToken(userId, refreshToken) {
-    const user = await prisma.user.findUnique({
-      where: { id: Number(userId) },
-      include: { role: true },
+  /**
+   * Swap the session's refresh token for the next one in its family.
+   * The update only succeeds if nobody rotated the session in the meantime;
+   * a lost race means the same token was presented twice.
+   */
+  async rotateSession(sessionId, generation, refreshToken, context = {}) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, generation },
+      data: {
+        tokenHash: hashToken(refreshToken),
+        generation: generation + 1,
+        lastUsedAt: new Date(),
+        expiresAt: getTokenExpiry(refreshToken),
+        ...(context.ipAddress && { ipAddress: context.ipAddress }),
+      },
     });
 
-    if (!user) throw new NotFoundError("User not found.");
-    if (!user.refreshToken) throw new ValidationError("No valid session.");
+    if (count === 0) {
+      const session = await prisma.session.findUnique({ where: { id: sessionId } });
+      if (session) await this.revokeTokenFamily(session, context);
+      throw new AuthenticationError("Refresh token reuse detected. Please login again.");
+    }
+  },
+
+  /**
+   * Resolve the user behind a refresh token.
+   * Every session is one token family: its refresh tokens carry an increasing
+   * `generation`. Presenting a token older than the current generation means
+   * an already rotated token is being replayed, so the family is revoked.
+   */
+  async getUserWithRefreshToken(decoded, refreshToken, context = {}) {
+    const { userId, sessionId } = decoded;
+    if (!sessionId) throw new ValidationError("No valid session.");
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: { user: { include: { role: true } } },
+    });
 
-    const isMatch = hashToken(refreshToken) === user.refreshToken;
+    if (!session || session.userId !== Number(userId)) {
+      throw new ValidationError("No valid session.");
+    }
+
+    if (new Date() > session.expiresAt) {
+      await prisma.session.delete({ where: { id: session.id } });
+      throw new ValidationError("Session expired. Please login again.");
+    }
+
+    if (Number(decoded.generation ?? 0) < session.generation) {
+      await this.revokeTokenFamily(session, context);
+      throw new AuthenticationError("Refresh token reuse detected. Please login again.");
+    }
+
+    const isMatch = hashToken(refreshToken) === session.tokenHash;
     if (!isMatch) throw new ValidationError("Invalid refresh token.");
 
-    return user;
+    return session.user;
   },
 
-  async clearRefreshToken(userId) {
-    await prisma.user.update({
-      where: { id: Number(userId) },
-      data: { refreshToken: null },
+  async revokeTokenFamily(session, context = {}) {
+    await prisma.$transaction([
+      prisma.session.deleteMany({ where: { id: session.id } }),
+      prisma.user.update({
+        where: { id: session.userId },
+        data: { tokenVersion: { increment: 1 } },
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.REFRESH_TOKEN_REUSE,
+          entity: "User",
+          entityId: session.userId,
+          details: `Rotated refresh token replayed for session ${session.id} (${session.deviceLabel || "unknown device"}) from ${context.ipAddress || "unknown IP"}. Session revoked.`,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.warn(`Refresh token reuse detected for user ${session.userId}, session ${session.id} revoked`);
+  },
+
+  async listSessions(userId) {
+    return prisma.session.findMany({
+      where: { userId: Number(userId), expiresAt: { gt: new Date() } },
+      select: {
+        id: true,
+        deviceLabel: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: "desc" },
     });
+  },
+
+  async revokeSession(userId, sessionId, context = {}) {
+    const { count } = await prisma.session.deleteMany({
+      where: { id: sessionId, userId: Number(userId) },
+    });
+    if (count === 0) throw new NotFoundError("Session not found.");
+
+    await prisma.auditLog.create({
+      data: {
+        action: AUDIT_ACTIONS.REVOKE_SESSION,
+        entity: "User",
+        entityId: Number(userId),
+        details: `Session ${sessionId} revoked.`,
+        actorId: Number(userId),
+        ...context,
+      },
+    });
+
+    logger.info(`Session ${sessionId} revoked for user: ${userId}`);
+  },
+
+  async endSession(userId, sessionId, context = {}) {
+    if (sessionId) {
+      await prisma.session.deleteMany({
+        where: { id: sessionId, userId: Number(userId) },
+      });
+    }
 
     await prisma.auditLog.create({
       data: {
@@ -252,6 +375,8 @@ const userService = {
         entity: "User",
         entityId: userId,
         details: "User logged out.",
+        actorId: Number(userId),
+        ...context,
       },
     });
 
@@ -260,37 +385,27 @@ const userService = {
 
   // ========== PASSWORD RESET ==========
   
-  async resetPassword({ email, otp, newPassword }) {
+  async resetPassword({ email, otp, newPassword }, context = {}) {
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) throw new NotFoundError("User not found.");
 
-    // 1. Validate OTP
-    if (!user.otpCode || !user.otpExpiresAt) {
-      throw new ValidationError("No OTP request found.");
-    }
-
-    if (new Date() > user.otpExpiresAt) {
-      throw new ValidationError("OTP has expired.");
-    }
-
-    if (!verifyOTP(otp, user.otpCode)) {
-      throw new ValidationError("Invalid OTP.");
-    }
+    // 1. Check and consume the PASSWORD_RESET code
+    await otpService.verify(user.id, OTP_PURPOSES.PASSWORD_RESET, otp, context);
 
     // 2. Hash new password
     const hashedPassword = await hashPassword(newPassword);
 
-    // 3. Update password, clear OTP, force logout
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        password: hashedPassword,
-        otpCode: null,
-        otpExpiresAt: null,
-        refreshToken: null,
-        tokenVersion: { increment: 1 },
-      },
-    });
+    // 3. Update password, force logout
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          password: hashedPassword,
+          tokenVersion: { increment: 1 },
+        },
+      }),
+      prisma.session.deleteMany({ where: { userId: user.id } }),
+    ]);
 
     // 4. Log action
     await prisma.auditLog.create({
@@ -299,6 +414,8 @@ const userService = {
         entity: "User",
         entityId: user.id,
         details: "User successfully reset their password.",
+        actorId: user.id,
+        ...context,
       },
     });
 
@@ -306,23 +423,192 @@ const userService = {
     return { message: "Password reset successful." };
   },
 
-  // ========== SESSION MANAGEMENT ==========
-  
-  async revokeAllUserSessions(userId) {
-    await prisma.user.update({
-      where: { id: Number(userId) },
+  // ========== EMAIL CHANGE ==========
+
+  async requestEmailChange(userId, { newEmail, password }, context = {}) {
+    const user = await prisma.user.findUnique({ where: { id: Number(userId) } });
+    if (!user) throw new NotFoundError("User not found.");
+
+    // 1. Re-authenticate and validate the new address
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch) throw new ValidationError("Password is incorrect.");
+
+    if (newEmail === user.email) {
+      throw new ValidationError("New email must be different from the current one.");
+    }
+
+    const emailTaken = await prisma.user.findUnique({ where: { email: newEmail } });
+    if (emailTaken) throw new ConflictError("Email is already in use.");
+
+    // 2. Replace any pending request with a new one
+    const revokeToken = generatePasswordResetToken();
+
+    await prisma.emailChangeRequest.updateMany({
+      where: { userId: user.id, status: "PENDING" },
+      data: { status: "CANCELLED" },
+    });
+
+    const request = await prisma.emailChangeRequest.create({
       data: {
-        refreshToken: null,
-        tokenVersion: { increment: 1 },
+        userId: user.id,
+        oldEmail: user.email,
+        newEmail,
+        revokeTokenHash: hashToken(revokeToken),
+        expiresAt: new Date(Date.now() + TOKEN_EXPIRY.EMAIL_CHANGE_REVOKE),
       },
     });
 
+    // 3. Code goes to the new address, revoke link to the old one
+    const { otp, expiresInMinutes } = await otpService.issue(user.id, OTP_PURPOSES.EMAIL_CHANGE);
+    await sendEmailChangeCodeEmail(newEmail, otp, expiresInMinutes);
+
+    // The link opens a page in the app that POSTs the token, so mail scanners
+    // that follow links can't cancel the change
+    const revokeUrl = `${getClientUrl()}/email-change/revoke?token=${revokeToken}`;
+    await sendEmailChangeNoticeEmail(user.email, newEmail, revokeUrl);
+
+    // 4. Log action
+    await prisma.auditLog.create({
+      data: {
+        action: AUDIT_ACTIONS.REQUEST_EMAIL_CHANGE,
+        entity: "User",
+        entityId: user.id,
+        details: `Email change requested (request ${request.id}).`,
+        actorId: user.id,
+        ...context,
+      },
+    });
+
+    logger.info(`Email change requested for user: ${user.id}`);
+    return { message: `Confirmation code sent to ${newEmail}` };
+  },
+
+  async confirmEmailChange(userId, otp, context = {}) {
+    const request = await prisma.emailChangeRequest.findFirst({
+      where: { userId: Number(userId), status: "PENDING" },
+      orderBy: { createdAt: "desc" },
+    });
+    if (!request) throw new ValidationError("No pending email change found.");
+
+    // 1. Check and consume the EMAIL_CHANGE code
+    await otpService.verify(request.userId, OTP_PURPOSES.EMAIL_CHANGE, otp, context);
+
+    // 2. The address may have been registered in the meantime
+    const emailTaken = await prisma.user.findUnique({ where: { email: request.newEmail } });
+    if (emailTaken) throw new ConflictError("Email is already in use.");
+
+    // 3. Switch email and force logout everywhere
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: request.userId },
+        data: {
+          email: request.newEmail,
+          tokenVersion: { increment: 1 },
+        },
+      }),
+      prisma.session.deleteMany({ where: { userId: request.userId } }),
+      prisma.emailChangeRequest.update({
+        where: { id: request.id },
+        data: { status: "COMPLETED", completedAt: new Date() },
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.CHANGE_EMAIL,
+          entity: "User",
+          entityId: request.userId,
+          details: `Email changed (request ${request.id}).`,
+          actorId: request.userId,
+          ...context,
+        },
+      }),
+    ]);
+
+    logger.info(`Email changed for user: ${user.id}`);
+    return user;
+  },
+
+  /**
+   * Revoke from the link sent to the old address (POSTed by the app page it opens).
+   * Cancels a pending change, or reverts a completed one while the link is valid.
+   */
+  async revokeEmailChange(token, context = {}) {
+    const request = await prisma.emailChangeRequest.findUnique({
+      where: { revokeTokenHash: hashToken(String(token)) },
+    });
+
+    if (!request || !["PENDING", "COMPLETED"].includes(request.status)) {
+      throw new ValidationError("Invalid or already used revoke link.");
+    }
+
+    if (new Date() > request.expiresAt) {
+      throw new ValidationError("This revoke link has expired. Please contact support.");
+    }
+
+    const operations = [
+      prisma.emailChangeRequest.update({
+        where: { id: request.id },
+        data: { status: "REVOKED", revokedAt: new Date() },
+      }),
+      prisma.oneTimeCode.deleteMany({
+        where: { userId: request.userId, purpose: OTP_PURPOSES.EMAIL_CHANGE },
+      }),
+      prisma.auditLog.create({
+        data: {
+          action: AUDIT_ACTIONS.REVOKE_EMAIL_CHANGE,
+          entity: "User",
+          entityId: request.userId,
+          details:
+            request.status === "COMPLETED"
+              ? `Completed email change reverted from the old address (request ${request.id}).`
+              : `Pending email change cancelled from the old address (request ${request.id}).`,
+          ...context,
+        },
+      }),
+    ];
+
+    // Revert a completed change and kick out whoever made it
+    if (request.status === "COMPLETED") {
+      const emailTaken = await prisma.user.findUnique({ where: { email: request.oldEmail } });
+      if (emailTaken && emailTaken.id !== request.userId) {
+        throw new ConflictError("The previous email is now used by another account. Please contact support.");
+      }
+
+      operations.push(
+        prisma.user.update({
+          where: { id: request.userId },
+          data: {
+            email: request.oldEmail,
+            tokenVersion: { increment: 1 },
+          },
+        }),
+        prisma.session.deleteMany({ where: { userId: request.userId } })
+      );
+    }
+
+    await prisma.$transaction(operations);
+
+    logger.info(`Email change ${request.id} revoked for user: ${request.userId}`);
+  },
+
+  // ========== SESSION MANAGEMENT ==========
+  
+  async revokeAllUserSessions(userId, context = {}) {
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: Number(userId) },
+        data: { tokenVersion: { increment: 1 } },
+      }),
+      prisma.session.deleteMany({ where: { userId: Number(userId) } }),
+    ]);
+
     await prisma.auditLog.create({
       data: {
         action: AUDIT_ACTIONS.LOGOUT,
         entity: "User",
         entityId: userId,
         details: "All user sessions revoked.",
+        actorId: Number(userId),
+        ...context,
       },
     });
 
@@ -362,7 +648,7 @@ const userService = {
     return { users, total };
   },
 
-  async blockUser(userId) {
+  async blockUser(userId, context = {}) {
     const user = await prisma.user.update({
       where: { id: Number(userId) },
       data: { isActive: false },
@@ -371,10 +657,11 @@ const userService = {
 
     await prisma.auditLog.create({
       data: {
-        action: "BLOCK_USER",
+        action: AUDIT_ACTIONS.BLOCK_USER,
         entity: "User",
-        entityId: userId,
+        entityId: Number(userId),
         details: "User account blocked by admin.",
+        ...context,
       },
     });
 
@@ -382,7 +669,7 @@ const userService = {
     return user;
   },
 
-  async unblockUser(userId) {
+  async unblockUser(userId, context = {}) {
     const user = await prisma.user.update({
       where: { id: Number(userId) },
       data: { isActive: true },
@@ -391,10 +678,11 @@ const userService = {
 
     await prisma.auditLog.create({
       data: {
-        action: "UNBLOCK_USER",
+        action: AUDIT_ACTIONS.UNBLOCK_USER,
         entity: "User",
-        entityId: userId,
+        entityId: Number(userId),
         details: "User account unblocked by admin.",
+        ...context,
       },
     });
 
@@ -402,10 +690,12 @@ const userService = {
     return user;
   },
 
-  async updateUserProfile(userId, data) {
-    const profile = await prisma.userProfile.update({
+  async updateUserProfile(userId, data, context = {}) {
+    // Accounts don't get a profile until they first fill one in
+    const profile = await prisma.userProfile.upsert({
       where: { userId: Number(userId) },
-      data,
+      update: data,
+      create: { ...data, userId: Number(userId) },
     });
 
     await prisma.auditLog.create({
@@ -414,6 +704,8 @@ const userService = {
         entity: "User",
         entityId: userId,
         details: "User profile updated.",
+        actorId: Number(userId),
+        ...context,
       },
     });
 
@@ -421,10 +713,18 @@ const userService = {
     return profile;
   },
 
-  async deleteUserAccount(userId) {
+  async deleteUserAccount(userId, context = {}) {
+    // Documents go with the account: the user's own, and every document in
+    // trips they own (those trips are deleted with them)
+    const documents = await prisma.tripDocument.findMany({
+      where: { OR: [{ ownerId: Number(userId) }, { trip: { ownerId: Number(userId) } }] },
+      select: { storageKey: true },
+    });
+
     await prisma.user.delete({
       where: { id: Number(userId) },
     });
+    await removeStoredFiles(documents.map((document) => document.storageKey));
 
     await prisma.auditLog.create({
       data: {
@@ -432,6 +732,8 @@ const userService = {
         entity: "User",
         entityId: userId,
         details: "User account deleted.",
+        actorId: Number(userId),
+        ...context,
       },
     });
 
@@ -24,11 +24,17 @@ export const API_MESSAGES = {
   REGISTER_SUCCESS: 'Registration successful. OTP sent to your email.',
   EMAIL_VERIFIED: 'Email verified successfully.',
   LOGIN_SUCCESS: 'Login successful.',
+  TWO_FACTOR_REQUIRED: 'Two-factor authentication required.',
+  TWO_FACTOR_ENABLED: 'Two-factor authentication enabled. Store your recovery codes safely.',
+  TWO_FACTOR_DISABLED: 'Two-factor authentication disabled.',
   LOGOUT_SUCCESS: 'Logged out successfully.',
   TOKEN_REFRESHED: 'Token refreshed successfully.',
   PASSWORD_RESET_SENT: 'Password reset link sent to your email.',
   PASSWORD_RESET_SUCCESS: 'Password reset successful.',
   OTP_RESENT: 'OTP resent to your email.',
+  EMAIL_CHANGE_REQUESTED: 'A confirmation code was sent to your new email address.',
+  EMAIL_CHANGED: 'Email changed successfully. Please login again.',
+  EMAIL_CHANGE_REVOKED: 'The email change has been revoked.',
 
   // Errors
   INVALID_CREDENTIALS: 'Invalid email or password.',
@@ -58,7 +64,13 @@ export const TOKEN_EXPIRY = {
   REFRESH_TOKEN: '7d', // 7 days
   OTP: 15 * 60 * 1000, // 15 minutes in milliseconds
   PASSWORD_RESET_OTP: 30 * 60 * 1000, // 30 minutes in milliseconds
+  EMAIL_CHANGE_OTP: 15 * 60 * 1000, // 15 minutes in milliseconds
+  LOGIN_2FA_OTP: 5 * 60 * 1000, // 5 minutes in milliseconds
+  EMAIL_CHANGE_REVOKE: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
   SESSION: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  TRIP_INVITATION: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  CALENDAR_FEED: '10y', // Until revoked by resetting the subscription links
+  DOCUMENT_DOWNLOAD: '5m', // 5 minutes
 };
 
 // ============================================================
@@ -94,6 +106,39 @@ export const ROLES = {
   TRAVELLER: 'TRAVELLER',
 };
 
+// Built-in roles; they cannot be renamed or deleted
+export const SYSTEM_ROLES = [ROLES.ADMIN, ROLES.TRAVELLER];
+
+// ============================================================
+// PERMISSIONS
+// ============================================================
+
+export const PERMISSIONS = {
+  POSTS_MODERATE: 'posts:moderate',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  STATS_READ: 'stats:read',
+  AUDIT_READ: 'audit:read',
+  CURRENCIES_MANAGE: 'currencies:manage',
+};
+
+export const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.POSTS_MODERATE]: 'View unpublished posts and edit or delete any post or comment',
+  [PERMISSIONS.USERS_READ]: 'View any user account and profile',
+  [PERMISSIONS.USERS_MANAGE]: 'Block, unblock, delete users and change their role',
+  [PERMISSIONS.ROLES_MANAGE]: 'Create roles and change their permissions',
+  [PERMISSIONS.STATS_READ]: 'View system statistics',
+  [PERMISSIONS.AUDIT_READ]: 'Query and export the audit log',
+  [PERMISSIONS.CURRENCIES_MANAGE]: 'Manage currencies and exchange rates',
+};
+
+// Permissions granted by prisma/seed.js. ADMIN always holds every permission.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.TRAVELLER]: [],
+};
+
 // ============================================================
 // USER STATUS
 // ============================================================
@@ -111,6 +156,7 @@ export const PAGINATION = {
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 10,
   MAX_LIMIT: 100,
+  EXPORT_BATCH_SIZE: 500,
 };
 
 // ============================================================
@@ -139,12 +185,246 @@ export const EMAIL_CONFIG = {
 // ============================================================
 
 export const RATE_LIMITS = {
-  LOGIN_ATTEMPTS: 5, // Max login attempts
+  LOGIN_ATTEMPTS: Number(process.env.RATE_LIMIT_LOGIN_ATTEMPTS) || 5, // Max login attempts per email
+  LOGIN_IP_ATTEMPTS: Number(process.env.RATE_LIMIT_LOGIN_IP_ATTEMPTS) || 20, // Max login attempts per IP
   LOGIN_WINDOW: 15 * 60 * 1000, // 15 minutes
-  OTP_REQUESTS: 3, // Max OTP requests
+  OTP_REQUESTS: Number(process.env.RATE_LIMIT_OTP_REQUESTS) || 3, // Max OTP requests per email
+  OTP_IP_REQUESTS: Number(process.env.RATE_LIMIT_OTP_IP_REQUESTS) || 10, // Max OTP requests per IP
   OTP_WINDOW: 60 * 60 * 1000, // 1 hour
-  API_REQUESTS: 100, // Max API requests per window
-  API_WINDOW: 15 * 60 * 1000, // 15 minutes
+  OTP_VERIFY_ATTEMPTS: Number(process.env.RATE_LIMIT_OTP_VERIFY_ATTEMPTS) || 5, // Max OTP checks per email
+  OTP_VERIFY_IP_ATTEMPTS: Number(process.env.RATE_LIMIT_OTP_VERIFY_IP_ATTEMPTS) || 20, // Max OTP checks per IP
+  OTP_VERIFY_WINDOW: 15 * 60 * 1000, // 15 minutes
+  SHARE_LINK_IP_REQUESTS: Number(process.env.RATE_LIMIT_SHARE_LINK_IP_REQUESTS) || 60, // Max share link views per IP
+  SHARE_LINK_WINDOW: 15 * 60 * 1000, // 15 minutes
+  API_REQUESTS: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Max API requests per window
+  API_WINDOW: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+};
+
+// ============================================================
+// ONE-TIME CODE PURPOSES
+// ============================================================
+
+export const OTP_PURPOSES = {
+  EMAIL_VERIFY: 'EMAIL_VERIFY',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_CHANGE: 'EMAIL_CHANGE',
+  LOGIN_2FA: 'LOGIN_2FA',
+};
+
+// Each purpose expires independently
+export const OTP_EXPIRY = {
+  EMAIL_VERIFY: Number(process.env.OTP_EXPIRES_MINUTES) * 60 * 1000 || TOKEN_EXPIRY.OTP,
+  PASSWORD_RESET: TOKEN_EXPIRY.PASSWORD_RESET_OTP,
+  EMAIL_CHANGE: TOKEN_EXPIRY.EMAIL_CHANGE_OTP,
+  LOGIN_2FA: TOKEN_EXPIRY.LOGIN_2FA_OTP,
+};
+
+// ============================================================
+// OTP ATTEMPT LIMITS
+// ============================================================
+
+export const OTP_LIMITS = {
+  MAX_ATTEMPTS: Number(process.env.OTP_MAX_ATTEMPTS) || 5, // Failed checks before a code is invalidated
+  LOCKOUT_COOLDOWN: Number(process.env.OTP_LOCKOUT_MINUTES || 15) * 60 * 1000, // Wait before a new code can be issued
+};
+
+// ============================================================
+// TRIPS & ITINERARY
+// ============================================================
+
+export const TRIP_VISIBILITY = {
+  PRIVATE: 'PRIVATE',
+  PUBLIC: 'PUBLIC',
+};
+
+export const TRIP_MEMBER_ROLES = {
+  OWNER: 'OWNER',
+  EDITOR: 'EDITOR',
+  VIEWER: 'VIEWER',
+};
+
+export const POLL_LIMITS = {
+  MIN_OPTIONS: 2,
+  MAX_OPTIONS: 20,
+  MAX_POLLS_PER_TRIP: 100,
+};
+
+export const SHARE_LINK_LIMITS = {
+  MAX_ACTIVE_PER_TRIP: 20,
+  MIN_PASSWORD_LENGTH: 6,
+  MAX_PASSWORD_ATTEMPTS: Number(process.env.SHARE_LINK_MAX_PASSWORD_ATTEMPTS) || 10, // Wrong passwords before a link locks
+  LOCKOUT_DURATION: Number(process.env.SHARE_LINK_LOCKOUT_MINUTES || 15) * 60 * 1000, // How long a locked link refuses passwords
+};
+
+export const JOIN_REQUEST_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'];
+
+// Roles that can be given through an invitation or a role change
+export const ASSIGNABLE_TRIP_ROLES = [TRIP_MEMBER_ROLES.EDITOR, TRIP_MEMBER_ROLES.VIEWER];
+
+export const ITINERARY_ITEM_TYPES = ['ACTIVITY', 'TRANSPORT', 'LODGING', 'FOOD', 'OTHER'];
+
+export const TRIP_LIMITS = {
+  MAX_DAYS: 90,
+  MAX_ITEMS_PER_DAY: 50,
+  MAX_MEMBERS: 50, // upper bound for a trip's maxMembers
+};
+
+export const TRIP_TEMPLATE_SORTS = ['popular', 'recent'];
+
+// ============================================================
+// TRAVEL BUDDIES
+// ============================================================
+
+export const LANGUAGES = ['ENGLISH', 'NEPALI'];
+
+export const PROFILE_LIMITS = {
+  MAX_INTERESTS: 20,
+  MAX_INTEREST_LENGTH: 40,
+};
+
+export const BUDDY_SEARCH = {
+  MAX_CANDIDATES: 200, // trips scored per search, soonest first
+  // Points per criterion; a perfect match scores 100
+  WEIGHTS: {
+    DESTINATION: 40,
+    DATES: 30,
+    LANGUAGE: 15,
+    INTERESTS: 15,
+  },
+};
+
+export const TRACK_FORMATS = ['GPX', 'KML'];
+
+export const TRACK_IMPORT = {
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10 MB
+  MAX_POINTS: 20000,
+  MAX_TRACKS_PER_TRIP: 50,
+};
+
+export const ICS_IMPORT = {
+  MAX_FILE_SIZE: 1024 * 1024, // 1 MB
+  MAX_EVENTS: 500,
+  TRANSACTION_TIMEOUT: 30 * 1000, // Room for MAX_EVENTS updates on a remote database
+};
+
+// ============================================================
+// CHECKLISTS
+// ============================================================
+
+export const CHECKLIST_KINDS = ['PACKING', 'DOCUMENTS', 'PRE_DEPARTURE', 'OTHER'];
+
+export const CHECKLIST_LIMITS = {
+  MAX_CHECKLISTS_PER_TRIP: 30,
+  MAX_ITEMS_PER_CHECKLIST: 200,
+  MAX_TEMPLATES_PER_USER: 50,
+};
+
+// System templates created by prisma/seed.js, matched on key when re-seeding
+export const SYSTEM_CHECKLIST_TEMPLATES = [
+  {
+    key: 'everest-base-camp-trek',
+    name: 'Everest Base Camp trek',
+    description: 'Teahouse trek of about two weeks in the Khumbu region.',
+    kind: 'PACKING',
+    items: [
+      { title: 'Down jacket' },
+      { title: 'Sleeping bag', notes: 'Rated to -15°C or lower' },
+      { title: 'Trekking poles' },
+      { title: 'Broken-in hiking boots' },
+      { title: 'Thermal base layers', quantity: 2 },
+      { title: 'Trekking socks', quantity: 4 },
+      { title: 'Warm hat and gloves' },
+      { title: 'Sunglasses (UV 400)' },
+      { title: 'Sunscreen and lip balm' },
+      { title: 'Water purification tablets' },
+      { title: 'Reusable water bottles', quantity: 2 },
+      { title: 'Headlamp and spare batteries' },
+      { title: 'Diamox', notes: 'Ask a doctor before the trip' },
+      { title: 'First aid kit' },
+      { title: 'Cash in NPR', notes: 'No ATMs above Namche Bazaar' },
+    ],
+  },
+  {
+    key: 'monsoon-city-trip',
+    name: 'Monsoon city trip',
+    description: 'A few days in the city during the rainy season.',
+    kind: 'PACKING',
+    items: [
+      { title: 'Compact umbrella' },
+      { title: 'Rain jacket' },
+      { title: 'Quick-dry clothes' },
+      { title: 'Sandals or waterproof shoes' },
+      { title: 'Dry bag for phone and documents' },
+      { title: 'Insect repellent' },
+      { title: 'Power bank' },
+      { title: 'Oral rehydration salts' },
+    ],
+  },
+  {
+    key: 'international-travel-documents',
+    name: 'International travel documents',
+    description: 'Papers to sort out before flying abroad.',
+    kind: 'DOCUMENTS',
+    items: [
+      { title: 'Passport', notes: 'Valid for at least 6 months after return' },
+      { title: 'Visa or visa on arrival fee' },
+      { title: 'Passport photos', quantity: 4 },
+      { title: 'Travel insurance policy' },
+      { title: 'Flight tickets' },
+      { title: 'Hotel bookings' },
+      { title: 'Copies of all documents, stored separately' },
+      { title: 'Trekking permits and TIMS card', notes: 'Only for trekking areas' },
+    ],
+  },
+];
+
+// ============================================================
+// DOCUMENTS
+// ============================================================
+
+export const DOCUMENT_CATEGORIES = ['PASSPORT', 'VISA', 'PERMIT', 'TICKET', 'INSURANCE', 'BOOKING', 'OTHER'];
+
+export const DOCUMENT_UPLOAD = {
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10 MB
+  MIME_TYPES: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+  MAX_DOCUMENTS_PER_MEMBER: 100, // per trip
+};
+
+// ============================================================
+// EXPENSES
+// ============================================================
+
+export const EXPENSE_CATEGORIES = [
+  'LODGING',
+  'TRANSPORT',
+  'FOOD',
+  'PERMITS',
+  'ACTIVITIES',
+  'SHOPPING',
+  'OTHER',
+];
+
+export const EXPENSE_SPLIT_TYPES = {
+  EQUAL: 'EQUAL',
+  PERCENTAGE: 'PERCENTAGE',
+  EXACT: 'EXACT',
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Currencies created by prisma/seed.js
+export const DEFAULT_CURRENCIES = [
+  { code: 'NPR', name: 'Nepalese Rupee', symbol: 'Rs' },
+  { code: 'INR', name: 'Indian Rupee', symbol: '₹' },
+  { code: 'USD', name: 'US Dollar', symbol: '$' },
+];
+
+// Share of a budget (in %) at which opted-in members get an email
+export const BUDGET_ALERT_THRESHOLDS = [80, 100];
+
+export const EXCHANGE_RATE_IMPORT = {
+  MAX_FILE_SIZE: 1024 * 1024, // 1 MB
+  MAX_ROWS: 5000,
 };
 
 // ============================================================
@@ -156,14 +436,80 @@ export const AUDIT_ACTIONS = {
   VERIFY_EMAIL: 'VERIFY_EMAIL',
   LOGIN: 'LOGIN',
   LOGOUT: 'LOGOUT',
+  REVOKE_SESSION: 'REVOKE_SESSION',
   REFRESH_TOKEN: 'REFRESH_TOKEN',
+  REFRESH_TOKEN_REUSE: 'REFRESH_TOKEN_REUSE',
   REQUEST_PASSWORD_RESET: 'REQUEST_PASSWORD_RESET',
   RESET_PASSWORD: 'RESET_PASSWORD',
   UPDATE_PROFILE: 'UPDATE_PROFILE',
   DELETE_ACCOUNT: 'DELETE_ACCOUNT',
+  REQUEST_EMAIL_CHANGE: 'REQUEST_EMAIL_CHANGE',
   CHANGE_EMAIL: 'CHANGE_EMAIL',
+  REVOKE_EMAIL_CHANGE: 'REVOKE_EMAIL_CHANGE',
   CHANGE_PASSWORD: 'CHANGE_PASSWORD',
   ENABLE_2FA: 'ENABLE_2FA',
   DISABLE_2FA: 'DISABLE_2FA',
   RESEND_OTP: 'RESEND_OTP',
+  OTP_LOCKOUT: 'OTP_LOCKOUT',
+  BLOCK_USER: 'BLOCK_USER',
+  UNBLOCK_USER: 'UNBLOCK_USER',
+  CREATE_ROLE: 'CREATE_ROLE',
+  UPDATE_ROLE: 'UPDATE_ROLE',
+  DELETE_ROLE: 'DELETE_ROLE',
+  ASSIGN_ROLE: 'ASSIGN_ROLE',
+  CREATE_TRIP: 'CREATE_TRIP',
+  UPDATE_TRIP: 'UPDATE_TRIP',
+  DELETE_TRIP: 'DELETE_TRIP',
+  PUBLISH_TRIP_TEMPLATE: 'PUBLISH_TRIP_TEMPLATE',
+  UNPUBLISH_TRIP_TEMPLATE: 'UNPUBLISH_TRIP_TEMPLATE',
+  CLONE_TRIP: 'CLONE_TRIP',
+  UPDATE_ITINERARY_DAY: 'UPDATE_ITINERARY_DAY',
+  CREATE_ITINERARY_ITEM: 'CREATE_ITINERARY_ITEM',
+  UPDATE_ITINERARY_ITEM: 'UPDATE_ITINERARY_ITEM',
+  DELETE_ITINERARY_ITEM: 'DELETE_ITINERARY_ITEM',
+  REORDER_ITINERARY_ITEMS: 'REORDER_ITINERARY_ITEMS',
+  IMPORT_ITINERARY: 'IMPORT_ITINERARY',
+  RESET_CALENDAR_SUBSCRIPTIONS: 'RESET_CALENDAR_SUBSCRIPTIONS',
+  UPLOAD_TRIP_TRACK: 'UPLOAD_TRIP_TRACK',
+  UPDATE_TRIP_TRACK: 'UPDATE_TRIP_TRACK',
+  DELETE_TRIP_TRACK: 'DELETE_TRIP_TRACK',
+  CREATE_CHECKLIST: 'CREATE_CHECKLIST',
+  UPDATE_CHECKLIST: 'UPDATE_CHECKLIST',
+  DELETE_CHECKLIST: 'DELETE_CHECKLIST',
+  UPLOAD_DOCUMENT: 'UPLOAD_DOCUMENT',
+  UPDATE_DOCUMENT: 'UPDATE_DOCUMENT',
+  SHARE_DOCUMENT: 'SHARE_DOCUMENT',
+  DOWNLOAD_DOCUMENT: 'DOWNLOAD_DOCUMENT',
+  DELETE_DOCUMENT: 'DELETE_DOCUMENT',
+  INVITE_TRIP_MEMBER: 'INVITE_TRIP_MEMBER',
+  REVOKE_TRIP_INVITATION: 'REVOKE_TRIP_INVITATION',
+  ACCEPT_TRIP_INVITATION: 'ACCEPT_TRIP_INVITATION',
+  DECLINE_TRIP_INVITATION: 'DECLINE_TRIP_INVITATION',
+  REQUEST_TO_JOIN_TRIP: 'REQUEST_TO_JOIN_TRIP',
+  CANCEL_JOIN_REQUEST: 'CANCEL_JOIN_REQUEST',
+  APPROVE_JOIN_REQUEST: 'APPROVE_JOIN_REQUEST',
+  REJECT_JOIN_REQUEST: 'REJECT_JOIN_REQUEST',
+  CLOSE_TRIP: 'CLOSE_TRIP',
+  CREATE_SHARE_LINK: 'CREATE_SHARE_LINK',
+  REVOKE_SHARE_LINK: 'REVOKE_SHARE_LINK',
+  ACCESS_SHARE_LINK: 'ACCESS_SHARE_LINK',
+  DENY_SHARE_LINK: 'DENY_SHARE_LINK',
+  CREATE_POLL: 'CREATE_POLL',
+  CLOSE_POLL: 'CLOSE_POLL',
+  DELETE_POLL: 'DELETE_POLL',
+  UPDATE_TRIP_MEMBER: 'UPDATE_TRIP_MEMBER',
+  REMOVE_TRIP_MEMBER: 'REMOVE_TRIP_MEMBER',
+  LEAVE_TRIP: 'LEAVE_TRIP',
+  TRANSFER_TRIP_OWNERSHIP: 'TRANSFER_TRIP_OWNERSHIP',
+  CREATE_EXPENSE: 'CREATE_EXPENSE',
+  UPDATE_EXPENSE: 'UPDATE_EXPENSE',
+  DELETE_EXPENSE: 'DELETE_EXPENSE',
+  RECORD_SETTLEMENT: 'RECORD_SETTLEMENT',
+  DELETE_SETTLEMENT: 'DELETE_SETTLEMENT',
+  UPDATE_TRIP_BUDGET: 'UPDATE_TRIP_BUDGET',
+  CREATE_CURRENCY: 'CREATE_CURRENCY',
+  UPDATE_CURRENCY: 'UPDATE_CURRENCY',
+  SET_EXCHANGE_RATE: 'SET_EXCHANGE_RATE',
+  DELETE_EXCHANGE_RATE: 'DELETE_EXCHANGE_RATE',
+  IMPORT_EXCHANGE_RATES: 'IMPORT_EXCHANGE_RATES',
 };
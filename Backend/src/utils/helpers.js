@@ -76,6 +76,145 @@ export const getPaginationInfo = (total, page, limit) => {
 
 
 export const sanitizeUser = (user) => {
-  const { password, ...sanitizedUser } = user;
+  const { password, twoFactorSecret, twoFactorLastStep, ...sanitizedUser } = user;
   return sanitizedUser;
-} ;
\ No newline at end of file
+} ;
+
+/**
+ * List the permission keys granted to a user through their role.
+ * Expects the user to be loaded with role.permissions.permission.
+ */
+export const getUserPermissions = (user) =>
+  (user?.role?.permissions || []).map((grant) => grant.permission?.key).filter(Boolean);
+
+/**
+ * Check whether a user's role grants a permission
+ */
+export const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+/**
+ * Build a short, human readable device label from a User-Agent header
+ * e.g. "Chrome on Windows", "Safari on iOS"
+ */
+export const describeUserAgent = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, regex]) => regex.test(userAgent))?.[0];
+  const platform = platforms.find(([, regex]) => regex.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+/**
+ * Collect device metadata for a new login session
+ */
+export const getSessionMetadata = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceLabel =
+    typeof req.body?.deviceLabel === 'string' && req.body.deviceLabel.trim()
+      ? req.body.deviceLabel.trim().slice(0, 100)
+      : describeUserAgent(userAgent);
+
+  return {
+    deviceLabel,
+    userAgent,
+    ipAddress: req.ip || null,
+  };
+};
+
+/**
+ * Who did something and from where, recorded with audit log entries.
+ * actorId is left out for anonymous requests so services can fill it in.
+ */
+export const getRequestContext = (req) => ({
+  ...(req.user?.id && { actorId: req.user.id }),
+  ipAddress: req.ip || null,
+  userAgent: req.get('user-agent') || null,
+});
+
+/**
+ * Format one CSV line (RFC 4180 quoting). Cells that a spreadsheet would
+ * evaluate as a formula are prefixed with a quote.
+ */
+export const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+      let cell = value instanceof Date ? value.toISOString() : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(',');
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of trimmed cells.
+ * Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell.trim());
+    if (row.some((value) => value !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Public base URL of this API, for links sent by email
+ */
+export const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Base URL of the web app, for links that open a page instead of an API call
+ */
+export const getClientUrl = () =>
+  process.env.CLIENT_URL || (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',')[0];
+
@@ -0,0 +1,47 @@
+// test/ical.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCalendar, resolveEventTimes } from '../src/lib/ical.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/calendars/${name}`, import.meta.url), 'utf8');
+
+const eventTimes = (name, timeZone) =>
+  Object.fromEntries(parseCalendar(fixture(name)).map((event) => [event.uid, resolveEventTimes(event, timeZone)]));
+
+// ============================================================
+// READING
+// ============================================================
+
+describe('resolveEventTimes', () => {
+  it('reads UTC times in the trip timezone', () => {
+    const times = eventTimes('invalid-times.ics', 'Asia/Kathmandu');
+
+    assert.deepEqual(times['valid@fixture'], {
+      start: { date: '2026-03-01', time: '10:15' },
+      end: { date: '2026-03-01', time: '12:15' },
+    });
+  });
+
+  it('has no times for impossible dates and times instead of throwing', () => {
+    const times = eventTimes('invalid-times.ics', 'Asia/Kathmandu');
+
+    assert.equal(times['impossible-time@fixture'], null);
+    assert.equal(times['impossible-hour@fixture'], null);
+  });
+
+  it('has no date for an impossible all-day date', () => {
+    const times = eventTimes('invalid-times.ics', 'Asia/Kathmandu');
+
+    assert.equal(times['impossible-date@fixture'], null);
+  });
+
+  it('leaves out an impossible end but keeps the start', () => {
+    const times = eventTimes('invalid-times.ics', 'Asia/Kathmandu');
+
+    assert.deepEqual(times['impossible-end@fixture'], {
+      start: { date: '2026-03-02', time: '13:45' },
+      end: null,
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// test/tracks.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseTrack, computeTrackStats, distanceBetween, buildGpx, buildKml } from '../src/lib/tracks.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/tracks/${name}`, import.meta.url), 'utf8');
+
+const segmentSizes = (points) =>
+  points.reduce((sizes, point) => {
+    sizes[point.segment] = (sizes[point.segment] || 0) + 1;
+    return sizes;
+  }, []);
+
+// ============================================================
+// READING
+// ============================================================
+
+describe('parseTrack', () => {
+  it('reads each GPX <trkseg> as a segment', () => {
+    const { name, points } = parseTrack(fixture('two-segments.gpx'), 'GPX');
+
+    assert.equal(name, 'Nagarkot walk');
+    assert.equal(points.length, 5);
+    assert.deepEqual(segmentSizes(points), [3, 2]);
+    assert.deepEqual(points[0], {
+      segment: 0,
+      latitude: 27.7,
+      longitude: 85.5,
+      elevation: 1000,
+      recordedAt: new Date('2026-03-01T06:00:00Z'),
+    });
+  });
+
+  it('reads a GPX <rte> as one segment without elevation', () => {
+    const { name, points } = parseTrack(fixture('route.gpx'), 'GPX');
+
+    assert.equal(name, 'Phewa Lake & Peace Pagoda');
+    assert.deepEqual(segmentSizes(points), [3]);
+    assert.ok(points.every((point) => point.elevation === null && point.recordedAt === null));
+  });
+
+  it('reads each KML <LineString> as a segment', () => {
+    const { name, points } = parseTrack(fixture('line-strings.kml'), 'KML');
+
+    assert.equal(name, 'Annapurna Circuit, day 1');
+    assert.deepEqual(segmentSizes(points), [3, 2]);
+    assert.deepEqual(
+      points.map((point) => point.elevation),
+      [820, 840, 860, null, null]
+    );
+  });
+
+  it('pairs gx:Track <when> times with <gx:coord> positions', () => {
+    const { name, points } = parseTrack(fixture('gx-track.kml'), 'KML');
+
+    assert.equal(name, 'Sarangkot sunrise');
+    assert.deepEqual(segmentSizes(points), [3]);
+    assert.deepEqual(points[2], {
+      segment: 0,
+      latitude: 28.244,
+      longitude: 83.946,
+      elevation: 1400,
+      recordedAt: new Date('2026-03-02T00:50:00Z'),
+    });
+  });
+
+  it('reads a large file of unclosed tags in linear time', () => {
+    // About 1.7 MB; matching unclosed tags with lazy patterns took ~15 s here
+    const xml = fixture('unclosed-tags.gpx').repeat(5000);
+    const started = performance.now();
+
+    assert.throws(() => parseTrack(xml, 'GPX'), /no track or route points/);
+    assert.throws(() => parseTrack(xml, 'KML'), /no track or route points/);
+    assert.ok(performance.now() - started < 2000, 'parsing took longer than 2 s');
+  });
+
+  it('rejects files without points and points with invalid coordinates', () => {
+    assert.throws(() => parseTrack('<gpx><trk><trkseg></trkseg></trk></gpx>', 'GPX'), /no track or route points/);
+    assert.throws(
+      () => parseTrack('<gpx><trk><trkseg><trkpt lat="91" lon="0"/></trkseg></trk></gpx>', 'GPX'),
+      /Point 1 has invalid coordinates/
+    );
+  });
+});
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+describe('computeTrackStats', () => {
+  it('does not count distance across the gap between segments', () => {
+    const { points } = parseTrack(fixture('two-segments.gpx'), 'GPX');
+    const within =
+      distanceBetween(points[0], points[1]) +
+      distanceBetween(points[1], points[2]) +
+      distanceBetween(points[3], points[4]);
+
+    const stats = computeTrackStats(points);
+
+    assert.equal(stats.distanceMeters, Math.round(within * 10) / 10);
+    assert.ok(stats.distanceMeters < 400, 'the ~11 km between segments is left out');
+  });
+
+  it('ignores elevation changes below 3 m and counts the rest across segments', () => {
+    const { points } = parseTrack(fixture('two-segments.gpx'), 'GPX');
+
+    const stats = computeTrackStats(points);
+
+    assert.equal(stats.elevationGain, 10);
+    assert.equal(stats.elevationLoss, 5);
+    assert.equal(stats.maxAltitude, 1010);
+    assert.equal(stats.minAltitude, 1000);
+  });
+
+  it('counts a change of exactly 3 m', () => {
+    const point = (elevation) => ({ segment: 0, latitude: 0, longitude: 0, elevation });
+
+    assert.equal(computeTrackStats([point(100), point(102.9)]).elevationGain, 0);
+    assert.equal(computeTrackStats([point(100), point(103)]).elevationGain, 3);
+    assert.equal(computeTrackStats([point(100), point(101), point(102), point(103)]).elevationGain, 3);
+  });
+
+  it('has no altitudes for a track without elevation', () => {
+    const { points } = parseTrack(fixture('route.gpx'), 'GPX');
+
+    const stats = computeTrackStats(points);
+
+    assert.equal(stats.elevationGain, 0);
+    assert.equal(stats.maxAltitude, null);
+    assert.equal(stats.minAltitude, null);
+  });
+});
+
+// ============================================================
+// WRITING
+// ============================================================
+
+describe('buildGpx / buildKml', () => {
+  it('reads back the same points from a written GPX file', () => {
+    const { name, points } = parseTrack(fixture('two-segments.gpx'), 'GPX');
+
+    const gpx = buildGpx({
+      name: 'Export',
+      tracks: [{ name, points }],
+      waypoints: [{ name: 'Tea house', latitude: 27.71, longitude: 85.51 }],
+    });
+
+    assert.deepEqual(parseTrack(gpx, 'GPX'), { name, points });
+  });
+
+  it('reads back the same points from a written KML file', () => {
+    const { name, points } = parseTrack(fixture('line-strings.kml'), 'KML');
+
+    const kml = buildKml({ name: 'Export', tracks: [{ name, points }] });
+
+    assert.deepEqual(parseTrack(kml, 'KML'), { name, points });
+  });
+
+  it('escapes names when writing', () => {
+    const { points } = parseTrack(fixture('route.gpx'), 'GPX');
+
+    const gpx = buildGpx({ name: 'A <b> & "c"', tracks: [{ name: 'Lake & Pagoda', points }] });
+
+    assert.equal(parseTrack(gpx, 'GPX').name, 'Lake & Pagoda');
+    assert.ok(gpx.includes('<name>A &lt;b&gt; &amp; &quot;c&quot;</name>'));
+  });
+});